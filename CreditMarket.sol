@@ -0,0 +1,162 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+pragma solidity ^0.8.7;
+
+import "@openzeppelin/contracts@4.9.3/utils/math/SafeCast.sol";
+import "@openzeppelin/contracts@4.9.3/utils/structs/EnumerableSet.sol";
+import "./SpicyCombos.sol";
+
+/// Credits for sale. See SpicyCombos.offerCredits().
+struct CreditOffer {
+    address seller; // zero once the offer is filled or cancelled
+    uint256 credits; // what is left for sale, held aside from the seller's available credits
+    uint256 priceBasisPoints; // the ETH paid per credit
+}
+
+struct CreditBook {
+    uint256 offerCount; // the number of offers ever made, offer IDs start at 1
+    mapping(uint256 => CreditOffer) offers; // The keys are offerIds.
+    EnumerableSet.UintSet openOfferIds; // offerIds of all offers with credits left for sale
+}
+
+/// Credit transfers and the credit-for-ETH order book of SpicyCombos, which calls this library with its own storage,
+/// events and errors. Keeping them out of SpicyCombos keeps every deployment under the contract size limit.
+library CreditMarket {
+    using EnumerableSet for EnumerableSet.UintSet;
+
+    uint256 constant BASIS_POINTS = 10000; // SpicyCombos.BASIS_POINTS
+
+    // The same events as SpicyCombos', which emits them through this library.
+    event CreditsTransferred(address indexed from, address indexed to, uint256 amount);
+    event CreditOfferCreated(uint256 indexed offerId, address indexed seller, uint256 credits, uint256 priceBasisPoints);
+    event CreditOfferCancelled(uint256 indexed offerId, address indexed seller, uint256 credits);
+    event CreditsBought(
+        uint256 indexed offerId,
+        address indexed buyer,
+        address indexed seller,
+        uint256 credits,
+        uint256 price
+    );
+
+    /// See SpicyCombos.transferCredits().
+    function transferCredits(
+        mapping(address => SpicyCombos.Balance) storage balances,
+        address to,
+        uint256 amount
+    ) external {
+        takeCredits(balances[msg.sender], amount);
+        balances[to].availableCredits += SafeCast.toUint128(amount);
+        emit CreditsTransferred(msg.sender, to, amount);
+    }
+
+    /// See SpicyCombos.offerCredits().
+    function offerCredits(
+        CreditBook storage book,
+        mapping(address => SpicyCombos.Balance) storage balances,
+        uint256 credits,
+        uint256 priceBasisPoints
+    ) external returns (uint256 offerId) {
+        SpicyCombos.Balance storage balance = balances[msg.sender];
+        if (credits == 0) revert SpicyCombos.ValueOutOfRange("credits", 1, balance.availableCredits);
+        if (priceBasisPoints == 0 || priceBasisPoints > BASIS_POINTS)
+            revert SpicyCombos.ValueOutOfRange("priceBasisPoints", 1, BASIS_POINTS);
+
+        takeCredits(balance, credits);
+        offerId = ++book.offerCount;
+        book.offers[offerId] = CreditOffer(msg.sender, credits, priceBasisPoints);
+        book.openOfferIds.add(offerId);
+        emit CreditOfferCreated(offerId, msg.sender, credits, priceBasisPoints);
+    }
+
+    /// See SpicyCombos.cancelCreditOffer().
+    function cancelCreditOffer(
+        CreditBook storage book,
+        mapping(address => SpicyCombos.Balance) storage balances,
+        uint256 offerId
+    ) external {
+        CreditOffer storage offer = book.offers[offerId];
+        if (offer.seller != msg.sender) revert SpicyCombos.CreditOfferNotFound(offerId);
+
+        uint256 credits = offer.credits;
+        closeCreditOffer(book, offerId);
+        balances[msg.sender].availableCredits += SafeCast.toUint128(credits);
+        emit CreditOfferCancelled(offerId, msg.sender, credits);
+    }
+
+    /// The price of buying credits from an offer. See SpicyCombos.buyCredits().
+    /// Reverts the way buyCredits() does if the offer can't sell them.
+    function priceOf(
+        CreditBook storage book,
+        uint256 offerId,
+        uint256 credits
+    ) external view returns (uint256 price) {
+        CreditOffer storage offer = book.offers[offerId];
+        if (offer.seller == address(0)) revert SpicyCombos.CreditOfferNotFound(offerId);
+        if (credits == 0) revert SpicyCombos.ValueOutOfRange("credits", 1, offer.credits);
+        if (credits > offer.credits) revert SpicyCombos.CreditOfferAmountExceeded(offer.credits);
+        return (credits * offer.priceBasisPoints + BASIS_POINTS - 1) / BASIS_POINTS;
+    }
+
+    /// Sell credits from an offer to msg.sender for price, which the caller has checked with priceOf() and covered
+    /// in msg.sender's available deposits.
+    function buyCredits(
+        CreditBook storage book,
+        mapping(address => SpicyCombos.Balance) storage balances,
+        uint256 offerId,
+        uint256 credits,
+        uint256 price
+    ) external {
+        CreditOffer storage offer = book.offers[offerId];
+        address seller = offer.seller;
+        SpicyCombos.Balance storage balance = balances[msg.sender];
+        if (balance.availableDeposits < price)
+            revert SpicyCombos.NotEnoughAvailableDepositsForCredits(balance.availableDeposits, price);
+
+        unchecked {
+            balance.availableDeposits -= uint128(price);
+            offer.credits -= credits;
+        }
+        balance.availableCredits += SafeCast.toUint128(credits);
+        balances[seller].availableDeposits += SafeCast.toUint128(price);
+        if (offer.credits == 0) closeCreditOffer(book, offerId);
+        emit CreditsBought(offerId, msg.sender, seller, credits, price);
+    }
+
+    /// Get a page of the offers with credits left for sale. See SpicyCombos.openCreditOffers().
+    function openCreditOffers(
+        CreditBook storage book,
+        uint256 offset,
+        uint256 limit
+    )
+        external
+        view
+        returns (
+            uint256[] memory offerIds,
+            CreditOffer[] memory offers,
+            uint256 total
+        )
+    {
+        total = book.openOfferIds.length();
+        if (offset >= total) return (offerIds, offers, total);
+
+        uint256 end = limit > total - offset ? total : offset + limit;
+        offerIds = new uint256[](end - offset);
+        offers = new CreditOffer[](end - offset);
+        for (uint256 i = offset; i < end; ++i) {
+            offerIds[i - offset] = book.openOfferIds.at(i);
+            offers[i - offset] = book.offers[offerIds[i - offset]];
+        }
+    }
+
+    function takeCredits(SpicyCombos.Balance storage balance, uint256 amount) private {
+        if (amount > balance.availableCredits)
+            revert SpicyCombos.CreditAmountExceedsAvailableCredits(balance.availableCredits);
+        unchecked {
+            balance.availableCredits -= uint128(amount);
+        }
+    }
+
+    function closeCreditOffer(CreditBook storage book, uint256 offerId) private {
+        delete book.offers[offerId];
+        book.openOfferIds.remove(offerId);
+    }
+}
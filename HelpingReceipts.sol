@@ -0,0 +1,141 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+pragma solidity ^0.8.7;
+
+import "@openzeppelin/contracts@4.9.3/interfaces/IERC6372.sol";
+import "@openzeppelin/contracts@4.9.3/token/ERC721/ERC721.sol";
+import "@openzeppelin/contracts@4.9.3/utils/Base64.sol";
+import "@openzeppelin/contracts@4.9.3/utils/Strings.sol";
+import "./SpicyCombos.sol";
+
+/// ERC-721 receipts for the helpings of a SpicyCombos deployment. The tokenId of each receipt is its helpingId.
+///
+/// SpicyCombos mints a receipt to the owner of every helping it adds, and burns it when the helping is removed, however
+/// that happens. Transferring a receipt transfers the helping: the new holder takes its place in the queue and gets
+/// everything it pays out. Receipts are minted without calling onERC721Received, so contracts that add helpings don't
+/// need to implement IERC721Receiver.
+///
+/// Deploy this with the address of the SpicyCombos contract, then have its owner call setHelpingReceipts() before any
+/// helping is added.
+contract HelpingReceipts is ERC721, IHelpingReceipts {
+    using Strings for uint256;
+
+    SpicyCombos public immutable spicyCombos;
+    /// Whether spicyCombos measures time limits in seconds, which SpicyCombosTimestamp says with its CLOCK_MODE().
+    bool internal immutable timeLimitsInSeconds;
+
+    error OnlyCallableBySpicyCombos();
+
+    modifier onlySpicyCombos() {
+        if (msg.sender != address(spicyCombos)) revert OnlyCallableBySpicyCombos();
+        _;
+    }
+
+    /// @param spicyCombos_ the SpicyCombos, SpicyCombosToken or SpicyCombosTimestamp contract whose helpings these are
+    /// receipts for.
+    constructor(SpicyCombos spicyCombos_) ERC721("Spicy Combos Helping", "HELPING") {
+        spicyCombos = spicyCombos_;
+        // SpicyCombos and SpicyCombosToken have no CLOCK_MODE(), and measure time in blocks.
+        bool inSeconds;
+        try IERC6372(address(spicyCombos_)).CLOCK_MODE() returns (string memory mode) {
+            inSeconds = keccak256(bytes(mode)) == keccak256("mode=timestamp");
+        } catch {}
+        timeLimitsInSeconds = inSeconds;
+    }
+
+    function mint(address to, uint256 helpingId) external onlySpicyCombos {
+        _mint(to, helpingId);
+    }
+
+    function burn(uint256 helpingId) external onlySpicyCombos {
+        _burn(helpingId);
+    }
+
+    /// A data: URI of JSON metadata describing the helping: its combo, its type, its premium and its position in the
+    /// queue, which is 0 for the active helping. Prices and premiums are in wei, or token units for SpicyCombosToken.
+    function tokenURI(uint256 helpingId) public view override returns (string memory) {
+        _requireMinted(helpingId);
+        (, , uint256 comboId, bool isDoubleHelping, , bool isActiveHelping, uint256 premium) = spicyCombos
+            .helpingInfoById(helpingId);
+        (uint256 comboPrice, uint256 timeLimit) = comboValues(comboId);
+        string memory helpingType = isDoubleHelping ? "double" : "timed";
+
+        bytes memory json = abi.encodePacked(
+            '{"name":"Spicy Combos helping #',
+            helpingId.toString(),
+            '","description":"A ',
+            helpingType,
+            " helping in the combo of ",
+            comboPrice.toString(),
+            " for ",
+            timeLimit.toString(),
+            timeLimitsInSeconds ? " seconds" : " blocks",
+            '. Whoever holds this receipt owns the helping.","attributes":[{"trait_type":"comboId","value":',
+            comboId.toString(),
+            '},{"trait_type":"combo price","value":"',
+            comboPrice.toString(),
+            '"},{"trait_type":"time limit","value":',
+            timeLimit.toString()
+        );
+        json = abi.encodePacked(
+            json,
+            '},{"trait_type":"helping type","value":"',
+            helpingType,
+            '"},{"trait_type":"premium","value":"',
+            premium.toString(),
+            '"},{"trait_type":"queue position","value":',
+            (isActiveHelping ? 0 : queuePosition(comboId, helpingId)).toString(),
+            "}]}"
+        );
+        return string(abi.encodePacked("data:application/json;base64,", Base64.encode(json)));
+    }
+
+    /// Move the helping along with its receipt. Minting and burning are SpicyCombos' own doing.
+    function _afterTokenTransfer(
+        address from,
+        address to,
+        uint256 firstTokenId,
+        uint256 batchSize
+    ) internal override {
+        if (from != address(0) && to != address(0)) spicyCombos.transferHelping(from, to, firstTokenId);
+        super._afterTokenTransfer(from, to, firstTokenId, batchSize);
+    }
+
+    function comboValues(uint256 comboId) internal view returns (uint256 comboPrice, uint256 timeLimit) {
+        (
+            uint256 amountDigit1,
+            uint256 amountDigit2,
+            uint256 amountZeros,
+            uint256 blocksDigit1,
+            uint256 blocksDigit2,
+            uint256 blocksZeros
+        ) = spicyCombos.decomposeComboId(comboId);
+        comboPrice = spicyCombos.computePrice(amountDigit1, amountDigit2, amountZeros);
+        timeLimit = spicyCombos.computeValue(blocksDigit1, blocksDigit2, blocksZeros);
+    }
+
+    /// The rank of a queued helping, 1 for the next to become the active helping.
+    function queuePosition(uint256 comboId, uint256 helpingId) internal view returns (uint256) {
+        (
+            uint256 amountDigit1,
+            uint256 amountDigit2,
+            uint256 amountZeros,
+            uint256 blocksDigit1,
+            uint256 blocksDigit2,
+            uint256 blocksZeros
+        ) = spicyCombos.decomposeComboId(comboId);
+        (SpicyCombos.QueuedHelping[] memory entries, ) = spicyCombos.queueEntries(
+            amountDigit1,
+            amountDigit2,
+            amountZeros,
+            blocksDigit1,
+            blocksDigit2,
+            blocksZeros,
+            0,
+            type(uint256).max
+        );
+        for (uint256 i = 0; i < entries.length; ++i) {
+            if (entries[i].helpingId == helpingId) return entries[i].rank;
+        }
+        return 0;
+    }
+}
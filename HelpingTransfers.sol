@@ -0,0 +1,47 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+pragma solidity ^0.8.7;
+
+import "@openzeppelin/contracts@4.9.3/utils/math/SafeCast.sol";
+import "@openzeppelin/contracts@4.9.3/utils/structs/EnumerableSet.sol";
+import "./SpicyCombos.sol";
+
+/// Moves helpings between owners for SpicyCombos.transferHelping(), in SpicyCombos' storage. Keeping this out of
+/// SpicyCombos keeps every deployment under the contract size limit.
+library HelpingTransfers {
+    using EnumerableSet for EnumerableSet.UintSet;
+
+    // The same event as SpicyCombos', which emits it through this library.
+    event HelpingTransferred(uint256 indexed comboId, uint256 helpingId, address indexed from, address indexed to);
+
+    /// Move helpingId in the combo comboId from from to to, along with the comboPrice it holds in use.
+    function transferHelping(
+        SpicyCombos.Combo storage combo,
+        mapping(address => SpicyCombos.Balance) storage balances,
+        mapping(address => EnumerableSet.UintSet) storage ownerComboIds,
+        uint256 comboId,
+        uint256 comboPrice,
+        address from,
+        address to,
+        uint256 helpingId
+    ) external {
+        SpicyCombos.Helping storage helping = combo.helpings[helpingId];
+        if (helping.owner != from) revert SpicyCombos.HelpingNotFoundForCaller();
+
+        if (helping.usingCredits) {
+            balances[from].creditsInUse -= SafeCast.toUint128(comboPrice);
+            balances[to].creditsInUse += uint128(comboPrice);
+        } else {
+            balances[from].depositsInUse -= SafeCast.toUint128(comboPrice);
+            balances[to].depositsInUse += uint128(comboPrice);
+        }
+        // Forget the helping as one of from's, and the combo too if it was from's last helping there.
+        EnumerableSet.UintSet storage helpingIds = combo.ownerHelpingIds[from];
+        helpingIds.remove(helpingId);
+        if (helpingIds.length() == 0) ownerComboIds[from].remove(comboId);
+
+        helping.owner = to;
+        combo.ownerHelpingIds[to].add(helpingId);
+        ownerComboIds[to].add(comboId);
+        emit HelpingTransferred(comboId, helpingId, from, to);
+    }
+}
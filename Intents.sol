@@ -0,0 +1,99 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+pragma solidity ^0.8.7;
+
+import "@openzeppelin/contracts@4.9.3/utils/cryptography/ECDSA.sol";
+import "./SpicyCombos.sol";
+
+/// Checks the EIP-712 intents that SpicyCombos.batchBySig() and SpicyCombos.withdrawBySig() execute, and uses up the
+/// signer's nonce, in SpicyCombos' storage. Keeping this out of SpicyCombos keeps every deployment under the contract
+/// size limit.
+library Intents {
+    // The EIP-712 domain of intents is named "SpicyCombos", version "1", with the chain ID and the address of the
+    // SpicyCombos contract that calls this library.
+    bytes32 constant DOMAIN_TYPEHASH =
+        keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+
+    bytes32 constant HELPING_ACTION_TYPEHASH =
+        keccak256(
+            "HelpingAction(uint8 actionType,uint256 amountDigit1,uint256 amountDigit2,uint256 amountZeros,"
+            "uint256 blocksDigit1,uint256 blocksDigit2,uint256 blocksZeros,bool doubleHelping,bool usingCredits,"
+            "bool creatorOnly,uint256 amount,uint256 helpingId,uint256 maxQueueWait)"
+        );
+    bytes32 constant BATCH_TYPEHASH =
+        keccak256(
+            "Batch(address owner,HelpingAction[] actions,uint256 relayerFee,uint256 nonce,uint256 deadline)"
+            "HelpingAction(uint8 actionType,uint256 amountDigit1,uint256 amountDigit2,uint256 amountZeros,"
+            "uint256 blocksDigit1,uint256 blocksDigit2,uint256 blocksZeros,bool doubleHelping,bool usingCredits,"
+            "bool creatorOnly,uint256 amount,uint256 helpingId,uint256 maxQueueWait)"
+        );
+    bytes32 constant WITHDRAWAL_TYPEHASH =
+        keccak256(
+            "Withdrawal(address owner,address recipient,uint256 amount,uint256 relayerFee,uint256 nonce,"
+            "uint256 deadline)"
+        );
+
+    /// Check owner's signature of a Batch intent and use up owner's nonce.
+    /// @return nonce the nonce the intent used.
+    function useBatch(
+        mapping(address => uint256) storage nonces,
+        address owner,
+        SpicyCombos.HelpingAction[] calldata actions,
+        uint256 relayerFee,
+        uint256 deadline,
+        bytes calldata signature
+    ) external returns (uint256 nonce) {
+        bytes32[] memory actionHashes = new bytes32[](actions.length);
+        for (uint256 i = 0; i < actions.length; ++i) {
+            actionHashes[i] = keccak256(abi.encode(HELPING_ACTION_TYPEHASH, actions[i]));
+        }
+        bytes32 actionsHash = keccak256(abi.encodePacked(actionHashes));
+        nonce = nonces[owner];
+        use(
+            nonces,
+            owner,
+            keccak256(abi.encode(BATCH_TYPEHASH, owner, actionsHash, relayerFee, nonce, deadline)),
+            deadline,
+            signature
+        );
+    }
+
+    /// Check owner's signature of a Withdrawal intent and use up owner's nonce.
+    /// @return nonce the nonce the intent used.
+    function useWithdrawal(
+        mapping(address => uint256) storage nonces,
+        address owner,
+        address recipient,
+        uint256 amount,
+        uint256 relayerFee,
+        uint256 deadline,
+        bytes calldata signature
+    ) external returns (uint256 nonce) {
+        nonce = nonces[owner];
+        use(
+            nonces,
+            owner,
+            keccak256(abi.encode(WITHDRAWAL_TYPEHASH, owner, recipient, amount, relayerFee, nonce, deadline)),
+            deadline,
+            signature
+        );
+    }
+
+    function use(
+        mapping(address => uint256) storage nonces,
+        address owner,
+        bytes32 structHash,
+        uint256 deadline,
+        bytes calldata signature
+    ) private {
+        if (block.number > deadline) revert SpicyCombos.IntentExpired(deadline);
+        bytes32 domainSeparator = keccak256(
+            abi.encode(DOMAIN_TYPEHASH, keccak256("SpicyCombos"), keccak256("1"), block.chainid, address(this))
+        );
+        (address signer, ECDSA.RecoverError error) = ECDSA.tryRecover(
+            ECDSA.toTypedDataHash(domainSeparator, structHash),
+            signature
+        );
+        if (error != ECDSA.RecoverError.NoError || signer != owner) revert SpicyCombos.InvalidSignature();
+        ++nonces[owner];
+    }
+}
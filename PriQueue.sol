@@ -2,61 +2,89 @@
 
 pragma solidity ^0.8.7;
 
+import "@openzeppelin/contracts@4.9.3/utils/math/SafeCast.sol";
+
 // Adapted from https://github.com/zmitton/eth-heap/blob/916e884387a650ed83bce6b78f97c372b6dcc53f/contracts/Heap.sol
 
 struct QueueData {
     QueueEntry[] nodes; // root is index 1; index 0 not used
-    mapping(address => uint256) addrToNodeIndex;
+    mapping(uint256 => uint256) idToNodeIndex;
+    uint64 insertCount; // the seq of the last inserted node
 }
 
+// Packed into one storage slot. Ids are counters and priorities are amounts of wei or tokens; insert() and
+// increasePriority() revert for values that don't fit.
 struct QueueEntry {
-    address addr;
-    uint256 priority;
+    uint64 id;
+    uint64 seq; // insertion order, so that nodes with equal priority come out first in, first out
+    uint128 priority;
 }
 
+/// A max-heap of nodes ordered by priority, then by insertion order.
 library PriQueue {
     uint256 constant ROOT_INDEX = 1;
 
-    function insert(QueueData storage self, QueueEntry memory node) internal {
-        self.nodes.push(QueueEntry(address(0), 0)); // Create a new spot in the heap.
-        if (self.nodes.length == 1) {
-            self.nodes.push(node);
-            self.addrToNodeIndex[node.addr] = ROOT_INDEX;
-        } else {
-            _siftUp(self, node, self.nodes.length - 1); // Sift up the new node, also filling in the new spot.
-        }
+    function insert(
+        QueueData storage self,
+        uint256 id,
+        uint256 priority
+    ) internal {
+        QueueEntry memory node = QueueEntry({
+            id: SafeCast.toUint64(id),
+            seq: ++self.insertCount,
+            priority: SafeCast.toUint128(priority)
+        });
+        if (self.nodes.length == 0) self.nodes.push(); // the unused index 0
+        self.nodes.push(); // Create a new spot in the heap.
+        _sift(self, node, self.nodes.length - 1); // Sift up the new node, also filling in the new spot.
     }
 
     /// Remove and return the node with the highest priority
     function removeFirst(QueueData storage self) internal returns (QueueEntry memory node) {
-        node = self.nodes[ROOT_INDEX];
-        removeQueueEntry(self, node.addr);
+        node = _removeAt(self, ROOT_INDEX);
     }
 
-    function removeQueueEntry(QueueData storage self, address addr) internal returns (QueueEntry memory node) {
-        uint256 nodeIndex = self.addrToNodeIndex[addr];
-        node = self.nodes[nodeIndex];
-
-        uint256 lastIndex = self.nodes.length - 1;
-        QueueEntry memory lastQueueEntry = self.nodes[lastIndex];
-
-        delete self.addrToNodeIndex[addr]; // Delete the mapping from addr to QueueEntry Index.
-        delete self.nodes[nodeIndex]; // Delete the QueueEntry struct for the removed node.
-        self.nodes.pop(); // Reduce the heap size by one.
+    function removeQueueEntry(QueueData storage self, uint256 id) internal returns (QueueEntry memory node) {
+        node = _removeAt(self, self.idToNodeIndex[id]);
+    }
 
-        if (nodeIndex != lastIndex) {
-            // Put the last node in place of the removed node.
-            _siftUp(self, lastQueueEntry, nodeIndex); // A sift up might first be required.
-            _siftDown(self, self.nodes[nodeIndex], nodeIndex); // Sift down the node that has taken the removed node's place.
-        }
+    /// Add to the priority of a node, keeping its place among the nodes that were inserted before and after it.
+    function increasePriority(
+        QueueData storage self,
+        uint256 id,
+        uint256 amount
+    ) internal returns (uint256 priority) {
+        uint256 nodeIndex = self.idToNodeIndex[id];
+        QueueEntry memory node = self.nodes[nodeIndex];
+        priority = node.priority + amount;
+        node.priority = SafeCast.toUint128(priority);
+        _sift(self, node, nodeIndex); // A higher priority can only move the node toward the root.
     }
 
     function dump(QueueData storage self) internal view returns (QueueEntry[] storage) {
         return self.nodes;
     }
 
-    function getByAddress(QueueData storage self, address addr) internal view returns (QueueEntry storage) {
-        return self.nodes[self.addrToNodeIndex[addr]];
+    /// Return the first `count` entries (or all of them if there are fewer) in the order removeFirst() would remove them.
+    /// @dev This copies the heap into memory and pops from the copy, so it is only meant for views.
+    function sorted(QueueData storage self, uint256 count) internal view returns (QueueEntry[] memory entries) {
+        uint256 size = length(self);
+        if (count > size) count = size;
+        QueueEntry[] memory heap = new QueueEntry[](size + 1); // root is index 1; index 0 not used
+        for (uint256 i = ROOT_INDEX; i <= size; ++i) {
+            heap[i] = self.nodes[i];
+        }
+        entries = new QueueEntry[](count);
+        for (uint256 i = 0; i < count; ++i) {
+            entries[i] = heap[ROOT_INDEX];
+            uint256 lastIndex = size - i;
+            // Put the last node in place of the root and sift it down, as removeQueueEntry() does.
+            if (lastIndex != ROOT_INDEX) _siftDownInMemory(heap, lastIndex, heap[lastIndex], ROOT_INDEX);
+        }
+    }
+
+    function getById(QueueData storage self, uint256 id) internal view returns (QueueEntry storage) {
+        return self.nodes[self.idToNodeIndex[id]];
     }
 
     function getFirst(QueueData storage self) internal view returns (QueueEntry storage) {
@@ -67,41 +95,79 @@ library PriQueue {
         return self.nodes.length > 0 ? self.nodes.length - 1 : 0;
     }
 
-    function _siftUp(
+    /// Remove the node at nodeIndex, filling its place with the last node.
+    function _removeAt(QueueData storage self, uint256 nodeIndex) private returns (QueueEntry memory node) {
+        node = self.nodes[nodeIndex];
+        delete self.idToNodeIndex[node.id];
+
+        uint256 lastIndex = self.nodes.length - 1;
+        QueueEntry memory lastQueueEntry = self.nodes[lastIndex];
+        self.nodes.pop(); // Reduce the heap size by one.
+
+        if (nodeIndex != lastIndex) _sift(self, lastQueueEntry, nodeIndex); // Put the last node where it belongs.
+    }
+
+    /// Move node from the spot at nodeIndex toward the root while it comes before its parent, or else toward the
+    /// leaves while a child comes before it. Each node it passes moves into the spot it left, and node itself is
+    /// written only once, to where it ends up.
+    function _sift(
         QueueData storage self,
         QueueEntry memory node,
         uint256 nodeIndex
     ) private {
-        if (nodeIndex == ROOT_INDEX || node.priority <= self.nodes[nodeIndex / 2].priority) {
-            _insert(self, node, nodeIndex);
-        } else {
-            _insert(self, self.nodes[nodeIndex / 2], nodeIndex);
-            _siftUp(self, node, nodeIndex / 2);
+        uint256 startIndex = nodeIndex;
+        while (nodeIndex != ROOT_INDEX) {
+            uint256 parentIndex = nodeIndex / 2;
+            QueueEntry memory parent = self.nodes[parentIndex];
+            if (!_comesBefore(node, parent)) break;
+            _insert(self, parent, nodeIndex);
+            nodeIndex = parentIndex;
         }
+        if (nodeIndex == startIndex) {
+            uint256 size = self.nodes.length;
+            while (true) {
+                uint256 childIndex = nodeIndex * 2;
+                if (size <= childIndex) break;
+                QueueEntry memory firstChild = self.nodes[childIndex];
+                if (size > childIndex + 1) {
+                    QueueEntry memory rightChild = self.nodes[childIndex + 1];
+                    if (_comesBefore(rightChild, firstChild)) {
+                        firstChild = rightChild;
+                        ++childIndex;
+                    }
+                }
+                if (!_comesBefore(firstChild, node)) break;
+                _insert(self, firstChild, nodeIndex);
+                nodeIndex = childIndex;
+            }
+        }
+        _insert(self, node, nodeIndex);
     }
 
-    function _siftDown(
-        QueueData storage self,
+    /// The downward half of _sift(), for a heap copied into memory whose nodes end before index `size`.
+    function _siftDownInMemory(
+        QueueEntry[] memory heap,
+        uint256 size,
         QueueEntry memory node,
         uint256 nodeIndex
-    ) private {
-        uint256 size = self.nodes.length;
-        uint256 childIndex = nodeIndex * 2;
-
-        if (size <= childIndex) {
-            _insert(self, node, nodeIndex);
-        } else {
-            QueueEntry memory largestChild = self.nodes[childIndex];
-            if (size > childIndex + 1 && self.nodes[childIndex + 1].priority > largestChild.priority) {
-                largestChild = self.nodes[++childIndex];
-            }
-            if (largestChild.priority <= node.priority) {
-                _insert(self, node, nodeIndex);
-            } else {
-                _insert(self, largestChild, nodeIndex);
-                _siftDown(self, node, childIndex);
+    ) private pure {
+        while (true) {
+            uint256 childIndex = nodeIndex * 2;
+            if (size <= childIndex) break;
+            QueueEntry memory largestChild = heap[childIndex];
+            if (size > childIndex + 1 && _comesBefore(heap[childIndex + 1], largestChild)) {
+                largestChild = heap[++childIndex];
             }
+            if (!_comesBefore(largestChild, node)) break;
+            heap[nodeIndex] = largestChild;
+            nodeIndex = childIndex;
         }
+        heap[nodeIndex] = node;
+    }
+
+    /// Whether a is removed before b: it has a higher priority, or the same priority and was inserted earlier.
+    function _comesBefore(QueueEntry memory a, QueueEntry memory b) private pure returns (bool) {
+        return a.priority > b.priority || (a.priority == b.priority && a.seq < b.seq);
     }
 
     function _insert(
@@ -110,6 +176,6 @@ library PriQueue {
         uint256 nodeIndex
     ) private {
         self.nodes[nodeIndex] = node;
-        self.addrToNodeIndex[node.addr] = nodeIndex;
+        self.idToNodeIndex[node.id] = nodeIndex;
     }
 }
@@ -0,0 +1,83 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+pragma solidity ^0.8.7;
+
+import "./PriQueue.sol";
+import "./SpicyCombos.sol";
+
+/// Pages through the queue of a SpicyCombos combo for SpicyCombos.queueEntries() and
+/// SpicyCombos.expiredQueueEntries(), in SpicyCombos' storage. Keeping these views out of SpicyCombos keeps every
+/// deployment under the contract size limit.
+library QueueInspection {
+    /// See SpicyCombos.queueEntries().
+    function queueEntries(
+        SpicyCombos.Combo storage combo,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (SpicyCombos.QueuedHelping[] memory helpings, uint256 queueLength) {
+        queueLength = PriQueue.length(combo.queue);
+        if (offset >= queueLength) return (helpings, queueLength);
+
+        uint256 end = limit > queueLength - offset ? queueLength : offset + limit;
+        QueueEntry[] memory sortedEntries = PriQueue.sorted(combo.queue, end);
+        helpings = new SpicyCombos.QueuedHelping[](end - offset);
+        for (uint256 i = offset; i < end; ++i) {
+            helpings[i - offset] = queuedHelping(combo, sortedEntries[i], i + 1);
+        }
+    }
+
+    /// See SpicyCombos.expiredQueueEntries().
+    /// @param time the combo's currentTime().
+    /// @param activeHelpingExpired whether settling the combo would make the first queued helping the active helping.
+    function expiredQueueEntries(
+        SpicyCombos.Combo storage combo,
+        uint256 offset,
+        uint256 limit,
+        uint256 time,
+        bool activeHelpingExpired
+    ) external view returns (SpicyCombos.QueuedHelping[] memory helpings, uint256 queueLength) {
+        queueLength = PriQueue.length(combo.queue);
+        if (offset >= queueLength) return (helpings, queueLength);
+
+        uint256 end = limit > queueLength - offset ? queueLength : offset + limit;
+        QueueEntry[] memory sortedEntries = PriQueue.sorted(combo.queue, end);
+        uint256 start = offset == 0 && activeHelpingExpired ? 1 : offset;
+        uint256 count = 0;
+        for (uint256 i = start; i < end; ++i) {
+            if (isQueuedHelpingExpired(combo, sortedEntries[i].id, time)) ++count;
+        }
+        helpings = new SpicyCombos.QueuedHelping[](count);
+        count = 0;
+        for (uint256 i = start; i < end; ++i) {
+            if (isQueuedHelpingExpired(combo, sortedEntries[i].id, time))
+                helpings[count++] = queuedHelping(combo, sortedEntries[i], i + 1);
+        }
+    }
+
+    /// Whether the helping is queued and its queueDeadline has come by time. Removed helpings have no deadline.
+    function isQueuedHelpingExpired(
+        SpicyCombos.Combo storage combo,
+        uint256 helpingId,
+        uint256 time
+    ) internal view returns (bool) {
+        uint256 queueDeadline = combo.helpings[helpingId].queueDeadline;
+        return queueDeadline != 0 && time >= queueDeadline && combo.activeHelpingId != helpingId;
+    }
+
+    function queuedHelping(
+        SpicyCombos.Combo storage combo,
+        QueueEntry memory entry,
+        uint256 rank
+    ) private view returns (SpicyCombos.QueuedHelping memory) {
+        SpicyCombos.Helping storage helping = combo.helpings[entry.id];
+        return
+            SpicyCombos.QueuedHelping({
+                helpingId: entry.id,
+                owner: helping.owner,
+                premium: entry.priority,
+                rank: rank,
+                isDoubleHelping: helping.helpingType == SpicyCombos.HelpingType.DoubleHelping,
+                usingCredits: helping.usingCredits,
+                queueDeadline: helping.queueDeadline
+            });
+    }
+}
@@ -2,47 +2,184 @@
 pragma solidity ^0.8.7;
 
 import "@openzeppelin/contracts@4.9.3/access/Ownable.sol";
+import "@openzeppelin/contracts@4.9.3/security/Pausable.sol";
+import "@openzeppelin/contracts@4.9.3/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts@4.9.3/utils/math/SafeCast.sol";
+import "@openzeppelin/contracts@4.9.3/utils/structs/EnumerableSet.sol";
 import "./PriQueue.sol";
+import "./CreditMarket.sol";
+import "./Intents.sol";
+import "./HelpingTransfers.sol";
+import "./QueueInspection.sol";
+
+/// The ERC-721 receipts of helpings. See SpicyCombos.setHelpingReceipts().
+interface IHelpingReceipts {
+    function mint(address to, uint256 helpingId) external;
+
+    function burn(uint256 helpingId) external;
+}
 
 /// @custom:repo https://github.com/eliphang/spicy-combos-contracts
-contract SpicyCombos is Ownable {
+contract SpicyCombos is Ownable, Pausable, ReentrancyGuard {
+    using EnumerableSet for EnumerableSet.UintSet;
+
     enum HelpingType {
         DoubleHelping,
         TimedHelping
     }
 
     struct Combo {
-        QueueData queue; // contains all helpings after the active one
-        mapping(address => Helping) helpings;
-        Helping activeHelping;
+        QueueData queue; // contains all helpings after the active one, keyed by helpingId
+        mapping(uint256 => Helping) helpings; // The keys are helpingIds.
+        mapping(address => EnumerableSet.UintSet) ownerHelpingIds; // helpingIds of each owner's helpings in this combo
+        uint64 activeHelpingId; // zero when the combo has no active helping
+        uint32 activations; // how many times a helping has become the active helping
+        uint32 queuedDepositsHeld; // queued helpings whose deposit was received by the current active helping
     }
 
+    // Packed into two storage slots.
     struct Helping {
         address owner;
         HelpingType helpingType;
-        uint256 expiration; // used by HelpingType.TimedHelping
-        uint256 depositsReceived; // deposits received while this was the active helping
         bool usingCredits;
         bool exists;
+        uint64 expiration; // used by HelpingType.TimedHelping
+        uint32 depositsReceived; // deposits received while this was the active helping
+        uint32 depositActivation; // the activation of the active helping that received this helping's deposit
+        uint64 queueDeadline; // the block from which anyone can expire the helping while it's queued, zero for never
+    }
+
+    struct QueuedHelping {
+        uint256 helpingId;
+        address owner;
+        uint256 premium;
+        uint256 rank; // 1 is the next helping to become the active helping
+        bool isDoubleHelping;
+        bool usingCredits;
+        uint256 queueDeadline; // the block from which anyone can expire the helping, or zero for never
+    }
+
+    struct ComboSummary {
+        uint256 comboId;
+        uint256 amountDigit1;
+        uint256 amountDigit2;
+        uint256 amountZeros;
+        uint256 blocksDigit1;
+        uint256 blocksDigit2;
+        uint256 blocksZeros;
+        uint256 comboPrice;
+        uint256 queueLength;
+        uint256 premium;
+        bool activeHelpingExists;
+        address activeHelpingOwner;
+        bool activeHelpingIsDoubleHelping;
+        uint256 activeHelpingDeposits;
+        uint256 activeHelpingExpiration;
+        bool activeHelpingIsExpired;
+        uint256 activeHelpingId;
+    }
+
+    enum ActionType {
+        AddHelping,
+        RemoveHelping,
+        IncreasePremium
+    }
+
+    struct HelpingAction {
+        ActionType actionType;
+        uint256 amountDigit1;
+        uint256 amountDigit2;
+        uint256 amountZeros;
+        uint256 blocksDigit1;
+        uint256 blocksDigit2;
+        uint256 blocksZeros;
+        bool doubleHelping; // used by ActionType.AddHelping
+        bool usingCredits; // used by ActionType.AddHelping
+        bool creatorOnly; // used by ActionType.AddHelping
+        uint256 amount; // the premium for ActionType.AddHelping, or increaseByAmount for ActionType.IncreasePremium
+        // The helping to remove or increase the premium of, in which case the combo digits are ignored.
+        // Zero means your only helping in the combo.
+        uint256 helpingId;
+        uint256 maxQueueWait; // used by ActionType.AddHelping, see addHelping()
+    }
+
+    struct FeeSchedule {
+        uint256 timedHelpingFeeBasisPoints; // dev fund cut of each deposit after the first to a timed helping
+        uint256 premiumDevFundBasisPoints; // share of each premium that goes to the dev fund
+        bool redistributePremiumRemainder; // the rest goes to the active helping's owner if true, or is burned
     }
 
+    // Packed into two storage slots, so that a helping's deposits or credits move from available to in use with one
+    // write. 128 bits hold far more wei than there is ETH, and SafeCast reverts for token amounts that don't fit.
+    // An amount already checked against one of these fields fits, so it is cast without SafeCast.
     struct Balance {
-        uint256 availableDeposits;
-        uint256 depositsInUse;
-        uint256 availableCredits;
-        uint256 creditsInUse;
+        uint128 availableDeposits;
+        uint128 depositsInUse;
+        uint128 availableCredits;
+        uint128 creditsInUse;
     }
 
+    /// What an operator may still spend on an owner's behalf. An allowance of type(uint256).max is never used up.
+    struct OperatorApproval {
+        uint256 depositsAllowance; // combo prices paid from the owner's deposits
+        uint256 creditsAllowance; // combo prices paid from the owner's credits
+        uint256 premiumsAllowance; // premiums and premium increases, which are paid from the owner's deposits
+        uint64 expiration; // the block when the approval expires, type(uint64).max for never, or zero for no approval
+    }
+
+    uint256 public constant BASIS_POINTS = 10000;
+    uint256 public constant MAX_TIMED_HELPING_FEE_BASIS_POINTS = 2000;
+    /// how long a queued fee change must wait before it can be executed.
+    uint256 public constant FEE_CHANGE_DELAY = 2 days;
+
     uint256 public devFund = 0;
 
+    /// premiums that went neither to the dev fund nor to an active helping. They stay locked in the contract.
+    uint256 public burnedPremiums = 0;
+
+    /// the fees in effect. By default the dev fund gets 10% of timed helping deposits after the first and all premiums.
+    FeeSchedule public fees = FeeSchedule(1000, BASIS_POINTS, false);
+
+    /// a fee change waiting for its timelock, which can be executed once block.timestamp reaches pendingFeesEta.
+    FeeSchedule public pendingFees;
+    uint256 public pendingFeesEta; // zero when no fee change is queued
+
+    /// the amount paid out of the dev fund to whoever settles an expired active helping.
+    uint256 public keeperReward = 0;
+
     /// the minimum cost of a helping. All combo costs will be a multiple of this.
     uint256 public immutable minValue;
 
+    /// the number of helpings ever added. Helping IDs start at 1.
+    uint256 public helpingCount = 0;
+
+    // helpingReceipts, defaultMaxQueueWait and emergencyExitEnabled share a storage slot, so that adding and removing
+    // a helping read it once for all of them.
+
+    /// the ERC-721 contract that mints a receipt for each helping, or zero for none. See setHelpingReceipts().
+    IHelpingReceipts public helpingReceipts;
+
+    /// the number of blocks a helping may wait in a queue before anyone can expire it with expireQueuedHelpings(),
+    /// unless it was added with a maxQueueWait of its own. Zero for no limit.
+    uint64 public defaultMaxQueueWait = 0;
+
+    /// Once enabled, the contract stays paused and every owner can reclaim their helpings with emergencyExit().
+    bool public emergencyExitEnabled = false;
+
     mapping(uint256 => Combo) combos; // The keys are comboIds.
+    mapping(uint256 => uint256) helpingComboIds; // The keys are helpingIds, the values are comboIds.
     mapping(address => Balance) public balances;
+    /// The keys are owner, then operator. See approveOperator().
+    mapping(address => mapping(address => OperatorApproval)) public operatorApprovals;
+    /// The nonce that the next intent signed by each address must have. See batchBySig().
+    mapping(address => uint256) public nonces;
+    CreditBook creditBook; // See offerCredits().
+    EnumerableSet.UintSet liveComboIds; // comboIds of all combos with an active helping
+    mapping(address => EnumerableSet.UintSet) ownerComboIds; // comboIds of all combos where an address has a helping
 
     event HelpingAdded(
         uint256 indexed comboId,
+        uint256 helpingId,
         address indexed owner,
         address indexed depositRecipient,
         uint256 depositAmount,
@@ -51,9 +188,61 @@ contract SpicyCombos is Ownable {
         uint256 premium,
         bool createdCombo
     );
-    event HelpingRemoved(uint256 indexed comboId, address indexed owner, bool indexed removedCombo);
-    event PremiumIncreased(uint256 indexed comboId, address indexed owner, uint256 newPremium);
-    event NewActiveHelping(uint256 indexed comboId, address indexed owner);
+    event HelpingRemoved(uint256 indexed comboId, uint256 helpingId, address indexed owner, bool indexed removedCombo);
+    event PremiumIncreased(uint256 indexed comboId, uint256 helpingId, address indexed owner, uint256 newPremium);
+    event NewActiveHelping(uint256 indexed comboId, uint256 helpingId, address indexed owner);
+    event Settled(uint256 indexed comboId, address indexed keeper, uint256 reward);
+    event KeeperRewardChanged(uint256 keeperReward);
+    event DefaultMaxQueueWaitChanged(uint64 defaultMaxQueueWait);
+    event QueuedHelpingExpired(uint256 indexed comboId, uint256 helpingId, address indexed owner);
+    // Only SpicyCombosEscrow holds premiums back and emits these.
+    event PremiumEscrowed(uint256 indexed comboId, uint256 helpingId, address indexed owner, uint256 amount);
+    event PremiumCollected(uint256 indexed comboId, uint256 helpingId, address indexed owner, uint256 amount);
+    event PremiumRefunded(uint256 indexed comboId, uint256 helpingId, address indexed owner, uint256 amount);
+    event Deposited(address indexed account, uint256 amount);
+    event Withdrawn(address indexed account, address indexed recipient, uint256 amount);
+    event DevFundWithdrawn(address indexed recipient, uint256 amount);
+    event FeeChangeQueued(
+        uint256 timedHelpingFeeBasisPoints,
+        uint256 premiumDevFundBasisPoints,
+        bool redistributePremiumRemainder,
+        uint256 eta
+    );
+    event FeeChangeExecuted(
+        uint256 timedHelpingFeeBasisPoints,
+        uint256 premiumDevFundBasisPoints,
+        bool redistributePremiumRemainder
+    );
+    event FeeChangeCancelled();
+    event EmergencyExitEnabled();
+    event OperatorApproved(
+        address indexed owner,
+        address indexed operator,
+        uint256 depositsAllowance,
+        uint256 creditsAllowance,
+        uint256 premiumsAllowance,
+        uint64 expiration
+    );
+    event IntentExecuted(address indexed owner, uint256 nonce, address indexed relayer, uint256 relayerFee);
+    event HelpingReceiptsSet(address helpingReceipts);
+    event HelpingTransferred(uint256 indexed comboId, uint256 helpingId, address indexed from, address indexed to);
+    event CreditsTransferred(address indexed from, address indexed to, uint256 amount);
+    event CreditOfferCreated(uint256 indexed offerId, address indexed seller, uint256 credits, uint256 priceBasisPoints);
+    event CreditOfferCancelled(uint256 indexed offerId, address indexed seller, uint256 credits);
+    event CreditsBought(
+        uint256 indexed offerId,
+        address indexed buyer,
+        address indexed seller,
+        uint256 credits,
+        uint256 price
+    );
+    event EmergencyExit(
+        uint256 indexed comboId,
+        uint256 helpingId,
+        address indexed owner,
+        uint256 deposits,
+        uint256 credits
+    );
 
     error ValueOutOfRange(string parameter, uint256 allowedMinimum, uint256 allowedMaximum);
     error NotEnoughAvailableCredits(uint256 availableCredits, uint256 comboPrice);
@@ -65,7 +254,25 @@ contract SpicyCombos is Ownable {
     error HelpingNotFoundForCaller();
     error CannotIncreasePremiumOfActiveHelping();
     error RemovingActiveTimedHelpingNotAllowed();
-    error YouAlreadyHaveAHelping();
+    error MoreThanOneHelping(uint256 helpingsInCombo);
+    error BatchActionFailed(uint256 index, bytes reason);
+    error OnlyCallableByThisContract();
+    error TransferFailed(address recipient, uint256 amount);
+    error NoFeeChangeQueued();
+    error FeeChangeNotReady(uint256 eta);
+    error EmergencyExitNotEnabled();
+    error EmergencyExitAlreadyEnabled();
+    error OperatorNotApproved(address owner, address operator);
+    error OperatorAllowanceExceeded(string allowance, uint256 remaining);
+    error IntentExpired(uint256 deadline);
+    error InvalidSignature();
+    error NotEnoughAvailableDepositsForRelayerFee(uint256 availableDeposits);
+    error CreditAmountExceedsAvailableCredits(uint256 availableCredits);
+    error CreditOfferNotFound(uint256 offerId);
+    error CreditOfferAmountExceeded(uint256 credits);
+    error NotEnoughAvailableDepositsForCredits(uint256 availableDeposits, uint256 price);
+    error HelpingReceiptsCannotBeSet();
+    error OnlyCallableByHelpingReceipts();
 
     modifier comboValuesInRange(
         uint256 amountDigit1,
@@ -75,24 +282,7 @@ contract SpicyCombos is Ownable {
         uint256 blocksDigit2,
         uint256 blocksZeros
     ) {
-        if (amountDigit1 == 0 || amountDigit1 > 9) {
-            revert ValueOutOfRange("amountDigit1", 1, 9);
-        }
-        if (amountDigit2 > 9) {
-            revert ValueOutOfRange("amountDigit2", 0, 9);
-        }
-        if (amountZeros > 9) {
-            revert ValueOutOfRange("amountZeros", 0, 9);
-        }
-        if (blocksDigit1 == 0 || blocksDigit1 > 9) {
-            revert ValueOutOfRange("blocksDigit1", 1, 9);
-        }
-        if (blocksDigit2 > 9) {
-            revert ValueOutOfRange("blocksDigit2", 0, 9);
-        }
-        if (blocksZeros > 6) {
-            revert ValueOutOfRange("blocksZeros", 0, 6);
-        }
+        checkComboValues(amountDigit1, amountDigit2, amountZeros, blocksDigit1, blocksDigit2, blocksZeros);
         _;
     }
 
@@ -107,12 +297,126 @@ contract SpicyCombos is Ownable {
 
     /// Withdraw all funds set aside for the dev fund.
     /// @dev The contract "owner" is considered the destination address of the dev fund.
-    /// @dev The owner has no other privilege than to receive the amount set aside in the dev fund.
-    function withdrawDevFund() external {
+    /// @dev The owner has no other privilege than to receive the amount set aside in the dev fund, to decide how much
+    /// of it is paid to keepers, to queue fee changes behind a timelock, to set the helping receipts once, to choose
+    /// how long helpings may wait in a queue by default, and to pause the contract and enable the emergency exit.
+    /// Reverts with TransferFailed if the owner doesn't accept the ETH, leaving the dev fund untouched.
+    function withdrawDevFund() external nonReentrant {
         // Disallow reentrancy from the devFund to withdraw more than its share.
         uint256 withdrawAmount = devFund;
         devFund = 0;
-        owner().call{value: withdrawAmount}(""); // The devFund might be a contract, so forward all gas.
+        address recipient = owner();
+        emit DevFundWithdrawn(recipient, withdrawAmount);
+        sendValue(recipient, withdrawAmount); // The devFund might be a contract, so forward all gas.
+    }
+
+    /// Set the amount paid out of the dev fund for each settled combo. See settle().
+    /// @param keeperReward_ the reward, or zero to pay keepers nothing.
+    function setKeeperReward(uint256 keeperReward_) external onlyOwner {
+        keeperReward = keeperReward_;
+        emit KeeperRewardChanged(keeperReward_);
+    }
+
+    /// Set how many blocks helpings added from now on may wait in a queue before anyone can expire them, unless they
+    /// are added with a maxQueueWait of their own. Helpings already added keep their deadline.
+    /// @param defaultMaxQueueWait_ the number of blocks, or zero for no limit.
+    function setDefaultMaxQueueWait(uint64 defaultMaxQueueWait_) external onlyOwner {
+        defaultMaxQueueWait = defaultMaxQueueWait_;
+        emit DefaultMaxQueueWaitChanged(defaultMaxQueueWait_);
+    }
+
+    /// Attach the ERC-721 contract that mints a receipt for every helping. Whoever holds a helping's receipt owns the
+    /// helping, so transferring the receipt transfers the helping. See transferHelping().
+    /// Reverts with HelpingReceiptsCannotBeSet once receipts are set or any helping was added, so that every helping
+    /// has a receipt.
+    function setHelpingReceipts(IHelpingReceipts helpingReceipts_) external onlyOwner {
+        if (address(helpingReceipts) != address(0) || helpingCount != 0) revert HelpingReceiptsCannotBeSet();
+        helpingReceipts = helpingReceipts_;
+        emit HelpingReceiptsSet(address(helpingReceipts_));
+    }
+
+    /// Queue a change to the fees, which can be executed after FEE_CHANGE_DELAY. Replaces any fee change already queued.
+    /// @param newFees timedHelpingFeeBasisPoints can be at most MAX_TIMED_HELPING_FEE_BASIS_POINTS, and
+    /// premiumDevFundBasisPoints at most BASIS_POINTS.
+    function queueFeeChange(FeeSchedule calldata newFees) external onlyOwner {
+        if (newFees.timedHelpingFeeBasisPoints > MAX_TIMED_HELPING_FEE_BASIS_POINTS)
+            revert ValueOutOfRange("timedHelpingFeeBasisPoints", 0, MAX_TIMED_HELPING_FEE_BASIS_POINTS);
+        if (newFees.premiumDevFundBasisPoints > BASIS_POINTS)
+            revert ValueOutOfRange("premiumDevFundBasisPoints", 0, BASIS_POINTS);
+
+        pendingFees = newFees;
+        pendingFeesEta = block.timestamp + FEE_CHANGE_DELAY;
+        emit FeeChangeQueued(
+            newFees.timedHelpingFeeBasisPoints,
+            newFees.premiumDevFundBasisPoints,
+            newFees.redistributePremiumRemainder,
+            pendingFeesEta
+        );
+    }
+
+    /// Put the queued fee change into effect once its timelock has passed. Anyone can call this.
+    function executeFeeChange() external {
+        if (pendingFeesEta == 0) revert NoFeeChangeQueued();
+        if (block.timestamp < pendingFeesEta) revert FeeChangeNotReady(pendingFeesEta);
+
+        fees = pendingFees;
+        delete pendingFees;
+        pendingFeesEta = 0;
+        emit FeeChangeExecuted(
+            fees.timedHelpingFeeBasisPoints,
+            fees.premiumDevFundBasisPoints,
+            fees.redistributePremiumRemainder
+        );
+    }
+
+    function cancelFeeChange() external onlyOwner {
+        if (pendingFeesEta == 0) revert NoFeeChangeQueued();
+
+        delete pendingFees;
+        pendingFeesEta = 0;
+        emit FeeChangeCancelled();
+    }
+
+    /// Stop new helpings and premium increases. Removing helpings, settling and withdrawing still work, until
+    /// enableEmergencyExit(), after which helpings can only be removed with emergencyExit().
+    function pause() external onlyOwner {
+        _pause();
+    }
+
+    function unpause() external onlyOwner {
+        if (emergencyExitEnabled) revert EmergencyExitAlreadyEnabled();
+        _unpause();
+    }
+
+    /// Let every owner reclaim their helpings with emergencyExit(). This can only be done while paused, and the
+    /// contract can never be unpaused afterwards.
+    function enableEmergencyExit() external onlyOwner whenPaused {
+        if (emergencyExitEnabled) revert EmergencyExitAlreadyEnabled();
+        emergencyExitEnabled = true;
+        emit EmergencyExitEnabled();
+    }
+
+    /// Reclaim your helping, queued or active, in the combo identified by the amount and blocks.
+    /// The comboPrice comes back as available credits if the helping used credits, or if its deposit was already paid
+    /// out to an earlier active helping. Otherwise it comes back as available deposits.
+    /// An active helping also gets the deposits it received, without fees, except the ones still owed to the helpings
+    /// queued behind it.
+    /// Reverts with MoreThanOneHelping if you have several helpings in the combo. Use emergencyExitById() for those.
+    function emergencyExit(
+        uint256 amountDigit1,
+        uint256 amountDigit2,
+        uint256 amountZeros,
+        uint256 blocksDigit1,
+        uint256 blocksDigit2,
+        uint256 blocksZeros
+    ) external nonReentrant {
+        uint256 comboId = validComboId(amountDigit1, amountDigit2, amountZeros, blocksDigit1, blocksDigit2, blocksZeros);
+        emergencyExitFor(msg.sender, comboId, helpingIdOf(comboId, msg.sender));
+    }
+
+    /// emergencyExit() for one of your helpings, identified by its helpingId.
+    function emergencyExitById(uint256 helpingId) external nonReentrant {
+        emergencyExitFor(msg.sender, helpingComboIds[helpingId], helpingId);
     }
 
     /// Add a helping to a combo. The first six parameters uniquely define a combo.
@@ -126,6 +430,10 @@ contract SpicyCombos is Ownable {
     /// @param usingCredits Use credits instead of deposits for the base combo price (not including premium).
     /// @param creatorOnly Use this if you want a creator bonus. The call will fail if you don't get a creator bonus.
     /// @param premium the amount paid to advance in the queue. This can only come from deposits, not credits.
+    /// @param maxQueueWait how many blocks the helping may wait in the queue before anyone can expire it with
+    /// expireQueuedHelpings(), which gives back its comboPrice as available credits. Zero for defaultMaxQueueWait, or
+    /// type(uint256).max for no limit.
+    /// @return helpingId the ID of the new helping. You can have any number of helpings in the same combo.
     function addHelping(
         uint256 amountDigit1,
         uint256 amountDigit2,
@@ -136,118 +444,28 @@ contract SpicyCombos is Ownable {
         bool doubleHelping,
         bool usingCredits,
         bool creatorOnly,
-        uint256 premium
-    )
-        external
-        payable
-        comboValuesInRange(amountDigit1, amountDigit2, amountZeros, blocksDigit1, blocksDigit2, blocksZeros)
-    {
-        uint256 comboId = computeComboId(
+        uint256 premium,
+        uint256 maxQueueWait
+    ) external payable nonReentrant returns (uint256 helpingId) {
+        receivePayment(msg.sender);
+        helpingId = addHelpingFor(
+            msg.sender,
             amountDigit1,
             amountDigit2,
             amountZeros,
             blocksDigit1,
             blocksDigit2,
-            blocksZeros
-        );
-        uint256 comboPrice = computePrice(amountDigit1, amountDigit2, amountZeros);
-        uint256 timeLimit = computeValue(blocksDigit1, blocksDigit2, blocksZeros);
-        Combo storage combo = combos[comboId];
-
-        if (combo.helpings[msg.sender].exists) revert YouAlreadyHaveAHelping();
-
-        // Update caller's balance.
-
-        Balance storage balance = balances[msg.sender];
-        // Make sure addHelping() never calls an outside function or there could be a reentrancy attack.
-        balance.availableDeposits += msg.value;
-
-        if (balance.availableDeposits < premium) {
-            revert NotEnoughAvailableDepositsForPremium(balance.availableDeposits);
-        }
-
-        unchecked {
-            balance.availableDeposits -= premium;
-        }
-
-        devFund += premium;
-
-        uint256 depositAmount;
-
-        if (usingCredits) {
-            if (creatorOnly) {
-                revert CreatorOnlyIncompatibleWithUseCredits();
-            }
-            if (balance.availableCredits < comboPrice) {
-                revert NotEnoughAvailableCredits(balance.availableCredits, comboPrice);
-            }
-            balance.availableCredits -= comboPrice;
-            balance.creditsInUse += comboPrice;
-        } else {
-            // use deposits
-            if (balance.availableDeposits < comboPrice) {
-                revert NotEnoughAvailableDeposits(balance.availableDeposits, comboPrice);
-            }
-            balance.availableDeposits -= comboPrice;
-            balance.depositsInUse += comboPrice;
-            depositAmount = comboPrice;
-        }
-
-        // Update queue.
-
-        removeActiveHelpingIfExpired(comboId, comboPrice, timeLimit);
-
-        Helping memory helping = Helping({
-            owner: msg.sender,
-            helpingType: doubleHelping ? HelpingType.DoubleHelping : HelpingType.TimedHelping,
-            expiration: block.number + timeLimit,
-            depositsReceived: 0,
-            usingCredits: usingCredits,
-            exists: true
-        });
-
-        address depositRecipient;
-        bool createdCombo;
-
-        // Calculate deposits received by the active helping
-        if (!usingCredits) {
-            if (combo.activeHelping.exists) {
-                if (creatorOnly) revert CreatorOnlyUnsuccessful();
-                ++combo.activeHelping.depositsReceived;
-                depositRecipient = combo.activeHelping.owner;
-                // Awarding the deposit may have caused the active double helping to expire.
-                removeActiveHelpingIfExpired(comboId, comboPrice, timeLimit);
-            } else {
-                // deposits received while this was the active helping. Start this at 1 to enable the creator bonus.
-                // See https://github.com/eliphang/spicy-combos/blob/main/README.md#creator-bonus .
-                helping.depositsReceived = 1;
-                createdCombo = true;
-            }
-        }
-
-        combo.helpings[msg.sender] = helping;
-
-        if (combo.activeHelping.exists) {
-            QueueEntry memory entry = QueueEntry({addr: msg.sender, priority: premium});
-            PriQueue.insert(combo.queue, entry);
-        } else {
-            combo.activeHelping = helping;
-            emit NewActiveHelping(comboId, msg.sender);
-        }
-
-        emit HelpingAdded(
-            comboId,
-            msg.sender,
-            depositRecipient,
-            depositAmount,
-            usingCredits,
+            blocksZeros,
             doubleHelping,
+            usingCredits,
+            creatorOnly,
             premium,
-            createdCombo
+            maxQueueWait
         );
     }
 
     /// Increase the premium of your helping in the queue for the combo uniquely identified by the amount and blocks.
+    /// Reverts with MoreThanOneHelping if you have several helpings in the combo. Use increasePremiumById() for those.
     /// @param increaseByAmount the amount to increase the premium by.
     function increasePremium(
         uint256 amountDigit1,
@@ -257,74 +475,100 @@ contract SpicyCombos is Ownable {
         uint256 blocksDigit2,
         uint256 blocksZeros,
         uint256 increaseByAmount
-    )
-        external
-        payable
-        comboValuesInRange(amountDigit1, amountDigit2, amountZeros, blocksDigit1, blocksDigit2, blocksZeros)
-    {
-        Balance storage balance = balances[msg.sender];
-        // Make sure increasePremium() never calls an outside function or there could be a reentrancy attack.
-        balance.availableDeposits += msg.value;
-
-        if (balance.availableDeposits < increaseByAmount) {
-            revert NotEnoughAvailableDepositsForPremium(balance.availableDeposits);
-        }
-
-        unchecked {
-            balance.availableDeposits -= increaseByAmount;
-        }
-
-        devFund += increaseByAmount;
-
-        uint256 comboId = computeComboId(
-            amountDigit1,
-            amountDigit2,
-            amountZeros,
-            blocksDigit1,
-            blocksDigit2,
-            blocksZeros
-        );
-        uint256 comboPrice = computePrice(amountDigit1, amountDigit2, amountZeros);
-        uint256 timeLimit = computeValue(blocksDigit1, blocksDigit2, blocksZeros);
-
-        Combo storage combo = combos[comboId];
+    ) external payable nonReentrant {
+        receivePayment(msg.sender);
+        uint256 comboId = validComboId(amountDigit1, amountDigit2, amountZeros, blocksDigit1, blocksDigit2, blocksZeros);
+        increasePremiumFor(msg.sender, comboId, helpingIdOf(comboId, msg.sender), increaseByAmount);
+    }
 
-        if (combo.activeHelping.owner == msg.sender) revert CannotIncreasePremiumOfActiveHelping();
+    /// increasePremium() for one of your queued helpings, identified by its helpingId.
+    function increasePremiumById(uint256 helpingId, uint256 increaseByAmount) external payable nonReentrant {
+        receivePayment(msg.sender);
+        increasePremiumFor(msg.sender, helpingComboIds[helpingId], helpingId, increaseByAmount);
+    }
 
-        // First remove the active listing if it expired
-        removeActiveHelpingIfExpired(comboId, comboPrice, timeLimit);
+    /// Withdraw some available deposits
+    /// @param amount the amount to withdraw
+    function withdraw(uint256 amount) external nonReentrant {
+        withdrawFor(msg.sender, payable(msg.sender), amount);
+    }
 
-        // Check again if we have the active helping after possibly removing the previous one
-        if (combo.activeHelping.owner == msg.sender) revert CannotIncreasePremiumOfActiveHelping();
-        if (!combo.helpings[msg.sender].exists) revert HelpingNotFoundForCaller();
+    /// Withdraw some available deposits to another address.
+    /// Reverts with TransferFailed if recipient doesn't accept the ETH, leaving your available deposits untouched.
+    /// @param recipient the address that receives the ETH.
+    /// @param amount the amount to withdraw
+    function withdrawTo(address payable recipient, uint256 amount) external nonReentrant {
+        withdrawFor(msg.sender, recipient, amount);
+    }
 
-        // Remove the helping from the queue and re-add it with the new priority.
-        QueueEntry memory entry = PriQueue.removeQueueEntry(combo.queue, msg.sender);
-        entry.priority += increaseByAmount;
-        PriQueue.insert(combo.queue, entry);
+    /// Withdraw all of your available deposits.
+    /// @return amount the amount withdrawn
+    function withdrawAll() external nonReentrant returns (uint256 amount) {
+        amount = balances[msg.sender].availableDeposits;
+        withdrawFor(msg.sender, payable(msg.sender), amount);
+    }
 
-        emit PremiumIncreased(comboId, msg.sender, entry.priority);
+    /// Move some of your available credits to another address's available credits.
+    function transferCredits(address to, uint256 amount) external nonReentrant {
+        CreditMarket.transferCredits(balances, to, amount);
     }
 
-    /// Withdraw some available deposits
-    /// @param amount the amount to withdraw
-    function withdraw(uint256 amount) external {
-        Balance storage balance = balances[msg.sender];
+    /// Offer some of your available credits for sale. They are held aside until they are bought with buyCredits() or
+    /// you cancel the offer with cancelCreditOffer(). The ETH from each sale goes to your available deposits.
+    /// @param credits the credits to sell.
+    /// @param priceBasisPoints the ETH paid per credit, from 1 to BASIS_POINTS. Credits pay for combo prices just like
+    /// deposits, so they are never worth more than their face value.
+    /// @return offerId the ID of the new offer.
+    function offerCredits(uint256 credits, uint256 priceBasisPoints) external nonReentrant returns (uint256 offerId) {
+        return CreditMarket.offerCredits(creditBook, balances, credits, priceBasisPoints);
+    }
 
-        if (amount > balance.availableDeposits)
-            revert WithdrawAmountExceedsAvailableDeposits(balance.availableDeposits);
+    /// Take back the credits left in one of your offers.
+    /// Reverts with CreditOfferNotFound if the offer isn't yours or has no credits left.
+    function cancelCreditOffer(uint256 offerId) external nonReentrant {
+        CreditMarket.cancelCreditOffer(creditBook, balances, offerId);
+    }
 
-        unchecked {
-            balance.availableDeposits -= amount;
-        }
+    /// Buy some or all of the credits left in an offer. msg.value is added to your available deposits, and the price
+    /// is paid from them. The credits go to your available credits.
+    /// @param credits how many credits to buy, at least 1. The price is credits * priceBasisPoints / BASIS_POINTS,
+    /// rounded up.
+    function buyCredits(uint256 offerId, uint256 credits) external payable nonReentrant {
+        uint256 price = CreditMarket.priceOf(creditBook, offerId, credits);
+        receivePayment(msg.sender);
+        coverDeposits(msg.sender, balances[msg.sender], price);
+        CreditMarket.buyCredits(creditBook, balances, offerId, credits, price);
+    }
 
-        msg.sender.call{value: amount}("");
+    /// Move a helping from one owner to another, as the helping receipts contract does when its receipt is transferred.
+    /// The helping keeps its place in the queue, and the combo price it holds in use and all of its future payouts
+    /// move to the new owner.
+    function transferHelping(
+        address from,
+        address to,
+        uint256 helpingId
+    ) external nonReentrant {
+        if (msg.sender != address(helpingReceipts)) revert OnlyCallableByHelpingReceipts();
+        uint256 comboId = helpingComboIds[helpingId];
+        (uint256 comboPrice, ) = comboPriceAndTimeLimit(comboId);
+        HelpingTransfers.transferHelping(
+            combos[comboId],
+            balances,
+            ownerComboIds,
+            comboId,
+            comboPrice,
+            from,
+            to,
+            helpingId
+        );
     }
 
     /// Remove your helping from a queue, or remove an active double helping.
     /// The combo is identified by the amount and blocks.
     /// Credits or deposits for the helping will change from "inUse" to "available."
     /// See https://github.com/eliphang/spicy-combos/blob/main/README.md .
+    /// Reverts with MoreThanOneHelping if you have several helpings in the combo. Use removeHelpingById() for those.
+    /// Reverts with EmergencyExitAlreadyEnabled once emergency exit is enabled. Use emergencyExit() then.
     function removeHelping(
         uint256 amountDigit1,
         uint256 amountDigit2,
@@ -332,68 +576,285 @@ contract SpicyCombos is Ownable {
         uint256 blocksDigit1,
         uint256 blocksDigit2,
         uint256 blocksZeros
-    ) external comboValuesInRange(amountDigit1, amountDigit2, amountZeros, blocksDigit1, blocksDigit2, blocksZeros) {
-        uint256 comboId = computeComboId(
-            amountDigit1,
-            amountDigit2,
-            amountZeros,
-            blocksDigit1,
-            blocksDigit2,
-            blocksZeros
-        );
-        uint256 comboPrice = computePrice(amountDigit1, amountDigit2, amountZeros);
-        uint256 timeLimit = computeValue(blocksDigit1, blocksDigit2, blocksZeros);
+    ) external nonReentrant {
+        uint256 comboId = validComboId(amountDigit1, amountDigit2, amountZeros, blocksDigit1, blocksDigit2, blocksZeros);
+        removeHelpingFor(msg.sender, comboId, helpingIdOf(comboId, msg.sender));
+    }
 
-        Combo storage combo = combos[comboId];
-        if (!combo.helpings[msg.sender].exists) revert HelpingNotFoundForCaller();
+    /// removeHelping() for one of your helpings, identified by its helpingId.
+    function removeHelpingById(uint256 helpingId) external nonReentrant {
+        removeHelpingFor(msg.sender, helpingComboIds[helpingId], helpingId);
+    }
 
-        // First remove the active helping if it expired.
-        removeActiveHelpingIfExpired(comboId, comboPrice, timeLimit);
+    /// Perform several addHelping(), removeHelping() and increasePremium() actions, in any combos, in one transaction.
+    /// msg.value is added to your available deposits once, and every action is paid for from your available deposits.
+    /// Either every action succeeds or the whole batch reverts with BatchActionFailed, which has the index of the
+    /// failing action and the custom error it reverted with.
+    /// @param actions the actions to perform, in order.
+    function batch(HelpingAction[] calldata actions) external payable nonReentrant {
+        receivePayment(msg.sender);
+        performBatch(msg.sender, actions);
+    }
 
-        Helping storage helping = combo.helpings[msg.sender];
+    /// Let operator perform batches for you with batchFor(), spending at most the given allowances, until the block
+    /// expiration. Replaces any earlier approval of operator. Operators can never withdraw.
+    /// @param depositsAllowance how much of your deposits operator may spend on combo prices.
+    /// @param creditsAllowance how much of your credits operator may spend on combo prices.
+    /// @param premiumsAllowance how much of your deposits operator may spend on premiums.
+    /// Use type(uint256).max for an allowance without a limit.
+    /// @param expiration the block when the approval expires. Use type(uint64).max for never, or zero to revoke it.
+    function approveOperator(
+        address operator,
+        uint256 depositsAllowance,
+        uint256 creditsAllowance,
+        uint256 premiumsAllowance,
+        uint64 expiration
+    ) external {
+        operatorApprovals[msg.sender][operator] = OperatorApproval(
+            depositsAllowance,
+            creditsAllowance,
+            premiumsAllowance,
+            expiration
+        );
+        emit OperatorApproved(msg.sender, operator, depositsAllowance, creditsAllowance, premiumsAllowance, expiration);
+    }
 
-        // Removing the active helping might have removed our helping, so check again.
-        if (helping.exists) {
-            if (combo.activeHelping.owner == msg.sender) {
-                if (combo.activeHelping.helpingType == HelpingType.TimedHelping)
-                    revert RemovingActiveTimedHelpingNotAllowed();
-                removeActiveHelping(comboId, comboPrice, timeLimit);
-            } else {
-                PriQueue.removeQueueEntry(combo.queue, msg.sender);
-                Balance storage balance = balances[msg.sender];
-                // We didn't get any deposits, so we get credits.
-                balance.availableCredits += comboPrice;
-                if (helping.usingCredits) {
-                    balance.creditsInUse -= comboPrice;
+    /// batch() on behalf of owner, who must have approved you with approveOperator().
+    /// The helpings, funds and events are owner's, as if owner had sent the batch, and msg.value is added to owner's
+    /// available deposits. Reverts with OperatorAllowanceExceeded, before performing any action, if the actions would
+    /// spend more than your allowances, or with ValueOutOfRange if an added helping's combo values are out of range.
+    function batchFor(address owner, HelpingAction[] calldata actions) external payable nonReentrant {
+        OperatorApproval storage approval = operatorApprovals[owner][msg.sender];
+        if (block.number >= approval.expiration) revert OperatorNotApproved(owner, msg.sender);
+
+        for (uint256 i = 0; i < actions.length; ++i) {
+            HelpingAction calldata action = actions[i];
+            if (action.actionType == ActionType.RemoveHelping) continue;
+            if (action.actionType == ActionType.AddHelping) {
+                checkComboValues(
+                    action.amountDigit1,
+                    action.amountDigit2,
+                    action.amountZeros,
+                    action.blocksDigit1,
+                    action.blocksDigit2,
+                    action.blocksZeros
+                );
+                uint256 comboPrice = computePrice(action.amountDigit1, action.amountDigit2, action.amountZeros);
+                if (action.usingCredits) {
+                    approval.creditsAllowance = spendAllowance(
+                        approval.creditsAllowance,
+                        comboPrice,
+                        "creditsAllowance"
+                    );
                 } else {
-                    balance.depositsInUse -= comboPrice;
+                    approval.depositsAllowance = spendAllowance(
+                        approval.depositsAllowance,
+                        comboPrice,
+                        "depositsAllowance"
+                    );
                 }
-                delete combo.helpings[msg.sender];
-                emit HelpingRemoved(comboId, msg.sender, false);
             }
+            approval.premiumsAllowance = spendAllowance(approval.premiumsAllowance, action.amount, "premiumsAllowance");
         }
+        receivePayment(owner);
+        performBatch(owner, actions);
     }
 
-    /// Get info about a combo identified by the amount and blocks.
-    /// @return queueLength the length of the queue
-    /// @return premium the premium that must be exceeded to take the first position in the queue
-    /// @return activeHelpingExists
-    /// @return activeHelpingOwner the address of the owner of the active helping
-    /// @return activeHelpingIsDoubleHelping Is the active helping a double helping? If not, it's a timed helping.
-    /// @return activeHelpingDeposits the number of deposits received while the active helping was active.
-    /// @return activeHelpingExpiration the block when the active helping will expire if it's a timed helping.
-    /// @return activeHelpingIsExpired
-    function comboInfo(
-        uint256 amountDigit1,
-        uint256 amountDigit2,
-        uint256 amountZeros,
-        uint256 blocksDigit1,
-        uint256 blocksDigit2,
-        uint256 blocksZeros
-    )
-        external
-        view
-        comboValuesInRange(amountDigit1, amountDigit2, amountZeros, blocksDigit1, blocksDigit2, blocksZeros)
+    /// batch() signed by owner as an EIP-712 Batch intent and sent by anyone, such as a relayer paying the gas.
+    /// The helpings, funds and events are owner's, as if owner had sent the batch without any ETH.
+    /// The intent is signed over the actions, relayerFee, deadline and owner's current nonce, which it uses up.
+    /// @param relayerFee paid from owner's available deposits to the sender's available deposits, and can be zero.
+    /// @param deadline the last block in which the intent can be executed.
+    /// @param signature owner's signature of the intent.
+    function batchBySig(
+        address owner,
+        HelpingAction[] calldata actions,
+        uint256 relayerFee,
+        uint256 deadline,
+        bytes calldata signature
+    ) external nonReentrant {
+        payRelayer(owner, Intents.useBatch(nonces, owner, actions, relayerFee, deadline, signature), relayerFee);
+        performBatch(owner, actions);
+    }
+
+    /// withdrawTo() signed by owner as an EIP-712 Withdrawal intent and sent by anyone. See batchBySig().
+    function withdrawBySig(
+        address owner,
+        address payable recipient,
+        uint256 amount,
+        uint256 relayerFee,
+        uint256 deadline,
+        bytes calldata signature
+    ) external nonReentrant {
+        payRelayer(
+            owner,
+            Intents.useWithdrawal(nonces, owner, recipient, amount, relayerFee, deadline, signature),
+            relayerFee
+        );
+        withdrawFor(owner, recipient, amount);
+    }
+
+    /// Perform one action of a batch on behalf of owner.
+    /// @dev This is external only so that batch() can catch the error of each action. Nobody else can call it.
+    /// @dev It can't be nonReentrant because batch() holds the lock while calling it.
+    function performBatchAction(address owner, HelpingAction calldata action) external {
+        if (msg.sender != address(this)) revert OnlyCallableByThisContract();
+
+        if (action.actionType == ActionType.AddHelping) {
+            addHelpingFor(
+                owner,
+                action.amountDigit1,
+                action.amountDigit2,
+                action.amountZeros,
+                action.blocksDigit1,
+                action.blocksDigit2,
+                action.blocksZeros,
+                action.doubleHelping,
+                action.usingCredits,
+                action.creatorOnly,
+                action.amount,
+                action.maxQueueWait
+            );
+        } else {
+            uint256 helpingId = action.helpingId;
+            uint256 comboId;
+            if (helpingId != 0) {
+                comboId = helpingComboIds[helpingId];
+            } else {
+                comboId = validComboId(
+                    action.amountDigit1,
+                    action.amountDigit2,
+                    action.amountZeros,
+                    action.blocksDigit1,
+                    action.blocksDigit2,
+                    action.blocksZeros
+                );
+                helpingId = helpingIdOf(comboId, owner);
+            }
+            if (action.actionType == ActionType.RemoveHelping) {
+                removeHelpingFor(owner, comboId, helpingId);
+            } else {
+                increasePremiumFor(owner, comboId, helpingId, action.amount);
+            }
+        }
+    }
+
+    /// The body of batch(), for owner's helpings.
+    function performBatch(address owner, HelpingAction[] calldata actions) internal {
+        for (uint256 i = 0; i < actions.length; ++i) {
+            try this.performBatchAction(owner, actions[i]) {} catch (bytes memory reason) {
+                revert BatchActionFailed(i, reason);
+            }
+        }
+    }
+
+    /// Pay the relayer of owner's intent, which used up nonce.
+    function payRelayer(
+        address owner,
+        uint256 nonce,
+        uint256 relayerFee
+    ) internal {
+        Balance storage balance = balances[owner];
+        coverDeposits(owner, balance, relayerFee);
+        if (relayerFee > balance.availableDeposits)
+            revert NotEnoughAvailableDepositsForRelayerFee(balance.availableDeposits);
+        unchecked {
+            balance.availableDeposits -= uint128(relayerFee);
+        }
+        balances[msg.sender].availableDeposits += SafeCast.toUint128(relayerFee);
+        emit IntentExecuted(owner, nonce, msg.sender, relayerFee);
+    }
+
+    /// What is left of an operator's allowance after spending amount of it.
+    function spendAllowance(
+        uint256 allowance,
+        uint256 amount,
+        string memory name
+    ) internal pure returns (uint256) {
+        if (allowance == type(uint256).max) return allowance;
+        if (amount > allowance) revert OperatorAllowanceExceeded(name, allowance);
+        unchecked {
+            return allowance - amount;
+        }
+    }
+
+    /// Remove the active helping of the combo identified by the amount and blocks if it has expired, paying its owner and
+    /// starting the timer of the next helping in the queue. Anyone can call this.
+    /// The caller gets the keeperReward, or whatever is left in the dev fund if that is less, in available deposits.
+    /// @return settled false if the combo has no expired active helping, in which case nothing changes.
+    function settle(
+        uint256 amountDigit1,
+        uint256 amountDigit2,
+        uint256 amountZeros,
+        uint256 blocksDigit1,
+        uint256 blocksDigit2,
+        uint256 blocksZeros
+    )
+        external
+        nonReentrant
+        comboValuesInRange(amountDigit1, amountDigit2, amountZeros, blocksDigit1, blocksDigit2, blocksZeros)
+        returns (bool settled)
+    {
+        return
+            settleCombo(
+                computeComboId(amountDigit1, amountDigit2, amountZeros, blocksDigit1, blocksDigit2, blocksZeros)
+            );
+    }
+
+    /// settle() every combo in comboIds, skipping the ones without an expired active helping.
+    /// @param comboIds as returned by computeComboId() or liveCombos().
+    /// @return settledCount the number of combos that were settled.
+    function settleMany(uint256[] calldata comboIds) external nonReentrant returns (uint256 settledCount) {
+        for (uint256 i = 0; i < comboIds.length; ++i) {
+            if (settleCombo(comboIds[i])) ++settledCount;
+        }
+    }
+
+    /// Remove every helping in helpingIds that is still queued at its queueDeadline, the same way removeHelping() would
+    /// for its owner: the comboPrice goes back to the owner as available credits. Anyone can call this.
+    /// Helpings that aren't queued past their deadline are skipped.
+    /// Each helping's combo is settled first, as settle() would, keeperReward included, so that a helping next in line
+    /// behind an expired active helping becomes the active helping instead of being expired.
+    /// Reverts with EmergencyExitAlreadyEnabled once emergency exit is enabled, when owners reclaim their helpings with
+    /// emergencyExit() instead.
+    /// @return expiredCount the number of helpings that were expired.
+    function expireQueuedHelpings(uint256[] calldata helpingIds) external nonReentrant returns (uint256 expiredCount) {
+        if (emergencyExitEnabled) revert EmergencyExitAlreadyEnabled();
+        for (uint256 i = 0; i < helpingIds.length; ++i) {
+            uint256 helpingId = helpingIds[i];
+            uint256 comboId = helpingComboIds[helpingId];
+            settleCombo(comboId);
+            Combo storage combo = combos[comboId];
+            if (!QueueInspection.isQueuedHelpingExpired(combo, helpingId, currentTime())) continue;
+            address owner = combo.helpings[helpingId].owner;
+            (uint256 comboPrice, ) = comboPriceAndTimeLimit(comboId);
+            removeQueuedHelping(combo, comboId, helpingId, comboPrice);
+            emit QueuedHelpingExpired(comboId, helpingId, owner);
+            ++expiredCount;
+        }
+    }
+
+    /// Get info about a combo identified by the amount and blocks.
+    /// @return queueLength the length of the queue
+    /// @return premium the premium that must be exceeded to take the first position in the queue
+    /// @return activeHelpingExists
+    /// @return activeHelpingOwner the address of the owner of the active helping
+    /// @return activeHelpingIsDoubleHelping Is the active helping a double helping? If not, it's a timed helping.
+    /// @return activeHelpingDeposits the number of deposits received while the active helping was active.
+    /// @return activeHelpingExpiration the block when the active helping will expire if it's a timed helping.
+    /// @return activeHelpingIsExpired
+    /// @return activeHelpingId the helpingId of the active helping
+    function comboInfo(
+        uint256 amountDigit1,
+        uint256 amountDigit2,
+        uint256 amountZeros,
+        uint256 blocksDigit1,
+        uint256 blocksDigit2,
+        uint256 blocksZeros
+    )
+        external
+        view
+        comboValuesInRange(amountDigit1, amountDigit2, amountZeros, blocksDigit1, blocksDigit2, blocksZeros)
         returns (
             uint256 queueLength,
             uint256 premium,
@@ -402,30 +863,29 @@ contract SpicyCombos is Ownable {
             bool activeHelpingIsDoubleHelping,
             uint256 activeHelpingDeposits,
             uint256 activeHelpingExpiration,
-            bool activeHelpingIsExpired
+            bool activeHelpingIsExpired,
+            uint256 activeHelpingId
         )
     {
-        uint256 comboId = computeComboId(
-            amountDigit1,
-            amountDigit2,
-            amountZeros,
-            blocksDigit1,
-            blocksDigit2,
-            blocksZeros
+        ComboSummary memory summary = summarizeCombo(
+            computeComboId(amountDigit1, amountDigit2, amountZeros, blocksDigit1, blocksDigit2, blocksZeros)
         );
-        Combo storage combo = combos[comboId];
-        Helping storage activeHelping = combo.activeHelping;
-        queueLength = PriQueue.length(combo.queue);
-        if (queueLength != 0) premium = PriQueue.getFirst(combo.queue).priority;
-        activeHelpingExists = activeHelping.exists;
-        activeHelpingOwner = activeHelping.owner;
-        activeHelpingIsDoubleHelping = activeHelping.helpingType == HelpingType.DoubleHelping;
-        activeHelpingDeposits = activeHelping.depositsReceived;
-        activeHelpingExpiration = activeHelping.expiration;
-        activeHelpingIsExpired = isActiveHelpingExpired(comboId);
-    }
-
-    /// Get info about a helping owned by owner in the combo identified by the amount and blocks.
+        return (
+            summary.queueLength,
+            summary.premium,
+            summary.activeHelpingExists,
+            summary.activeHelpingOwner,
+            summary.activeHelpingIsDoubleHelping,
+            summary.activeHelpingDeposits,
+            summary.activeHelpingExpiration,
+            summary.activeHelpingIsExpired,
+            summary.activeHelpingId
+        );
+    }
+
+    /// Get info about the helping owned by owner in the combo identified by the amount and blocks.
+    /// Reverts with MoreThanOneHelping if owner has several helpings in the combo. Use helpingInfoById() for those.
+    /// The returned helpingId is zero if owner has no helping in the combo.
     function helpingInfo(
         uint256 amountDigit1,
         uint256 amountDigit2,
@@ -437,14 +897,109 @@ contract SpicyCombos is Ownable {
     )
         external
         view
-        comboValuesInRange(amountDigit1, amountDigit2, amountZeros, blocksDigit1, blocksDigit2, blocksZeros)
         returns (
             bool exists,
             bool isDoubleHelping,
             bool usingCredits,
             bool isActiveHelping,
+            uint256 premium,
+            uint256 helpingId
+        )
+    {
+        uint256 comboId = validComboId(amountDigit1, amountDigit2, amountZeros, blocksDigit1, blocksDigit2, blocksZeros);
+        helpingId = helpingIdOf(comboId, owner);
+        (exists, isDoubleHelping, usingCredits, isActiveHelping, premium) = helpingDetails(comboId, helpingId);
+    }
+
+    /// Get info about a helping identified by its helpingId.
+    /// @return exists false once the helping has been removed.
+    /// @return owner zero once the helping has been removed.
+    /// @return comboId the combo the helping was added to, or zero if there never was such a helping.
+    function helpingInfoById(uint256 helpingId)
+        external
+        view
+        returns (
+            bool exists,
+            address owner,
+            uint256 comboId,
+            bool isDoubleHelping,
+            bool usingCredits,
+            bool isActiveHelping,
             uint256 premium
         )
+    {
+        comboId = helpingComboIds[helpingId];
+        owner = combos[comboId].helpings[helpingId].owner;
+        (exists, isDoubleHelping, usingCredits, isActiveHelping, premium) = helpingDetails(comboId, helpingId);
+    }
+
+    /// Get the helpingIds of all of owner's helpings, active or queued, in the combo identified by the amount and blocks.
+    function helpingIdsOf(
+        uint256 amountDigit1,
+        uint256 amountDigit2,
+        uint256 amountZeros,
+        uint256 blocksDigit1,
+        uint256 blocksDigit2,
+        uint256 blocksZeros,
+        address owner
+    ) external view returns (uint256[] memory) {
+        uint256 comboId = validComboId(amountDigit1, amountDigit2, amountZeros, blocksDigit1, blocksDigit2, blocksZeros);
+        return combos[comboId].ownerHelpingIds[owner].values();
+    }
+
+    /// Get a page of the queue for the combo identified by the amount and blocks, in the order the helpings will become
+    /// the active helping.
+    /// @param offset the number of queue entries to skip.
+    /// @param limit the maximum number of queue entries to return.
+    /// @return helpings the queued helpings, ranked from offset + 1.
+    /// @return queueLength the length of the whole queue.
+    function queueEntries(
+        uint256 amountDigit1,
+        uint256 amountDigit2,
+        uint256 amountZeros,
+        uint256 blocksDigit1,
+        uint256 blocksDigit2,
+        uint256 blocksZeros,
+        uint256 offset,
+        uint256 limit
+    )
+        external
+        view
+        comboValuesInRange(amountDigit1, amountDigit2, amountZeros, blocksDigit1, blocksDigit2, blocksZeros)
+        returns (QueuedHelping[] memory helpings, uint256 queueLength)
+    {
+        uint256 comboId = computeComboId(
+            amountDigit1,
+            amountDigit2,
+            amountZeros,
+            blocksDigit1,
+            blocksDigit2,
+            blocksZeros
+        );
+        return QueueInspection.queueEntries(combos[comboId], offset, limit);
+    }
+
+    /// Get the helpings that expireQueuedHelpings() would expire now among a page of the queue for the combo identified
+    /// by the amount and blocks. The helping next in line behind an expired active helping isn't one of them, since
+    /// settling the combo makes it the active helping.
+    /// @param offset the number of queue entries to skip.
+    /// @param limit the maximum number of queue entries to look through.
+    /// @return helpings the expired helpings among queue entries offset + 1 to offset + limit, in queue order.
+    /// @return queueLength the length of the whole queue.
+    function expiredQueueEntries(
+        uint256 amountDigit1,
+        uint256 amountDigit2,
+        uint256 amountZeros,
+        uint256 blocksDigit1,
+        uint256 blocksDigit2,
+        uint256 blocksZeros,
+        uint256 offset,
+        uint256 limit
+    )
+        external
+        view
+        comboValuesInRange(amountDigit1, amountDigit2, amountZeros, blocksDigit1, blocksDigit2, blocksZeros)
+        returns (QueuedHelping[] memory helpings, uint256 queueLength)
     {
         uint256 comboId = computeComboId(
             amountDigit1,
@@ -454,22 +1009,121 @@ contract SpicyCombos is Ownable {
             blocksDigit2,
             blocksZeros
         );
+        return
+            QueueInspection.expiredQueueEntries(
+                combos[comboId],
+                offset,
+                limit,
+                currentTime(),
+                isActiveHelpingExpired(comboId)
+            );
+    }
+
+    /// Get the rank of owner's helping in the queue for the combo identified by the amount and blocks.
+    /// Reverts with MoreThanOneHelping if owner has several helpings in the combo. Use queueEntries() for those.
+    /// @return position 1 if the helping is next to become the active helping, or 0 if owner has no queued helping.
+    function myPosition(
+        uint256 amountDigit1,
+        uint256 amountDigit2,
+        uint256 amountZeros,
+        uint256 blocksDigit1,
+        uint256 blocksDigit2,
+        uint256 blocksZeros,
+        address owner
+    ) external view returns (uint256 position) {
+        uint256 comboId = validComboId(amountDigit1, amountDigit2, amountZeros, blocksDigit1, blocksDigit2, blocksZeros);
         Combo storage combo = combos[comboId];
-        Helping storage helping = combo.helpings[owner];
-        exists = helping.exists;
-        isActiveHelping = combo.activeHelping.owner == owner;
+        uint256 helpingId = helpingIdOf(comboId, owner);
+        if (helpingId == 0 || combo.activeHelpingId == helpingId) return 0;
 
-        if (helping.exists) {
-            isDoubleHelping = helping.helpingType == HelpingType.DoubleHelping;
-            usingCredits = helping.usingCredits;
-            if (!isActiveHelping) {
-                premium = PriQueue.getByAddress(combo.queue, owner).priority;
-            }
+        QueueEntry[] memory sortedEntries = PriQueue.sorted(combo.queue, PriQueue.length(combo.queue));
+        for (uint256 i = 0; i < sortedEntries.length; ++i) {
+            if (sortedEntries[i].id == helpingId) return i + 1;
         }
     }
 
-    function deposit() public payable {
-        balances[msg.sender].availableDeposits += msg.value;
+    /// Get the number of combos that currently have an active helping.
+    function liveComboCount() external view returns (uint256) {
+        return liveComboIds.length();
+    }
+
+    /// Get a page of the combos that currently have an active helping, in no particular order.
+    /// @param offset the number of combos to skip.
+    /// @param limit the maximum number of combos to return.
+    /// @return summaries the decoded combo parameters and comboInfo() of each combo.
+    /// @return total the number of combos that currently have an active helping.
+    function liveCombos(uint256 offset, uint256 limit)
+        external
+        view
+        returns (ComboSummary[] memory summaries, uint256 total)
+    {
+        return summarizeCombos(liveComboIds, offset, limit);
+    }
+
+    /// Get the number of combos where owner has a helping, active or queued.
+    function comboCountOf(address owner) external view returns (uint256) {
+        return ownerComboIds[owner].length();
+    }
+
+    /// Get a page of the combos where owner has a helping, active or queued, in no particular order.
+    /// Use helpingIdsOf() and helpingInfoById() for the details of owner's helpings in each combo.
+    /// @param offset the number of combos to skip.
+    /// @param limit the maximum number of combos to return.
+    /// @return summaries the decoded combo parameters and comboInfo() of each combo.
+    /// @return total the number of combos where owner has a helping.
+    function combosOf(
+        address owner,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (ComboSummary[] memory summaries, uint256 total) {
+        return summarizeCombos(ownerComboIds[owner], offset, limit);
+    }
+
+    /// The number of credit offers ever made. Offer IDs start at 1.
+    function creditOfferCount() external view returns (uint256) {
+        return creditBook.offerCount;
+    }
+
+    /// Get a credit offer by its offerId. See offerCredits().
+    function creditOffers(uint256 offerId)
+        external
+        view
+        returns (
+            address seller,
+            uint256 credits,
+            uint256 priceBasisPoints
+        )
+    {
+        CreditOffer storage offer = creditBook.offers[offerId];
+        return (offer.seller, offer.credits, offer.priceBasisPoints);
+    }
+
+    /// Get the number of credit offers with credits left for sale.
+    function openCreditOfferCount() external view returns (uint256) {
+        return creditBook.openOfferIds.length();
+    }
+
+    /// Get a page of the credit offers with credits left for sale, in no particular order.
+    /// @param offset the number of offers to skip.
+    /// @param limit the maximum number of offers to return.
+    /// @return offerIds the ID of each offer.
+    /// @return offers the seller, credits left and price of each offer.
+    /// @return total the number of offers with credits left for sale.
+    function openCreditOffers(uint256 offset, uint256 limit)
+        external
+        view
+        returns (
+            uint256[] memory offerIds,
+            CreditOffer[] memory offers,
+            uint256 total
+        )
+    {
+        return CreditMarket.openCreditOffers(creditBook, offset, limit);
+    }
+
+    /// Add msg.value to your available deposits.
+    function deposit() public payable nonReentrant {
+        receivePayment(msg.sender);
     }
 
     function computeComboId(
@@ -494,6 +1148,27 @@ contract SpicyCombos is Ownable {
             100000;
     }
 
+    /// The inverse of computeComboId().
+    function decomposeComboId(uint256 comboId)
+        public
+        pure
+        returns (
+            uint256 amountDigit1,
+            uint256 amountDigit2,
+            uint256 amountZeros,
+            uint256 blocksDigit1,
+            uint256 blocksDigit2,
+            uint256 blocksZeros
+        )
+    {
+        blocksZeros = comboId % 10;
+        blocksDigit2 = (comboId / 10) % 10;
+        blocksDigit1 = (comboId / 100) % 10;
+        amountZeros = (comboId / 1000) % 10;
+        amountDigit2 = (comboId / 10000) % 10;
+        amountDigit1 = comboId / 100000;
+    }
+
     function computeValue(
         uint256 digit1,
         uint256 digit2,
@@ -514,6 +1189,387 @@ contract SpicyCombos is Ownable {
         return computeValue(digit1, digit2, zeros) * minValue;
     }
 
+    /// The body of addHelping(), for a helping owned by owner.
+    /// @dev Any ETH sent along must already have been added to the owner's available deposits.
+    /// @return helpingId the ID of the new helping.
+    function addHelpingFor(
+        address owner,
+        uint256 amountDigit1,
+        uint256 amountDigit2,
+        uint256 amountZeros,
+        uint256 blocksDigit1,
+        uint256 blocksDigit2,
+        uint256 blocksZeros,
+        bool doubleHelping,
+        bool usingCredits,
+        bool creatorOnly,
+        uint256 premium,
+        uint256 maxQueueWait
+    )
+        internal
+        whenNotPaused
+        comboValuesInRange(amountDigit1, amountDigit2, amountZeros, blocksDigit1, blocksDigit2, blocksZeros)
+        returns (uint256 helpingId)
+    {
+        uint256 comboId = computeComboId(
+            amountDigit1,
+            amountDigit2,
+            amountZeros,
+            blocksDigit1,
+            blocksDigit2,
+            blocksZeros
+        );
+        uint256 comboPrice = computePrice(amountDigit1, amountDigit2, amountZeros);
+        uint256 timeLimit = computeValue(blocksDigit1, blocksDigit2, blocksZeros);
+        Combo storage combo = combos[comboId];
+
+        // Update owner's balance.
+
+        Balance storage balance = balances[owner];
+        coverDeposits(owner, balance, usingCredits ? premium : premium + comboPrice);
+
+        if (balance.availableDeposits < premium) {
+            revert NotEnoughAvailableDepositsForPremium(balance.availableDeposits);
+        }
+
+        unchecked {
+            balance.availableDeposits -= uint128(premium);
+        }
+
+        uint256 depositAmount;
+
+        if (usingCredits) {
+            if (creatorOnly) {
+                revert CreatorOnlyIncompatibleWithUseCredits();
+            }
+            if (balance.availableCredits < comboPrice) {
+                revert NotEnoughAvailableCredits(balance.availableCredits, comboPrice);
+            }
+            balance.availableCredits -= uint128(comboPrice);
+            balance.creditsInUse += uint128(comboPrice);
+        } else {
+            // use deposits
+            if (balance.availableDeposits < comboPrice) {
+                revert NotEnoughAvailableDeposits(balance.availableDeposits, comboPrice);
+            }
+            balance.availableDeposits -= uint128(comboPrice);
+            balance.depositsInUse += uint128(comboPrice);
+            depositAmount = comboPrice;
+        }
+
+        // Update queue.
+
+        removeActiveHelpingIfExpired(comboId, comboPrice, timeLimit);
+
+        helpingId = ++helpingCount;
+        Helping memory helping = Helping({
+            owner: owner,
+            helpingType: doubleHelping ? HelpingType.DoubleHelping : HelpingType.TimedHelping,
+            usingCredits: usingCredits,
+            exists: true,
+            expiration: uint64(currentTime() + timeLimit),
+            depositsReceived: 0,
+            depositActivation: 0,
+            queueDeadline: queueDeadlineFor(maxQueueWait)
+        });
+
+        address depositRecipient;
+        bool createdCombo;
+
+        // Calculate deposits received by the active helping
+        if (!usingCredits) {
+            if (combo.activeHelpingId != 0) {
+                if (creatorOnly) revert CreatorOnlyUnsuccessful();
+                Helping storage activeHelping = combo.helpings[combo.activeHelpingId];
+                ++activeHelping.depositsReceived;
+                depositRecipient = activeHelping.owner;
+                helping.depositActivation = combo.activations;
+                // Awarding the deposit may have caused the active double helping to expire.
+                removeActiveHelpingIfExpired(comboId, comboPrice, timeLimit);
+            } else {
+                // deposits received while this was the active helping. Start this at 1 to enable the creator bonus.
+                // See https://github.com/eliphang/spicy-combos/blob/main/README.md#creator-bonus .
+                helping.depositsReceived = 1;
+                helping.depositActivation = combo.activations + 1;
+                createdCombo = true;
+            }
+        }
+
+        combo.helpings[helpingId] = helping;
+        combo.ownerHelpingIds[owner].add(helpingId);
+        helpingComboIds[helpingId] = comboId;
+        ownerComboIds[owner].add(comboId);
+        payPremium(combo, comboId, helpingId, premium);
+
+        if (combo.activeHelpingId != 0) {
+            PriQueue.insert(combo.queue, helpingId, premium);
+            // Awarding the deposit may have replaced the active helping that received it.
+            if (!usingCredits && helping.depositActivation == combo.activations) ++combo.queuedDepositsHeld;
+        } else {
+            ++combo.activations;
+            combo.activeHelpingId = uint64(helpingId);
+            liveComboIds.add(comboId);
+            emit NewActiveHelping(comboId, helpingId, owner);
+        }
+
+        emit HelpingAdded(
+            comboId,
+            helpingId,
+            owner,
+            depositRecipient,
+            depositAmount,
+            usingCredits,
+            doubleHelping,
+            premium,
+            createdCombo
+        );
+        if (address(helpingReceipts) != address(0)) helpingReceipts.mint(owner, helpingId);
+    }
+
+    /// The body of increasePremium(), for owner's helping helpingId in the combo comboId.
+    /// @dev Any ETH sent along must already have been added to the owner's available deposits.
+    function increasePremiumFor(
+        address owner,
+        uint256 comboId,
+        uint256 helpingId,
+        uint256 increaseByAmount
+    ) internal whenNotPaused {
+        Balance storage balance = balances[owner];
+        coverDeposits(owner, balance, increaseByAmount);
+
+        if (balance.availableDeposits < increaseByAmount) {
+            revert NotEnoughAvailableDepositsForPremium(balance.availableDeposits);
+        }
+
+        unchecked {
+            balance.availableDeposits -= uint128(increaseByAmount);
+        }
+
+        Combo storage combo = combos[comboId];
+        if (combo.helpings[helpingId].owner != owner) revert HelpingNotFoundForCaller();
+        if (combo.activeHelpingId == helpingId) revert CannotIncreasePremiumOfActiveHelping();
+
+        // First remove the active listing if it expired
+        (uint256 comboPrice, uint256 timeLimit) = comboPriceAndTimeLimit(comboId);
+        removeActiveHelpingIfExpired(comboId, comboPrice, timeLimit);
+
+        // Check again if we have the active helping after possibly removing the previous one
+        if (combo.activeHelpingId == helpingId) revert CannotIncreasePremiumOfActiveHelping();
+
+        // Move the helping up the queue. It stays behind helpings with the same premium that were queued before it.
+        uint256 newPremium = PriQueue.increasePriority(combo.queue, helpingId, increaseByAmount);
+        payPremium(combo, comboId, helpingId, increaseByAmount);
+
+        emit PremiumIncreased(comboId, helpingId, owner, newPremium);
+    }
+
+    /// The body of removeHelping(), for owner's helping helpingId in the combo comboId.
+    function removeHelpingFor(
+        address owner,
+        uint256 comboId,
+        uint256 helpingId
+    ) internal {
+        // An active helping that made an emergency exit leaves the deposits of the queue held, which only
+        // emergencyExit() gives back.
+        if (emergencyExitEnabled) revert EmergencyExitAlreadyEnabled();
+        Combo storage combo = combos[comboId];
+        if (combo.helpings[helpingId].owner != owner) revert HelpingNotFoundForCaller();
+
+        // First remove the active helping if it expired.
+        (uint256 comboPrice, uint256 timeLimit) = comboPriceAndTimeLimit(comboId);
+        removeActiveHelpingIfExpired(comboId, comboPrice, timeLimit);
+
+        Helping storage helping = combo.helpings[helpingId];
+
+        // Removing the active helping might have removed our helping, so check again.
+        if (helping.exists) {
+            if (combo.activeHelpingId == helpingId) {
+                if (helping.helpingType == HelpingType.TimedHelping)
+                    revert RemovingActiveTimedHelpingNotAllowed();
+                removeActiveHelping(comboId, comboPrice, timeLimit);
+            } else {
+                removeQueuedHelping(combo, comboId, helpingId, comboPrice);
+            }
+        }
+    }
+
+    /// Take a helping out of the queue and give its owner the comboPrice back as available credits.
+    function removeQueuedHelping(
+        Combo storage combo,
+        uint256 comboId,
+        uint256 helpingId,
+        uint256 comboPrice
+    ) internal {
+        Helping storage helping = combo.helpings[helpingId];
+        address owner = helping.owner;
+        refundPremium(comboId, helpingId, owner, PriQueue.removeQueueEntry(combo.queue, helpingId).priority);
+        // The active helping keeps our deposit.
+        if (!helping.usingCredits && helping.depositActivation == combo.activations) --combo.queuedDepositsHeld;
+        Balance storage balance = balances[owner];
+        // We didn't get any deposits, so we get credits.
+        balance.availableCredits += SafeCast.toUint128(comboPrice);
+        releaseInUse(balance, helping.usingCredits, comboPrice);
+        deleteHelping(combo, comboId, helpingId);
+        emit HelpingRemoved(comboId, helpingId, owner, false);
+    }
+
+    /// The body of emergencyExit(), for owner's helping helpingId in the combo comboId.
+    function emergencyExitFor(
+        address owner,
+        uint256 comboId,
+        uint256 helpingId
+    ) internal {
+        if (!emergencyExitEnabled) revert EmergencyExitNotEnabled();
+
+        Combo storage combo = combos[comboId];
+        Helping storage helping = combo.helpings[helpingId];
+        if (helping.owner != owner) revert HelpingNotFoundForCaller();
+
+        (uint256 comboPrice, ) = comboPriceAndTimeLimit(comboId);
+        Balance storage balance = balances[owner];
+        bool depositHeld = !helping.usingCredits && helping.depositActivation == combo.activations;
+        uint256 deposits;
+        uint256 credits;
+
+        releaseInUse(balance, helping.usingCredits, comboPrice);
+
+        if (combo.activeHelpingId == helpingId) {
+            // A creator's own deposit is one of the deposits it received.
+            if (!depositHeld) credits = comboPrice;
+            deposits = (helping.depositsReceived - combo.queuedDepositsHeld) * comboPrice;
+            // Keep holding the deposits owed to the queue, but don't make the next helping active.
+            combo.activeHelpingId = 0;
+            liveComboIds.remove(comboId);
+        } else {
+            refundPremium(comboId, helpingId, owner, PriQueue.removeQueueEntry(combo.queue, helpingId).priority);
+            if (depositHeld) {
+                deposits = comboPrice;
+                --combo.queuedDepositsHeld;
+                if (combo.activeHelpingId != 0) --combo.helpings[combo.activeHelpingId].depositsReceived;
+            } else {
+                credits = comboPrice;
+            }
+        }
+
+        balance.availableDeposits += SafeCast.toUint128(deposits);
+        balance.availableCredits += SafeCast.toUint128(credits);
+        deleteHelping(combo, comboId, helpingId);
+
+        emit EmergencyExit(comboId, helpingId, owner, deposits, credits);
+        emit HelpingRemoved(
+            comboId,
+            helpingId,
+            owner,
+            combo.activeHelpingId == 0 && PriQueue.length(combo.queue) == 0
+        );
+    }
+
+    /// Pay a premium, already taken from its payer's available deposits, for helpingId, which is queued behind the
+    /// combo's active helping, or about to become the active helping if there is none.
+    function payPremium(
+        Combo storage combo,
+        uint256, /* comboId */
+        uint256, /* helpingId */
+        uint256 premium
+    ) internal virtual {
+        uint256 activeHelpingId = combo.activeHelpingId;
+        distributePremium(premium, activeHelpingId != 0 ? combo.helpings[activeHelpingId].owner : address(0));
+    }
+
+    /// Called when owner's helpingId leaves the queue without becoming the active helping. Its premium was paid when
+    /// it was added, so there is nothing to give back unless the deployment escrows premiums.
+    function refundPremium(
+        uint256 comboId,
+        uint256 helpingId,
+        address owner,
+        uint256 premium
+    ) internal virtual {}
+
+    /// Called when owner's helpingId becomes the active helping in place of previousOwner's helping, with the premium
+    /// it was queued with, which was paid when it was added. SpicyCombosEscrow collects the premium now instead.
+    function premiumUsed(
+        uint256 comboId,
+        uint256 helpingId,
+        address owner,
+        uint256 premium,
+        address previousOwner
+    ) internal virtual {}
+
+    /// Split a premium between the dev fund and activeOwner, the owner of the active helping that the payer was queued
+    /// behind, or address(0) if there was none.
+    function distributePremium(uint256 premium, address activeOwner) internal {
+        uint256 devFundShare = (premium * fees.premiumDevFundBasisPoints) / BASIS_POINTS;
+        devFund += devFundShare;
+
+        uint256 remainder = premium - devFundShare;
+        if (remainder == 0) return;
+        if (fees.redistributePremiumRemainder && activeOwner != address(0)) {
+            balances[activeOwner].availableDeposits += SafeCast.toUint128(remainder);
+        } else {
+            burnedPremiums += remainder;
+        }
+    }
+
+    /// Take amount out of account's available credits.
+    function withdrawFor(
+        address account,
+        address payable recipient,
+        uint256 amount
+    ) internal {
+        Balance storage balance = balances[account];
+
+        if (amount > balance.availableDeposits)
+            revert WithdrawAmountExceedsAvailableDeposits(balance.availableDeposits);
+
+        unchecked {
+            balance.availableDeposits -= uint128(amount);
+        }
+
+        emit Withdrawn(account, recipient, amount);
+        sendValue(recipient, amount);
+    }
+
+    /// Add the funds sent along with the call to account's available deposits.
+    function receivePayment(address account) internal virtual {
+        if (msg.value == 0) return;
+        balances[account].availableDeposits += SafeCast.toUint128(msg.value);
+        emit Deposited(account, msg.value);
+    }
+
+    /// Make sure account's available deposits cover amount before they are spent, if the deployment can.
+    /// @dev Callers check the available deposits afterwards, and must be nonReentrant.
+    function coverDeposits(
+        address account,
+        Balance storage balance,
+        uint256 amount
+    ) internal virtual {}
+
+    /// The time that timed helpings' time limits and queue deadlines are measured in: the block number, unless the
+    /// deployment measures them in seconds.
+    function currentTime() internal view virtual returns (uint256) {
+        return block.number;
+    }
+
+    /// @dev Forwards all gas. Callers must update balances first and be nonReentrant.
+    function sendValue(address recipient, uint256 amount) internal virtual {
+        (bool success, ) = recipient.call{value: amount}("");
+        if (!success) revert TransferFailed(recipient, amount);
+    }
+
+    function settleCombo(uint256 comboId) internal returns (bool) {
+        // A combo that doesn't exist has an empty double helping, which never expires.
+        if (!isActiveHelpingExpired(comboId)) return false;
+
+        (uint256 comboPrice, uint256 timeLimit) = comboPriceAndTimeLimit(comboId);
+        removeActiveHelping(comboId, comboPrice, timeLimit);
+
+        uint256 reward = keeperReward < devFund ? keeperReward : devFund;
+        devFund -= reward;
+        balances[msg.sender].availableDeposits += SafeCast.toUint128(reward);
+        emit Settled(comboId, msg.sender, reward);
+        return true;
+    }
+
     function removeActiveHelpingIfExpired(
         uint256 comboId,
         uint256 comboPrice,
@@ -528,7 +1584,8 @@ contract SpicyCombos is Ownable {
         uint256 timeLimit
     ) internal {
         Combo storage combo = combos[comboId];
-        Helping storage helping = combo.activeHelping;
+        uint256 helpingId = combo.activeHelpingId;
+        Helping storage helping = combo.helpings[helpingId];
         address owner = helping.owner;
         uint256 depositsReceived = helping.depositsReceived;
         Balance storage balance = balances[owner];
@@ -536,40 +1593,222 @@ contract SpicyCombos is Ownable {
         if (depositsReceived == 0) {
             if (helping.helpingType == HelpingType.DoubleHelping)
                 // We didn't get any deposits, so we get credits.
-                balance.availableCredits += comboPrice;
+                balance.availableCredits += SafeCast.toUint128(comboPrice);
         } else {
             uint256 earnedAmount = comboPrice * depositsReceived;
             if (helping.helpingType == HelpingType.TimedHelping) {
-                // dev fund gets 10% of deposits after the first
-                devFund += (earnedAmount - comboPrice) / 10;
-                // we get 100% of the first deposit and 90% of each one after that
-                earnedAmount = comboPrice + ((earnedAmount - comboPrice) * 9) / 10;
+                uint256 feeBasisPoints = fees.timedHelpingFeeBasisPoints;
+                // dev fund gets its cut of deposits after the first
+                devFund += ((earnedAmount - comboPrice) * feeBasisPoints) / BASIS_POINTS;
+                // we get 100% of the first deposit and the rest of each one after that
+                earnedAmount = comboPrice + ((earnedAmount - comboPrice) * (BASIS_POINTS - feeBasisPoints)) / BASIS_POINTS;
             }
-            balance.availableDeposits += earnedAmount;
+            balance.availableDeposits += SafeCast.toUint128(earnedAmount);
         }
 
-        if (helping.usingCredits) {
-            balance.creditsInUse -= comboPrice;
-        } else {
-            balance.depositsInUse -= comboPrice;
-        }
+        releaseInUse(balance, helping.usingCredits, comboPrice);
 
-        delete combo.helpings[owner];
+        deleteHelping(combo, comboId, helpingId);
         // If there's a queue, remove the first entry and make it the new active helping.
         if (PriQueue.length(combo.queue) != 0) {
             QueueEntry memory first = PriQueue.removeFirst(combo.queue);
-            combo.activeHelping = combo.helpings[first.addr];
-            emit NewActiveHelping(comboId, first.addr);
-            combo.activeHelping.expiration = block.number + timeLimit; // When a helping becomes the active one, start the timer.
-        } else delete combo.activeHelping;
+            ++combo.activations;
+            // The deposits held for the queue were the removed helping's earnings.
+            combo.queuedDepositsHeld = 0;
+            combo.activeHelpingId = first.id;
+            Helping storage next = combo.helpings[first.id];
+            emit NewActiveHelping(comboId, first.id, next.owner);
+            premiumUsed(comboId, first.id, next.owner, first.priority, owner);
+            // When a helping becomes the active one, start the timer.
+            next.expiration = uint64(currentTime() + timeLimit);
+        } else {
+            combo.activeHelpingId = 0;
+            liveComboIds.remove(comboId);
+        }
+
+        emit HelpingRemoved(comboId, helpingId, owner, combo.activeHelpingId == 0);
+    }
+
+    /// Take the comboPrice a helping held out of the balance's credits or deposits in use.
+    function releaseInUse(
+        Balance storage balance,
+        bool usingCredits,
+        uint256 comboPrice
+    ) internal {
+        if (usingCredits) {
+            balance.creditsInUse -= SafeCast.toUint128(comboPrice);
+        } else {
+            balance.depositsInUse -= SafeCast.toUint128(comboPrice);
+        }
+    }
+
+    /// Delete a helping and burn its receipt.
+    function deleteHelping(
+        Combo storage combo,
+        uint256 comboId,
+        uint256 helpingId
+    ) internal {
+        address owner = combo.helpings[helpingId].owner;
+        delete combo.helpings[helpingId];
+        forgetHelping(combo, comboId, owner, helpingId);
+        if (address(helpingReceipts) != address(0)) helpingReceipts.burn(helpingId);
+    }
 
-        emit HelpingRemoved(comboId, owner, !combo.activeHelping.exists);
+    /// Forget helpingId as one of owner's helpings, and the combo as one of owner's combos if it was their last there.
+    function forgetHelping(
+        Combo storage combo,
+        uint256 comboId,
+        address owner,
+        uint256 helpingId
+    ) internal {
+        EnumerableSet.UintSet storage helpingIds = combo.ownerHelpingIds[owner];
+        helpingIds.remove(helpingId);
+        if (helpingIds.length() == 0) ownerComboIds[owner].remove(comboId);
+    }
+
+    /// The ID of owner's helping in the combo, or zero if owner has none.
+    /// Reverts with MoreThanOneHelping if owner has several, since it's ambiguous which one is meant.
+    function helpingIdOf(uint256 comboId, address owner) internal view returns (uint256) {
+        EnumerableSet.UintSet storage helpingIds = combos[comboId].ownerHelpingIds[owner];
+        uint256 count = helpingIds.length();
+        if (count > 1) revert MoreThanOneHelping(count);
+        return count == 0 ? 0 : helpingIds.at(0);
+    }
+
+    function helpingDetails(uint256 comboId, uint256 helpingId)
+        internal
+        view
+        returns (
+            bool exists,
+            bool isDoubleHelping,
+            bool usingCredits,
+            bool isActiveHelping,
+            uint256 premium
+        )
+    {
+        Combo storage combo = combos[comboId];
+        Helping storage helping = combo.helpings[helpingId];
+        exists = helping.exists;
+        if (exists) {
+            isDoubleHelping = helping.helpingType == HelpingType.DoubleHelping;
+            usingCredits = helping.usingCredits;
+            isActiveHelping = combo.activeHelpingId == helpingId;
+            if (!isActiveHelping) premium = PriQueue.getById(combo.queue, helpingId).priority;
+        }
+    }
+
+    /// Revert with ValueOutOfRange unless the digits and zeros are those of a combo. See comboValuesInRange.
+    function checkComboValues(
+        uint256 amountDigit1,
+        uint256 amountDigit2,
+        uint256 amountZeros,
+        uint256 blocksDigit1,
+        uint256 blocksDigit2,
+        uint256 blocksZeros
+    ) internal pure {
+        if (amountDigit1 == 0 || amountDigit1 > 9) {
+            revert ValueOutOfRange("amountDigit1", 1, 9);
+        }
+        if (amountDigit2 > 9) {
+            revert ValueOutOfRange("amountDigit2", 0, 9);
+        }
+        if (amountZeros > 9) {
+            revert ValueOutOfRange("amountZeros", 0, 9);
+        }
+        if (blocksDigit1 == 0 || blocksDigit1 > 9) {
+            revert ValueOutOfRange("blocksDigit1", 1, 9);
+        }
+        if (blocksDigit2 > 9) {
+            revert ValueOutOfRange("blocksDigit2", 0, 9);
+        }
+        if (blocksZeros > 6) {
+            revert ValueOutOfRange("blocksZeros", 0, 6);
+        }
+    }
+
+    /// computeComboId(), reverting with ValueOutOfRange for values that don't define a combo.
+    function validComboId(
+        uint256 amountDigit1,
+        uint256 amountDigit2,
+        uint256 amountZeros,
+        uint256 blocksDigit1,
+        uint256 blocksDigit2,
+        uint256 blocksZeros
+    )
+        internal
+        pure
+        comboValuesInRange(amountDigit1, amountDigit2, amountZeros, blocksDigit1, blocksDigit2, blocksZeros)
+        returns (uint256)
+    {
+        return computeComboId(amountDigit1, amountDigit2, amountZeros, blocksDigit1, blocksDigit2, blocksZeros);
+    }
+
+    function comboPriceAndTimeLimit(uint256 comboId) internal view returns (uint256 comboPrice, uint256 timeLimit) {
+        (
+            uint256 amountDigit1,
+            uint256 amountDigit2,
+            uint256 amountZeros,
+            uint256 blocksDigit1,
+            uint256 blocksDigit2,
+            uint256 blocksZeros
+        ) = decomposeComboId(comboId);
+        comboPrice = computePrice(amountDigit1, amountDigit2, amountZeros);
+        timeLimit = computeValue(blocksDigit1, blocksDigit2, blocksZeros);
+    }
+
+    function summarizeCombos(
+        EnumerableSet.UintSet storage comboIds,
+        uint256 offset,
+        uint256 limit
+    ) internal view returns (ComboSummary[] memory summaries, uint256 total) {
+        total = comboIds.length();
+        if (offset >= total) return (summaries, total);
+
+        uint256 end = limit > total - offset ? total : offset + limit;
+        summaries = new ComboSummary[](end - offset);
+        for (uint256 i = offset; i < end; ++i) {
+            summaries[i - offset] = summarizeCombo(comboIds.at(i));
+        }
+    }
+
+    function summarizeCombo(uint256 comboId) internal view returns (ComboSummary memory summary) {
+        Combo storage combo = combos[comboId];
+        Helping storage activeHelping = combo.helpings[combo.activeHelpingId];
+        summary.comboId = comboId;
+        (
+            summary.amountDigit1,
+            summary.amountDigit2,
+            summary.amountZeros,
+            summary.blocksDigit1,
+            summary.blocksDigit2,
+            summary.blocksZeros
+        ) = decomposeComboId(comboId);
+        summary.comboPrice = computePrice(summary.amountDigit1, summary.amountDigit2, summary.amountZeros);
+        summary.queueLength = PriQueue.length(combo.queue);
+        if (summary.queueLength != 0) summary.premium = PriQueue.getFirst(combo.queue).priority;
+        summary.activeHelpingExists = activeHelping.exists;
+        summary.activeHelpingOwner = activeHelping.owner;
+        summary.activeHelpingIsDoubleHelping = activeHelping.helpingType == HelpingType.DoubleHelping;
+        summary.activeHelpingDeposits = activeHelping.depositsReceived;
+        summary.activeHelpingExpiration = activeHelping.expiration;
+        summary.activeHelpingIsExpired = isActiveHelpingExpired(comboId);
+        summary.activeHelpingId = combo.activeHelpingId;
     }
 
     function isActiveHelpingExpired(uint256 comboId) internal view returns (bool) {
-        Helping storage helping = combos[comboId].activeHelping;
+        Combo storage combo = combos[comboId];
+        // With no active helping this is the empty helping 0, which never expires.
+        Helping storage helping = combo.helpings[combo.activeHelpingId];
         return
             (helping.helpingType == HelpingType.DoubleHelping && helping.depositsReceived >= 2) ||
-            (helping.helpingType == HelpingType.TimedHelping && block.number >= helping.expiration);
+            (helping.helpingType == HelpingType.TimedHelping && currentTime() >= helping.expiration);
+    }
+
+    /// The queueDeadline of a helping added now with the given maxQueueWait, zero for defaultMaxQueueWait.
+    function queueDeadlineFor(uint256 maxQueueWait) internal view returns (uint64) {
+        if (maxQueueWait == 0) maxQueueWait = defaultMaxQueueWait;
+        uint256 time = currentTime();
+        if (maxQueueWait == 0 || maxQueueWait >= type(uint64).max - time) return 0;
+        return uint64(time + maxQueueWait);
     }
 }
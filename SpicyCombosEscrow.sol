@@ -0,0 +1,63 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+pragma solidity ^0.8.7;
+
+import "./SpicyCombos.sol";
+
+/// SpicyCombos where a premium is only paid once it has been used: when its helping becomes the active helping.
+///
+/// Until then, the premiums paid with addHelping() and increasePremium() for a queued helping are held in escrow, and
+/// a helping that leaves the queue any other way, by removeHelping(), expireQueuedHelpings() or emergencyExit(), gets
+/// its whole premium back as available deposits. When the helping becomes the active helping, its premium is split
+/// between the dev fund and the owner of the active helping it replaced by the fees in effect then. A helping that
+/// becomes the active helping as soon as it is added pays its premium at once.
+///
+/// PremiumEscrowed, PremiumCollected and PremiumRefunded show where each premium went.
+contract SpicyCombosEscrow is SpicyCombos {
+    /// The premiums of queued helpings, held until the helpings become active or leave the queue.
+    uint256 public escrowedPremiums = 0;
+
+    /// @param minValue_ the minimum value that can be deposited.
+    constructor(uint256 minValue_) SpicyCombos(minValue_) {}
+
+    function payPremium(
+        Combo storage combo,
+        uint256 comboId,
+        uint256 helpingId,
+        uint256 premium
+    ) internal override {
+        if (premium == 0) return;
+        address owner = combo.helpings[helpingId].owner;
+        if (combo.activeHelpingId == 0) {
+            super.payPremium(combo, comboId, helpingId, premium);
+            emit PremiumCollected(comboId, helpingId, owner, premium);
+        } else {
+            escrowedPremiums += premium;
+            emit PremiumEscrowed(comboId, helpingId, owner, premium);
+        }
+    }
+
+    function refundPremium(
+        uint256 comboId,
+        uint256 helpingId,
+        address owner,
+        uint256 premium
+    ) internal override {
+        if (premium == 0) return;
+        escrowedPremiums -= premium;
+        balances[owner].availableDeposits += SafeCast.toUint128(premium);
+        emit PremiumRefunded(comboId, helpingId, owner, premium);
+    }
+
+    function premiumUsed(
+        uint256 comboId,
+        uint256 helpingId,
+        address owner,
+        uint256 premium,
+        address previousOwner
+    ) internal override {
+        if (premium == 0) return;
+        escrowedPremiums -= premium;
+        distributePremium(premium, previousOwner);
+        emit PremiumCollected(comboId, helpingId, owner, premium);
+    }
+}
@@ -0,0 +1,32 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+pragma solidity ^0.8.7;
+
+import "@openzeppelin/contracts@4.9.3/interfaces/IERC6372.sol";
+import "./SpicyCombos.sol";
+
+/// SpicyCombos with time limits in seconds instead of blocks, for chains where blocks don't come at a steady pace.
+///
+/// The blocks digits of a combo give its time limit in seconds: "0.25 ETH / 15 seconds" has the same comboId as
+/// "0.25 ETH / 15 blocks" elsewhere. A timed helping expires once block.timestamp reaches its expiration, which
+/// comboInfo() reports as a timestamp, and maximum queue waits and queue deadlines are in seconds too. Operator
+/// approvals and signed intents still expire at a block number.
+///
+/// clock() and CLOCK_MODE() follow ERC-6372, so that clients can tell which unit a deployment uses.
+contract SpicyCombosTimestamp is SpicyCombos, IERC6372 {
+    /// @param minValue_ the minimum value that can be deposited.
+    constructor(uint256 minValue_) SpicyCombos(minValue_) {}
+
+    /// The current block.timestamp.
+    function clock() public view returns (uint48) {
+        return uint48(block.timestamp);
+    }
+
+    /// That clock() is block.timestamp, as ERC-6372 spells it.
+    function CLOCK_MODE() public pure returns (string memory) {
+        return "mode=timestamp";
+    }
+
+    function currentTime() internal view override returns (uint256) {
+        return block.timestamp;
+    }
+}
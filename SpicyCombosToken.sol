@@ -0,0 +1,80 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+pragma solidity ^0.8.7;
+
+import "@openzeppelin/contracts@4.9.3/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts@4.9.3/token/ERC20/extensions/IERC20Permit.sol";
+import "@openzeppelin/contracts@4.9.3/token/ERC20/utils/SafeERC20.sol";
+import "./SpicyCombos.sol";
+
+/// SpicyCombos denominated in an ERC-20 token instead of ETH. minValue, combo prices, premiums, fees and every balance
+/// are amounts of the token.
+///
+/// Deposits are pulled from your wallet with transferFrom, so approve this contract to spend the token first, or use
+/// depositTokensWithPermit(). Whenever addHelping(), increasePremium() or a batch needs more than your available
+/// deposits, the shortfall is pulled the same way. Withdrawals transfer the token back.
+///
+/// That includes batches performed on your behalf. An operator's batchFor() pulls from your wallet too, but never more
+/// than its depositsAllowance and premiumsAllowance together, since batchFor() checks those before performing any
+/// action. batchBySig() pulls only what the actions and relayer fee that you signed need.
+///
+/// Tokens that don't return a bool from transfer functions are supported. Tokens that charge a fee on transfer are
+/// rejected with TokenTransferAmountMismatch, as are rebasing tokens whenever a transfer doesn't deliver the exact
+/// amount; a token whose balances change without transfers would break the contract's accounting and must not be used.
+contract SpicyCombosToken is SpicyCombos {
+    using SafeERC20 for IERC20;
+
+    IERC20 public immutable token;
+
+    error EtherNotAccepted();
+    error TokenTransferAmountMismatch(uint256 amount, uint256 received);
+
+    /// @param token_ the ERC-20 token that everything is paid in.
+    /// @param minValue_ the minimum value that can be deposited, in token units.
+    constructor(IERC20 token_, uint256 minValue_) SpicyCombos(minValue_) {
+        token = token_;
+    }
+
+    /// Pull amount of the token from your wallet into your available deposits.
+    function depositTokens(uint256 amount) external nonReentrant {
+        pullTokens(msg.sender, amount);
+    }
+
+    /// depositTokens() with an EIP-2612 permit for this contract to spend amount, so no approval is needed first.
+    /// A permit that someone else already submitted is fine.
+    function depositTokensWithPermit(
+        uint256 amount,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external nonReentrant {
+        try IERC20Permit(address(token)).permit(msg.sender, address(this), amount, deadline, v, r, s) {} catch {}
+        pullTokens(msg.sender, amount);
+    }
+
+    function receivePayment(address) internal view override {
+        if (msg.value != 0) revert EtherNotAccepted();
+    }
+
+    function coverDeposits(
+        address account,
+        Balance storage balance,
+        uint256 amount
+    ) internal override {
+        if (balance.availableDeposits < amount) pullTokens(account, amount - balance.availableDeposits);
+    }
+
+    function sendValue(address recipient, uint256 amount) internal override {
+        token.safeTransfer(recipient, amount);
+    }
+
+    /// Transfer amount of the token from account to this contract and add it to account's available deposits.
+    function pullTokens(address account, uint256 amount) internal {
+        uint256 balanceBefore = token.balanceOf(address(this));
+        token.safeTransferFrom(account, address(this), amount);
+        uint256 received = token.balanceOf(address(this)) - balanceBefore;
+        if (received != amount) revert TokenTransferAmountMismatch(amount, received);
+        balances[account].availableDeposits += SafeCast.toUint128(amount);
+        emit Deposited(account, amount);
+    }
+}
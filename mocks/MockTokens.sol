@@ -0,0 +1,75 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+pragma solidity ^0.8.7;
+
+import "@openzeppelin/contracts@4.9.3/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts@4.9.3/token/ERC20/extensions/ERC20Permit.sol";
+
+// Tokens for testing SpicyCombosToken. Anyone can mint them.
+
+/// A stablecoin-like token with 6 decimals and EIP-2612 permits.
+contract MockToken is ERC20Permit {
+    constructor() ERC20("Mock Dollar", "MUSD") ERC20Permit("Mock Dollar") {}
+
+    function decimals() public pure override returns (uint8) {
+        return 6;
+    }
+
+    function mint(address account, uint256 amount) external {
+        _mint(account, amount);
+    }
+}
+
+/// A token that burns 1% of every transfer.
+contract FeeOnTransferToken is ERC20 {
+    constructor() ERC20("Fee On Transfer", "FEE") {}
+
+    function mint(address account, uint256 amount) external {
+        _mint(account, amount);
+    }
+
+    function _transfer(
+        address from,
+        address to,
+        uint256 amount
+    ) internal override {
+        uint256 fee = amount / 100;
+        _burn(from, fee);
+        super._transfer(from, to, amount - fee);
+    }
+}
+
+/// A token whose transfer functions return nothing, like some early tokens.
+contract NoReturnToken {
+    mapping(address => uint256) public balanceOf;
+    mapping(address => mapping(address => uint256)) public allowance;
+
+    function mint(address account, uint256 amount) external {
+        balanceOf[account] += amount;
+    }
+
+    function approve(address spender, uint256 amount) external {
+        allowance[msg.sender][spender] = amount;
+    }
+
+    function transfer(address to, uint256 amount) external {
+        move(msg.sender, to, amount);
+    }
+
+    function transferFrom(
+        address from,
+        address to,
+        uint256 amount
+    ) external {
+        allowance[from][msg.sender] -= amount;
+        move(from, to, amount);
+    }
+
+    function move(
+        address from,
+        address to,
+        uint256 amount
+    ) internal {
+        balanceOf[from] -= amount;
+        balanceOf[to] += amount;
+    }
+}
@@ -0,0 +1,36 @@
+// Keep a JSON index of a deployed SpicyCombos contract up to date.
+// Usage: node scripts/indexer.js <contract address> [rpc url] [store path] [start block] [poll seconds]
+import { providers } from 'ethers'
+import { Indexer, JsonStore } from '../sdk/index.js'
+
+const [
+    address,
+    rpcUrl = 'http://127.0.0.1:8545',
+    storePath = 'spicy-combos-index.json',
+    startBlock = '0',
+    pollSeconds = '5',
+] = process.argv.slice(2)
+
+if (!address) {
+    console.error('usage: node scripts/indexer.js <contract address> [rpc url] [store path] [start block] [poll seconds]')
+    process.exit(1)
+}
+
+const indexer = new Indexer({
+    address,
+    provider: new providers.JsonRpcProvider(rpcUrl),
+    store: new JsonStore(storePath),
+    startBlock: Number(startBlock),
+})
+
+async function poll() {
+    try {
+        const lastBlock = await indexer.sync()
+        console.log(`indexed through block ${lastBlock}: ${indexer.listCombos().length} live combos`)
+    } catch (e) {
+        console.error('sync failed', e)
+    }
+    setTimeout(poll, Number(pollSeconds) * 1000)
+}
+
+poll()
@@ -0,0 +1,29 @@
+// Settle expired active helpings of a deployed SpicyCombos contract, earning the keeper reward.
+// Usage: node scripts/keeper.js <contract address> [rpc url] [start block] [poll seconds]
+// Transactions are sent from the node's first account, or from the private key in SPICY_KEEPER_KEY.
+import { Wallet, providers } from 'ethers'
+import { Keeper } from '../sdk/index.js'
+
+const [address, rpcUrl = 'http://127.0.0.1:8545', startBlock = '0', pollSeconds = '5'] = process.argv.slice(2)
+
+if (!address) {
+    console.error('usage: node scripts/keeper.js <contract address> [rpc url] [start block] [poll seconds]')
+    process.exit(1)
+}
+
+const provider = new providers.JsonRpcProvider(rpcUrl)
+const signer = process.env.SPICY_KEEPER_KEY ? new Wallet(process.env.SPICY_KEEPER_KEY, provider) : provider.getSigner()
+const keeper = new Keeper({ address, signer, startBlock: Number(startBlock) })
+
+async function poll() {
+    try {
+        const settled = await keeper.poll()
+        if (settled.length) console.log(`settled combos ${settled.join(', ')}`)
+        console.log(`watched through block ${keeper.lastBlock}: ${keeper.expirations.size} active timed helpings`)
+    } catch (e) {
+        console.error('poll failed', e)
+    }
+    setTimeout(poll, Number(pollSeconds) * 1000)
+}
+
+poll()
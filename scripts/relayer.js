@@ -0,0 +1,22 @@
+// Execute signed SpicyCombos intents POSTed as JSON, paying their gas and earning their relayer fees.
+// Usage: node scripts/relayer.js <contract address> [rpc url] [port] [minimum relayer fee in ETH]
+// Transactions are sent from the node's first account, or from the private key in SPICY_RELAYER_KEY.
+import { Wallet, providers, utils } from 'ethers'
+import { Relayer } from '../sdk/index.js'
+
+const [address, rpcUrl = 'http://127.0.0.1:8545', port = '8546', minRelayerFee = '0'] = process.argv.slice(2)
+
+if (!address) {
+    console.error('usage: node scripts/relayer.js <contract address> [rpc url] [port] [minimum relayer fee in ETH]')
+    process.exit(1)
+}
+
+const provider = new providers.JsonRpcProvider(rpcUrl)
+const key = process.env.SPICY_RELAYER_KEY
+const signer = key ? new Wallet(key, provider) : provider.getSigner()
+const relayer = new Relayer({ address, signer, minRelayerFee: utils.parseEther(minRelayerFee) })
+
+relayer.listen(Number(port)).then((server) => {
+    const { address: host, port } = server.address()
+    console.log(`relaying intents POSTed to http://${host}:${port}/`)
+})
@@ -0,0 +1,6 @@
+#!/usr/bin/env node
+// Operate a deployed SpicyCombos contract from the command line.
+// Usage: node scripts/spicy.js [options] <command> [arguments]; run with --help for the commands.
+import { runCli } from '../sdk/index.js'
+
+process.exitCode = await runCli(process.argv.slice(2))
@@ -0,0 +1,37 @@
+// Notify the owners of helpings in a deployed SpicyCombos contract about what happens to them.
+// Usage: node scripts/watcher.js <contract address> <owner,owner,...> [rpc url] [start block] [poll seconds]
+// Notifications are printed, and also POSTed to SPICY_WEBHOOK_URL and appended to SPICY_NOTIFY_FILE when they are set.
+// SPICY_WARN_BLOCKS is how many blocks before it expires to warn about an active timed helping (default 10).
+import { providers } from 'ethers'
+import { ConsoleNotifier, FileNotifier, Watcher, WebhookNotifier } from '../sdk/index.js'
+
+const [address, owners, rpcUrl = 'http://127.0.0.1:8545', startBlock = '0', pollSeconds = '5'] = process.argv.slice(2)
+
+if (!address || !owners) {
+    console.error('usage: node scripts/watcher.js <contract address> <owner,owner,...> [rpc url] [start block] [poll seconds]')
+    process.exit(1)
+}
+
+const notifiers = [new ConsoleNotifier()]
+if (process.env.SPICY_WEBHOOK_URL) notifiers.push(new WebhookNotifier(process.env.SPICY_WEBHOOK_URL))
+if (process.env.SPICY_NOTIFY_FILE) notifiers.push(new FileNotifier(process.env.SPICY_NOTIFY_FILE))
+
+const watcher = new Watcher({
+    address,
+    provider: new providers.JsonRpcProvider(rpcUrl),
+    addresses: owners.split(','),
+    notifiers,
+    startBlock: Number(startBlock),
+    warnBlocks: Number(process.env.SPICY_WARN_BLOCKS || 10),
+})
+
+async function poll() {
+    try {
+        await watcher.poll()
+    } catch (e) {
+        console.error('poll failed', e)
+    }
+    setTimeout(poll, Number(pollSeconds) * 1000)
+}
+
+poll()
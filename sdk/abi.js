@@ -0,0 +1,202 @@
+// Human-readable ABI for SpicyCombos.sol. Keep in sync with the contract: tests/AbiTest.js compares each ABI here with
+// the compiled contract.
+export const spicyCombosAbi = [
+    'constructor(uint256 minValue_)',
+
+    'event HelpingAdded(uint256 indexed comboId, uint256 helpingId, address indexed owner, address indexed depositRecipient, uint256 depositAmount, bool usingCredits, bool doubleHelping, uint256 premium, bool createdCombo)',
+    'event HelpingRemoved(uint256 indexed comboId, uint256 helpingId, address indexed owner, bool indexed removedCombo)',
+    'event PremiumIncreased(uint256 indexed comboId, uint256 helpingId, address indexed owner, uint256 newPremium)',
+    'event NewActiveHelping(uint256 indexed comboId, uint256 helpingId, address indexed owner)',
+    'event Settled(uint256 indexed comboId, address indexed keeper, uint256 reward)',
+    'event KeeperRewardChanged(uint256 keeperReward)',
+    'event DefaultMaxQueueWaitChanged(uint64 defaultMaxQueueWait)',
+    'event QueuedHelpingExpired(uint256 indexed comboId, uint256 helpingId, address indexed owner)',
+    'event PremiumEscrowed(uint256 indexed comboId, uint256 helpingId, address indexed owner, uint256 amount)',
+    'event PremiumCollected(uint256 indexed comboId, uint256 helpingId, address indexed owner, uint256 amount)',
+    'event PremiumRefunded(uint256 indexed comboId, uint256 helpingId, address indexed owner, uint256 amount)',
+    'event Deposited(address indexed account, uint256 amount)',
+    'event Withdrawn(address indexed account, address indexed recipient, uint256 amount)',
+    'event DevFundWithdrawn(address indexed recipient, uint256 amount)',
+    'event FeeChangeQueued(uint256 timedHelpingFeeBasisPoints, uint256 premiumDevFundBasisPoints, bool redistributePremiumRemainder, uint256 eta)',
+    'event FeeChangeExecuted(uint256 timedHelpingFeeBasisPoints, uint256 premiumDevFundBasisPoints, bool redistributePremiumRemainder)',
+    'event FeeChangeCancelled()',
+    'event Paused(address account)',
+    'event Unpaused(address account)',
+    'event EmergencyExitEnabled()',
+    'event EmergencyExit(uint256 indexed comboId, uint256 helpingId, address indexed owner, uint256 deposits, uint256 credits)',
+    'event OperatorApproved(address indexed owner, address indexed operator, uint256 depositsAllowance, uint256 creditsAllowance, uint256 premiumsAllowance, uint64 expiration)',
+    'event IntentExecuted(address indexed owner, uint256 nonce, address indexed relayer, uint256 relayerFee)',
+    'event CreditsTransferred(address indexed from, address indexed to, uint256 amount)',
+    'event CreditOfferCreated(uint256 indexed offerId, address indexed seller, uint256 credits, uint256 priceBasisPoints)',
+    'event CreditOfferCancelled(uint256 indexed offerId, address indexed seller, uint256 credits)',
+    'event HelpingReceiptsSet(address helpingReceipts)',
+    'event HelpingTransferred(uint256 indexed comboId, uint256 helpingId, address indexed from, address indexed to)',
+    'event CreditsBought(uint256 indexed offerId, address indexed buyer, address indexed seller, uint256 credits, uint256 price)',
+    'event OwnershipTransferred(address indexed previousOwner, address indexed newOwner)',
+
+    'error ValueOutOfRange(string parameter, uint256 allowedMinimum, uint256 allowedMaximum)',
+    'error NotEnoughAvailableCredits(uint256 availableCredits, uint256 comboPrice)',
+    'error NotEnoughAvailableDeposits(uint256 availableDeposits, uint256 comboPrice)',
+    'error NotEnoughAvailableDepositsForPremium(uint256 availableDeposits)',
+    'error WithdrawAmountExceedsAvailableDeposits(uint256 availableDeposits)',
+    'error CreatorOnlyIncompatibleWithUseCredits()',
+    'error CreatorOnlyUnsuccessful()',
+    'error HelpingNotFoundForCaller()',
+    'error CannotIncreasePremiumOfActiveHelping()',
+    'error RemovingActiveTimedHelpingNotAllowed()',
+    'error MoreThanOneHelping(uint256 helpingsInCombo)',
+    'error BatchActionFailed(uint256 index, bytes reason)',
+    'error OnlyCallableByThisContract()',
+    'error TransferFailed(address recipient, uint256 amount)',
+    'error NoFeeChangeQueued()',
+    'error FeeChangeNotReady(uint256 eta)',
+    'error EmergencyExitNotEnabled()',
+    'error EmergencyExitAlreadyEnabled()',
+    'error OperatorNotApproved(address owner, address operator)',
+    'error OperatorAllowanceExceeded(string allowance, uint256 remaining)',
+    'error IntentExpired(uint256 deadline)',
+    'error InvalidSignature()',
+    'error NotEnoughAvailableDepositsForRelayerFee(uint256 availableDeposits)',
+    'error CreditAmountExceedsAvailableCredits(uint256 availableCredits)',
+    'error CreditOfferNotFound(uint256 offerId)',
+    'error CreditOfferAmountExceeded(uint256 credits)',
+    'error NotEnoughAvailableDepositsForCredits(uint256 availableDeposits, uint256 price)',
+    'error HelpingReceiptsCannotBeSet()',
+    'error OnlyCallableByHelpingReceipts()',
+
+    'function BASIS_POINTS() view returns (uint256)',
+    'function MAX_TIMED_HELPING_FEE_BASIS_POINTS() view returns (uint256)',
+    'function FEE_CHANGE_DELAY() view returns (uint256)',
+    'function devFund() view returns (uint256)',
+    'function burnedPremiums() view returns (uint256)',
+    'function fees() view returns (uint256 timedHelpingFeeBasisPoints, uint256 premiumDevFundBasisPoints, bool redistributePremiumRemainder)',
+    'function pendingFees() view returns (uint256 timedHelpingFeeBasisPoints, uint256 premiumDevFundBasisPoints, bool redistributePremiumRemainder)',
+    'function pendingFeesEta() view returns (uint256)',
+    'function keeperReward() view returns (uint256)',
+    'function paused() view returns (bool)',
+    'function emergencyExitEnabled() view returns (bool)',
+    'function minValue() view returns (uint256)',
+    'function helpingCount() view returns (uint256)',
+    'function defaultMaxQueueWait() view returns (uint64)',
+    'function helpingReceipts() view returns (address)',
+    'function owner() view returns (address)',
+    'function renounceOwnership()',
+    'function transferOwnership(address newOwner)',
+    'function balances(address) view returns (uint128 availableDeposits, uint128 depositsInUse, uint128 availableCredits, uint128 creditsInUse)',
+    'function operatorApprovals(address, address) view returns (uint256 depositsAllowance, uint256 creditsAllowance, uint256 premiumsAllowance, uint64 expiration)',
+    'function nonces(address) view returns (uint256)',
+    'function creditOfferCount() view returns (uint256)',
+    'function creditOffers(uint256 offerId) view returns (address seller, uint256 credits, uint256 priceBasisPoints)',
+    'function withdrawDevFund()',
+    'function setKeeperReward(uint256 keeperReward_)',
+    'function setDefaultMaxQueueWait(uint64 defaultMaxQueueWait_)',
+    'function setHelpingReceipts(address helpingReceipts_)',
+    'function queueFeeChange(tuple(uint256 timedHelpingFeeBasisPoints, uint256 premiumDevFundBasisPoints, bool redistributePremiumRemainder) newFees)',
+    'function executeFeeChange()',
+    'function cancelFeeChange()',
+    'function pause()',
+    'function unpause()',
+    'function enableEmergencyExit()',
+    'function emergencyExit(uint256 amountDigit1, uint256 amountDigit2, uint256 amountZeros, uint256 blocksDigit1, uint256 blocksDigit2, uint256 blocksZeros)',
+    'function emergencyExitById(uint256 helpingId)',
+    'function addHelping(uint256 amountDigit1, uint256 amountDigit2, uint256 amountZeros, uint256 blocksDigit1, uint256 blocksDigit2, uint256 blocksZeros, bool doubleHelping, bool usingCredits, bool creatorOnly, uint256 premium, uint256 maxQueueWait) payable returns (uint256 helpingId)',
+    'function increasePremium(uint256 amountDigit1, uint256 amountDigit2, uint256 amountZeros, uint256 blocksDigit1, uint256 blocksDigit2, uint256 blocksZeros, uint256 increaseByAmount) payable',
+    'function increasePremiumById(uint256 helpingId, uint256 increaseByAmount) payable',
+    'function withdraw(uint256 amount)',
+    'function withdrawTo(address recipient, uint256 amount)',
+    'function withdrawAll() returns (uint256 amount)',
+    'function transferCredits(address to, uint256 amount)',
+    'function offerCredits(uint256 credits, uint256 priceBasisPoints) returns (uint256 offerId)',
+    'function cancelCreditOffer(uint256 offerId)',
+    'function buyCredits(uint256 offerId, uint256 credits) payable',
+    'function transferHelping(address from, address to, uint256 helpingId)',
+    'function removeHelping(uint256 amountDigit1, uint256 amountDigit2, uint256 amountZeros, uint256 blocksDigit1, uint256 blocksDigit2, uint256 blocksZeros)',
+    'function removeHelpingById(uint256 helpingId)',
+    'function batch(tuple(uint8 actionType, uint256 amountDigit1, uint256 amountDigit2, uint256 amountZeros, uint256 blocksDigit1, uint256 blocksDigit2, uint256 blocksZeros, bool doubleHelping, bool usingCredits, bool creatorOnly, uint256 amount, uint256 helpingId, uint256 maxQueueWait)[] actions) payable',
+    'function approveOperator(address operator, uint256 depositsAllowance, uint256 creditsAllowance, uint256 premiumsAllowance, uint64 expiration)',
+    'function batchFor(address owner, tuple(uint8 actionType, uint256 amountDigit1, uint256 amountDigit2, uint256 amountZeros, uint256 blocksDigit1, uint256 blocksDigit2, uint256 blocksZeros, bool doubleHelping, bool usingCredits, bool creatorOnly, uint256 amount, uint256 helpingId, uint256 maxQueueWait)[] actions) payable',
+    'function batchBySig(address owner, tuple(uint8 actionType, uint256 amountDigit1, uint256 amountDigit2, uint256 amountZeros, uint256 blocksDigit1, uint256 blocksDigit2, uint256 blocksZeros, bool doubleHelping, bool usingCredits, bool creatorOnly, uint256 amount, uint256 helpingId, uint256 maxQueueWait)[] actions, uint256 relayerFee, uint256 deadline, bytes signature)',
+    'function withdrawBySig(address owner, address recipient, uint256 amount, uint256 relayerFee, uint256 deadline, bytes signature)',
+    'function performBatchAction(address owner, tuple(uint8 actionType, uint256 amountDigit1, uint256 amountDigit2, uint256 amountZeros, uint256 blocksDigit1, uint256 blocksDigit2, uint256 blocksZeros, bool doubleHelping, bool usingCredits, bool creatorOnly, uint256 amount, uint256 helpingId, uint256 maxQueueWait) action)',
+    'function settle(uint256 amountDigit1, uint256 amountDigit2, uint256 amountZeros, uint256 blocksDigit1, uint256 blocksDigit2, uint256 blocksZeros) returns (bool settled)',
+    'function settleMany(uint256[] comboIds) returns (uint256 settledCount)',
+    'function expireQueuedHelpings(uint256[] helpingIds) returns (uint256 expiredCount)',
+    'function comboInfo(uint256 amountDigit1, uint256 amountDigit2, uint256 amountZeros, uint256 blocksDigit1, uint256 blocksDigit2, uint256 blocksZeros) view returns (uint256 queueLength, uint256 premium, bool activeHelpingExists, address activeHelpingOwner, bool activeHelpingIsDoubleHelping, uint256 activeHelpingDeposits, uint256 activeHelpingExpiration, bool activeHelpingIsExpired, uint256 activeHelpingId)',
+    'function helpingInfo(uint256 amountDigit1, uint256 amountDigit2, uint256 amountZeros, uint256 blocksDigit1, uint256 blocksDigit2, uint256 blocksZeros, address owner) view returns (bool exists, bool isDoubleHelping, bool usingCredits, bool isActiveHelping, uint256 premium, uint256 helpingId)',
+    'function helpingInfoById(uint256 helpingId) view returns (bool exists, address owner, uint256 comboId, bool isDoubleHelping, bool usingCredits, bool isActiveHelping, uint256 premium)',
+    'function helpingIdsOf(uint256 amountDigit1, uint256 amountDigit2, uint256 amountZeros, uint256 blocksDigit1, uint256 blocksDigit2, uint256 blocksZeros, address owner) view returns (uint256[])',
+    'function queueEntries(uint256 amountDigit1, uint256 amountDigit2, uint256 amountZeros, uint256 blocksDigit1, uint256 blocksDigit2, uint256 blocksZeros, uint256 offset, uint256 limit) view returns (tuple(uint256 helpingId, address owner, uint256 premium, uint256 rank, bool isDoubleHelping, bool usingCredits, uint256 queueDeadline)[] helpings, uint256 queueLength)',
+    'function expiredQueueEntries(uint256 amountDigit1, uint256 amountDigit2, uint256 amountZeros, uint256 blocksDigit1, uint256 blocksDigit2, uint256 blocksZeros, uint256 offset, uint256 limit) view returns (tuple(uint256 helpingId, address owner, uint256 premium, uint256 rank, bool isDoubleHelping, bool usingCredits, uint256 queueDeadline)[] helpings, uint256 queueLength)',
+    'function myPosition(uint256 amountDigit1, uint256 amountDigit2, uint256 amountZeros, uint256 blocksDigit1, uint256 blocksDigit2, uint256 blocksZeros, address owner) view returns (uint256 position)',
+    'function liveComboCount() view returns (uint256)',
+    'function liveCombos(uint256 offset, uint256 limit) view returns (tuple(uint256 comboId, uint256 amountDigit1, uint256 amountDigit2, uint256 amountZeros, uint256 blocksDigit1, uint256 blocksDigit2, uint256 blocksZeros, uint256 comboPrice, uint256 queueLength, uint256 premium, bool activeHelpingExists, address activeHelpingOwner, bool activeHelpingIsDoubleHelping, uint256 activeHelpingDeposits, uint256 activeHelpingExpiration, bool activeHelpingIsExpired, uint256 activeHelpingId)[] summaries, uint256 total)',
+    'function comboCountOf(address owner) view returns (uint256)',
+    'function combosOf(address owner, uint256 offset, uint256 limit) view returns (tuple(uint256 comboId, uint256 amountDigit1, uint256 amountDigit2, uint256 amountZeros, uint256 blocksDigit1, uint256 blocksDigit2, uint256 blocksZeros, uint256 comboPrice, uint256 queueLength, uint256 premium, bool activeHelpingExists, address activeHelpingOwner, bool activeHelpingIsDoubleHelping, uint256 activeHelpingDeposits, uint256 activeHelpingExpiration, bool activeHelpingIsExpired, uint256 activeHelpingId)[] summaries, uint256 total)',
+    'function openCreditOfferCount() view returns (uint256)',
+    'function openCreditOffers(uint256 offset, uint256 limit) view returns (uint256[] offerIds, tuple(address seller, uint256 credits, uint256 priceBasisPoints)[] offers, uint256 total)',
+    'function deposit() payable',
+    'function computeComboId(uint256 amountDigit1, uint256 amountDigit2, uint256 amountZeros, uint256 blocksDigit1, uint256 blocksDigit2, uint256 blocksZeros) pure returns (uint256)',
+    'function decomposeComboId(uint256 comboId) pure returns (uint256 amountDigit1, uint256 amountDigit2, uint256 amountZeros, uint256 blocksDigit1, uint256 blocksDigit2, uint256 blocksZeros)',
+    'function computeValue(uint256 digit1, uint256 digit2, uint256 zeros) pure returns (uint256)',
+    'function computePrice(uint256 digit1, uint256 digit2, uint256 zeros) view returns (uint256)',
+]
+
+// Human-readable ABI for HelpingReceipts.sol, the ERC-721 receipts of helpings. Keep in sync with the contract.
+export const helpingReceiptsAbi = [
+    'constructor(address spicyCombos_)',
+
+    'event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)',
+    'event Approval(address indexed owner, address indexed approved, uint256 indexed tokenId)',
+    'event ApprovalForAll(address indexed owner, address indexed operator, bool approved)',
+
+    'error OnlyCallableBySpicyCombos()',
+
+    'function spicyCombos() view returns (address)',
+    'function name() view returns (string)',
+    'function symbol() view returns (string)',
+    'function tokenURI(uint256 helpingId) view returns (string)',
+    'function supportsInterface(bytes4 interfaceId) view returns (bool)',
+    'function balanceOf(address owner) view returns (uint256)',
+    'function ownerOf(uint256 tokenId) view returns (address)',
+    'function getApproved(uint256 tokenId) view returns (address)',
+    'function isApprovedForAll(address owner, address operator) view returns (bool)',
+    'function approve(address to, uint256 tokenId)',
+    'function setApprovalForAll(address operator, bool approved)',
+    'function transferFrom(address from, address to, uint256 tokenId)',
+    'function safeTransferFrom(address from, address to, uint256 tokenId)',
+    'function safeTransferFrom(address from, address to, uint256 tokenId, bytes data)',
+    'function mint(address to, uint256 helpingId)',
+    'function burn(uint256 helpingId)',
+]
+
+// Human-readable ABI for SpicyCombosToken.sol, the ERC-20 denominated deployment. Keep in sync with the contract.
+export const spicyCombosTokenAbi = [
+    ...spicyCombosAbi.filter((fragment) => !fragment.startsWith('constructor(')),
+    'constructor(address token_, uint256 minValue_)',
+    'error EtherNotAccepted()',
+    'error TokenTransferAmountMismatch(uint256 amount, uint256 received)',
+    'function token() view returns (address)',
+    'function depositTokens(uint256 amount)',
+    'function depositTokensWithPermit(uint256 amount, uint256 deadline, uint8 v, bytes32 r, bytes32 s)',
+]
+
+// ERC-6372, which SpicyCombosTimestamp implements to tell clients that it measures time in seconds.
+export const erc6372Abi = ['function clock() view returns (uint48)', 'function CLOCK_MODE() pure returns (string)']
+
+// Human-readable ABI for SpicyCombosTimestamp.sol, where time limits are in seconds. Keep in sync with the contract.
+export const spicyCombosTimestampAbi = [...spicyCombosAbi, ...erc6372Abi]
+
+// Human-readable ABI for SpicyCombosEscrow.sol, where premiums are held until they are used. Keep in sync with the
+// contract.
+export const spicyCombosEscrowAbi = [...spicyCombosAbi, 'function escrowedPremiums() view returns (uint256)']
+
+// The parts of ERC-20 and EIP-2612 that the SDK uses.
+export const erc20Abi = [
+    'function name() view returns (string)',
+    'function symbol() view returns (string)',
+    'function decimals() view returns (uint8)',
+    'function balanceOf(address account) view returns (uint256)',
+    'function allowance(address owner, address spender) view returns (uint256)',
+    'function approve(address spender, uint256 amount) returns (bool)',
+    'function nonces(address owner) view returns (uint256)',
+]
@@ -0,0 +1,494 @@
+import { readFileSync } from 'fs'
+import { parseArgs } from 'util'
+import { BigNumber, Wallet, providers, utils } from 'ethers'
+import { spicyCombosTokenAbi } from './abi.js'
+import { HelpingType, SpicyCombosClient } from './client.js'
+import { Combo, TimeUnit } from './combo.js'
+import { SpicyCombosError } from './errors.js'
+import { comboSnapshot, estimateHelping, premiumForPosition } from './estimator.js'
+
+// The token deployment's ABI has the errors of both deployments.
+const iface = new utils.Interface(spicyCombosTokenAbi)
+
+export const cliUsage = `usage: spicy [options] <command> [arguments]
+
+Combos are given as <amount> <blocks>, where amount is in ETH unless it has a unit, e.g. "0.25 3" or "500gwei 10".
+On deployments that measure time in seconds, <blocks> and other numbers of blocks are numbers of seconds instead.
+<eth> and --premium are amounts of ETH, and so are amounts of credits.
+
+commands:
+  deposit <eth>                                   add to your available deposits
+  withdraw <eth>|all [--to <address>]             withdraw available deposits
+  add <amount> <blocks> --double|--timed          add a helping, paid for from deposits (topped up with ETH)
+      [--credits] [--creator-only] [--premium <eth>]
+      [--max-wait <blocks>|never]                 that anyone can expire once it has waited --max-wait blocks in a
+                                                  queue, by default the deployment's maximum queue wait
+  remove <amount> <blocks> | remove --id <id>     remove your helping in a combo, or the one with a helpingId
+  bump-premium <amount> <blocks> <eth>            increase the premium of your queued helping in a combo
+  bump-premium --id <id> <eth>                    ... or of the one with a helpingId
+  expire <amount> <blocks>                        expire the helpings queued in a combo past their queue deadline,
+                                                  giving their owners credits
+  combo <amount> <blocks>                         show a combo's active helping and queue
+  helping <amount> <blocks> [address]             show an address's helpings in a combo
+  balance [address]                               show an address's deposits and credits
+  transfer-helping <helpingId> <address>          give one of your helpings to another address by transferring its
+                                                  receipt, on deployments with helping receipts
+  send-credits <address> <eth>                    move available credits to another address
+  offer-credits <eth> <price>                     offer available credits for sale at a price in ETH per credit,
+                                                  from 0.0001 to 1
+  cancel-offer <offerId>                          take back the credits left in your credit offer
+  buy-credits <offerId> [eth]                     buy credits from an offer, by default all that are left
+  offers                                          show the credit offers, cheapest first
+  estimate <amount> <blocks> --double|--timed     estimate the wait and payout of a new helping, from the deposits
+      [--credits] [--premium <eth>]               the combo received in the last --history blocks (default 10000),
+      [--position <n>] [--history <blocks>]       and the premium it needs to be at position n in the queue
+  dev-fund                                        show the dev fund
+
+options:
+  --rpc <url>          JSON-RPC endpoint (default: $SPICY_RPC_URL or http://127.0.0.1:8545)
+  --address <address>  the SpicyCombos contract (default: $SPICY_ADDRESS)
+  --key-file <path>    sign with the private key in this file instead of the node's first account, or with
+                       $SPICY_PRIVATE_KEY if that is set
+  --json               print results, and errors, as JSON, with amounts in wei
+  -h, --help           show this help`
+
+const options = {
+    rpc: { type: 'string' },
+    address: { type: 'string' },
+    'key-file': { type: 'string' },
+    json: { type: 'boolean' },
+    help: { type: 'boolean', short: 'h' },
+    double: { type: 'boolean' },
+    timed: { type: 'boolean' },
+    credits: { type: 'boolean' },
+    'creator-only': { type: 'boolean' },
+    premium: { type: 'string' },
+    'max-wait': { type: 'string' },
+    id: { type: 'string' },
+    to: { type: 'string' },
+    position: { type: 'string' },
+    history: { type: 'string' },
+}
+
+/** A mistake in the command line, reported along with the usage. */
+class UsageError extends Error {}
+
+const formatEth = (value) => `${utils.formatEther(value).replace(/\.0$/, '')} ETH`
+
+// BigNumbers as decimal strings, everything else unchanged, recursively.
+function toJson(value) {
+    if (BigNumber.isBigNumber(value)) return value.toString()
+    if (Array.isArray(value)) return value.map(toJson)
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, toJson(entry)]))
+    }
+    return value
+}
+
+// The named arguments of a decoded event or custom error.
+function namedArgs(inputs, values) {
+    return Object.fromEntries(inputs.map((input, i) => [input.name, values[i]]))
+}
+
+// The arguments of a custom error by name, or by position for an error that isn't in the ABI.
+function namedErrorArgs({ errorName, errorArgs }) {
+    const fragment = Object.values(iface.errors).find((error) => error.name === errorName)
+    return fragment ? namedArgs(fragment.inputs, errorArgs) : { ...errorArgs }
+}
+
+function parseEth(value, name) {
+    try {
+        return utils.parseEther(value)
+    } catch (e) {
+        throw new UsageError(`${name} must be an amount of ETH, not "${value}"`)
+    }
+}
+
+function parseAddress(value) {
+    if (!utils.isAddress(value)) throw new UsageError(`"${value}" is not an address`)
+    return utils.getAddress(value)
+}
+
+function parseHelpingId(value, name = '--id') {
+    if (!/^[0-9]+$/.test(value)) throw new UsageError(`${name} must be a helpingId, not "${value}"`)
+    return Number(value)
+}
+
+function parsePrice(value) {
+    let priceBasisPoints
+    try {
+        priceBasisPoints = utils.parseUnits(value, 4)
+    } catch (e) {
+        priceBasisPoints = BigNumber.from(0)
+    }
+    if (priceBasisPoints.isZero() || priceBasisPoints.gt(10000)) {
+        throw new UsageError(`the price must be an amount of ETH per credit from 0.0001 to 1, not "${value}"`)
+    }
+    return priceBasisPoints.toNumber()
+}
+
+function parseOfferId(value) {
+    if (!/^[0-9]+$/.test(value)) throw new UsageError(`the offerId must be a whole number, not "${value}"`)
+    return Number(value)
+}
+
+function parseCount(value, name) {
+    if (!/^[1-9][0-9]*$/.test(value)) throw new UsageError(`${name} must be a whole number above 0, not "${value}"`)
+    return Number(value)
+}
+
+// The maxQueueWait of add: 0, the deployment's default, unless --max-wait gives a number of blocks or "never".
+function parseMaxWait(value) {
+    if (value === undefined) return 0
+    return value === 'never' ? Infinity : parseCount(value, '--max-wait')
+}
+
+const formatPrice = (priceBasisPoints) => `${utils.formatUnits(priceBasisPoints, 4).replace(/\.0$/, '')} ETH per credit`
+
+const formatDuration = (time, timeUnit) => (time === Infinity ? 'never' : `about ${Math.round(time)} ${timeUnit}`)
+
+// A time as the deployment measures it: a block number, or a timestamp in seconds.
+const formatTime = (time, timeUnit) => (timeUnit === TimeUnit.Seconds ? `timestamp ${time}` : `block ${time}`)
+
+/** Commands that send a transaction, and the ones that only read. Each takes the parsed context. */
+const commands = {
+    async deposit({ client, positionals: [eth] }) {
+        if (eth === undefined) throw new UsageError('deposit needs an amount of ETH')
+        return transaction(client, await client.deposit(parseEth(eth, 'the deposit')))
+    },
+
+    async withdraw({ client, values, positionals: [eth] }) {
+        if (eth === undefined) throw new UsageError('withdraw needs an amount of ETH or "all"')
+        if (eth === 'all' && !values.to) return transaction(client, await client.withdrawAll())
+        const amount =
+            eth === 'all'
+                ? (await client.balances(await client.contract.signer.getAddress())).availableDeposits
+                : parseEth(eth, 'the withdrawal')
+        const tx = values.to ? await client.withdrawTo(parseAddress(values.to), amount) : await client.withdraw(amount)
+        return transaction(client, tx)
+    },
+
+    async add({ client, values, positionals }) {
+        const combo = await comboArgument(client, positionals)
+        if (Boolean(values.double) === Boolean(values.timed)) throw new UsageError('add needs --double or --timed')
+        const tx = await client.addHelping({
+            combo,
+            type: values.double ? HelpingType.DoubleHelping : HelpingType.TimedHelping,
+            usingCredits: Boolean(values.credits),
+            creatorOnly: Boolean(values['creator-only']),
+            premium: values.premium === undefined ? 0 : parseEth(values.premium, '--premium'),
+            maxQueueWait: parseMaxWait(values['max-wait']),
+        })
+        return transaction(client, tx)
+    },
+
+    async remove({ client, values, positionals }) {
+        if (values.id !== undefined) {
+            return transaction(client, await client.removeHelping({ helpingId: parseHelpingId(values.id) }))
+        }
+        const combo = await comboArgument(client, positionals)
+        return transaction(client, await client.removeHelping({ combo }))
+    },
+
+    async 'bump-premium'({ client, values, positionals }) {
+        const byId = values.id !== undefined
+        const eth = byId ? positionals[0] : positionals[2]
+        const target = byId
+            ? { helpingId: parseHelpingId(values.id) }
+            : { combo: await comboArgument(client, positionals) }
+        if (eth === undefined) throw new UsageError('bump-premium needs the amount of ETH to add to the premium')
+        const amount = parseEth(eth, 'the premium increase')
+        return transaction(client, await client.increasePremium({ ...target, amount }))
+    },
+
+    async expire({ client, positionals }) {
+        const combo = await comboArgument(client, positionals)
+        const helpingIds = (await client.expiredQueueEntries(combo)).map((entry) => entry.helpingId)
+        if (helpingIds.length === 0) {
+            const lines = [`no helpings queued in ${await client.formatCombo(combo)} are past their deadline`]
+            return { result: { helpingIds }, lines }
+        }
+        return transaction(client, await client.expireQueuedHelpings({ helpingIds }))
+    },
+
+    async combo({ client, positionals }) {
+        const combo = await comboArgument(client, positionals)
+        const info = await client.comboInfo(combo)
+        const { entries } = await client.queueEntries(combo, { limit: 10 })
+        const result = {
+            combo: await client.formatCombo(combo),
+            comboId: info.comboId,
+            price: await client.price(combo),
+            queueLength: info.queueLength,
+            premium: info.premium,
+            activeHelping: info.activeHelpingExists
+                ? {
+                      helpingId: info.activeHelpingId,
+                      owner: info.activeHelpingOwner,
+                      type: info.activeHelpingType,
+                      deposits: info.activeHelpingDeposits,
+                      expiration: info.activeHelpingExpiration,
+                      isExpired: info.activeHelpingIsExpired,
+                  }
+                : null,
+            queue: entries,
+        }
+        const timeUnit = await client.timeUnit()
+        const lines = [`${result.combo} (comboId ${result.comboId}), price ${formatEth(result.price)}`]
+        const active = result.activeHelping
+        if (active) {
+            const ending =
+                active.type === HelpingType.TimedHelping
+                    ? `expires at ${formatTime(active.expiration, timeUnit)}`
+                    : 'ends at its second deposit'
+            lines.push(
+                `active helping #${active.helpingId}: ${active.type}, owner ${active.owner}, ` +
+                    `${active.deposits} deposits, ${ending}${active.isExpired ? ' (expired)' : ''}`
+            )
+        } else {
+            lines.push('no active helping')
+        }
+        lines.push(`queue: ${result.queueLength} helpings`)
+        for (const { rank, helpingId, type, owner, premium, queueDeadline } of entries) {
+            const deadline =
+                queueDeadline === Infinity ? '' : `, can be expired from ${formatTime(queueDeadline, timeUnit)}`
+            lines.push(`  ${rank}. #${helpingId} ${type}, owner ${owner}, premium ${formatEth(premium)}${deadline}`)
+        }
+        if (result.queueLength > entries.length) lines.push(`  ... and ${result.queueLength - entries.length} more`)
+        return { result, lines }
+    },
+
+    async helping({ client, positionals }) {
+        const combo = await comboArgument(client, positionals)
+        const owner = positionals[2] ? parseAddress(positionals[2]) : await client.contract.signer.getAddress()
+        const helpings = []
+        for (const helpingId of (await client.helpingIdsOf(combo, owner)).sort((a, b) => a - b)) {
+            const { exists, type, usingCredits, isActiveHelping, premium } = await client.helpingInfoById(helpingId)
+            if (exists) helpings.push({ helpingId, type, usingCredits, isActiveHelping, premium })
+        }
+        const queued = helpings.filter((helping) => !helping.isActiveHelping)
+        if (queued.length !== 0) {
+            const { queueLength } = await client.comboInfo(combo)
+            const { entries } = await client.queueEntries(combo, { limit: queueLength })
+            for (const helping of queued) {
+                helping.rank = entries.find((entry) => entry.helpingId === helping.helpingId).rank
+            }
+        }
+        const result = { combo: await client.formatCombo(combo), owner, helpings }
+        const lines = [`${owner} has ${helpings.length} helpings in ${result.combo}`]
+        for (const helping of helpings) {
+            const paidWith = helping.usingCredits ? 'credits' : 'deposits'
+            const place = helping.isActiveHelping
+                ? 'active'
+                : `queued at rank ${helping.rank}, premium ${formatEth(helping.premium)}`
+            lines.push(`  #${helping.helpingId} ${helping.type}, paid with ${paidWith}, ${place}`)
+        }
+        return { result, lines }
+    },
+
+    async balance({ client, positionals: [address] }) {
+        const owner = address ? parseAddress(address) : await client.contract.signer.getAddress()
+        const balance = await client.balances(owner)
+        const lines = [`${owner}`]
+        for (const [name, value] of Object.entries(balance)) lines.push(`  ${name}: ${formatEth(value)}`)
+        return { result: { address: owner, ...balance }, lines }
+    },
+
+    async 'transfer-helping'({ client, positionals: [helpingId, address] }) {
+        if (address === undefined) throw new UsageError('transfer-helping needs a helpingId and an address')
+        const target = { helpingId: parseHelpingId(helpingId, 'the helpingId'), to: parseAddress(address) }
+        return transaction(client, await client.transferHelping(target))
+    },
+
+    async 'send-credits'({ client, positionals: [address, eth] }) {
+        if (eth === undefined) throw new UsageError('send-credits needs an address and an amount of credits')
+        return transaction(client, await client.transferCredits(parseAddress(address), parseEth(eth, 'the credits')))
+    },
+
+    async 'offer-credits'({ client, positionals: [eth, price] }) {
+        if (price === undefined) throw new UsageError('offer-credits needs an amount of credits and a price')
+        const credits = parseEth(eth, 'the credits')
+        return transaction(client, await client.offerCredits({ credits, priceBasisPoints: parsePrice(price) }))
+    },
+
+    async 'cancel-offer'({ client, positionals: [offerId] }) {
+        if (offerId === undefined) throw new UsageError('cancel-offer needs an offerId')
+        return transaction(client, await client.cancelCreditOffer(parseOfferId(offerId)))
+    },
+
+    async 'buy-credits'({ client, positionals: [offerId, eth] }) {
+        if (offerId === undefined) throw new UsageError('buy-credits needs an offerId')
+        const credits = eth === undefined ? undefined : parseEth(eth, 'the credits')
+        return transaction(client, await client.buyCredits({ offerId: parseOfferId(offerId), credits }))
+    },
+
+    async offers({ client }) {
+        let page = await client.openCreditOffers()
+        const offers = [...page.offers]
+        while (offers.length < page.total) {
+            page = await client.openCreditOffers({ offset: offers.length })
+            offers.push(...page.offers)
+        }
+        offers.sort((a, b) => a.priceBasisPoints - b.priceBasisPoints || a.offerId - b.offerId)
+        const lines = [`${offers.length} credit offers`]
+        for (const { offerId, seller, credits, priceBasisPoints } of offers) {
+            lines.push(
+                `  #${offerId}: ${formatEth(credits)} of credits at ${formatPrice(priceBasisPoints)}, ` +
+                    `seller ${seller}`
+            )
+        }
+        return { result: { offers }, lines }
+    },
+
+    async estimate({ client, values, positionals }) {
+        const combo = await comboArgument(client, positionals)
+        if (Boolean(values.double) === Boolean(values.timed)) throw new UsageError('estimate needs --double or --timed')
+        const type = values.double ? HelpingType.DoubleHelping : HelpingType.TimedHelping
+        const premium = values.premium === undefined ? BigNumber.from(0) : parseEth(values.premium, '--premium')
+        const position = values.position === undefined ? undefined : parseCount(values.position, '--position')
+        const historyBlocks = values.history === undefined ? 10000 : parseCount(values.history, '--history')
+
+        const snapshot = await comboSnapshot(client, combo, { historyBlocks })
+        const estimate = estimateHelping(snapshot, { type, premium, usingCredits: Boolean(values.credits) })
+        const result = {
+            combo: await client.formatCombo(combo),
+            type,
+            premium,
+            historyBlocks: snapshot.historyBlocks,
+            deposits: snapshot.deposits,
+            depositRate: snapshot.depositRate,
+            ...estimate,
+        }
+        if (position !== undefined) result.premiumForPosition = premiumForPosition(snapshot.queue, position)
+
+        const place = estimate.createsCombo
+            ? 'would create the combo'
+            : estimate.position === 0
+            ? 'would become the active helping at once'
+            : `would be at position ${estimate.position} in the queue`
+        const lines = [
+            `${result.combo}: ${result.deposits} deposits in the last ${result.historyBlocks} blocks`,
+            `a ${type} helping with a premium of ${formatEth(premium)} ${place}`,
+            `expected wait: ${formatDuration(estimate.waitBlocks, snapshot.timeUnit)}`,
+            `active for: ${formatDuration(estimate.activeBlocks, snapshot.timeUnit)}`,
+            `expected deposits: ${Number(estimate.expectedDeposits.toFixed(3))}`,
+            `expected payout: ${formatEth(estimate.expectedPayout)}`,
+            `expected credits: ${formatEth(estimate.expectedCredits)}`,
+            `cost: ${formatEth(estimate.cost)}`,
+            `expected profit: ${formatEth(estimate.expectedProfit)}`,
+        ]
+        if (position !== undefined) {
+            lines.push(`premium for position ${position}: ${formatEth(result.premiumForPosition)}`)
+        }
+        return { result, lines }
+    },
+
+    async 'dev-fund'({ client }) {
+        const devFund = await client.devFund()
+        return { result: { devFund }, lines: [`dev fund: ${formatEth(devFund)}`] }
+    },
+}
+
+async function comboArgument(client, [amount, blocks]) {
+    if (amount === undefined || blocks === undefined) throw new UsageError('a combo is given as <amount> <blocks>')
+    const minValue = await client.minValue()
+    const timeUnit = await client.timeUnit()
+    try {
+        return Combo.parse(`${amount} / ${blocks} ${timeUnit}`, minValue, timeUnit)
+    } catch (e) {
+        throw new UsageError(e.message)
+    }
+}
+
+// Wait for a transaction to be mined and describe it with its SpicyCombos events.
+async function transaction(client, tx) {
+    const receipt = await tx.wait()
+    const events = []
+    for (const log of receipt.logs) {
+        if (log.address !== client.address) continue
+        const parsed = client.contract.interface.parseLog(log)
+        events.push({ event: parsed.name, args: namedArgs(parsed.eventFragment.inputs, parsed.args) })
+    }
+    const result = {
+        transactionHash: receipt.transactionHash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed,
+        events,
+    }
+    const lines = [`transaction ${receipt.transactionHash} mined in block ${receipt.blockNumber}`]
+    const helpingIds = client.addedHelpingIds(receipt)
+    if (helpingIds.length !== 0) {
+        result.helpingIds = helpingIds
+        lines.push(`added helping #${helpingIds.join(', #')}`)
+    }
+    const offerId = client.addedCreditOfferId(receipt)
+    if (offerId !== undefined) {
+        result.offerId = offerId
+        lines.push(`created credit offer #${offerId}`)
+    }
+    return { result, lines }
+}
+
+// There is no option for the key itself: on the command line it would be kept in the shell history and shown by ps.
+function connect(values, env) {
+    const provider = new providers.JsonRpcProvider(values.rpc || env.SPICY_RPC_URL || 'http://127.0.0.1:8545')
+    const keyFile = values['key-file']
+    const key = keyFile ? readFileSync(keyFile, 'utf8').trim() : env.SPICY_PRIVATE_KEY
+    return key ? new Wallet(key, provider) : provider.getSigner()
+}
+
+/**
+ * Run the spicy command line tool. See cliUsage for the commands.
+ * @param argv the arguments after the script name.
+ * @param signer an ethers Signer to use instead of connecting to --rpc, e.g. in tests.
+ * @param env the environment to take defaults from.
+ * @param print called with each line of output.
+ * @param printError called with each line of error output.
+ * @return the exit code: 0 on success, 1 when the command failed and 2 for a mistake in the command line.
+ */
+export async function runCli(
+    argv,
+    { signer, env = process.env, print = console.log, printError = console.error } = {}
+) {
+    let parsed
+    try {
+        parsed = parseArgs({ args: argv, options, allowPositionals: true })
+    } catch (e) {
+        printError(`error: ${e.message}\n\n${cliUsage}`)
+        return 2
+    }
+    const { values, positionals } = parsed
+    const [command, ...rest] = positionals
+    if (values.help || command === undefined) {
+        print(cliUsage)
+        return 0
+    }
+    const report = (error, lines) => {
+        if (values.json) print(JSON.stringify({ error: toJson(error) }, null, 2))
+        else printError(lines.join('\n'))
+    }
+    try {
+        if (!Object.hasOwn(commands, command)) throw new UsageError(`unknown command "${command}"`)
+        const address = values.address || env.SPICY_ADDRESS
+        if (!address) throw new UsageError('the contract address is needed, from --address or SPICY_ADDRESS')
+        const client = new SpicyCombosClient(parseAddress(address), signer || connect(values, env))
+        const { result, lines } = await commands[command]({ client, values, positionals: rest })
+        print(values.json ? JSON.stringify(toJson(result), null, 2) : lines.join('\n'))
+        return 0
+    } catch (e) {
+        if (e instanceof UsageError) {
+            report({ message: e.message }, [`error: ${e.message}`, '', cliUsage])
+            return 2
+        }
+        if (e instanceof SpicyCombosError) {
+            const error = { name: e.errorName, args: namedErrorArgs(e) }
+            const text = Object.entries(error.args)
+                .map(([name, value]) => `${name}: ${value}`)
+                .join(', ')
+            report(error, [`error: ${e.errorName}(${text})`])
+            return 1
+        }
+        report({ message: e.message }, [`error: ${e.message}`])
+        return 1
+    }
+}
@@ -0,0 +1,789 @@
+import { BigNumber, Contract, constants, utils } from 'ethers'
+import { erc6372Abi, helpingReceiptsAbi, spicyCombosAbi, spicyCombosTokenAbi } from './abi.js'
+import { Combo, TimeUnit } from './combo.js'
+import { wrapError } from './errors.js'
+import { IntentType, intentDomain, signIntent } from './intents.js'
+
+export const HelpingType = Object.freeze({
+    DoubleHelping: 'double',
+    TimedHelping: 'timed',
+})
+
+export const ActionType = Object.freeze({
+    AddHelping: 'add',
+    RemoveHelping: 'remove',
+    IncreasePremium: 'increasePremium',
+})
+
+// The index of each ActionType in the contract's ActionType enum.
+const actionTypeIndex = {
+    [ActionType.AddHelping]: 0,
+    [ActionType.RemoveHelping]: 1,
+    [ActionType.IncreasePremium]: 2,
+}
+
+// How many blocks a signed intent can be executed for by default.
+const DEFAULT_INTENT_BLOCKS = 100
+
+const BASIS_POINTS = 10000
+
+const TOKEN_URI_PREFIX = 'data:application/json;base64,'
+
+// The expiration of an operator approval that never expires.
+const MAX_UINT64 = BigNumber.from(2).pow(64).sub(1)
+
+function encodeExpiration(expiration) {
+    return expiration === Infinity ? MAX_UINT64 : expiration
+}
+
+// A queue deadline or maximum queue wait, where the contract's zero means none.
+function decodeQueueLimit(blocks) {
+    return blocks.isZero() ? Infinity : blocks.toNumber()
+}
+
+// The maxQueueWait of a helping being added, where the contract's zero means defaultMaxQueueWait().
+function encodeMaxQueueWait(maxQueueWait) {
+    return maxQueueWait === Infinity ? constants.MaxUint256 : maxQueueWait
+}
+
+function decodeComboInfo(combo, info) {
+    return {
+        combo,
+        comboId: combo.comboId,
+        queueLength: info.queueLength.toNumber(),
+        premium: info.premium,
+        activeHelpingExists: info.activeHelpingExists,
+        activeHelpingOwner: info.activeHelpingOwner,
+        activeHelpingType: info.activeHelpingIsDoubleHelping ? HelpingType.DoubleHelping : HelpingType.TimedHelping,
+        activeHelpingDeposits: info.activeHelpingDeposits.toNumber(),
+        activeHelpingExpiration: info.activeHelpingExpiration.toNumber(),
+        activeHelpingIsExpired: info.activeHelpingIsExpired,
+        activeHelpingId: info.activeHelpingId.toNumber(),
+    }
+}
+
+function decodeComboSummaries({ summaries, total }) {
+    return {
+        combos: summaries.map((summary) => ({
+            ...decodeComboInfo(Combo.fromComboId(summary.comboId), summary),
+            comboPrice: summary.comboPrice,
+        })),
+        total: total.toNumber(),
+    }
+}
+
+function decodeQueuedHelping(entry) {
+    return {
+        helpingId: entry.helpingId.toNumber(),
+        owner: entry.owner,
+        premium: entry.premium,
+        rank: entry.rank.toNumber(),
+        type: entry.isDoubleHelping ? HelpingType.DoubleHelping : HelpingType.TimedHelping,
+        usingCredits: entry.usingCredits,
+        queueDeadline: decodeQueueLimit(entry.queueDeadline),
+    }
+}
+
+function decodeCreditOffer(offerId, offer) {
+    const { seller, credits, priceBasisPoints } = offer
+    return { offerId, seller, credits, priceBasisPoints: priceBasisPoints.toNumber() }
+}
+
+/** The ETH paid for credits bought from an offer at priceBasisPoints, rounded up like the contract does. */
+export function creditOfferPrice(credits, priceBasisPoints) {
+    return BigNumber.from(credits)
+        .mul(priceBasisPoints)
+        .add(BASIS_POINTS - 1)
+        .div(BASIS_POINTS)
+}
+
+function decodeFees(fees) {
+    return {
+        timedHelpingFeeBasisPoints: fees.timedHelpingFeeBasisPoints.toNumber(),
+        premiumDevFundBasisPoints: fees.premiumDevFundBasisPoints.toNumber(),
+        redistributePremiumRemainder: fees.redistributePremiumRemainder,
+    }
+}
+
+/** Wraps a deployed SpicyCombos contract with combo descriptors, named results and decoded errors. */
+export class SpicyCombosClient {
+    /**
+     * @param address the address of the deployed SpicyCombos contract.
+     * @param signerOrProvider an ethers Signer to send transactions, or a Provider for read-only use.
+     */
+    constructor(address, signerOrProvider) {
+        this.contract = new Contract(address, spicyCombosAbi, signerOrProvider)
+    }
+
+    /** Return a client that sends transactions from another signer. */
+    connect(signerOrProvider) {
+        return new this.constructor(this.contract.address, signerOrProvider)
+    }
+
+    get address() {
+        return this.contract.address
+    }
+
+    async minValue() {
+        if (!this._minValue) this._minValue = await this.contract.minValue()
+        return this._minValue
+    }
+
+    /**
+     * Accepts a Combo, a descriptor string such as "4.4 ETH / 25 blocks", or an object of the six digits.
+     * A descriptor gives the time limit in the deployment's timeUnit(), as in "4.4 ETH / 25 seconds" on
+     * SpicyCombosTimestamp.
+     */
+    async toCombo(combo) {
+        if (combo instanceof Combo) return combo
+        if (typeof combo === 'string') return Combo.parse(combo, await this.minValue(), await this.timeUnit())
+        return new Combo(combo)
+    }
+
+    /** Format a combo as a descriptor in the deployment's timeUnit(). */
+    async formatCombo(combo) {
+        return (await this.toCombo(combo)).format(await this.minValue(), await this.timeUnit())
+    }
+
+    /**
+     * What the deployment measures time limits, expirations and queue waits in: TimeUnit.Seconds if it says so with
+     * ERC-6372's CLOCK_MODE(), as SpicyCombosTimestamp does, and TimeUnit.Blocks otherwise.
+     */
+    async timeUnit() {
+        if (!this._timeUnit) {
+            const clock = new Contract(this.address, erc6372Abi, this.contract.provider)
+            try {
+                this._timeUnit = (await clock.CLOCK_MODE()) === 'mode=timestamp' ? TimeUnit.Seconds : TimeUnit.Blocks
+            } catch (e) {
+                if (e.code !== 'CALL_EXCEPTION') throw e
+                this._timeUnit = TimeUnit.Blocks
+            }
+        }
+        return this._timeUnit
+    }
+
+    /**
+     * Whether the deployment is paid for in an ERC-20 token, as SpicyCombosToken is. Those reject ETH and pull whatever
+     * a transaction needs beyond availableDeposits with transferFrom, so no ETH is sent to them by default.
+     * Use SpicyCombosTokenClient to approve or deposit the token.
+     */
+    async paidInToken() {
+        if (this._paidInToken === undefined) {
+            const tokenDeployment = new Contract(this.address, spicyCombosTokenAbi, this.contract.provider)
+            try {
+                await tokenDeployment.token()
+                this._paidInToken = true
+            } catch (e) {
+                if (e.code !== 'CALL_EXCEPTION') throw e
+                this._paidInToken = false
+            }
+        }
+        return this._paidInToken
+    }
+
+    /** The time of the latest block in the deployment's timeUnit(): its number, or its timestamp in seconds. */
+    async clock() {
+        const { provider } = this.contract
+        if ((await this.timeUnit()) === TimeUnit.Blocks) return provider.getBlockNumber()
+        return (await provider.getBlock('latest')).timestamp
+    }
+
+    async price(combo) {
+        return (await this.toCombo(combo)).price(await this.minValue())
+    }
+
+    /**
+     * Add a helping to a combo. An address can have any number of helpings in the same combo.
+     * Use addedHelpingIds() on the receipt to learn the ID of the new helping.
+     * @param type HelpingType.DoubleHelping or HelpingType.TimedHelping.
+     * @param premium the amount paid to advance in the queue.
+     * @param maxQueueWait how many blocks, or seconds on SpicyCombosTimestamp, the helping may wait in the queue before
+     * anyone can expire it. 0, the default, uses the deployment's defaultMaxQueueWait(), and Infinity lets it wait
+     * forever.
+     * @param value ETH to send along. Defaults to whatever the premium and combo price need beyond availableDeposits.
+     */
+    async addHelping({
+        combo,
+        type,
+        usingCredits = false,
+        creatorOnly = false,
+        premium = 0,
+        maxQueueWait = 0,
+        value,
+        overrides = {},
+    }) {
+        if (type !== HelpingType.DoubleHelping && type !== HelpingType.TimedHelping) {
+            throw new Error(`unknown helping type "${type}"`)
+        }
+        combo = await this.toCombo(combo)
+        if (value === undefined) {
+            const needed = usingCredits ? premium : (await this.price(combo)).add(premium)
+            value = await this._shortfall(needed)
+        }
+        return this._invoke('addHelping', [
+            ...combo.toArgs(),
+            type === HelpingType.DoubleHelping,
+            usingCredits,
+            creatorOnly,
+            premium,
+            encodeMaxQueueWait(maxQueueWait),
+            { ...overrides, value },
+        ])
+    }
+
+    /**
+     * Increase the premium of a queued helping: the one with the given helpingId, or else the signer's only helping in
+     * the combo.
+     */
+    async increasePremium({ combo, helpingId, amount, value, overrides = {} }) {
+        if (value === undefined) value = await this._shortfall(amount)
+        if (helpingId !== undefined) {
+            return this._invoke('increasePremiumById', [helpingId, amount, { ...overrides, value }])
+        }
+        combo = await this.toCombo(combo)
+        return this._invoke('increasePremium', [...combo.toArgs(), amount, { ...overrides, value }])
+    }
+
+    /** Remove the helping with the given helpingId, or else the signer's only helping in the combo. */
+    async removeHelping({ combo, helpingId, overrides = {} }) {
+        if (helpingId !== undefined) return this._invoke('removeHelpingById', [helpingId, overrides])
+        combo = await this.toCombo(combo)
+        return this._invoke('removeHelping', [...combo.toArgs(), overrides])
+    }
+
+    /**
+     * Perform several actions, in any combos, in one all-or-nothing transaction.
+     * If an action fails, the SpicyCombosError has the actionIndex of the failing action and its decoded actionError.
+     * @param actions objects with an action (an ActionType) and a combo. An ActionType.AddHelping action also takes
+     * the type, usingCredits, creatorOnly, premium and maxQueueWait of addHelping(). An ActionType.IncreasePremium
+     * action takes an amount. ActionType.RemoveHelping and ActionType.IncreasePremium actions can take a helpingId
+     * instead of a combo.
+     * @param value ETH to send along. Defaults to whatever the actions need beyond availableDeposits.
+     * @param owner perform the actions on behalf of owner, who must have approved the signer with approveOperator().
+     * The value is added to owner's available deposits, and defaults to what the actions need beyond those.
+     */
+    async batch(actions, { value, owner, overrides = {} } = {}) {
+        const { encoded, needed } = await this._encodeActions(actions)
+        if (value === undefined) value = await this._shortfall(needed, owner)
+        if (owner !== undefined) return this._invoke('batchFor', [owner, encoded, { ...overrides, value }])
+        return this._invoke('batch', [encoded, { ...overrides, value }])
+    }
+
+    /**
+     * Let operator act on the signer's helpings with batch({owner}), replacing any earlier approval of operator.
+     * Operators can never withdraw. Each allowance is an amount of wei and defaults to no limit.
+     * @param deposits how much of the signer's deposits operator may spend on combo prices.
+     * @param credits how much of the signer's credits operator may spend on combo prices.
+     * @param premiums how much of the signer's deposits operator may spend on premiums and premium increases.
+     * @param expiration the block when the approval expires, or Infinity for never.
+     */
+    async approveOperator(operator, { deposits, credits, premiums, expiration = Infinity } = {}, overrides = {}) {
+        const allowances = [deposits, credits, premiums].map((a) => (a === undefined ? constants.MaxUint256 : a))
+        const args = [operator, ...allowances, encodeExpiration(expiration), overrides]
+        return this._invoke('approveOperator', args)
+    }
+
+    /** Take back an approval given with approveOperator(). */
+    async revokeOperator(operator, overrides = {}) {
+        return this._invoke('approveOperator', [operator, 0, 0, 0, 0, overrides])
+    }
+
+    /**
+     * Sign a batch() of actions, shaped as for batch(), as an intent that anyone can execute with relay(), such as a
+     * relayer paying the gas. No ETH goes along, so the actions are paid for from the signer's available deposits.
+     * @param relayerFee wei paid from the signer's available deposits to whoever executes the intent.
+     * @param deadline the last block in which the intent can be executed, by default 100 blocks from now.
+     * @param nonce by default the signer's current nonce(). Each nonce can be used once, in order.
+     * @return the signed intent, a plain object that survives JSON.
+     */
+    async signBatch(actions, { relayerFee = 0, deadline, nonce } = {}) {
+        const { encoded } = await this._encodeActions(actions)
+        return this._signIntent({ type: IntentType.Batch, actions: encoded }, { relayerFee, deadline, nonce })
+    }
+
+    /** Sign a withdrawTo() as an intent for relay(), like signBatch(). The recipient defaults to the signer. */
+    async signWithdrawal({ recipient, amount, relayerFee = 0, deadline, nonce }) {
+        if (recipient === undefined) recipient = await this.contract.signer.getAddress()
+        const intent = { type: IntentType.Withdrawal, recipient, amount: BigNumber.from(amount).toString() }
+        return this._signIntent(intent, { relayerFee, deadline, nonce })
+    }
+
+    /** Execute an intent from signBatch() or signWithdrawal(), earning its relayerFee as available deposits. */
+    async relay(intent, overrides = {}) {
+        const { owner, relayerFee, deadline, signature } = intent
+        if (intent.type === IntentType.Batch) {
+            return this._invoke('batchBySig', [owner, intent.actions, relayerFee, deadline, signature, overrides])
+        }
+        if (intent.type === IntentType.Withdrawal) {
+            const args = [owner, intent.recipient, intent.amount, relayerFee, deadline, signature, overrides]
+            return this._invoke('withdrawBySig', args)
+        }
+        throw new Error(`unknown intent type "${intent.type}"`)
+    }
+
+    /** Move amount of the signer's available credits to another address's available credits. */
+    async transferCredits(to, amount, overrides = {}) {
+        return this._invoke('transferCredits', [to, amount, overrides])
+    }
+
+    /**
+     * Offer some of the signer's available credits for ETH. They are held aside until bought or cancelled.
+     * Use addedCreditOfferId() on the receipt to learn the offerId.
+     * @param priceBasisPoints the ETH paid per credit, from 1 to 10000: 9500 sells credits at 95% of their face value.
+     */
+    async offerCredits({ credits, priceBasisPoints, overrides = {} }) {
+        return this._invoke('offerCredits', [credits, priceBasisPoints, overrides])
+    }
+
+    /** Take back the credits left in one of the signer's offers. */
+    async cancelCreditOffer(offerId, overrides = {}) {
+        return this._invoke('cancelCreditOffer', [offerId, overrides])
+    }
+
+    /**
+     * Buy some or all of the credits left in an offer.
+     * @param credits how many credits to buy, by default all that are left.
+     * @param value ETH to send along. Defaults to whatever the price needs beyond availableDeposits.
+     */
+    async buyCredits({ offerId, credits, value, overrides = {} }) {
+        if (credits === undefined || value === undefined) {
+            const offer = await this.creditOffer(offerId)
+            if (!offer) throw new Error(`credit offer #${offerId} has no credits left`)
+            if (credits === undefined) credits = offer.credits
+            if (value === undefined) value = await this._shortfall(creditOfferPrice(credits, offer.priceBasisPoints))
+        }
+        return this._invoke('buyCredits', [offerId, credits, { ...overrides, value }])
+    }
+
+    /**
+     * Give one of the signer's helpings to another address by transferring its receipt. The helping keeps its place in
+     * the queue, and everything it pays out from then on goes to the new owner. Needs helping receipts.
+     */
+    async transferHelping({ helpingId, to, overrides = {} }) {
+        const receipts = await this.helpingReceipts()
+        if (!receipts) throw new Error('this deployment has no helping receipts')
+        const from = await this.contract.signer.getAddress()
+        try {
+            return await receipts.transferFrom(from, to, helpingId, overrides)
+        } catch (e) {
+            throw wrapError(e)
+        }
+    }
+
+    /**
+     * Remove the combo's active helping if it has expired, earning the keeperReward.
+     * Use callStatic.settle() on the contract to find out whether there is anything to settle.
+     */
+    async settle({ combo, overrides = {} }) {
+        combo = await this.toCombo(combo)
+        return this._invoke('settle', [...combo.toArgs(), overrides])
+    }
+
+    /** settle() each of the combos, skipping the ones without an expired active helping. */
+    async settleMany({ combos, overrides = {} }) {
+        const comboIds = []
+        for (const combo of combos) comboIds.push((await this.toCombo(combo)).comboId)
+        return this._invoke('settleMany', [comboIds, overrides])
+    }
+
+    /**
+     * Remove queued helpings that have waited past their queueDeadline, giving their comboPrice back to their owners
+     * as available credits. Anyone can do this. Helpings that can't be expired are skipped, and each helping's combo is
+     * settled first, so that the helping next in line behind an expired active helping becomes the active helping.
+     * Fails with EmergencyExitAlreadyEnabled once emergency exit is enabled. See expiredQueueEntries().
+     */
+    async expireQueuedHelpings({ helpingIds, overrides = {} }) {
+        return this._invoke('expireQueuedHelpings', [helpingIds, overrides])
+    }
+
+    /**
+     * Take back a helping, queued or active, after the owner has enabled emergency exit.
+     * The comboPrice comes back as available credits if the helping used credits, or if its deposit was already paid
+     * out to an earlier active helping, and as available deposits otherwise. An active helping also gets the deposits
+     * it received, without fees, except the ones still owed to the helpings queued behind it.
+     */
+    async emergencyExit({ combo, helpingId, overrides = {} }) {
+        if (helpingId !== undefined) return this._invoke('emergencyExitById', [helpingId, overrides])
+        combo = await this.toCombo(combo)
+        return this._invoke('emergencyExit', [...combo.toArgs(), overrides])
+    }
+
+    async deposit(value, overrides = {}) {
+        return this._invoke('deposit', [{ ...overrides, value }])
+    }
+
+    async withdraw(amount, overrides = {}) {
+        return this._invoke('withdraw', [amount, overrides])
+    }
+
+    async withdrawTo(recipient, amount, overrides = {}) {
+        return this._invoke('withdrawTo', [recipient, amount, overrides])
+    }
+
+    async withdrawAll(overrides = {}) {
+        return this._invoke('withdrawAll', [overrides])
+    }
+
+    async withdrawDevFund(overrides = {}) {
+        return this._invoke('withdrawDevFund', [overrides])
+    }
+
+    /**
+     * Queue a fee change, which can be executed after the contract's FEE_CHANGE_DELAY.
+     * @param fees {timedHelpingFeeBasisPoints, premiumDevFundBasisPoints, redistributePremiumRemainder}
+     */
+    async queueFeeChange(fees, overrides = {}) {
+        return this._invoke('queueFeeChange', [fees, overrides])
+    }
+
+    async executeFeeChange(overrides = {}) {
+        return this._invoke('executeFeeChange', [overrides])
+    }
+
+    async cancelFeeChange(overrides = {}) {
+        return this._invoke('cancelFeeChange', [overrides])
+    }
+
+    async setKeeperReward(keeperReward, overrides = {}) {
+        return this._invoke('setKeeperReward', [keeperReward, overrides])
+    }
+
+    /**
+     * Set how many blocks, or seconds on SpicyCombosTimestamp, helpings may wait in a queue unless they are added with
+     * a maxQueueWait of their own. 0 or Infinity for none.
+     */
+    async setDefaultMaxQueueWait(defaultMaxQueueWait, overrides = {}) {
+        if (defaultMaxQueueWait === Infinity) defaultMaxQueueWait = 0
+        return this._invoke('setDefaultMaxQueueWait', [defaultMaxQueueWait, overrides])
+    }
+
+    /** Attach the HelpingReceipts contract, before any helping is added. */
+    async setHelpingReceipts(helpingReceipts, overrides = {}) {
+        return this._invoke('setHelpingReceipts', [helpingReceipts, overrides])
+    }
+
+    async pause(overrides = {}) {
+        return this._invoke('pause', [overrides])
+    }
+
+    async unpause(overrides = {}) {
+        return this._invoke('unpause', [overrides])
+    }
+
+    /** Permanently let every owner emergencyExit() their helpings. The contract must be paused and stays paused. */
+    async enableEmergencyExit(overrides = {}) {
+        return this._invoke('enableEmergencyExit', [overrides])
+    }
+
+    /** The combo's active helping and queue length. Its activeHelpingExpiration is a clock() time. */
+    async comboInfo(combo) {
+        combo = await this.toCombo(combo)
+        return decodeComboInfo(combo, await this._invoke('comboInfo', combo.toArgs()))
+    }
+
+    /**
+     * A page of the combos that currently have an active helping.
+     * @return {{combos, total}} where each combo is shaped like comboInfo() plus the comboPrice.
+     */
+    async liveCombos({ offset = 0, limit = 100 } = {}) {
+        return decodeComboSummaries(await this._invoke('liveCombos', [offset, limit]))
+    }
+
+    /**
+     * A page of the combos where the owner has a helping, active or queued.
+     * @return {{combos, total}} where each combo is shaped like comboInfo() plus the comboPrice.
+     */
+    async combosOf(owner, { offset = 0, limit = 100 } = {}) {
+        return decodeComboSummaries(await this._invoke('combosOf', [owner, offset, limit]))
+    }
+
+    /**
+     * The owner's only helping in the combo, with a helpingId of 0 if there is none.
+     * Throws MoreThanOneHelping if the owner has several; see helpingIdsOf().
+     */
+    async helpingInfo(combo, owner) {
+        combo = await this.toCombo(combo)
+        const info = await this._invoke('helpingInfo', [...combo.toArgs(), owner])
+        return {
+            helpingId: info.helpingId.toNumber(),
+            exists: info.exists,
+            type: info.isDoubleHelping ? HelpingType.DoubleHelping : HelpingType.TimedHelping,
+            usingCredits: info.usingCredits,
+            isActiveHelping: info.isActiveHelping,
+            premium: info.premium,
+        }
+    }
+
+    /** Like helpingInfo(), plus the owner and combo, for any helping. The combo is undefined for unknown helpingIds. */
+    async helpingInfoById(helpingId) {
+        const info = await this._invoke('helpingInfoById', [helpingId])
+        const comboId = info.comboId.toNumber()
+        return {
+            helpingId,
+            exists: info.exists,
+            owner: info.owner,
+            combo: comboId !== 0 ? Combo.fromComboId(comboId) : undefined,
+            comboId,
+            type: info.isDoubleHelping ? HelpingType.DoubleHelping : HelpingType.TimedHelping,
+            usingCredits: info.usingCredits,
+            isActiveHelping: info.isActiveHelping,
+            premium: info.premium,
+        }
+    }
+
+    /** The helpingIds of all of the owner's helpings in the combo, in no particular order. */
+    async helpingIdsOf(combo, owner) {
+        combo = await this.toCombo(combo)
+        const helpingIds = await this._invoke('helpingIdsOf', [...combo.toArgs(), owner])
+        return helpingIds.map((helpingId) => helpingId.toNumber())
+    }
+
+    /** The helpingIds of the helpings added by a mined addHelping() or batch() transaction, in order. */
+    addedHelpingIds(receipt) {
+        const helpingIds = []
+        for (const log of receipt.logs) {
+            if (log.address !== this.contract.address) continue
+            const parsed = this.contract.interface.parseLog(log)
+            if (parsed.name === 'HelpingAdded') helpingIds.push(parsed.args.helpingId.toNumber())
+        }
+        return helpingIds
+    }
+
+    /**
+     * A page of the combo's queue, in the order the helpings will become the active helping.
+     * @return {{entries, queueLength}} where each entry has helpingId, owner, premium, rank, type, usingCredits and
+     * queueDeadline, the clock() time from which anyone can expire it or Infinity.
+     */
+    async queueEntries(combo, { offset = 0, limit = 100 } = {}) {
+        combo = await this.toCombo(combo)
+        const result = await this._invoke('queueEntries', [...combo.toArgs(), offset, limit])
+        return { entries: result.helpings.map(decodeQueuedHelping), queueLength: result.queueLength.toNumber() }
+    }
+
+    /**
+     * The entries of the combo's queue that have reached their queueDeadline as of the latest block, in queue order,
+     * as the contract's expiredQueueEntries() finds them. expireQueuedHelpings() with their helpingIds removes them.
+     * The helping next in line behind an expired active helping isn't one of them, since settling makes it active.
+     */
+    async expiredQueueEntries(combo) {
+        combo = await this.toCombo(combo)
+        const { queueLength } = await this.queueEntries(combo, { limit: 0 })
+        const result = await this._invoke('expiredQueueEntries', [...combo.toArgs(), 0, queueLength])
+        return result.helpings.map(decodeQueuedHelping)
+    }
+
+    /**
+     * The rank of the owner's only helping in the combo's queue, or 0 if the owner has no queued helping there.
+     * Throws MoreThanOneHelping if the owner has several; use queueEntries() for those.
+     */
+    async myPosition(combo, owner) {
+        combo = await this.toCombo(combo)
+        return (await this._invoke('myPosition', [...combo.toArgs(), owner])).toNumber()
+    }
+
+    async balances(address) {
+        const balance = await this._invoke('balances', [address])
+        const { availableDeposits, depositsInUse, availableCredits, creditsInUse } = balance
+        return { availableDeposits, depositsInUse, availableCredits, creditsInUse }
+    }
+
+    /**
+     * What owner has approved operator to spend, as {deposits, credits, premiums, expiration}. An allowance without a
+     * limit is MaxUint256, an approval that never expires has an Infinity expiration, and no approval has expiration 0.
+     */
+    async operatorApproval(owner, operator) {
+        const approval = await this._invoke('operatorApprovals', [owner, operator])
+        const { depositsAllowance, creditsAllowance, premiumsAllowance, expiration } = approval
+        return {
+            deposits: depositsAllowance,
+            credits: creditsAllowance,
+            premiums: premiumsAllowance,
+            expiration: expiration.eq(MAX_UINT64) ? Infinity : expiration.toNumber(),
+        }
+    }
+
+    /** A credit offer as {offerId, seller, credits, priceBasisPoints}, or undefined once it is filled or cancelled. */
+    async creditOffer(offerId) {
+        const offer = await this._invoke('creditOffers', [offerId])
+        return offer.seller === constants.AddressZero ? undefined : decodeCreditOffer(offerId, offer)
+    }
+
+    /**
+     * A page of the credit offers with credits left, in no particular order.
+     * @return {{offers, total}} where each offer is shaped like creditOffer().
+     */
+    async openCreditOffers({ offset = 0, limit = 100 } = {}) {
+        const { offerIds, offers, total } = await this._invoke('openCreditOffers', [offset, limit])
+        return {
+            offers: offers.map((offer, i) => decodeCreditOffer(offerIds[i].toNumber(), offer)),
+            total: total.toNumber(),
+        }
+    }
+
+    /** The offerId of the offer made by a mined offerCredits() transaction. */
+    addedCreditOfferId(receipt) {
+        for (const log of receipt.logs) {
+            if (log.address !== this.contract.address) continue
+            const parsed = this.contract.interface.parseLog(log)
+            if (parsed.name === 'CreditOfferCreated') return parsed.args.offerId.toNumber()
+        }
+        return undefined
+    }
+
+    /** The HelpingReceipts ERC-721 contract, connected to the same signer or provider, or undefined if none is set. */
+    async helpingReceipts() {
+        if (!this._helpingReceipts) {
+            const address = await this._invoke('helpingReceipts', [])
+            if (address === constants.AddressZero) return undefined
+            const { signer, provider } = this.contract
+            this._helpingReceipts = new Contract(address, helpingReceiptsAbi, signer || provider)
+        }
+        return this._helpingReceipts
+    }
+
+    /**
+     * The ERC-721 metadata of a helping's receipt, as {name, description, attributes}, with the attributes also as
+     * {comboId, comboPrice, timeLimit, helpingType, premium, queuePosition} and the owner holding the receipt.
+     * queuePosition is 0 for the active helping. Undefined once the helping is removed.
+     */
+    async helpingReceipt(helpingId) {
+        const receipts = await this.helpingReceipts()
+        if (!receipts || !(await this.helpingInfoById(helpingId)).exists) return undefined
+        const uri = await receipts.tokenURI(helpingId)
+        const metadata = JSON.parse(utils.toUtf8String(utils.base64.decode(uri.slice(TOKEN_URI_PREFIX.length))))
+        const trait = (name) => metadata.attributes.find((attribute) => attribute.trait_type === name).value
+        return {
+            ...metadata,
+            comboId: trait('comboId'),
+            comboPrice: BigNumber.from(trait('combo price')),
+            timeLimit: trait('time limit'),
+            helpingType: trait('helping type'),
+            premium: BigNumber.from(trait('premium')),
+            queuePosition: trait('queue position'),
+            owner: await receipts.ownerOf(helpingId),
+        }
+    }
+
+    /** The nonce that the next intent owner signs must have. */
+    async nonce(owner) {
+        return (await this._invoke('nonces', [owner])).toNumber()
+    }
+
+    /** The EIP-712 domain that intents for this contract are signed in. */
+    async intentDomain() {
+        const { chainId } = await this.contract.provider.getNetwork()
+        return intentDomain(chainId, this.contract.address)
+    }
+
+    async devFund() {
+        return this._invoke('devFund', [])
+    }
+
+    /** The number of helpings ever added. helpingIds run from 1 to helpingCount(). */
+    async helpingCount() {
+        return (await this._invoke('helpingCount', [])).toNumber()
+    }
+
+    async keeperReward() {
+        return this._invoke('keeperReward', [])
+    }
+
+    /** How long, in the timeUnit(), helpings added without a maxQueueWait may wait in a queue, or Infinity. */
+    async defaultMaxQueueWait() {
+        return decodeQueueLimit(await this._invoke('defaultMaxQueueWait', []))
+    }
+
+    async burnedPremiums() {
+        return this._invoke('burnedPremiums', [])
+    }
+
+    async paused() {
+        return this._invoke('paused', [])
+    }
+
+    async emergencyExitEnabled() {
+        return this._invoke('emergencyExitEnabled', [])
+    }
+
+    /** The fees in effect, as {timedHelpingFeeBasisPoints, premiumDevFundBasisPoints, redistributePremiumRemainder}. */
+    async fees() {
+        return decodeFees(await this._invoke('fees', []))
+    }
+
+    /**
+     * The queued fee change, if any.
+     * @return {{fees, eta}} where eta is the timestamp when it can be executed, or undefined.
+     */
+    async pendingFeeChange() {
+        const eta = await this._invoke('pendingFeesEta', [])
+        if (eta.isZero()) return undefined
+        return { fees: decodeFees(await this._invoke('pendingFees', [])), eta: eta.toNumber() }
+    }
+
+    // How much ETH must be sent so that the availableDeposits of address, by default the signer's, cover the amount.
+    // None for a deployment paidInToken(), which pulls the shortfall in tokens.
+    async _shortfall(amount, address) {
+        if (await this.paidInToken()) return BigNumber.from(0)
+        if (address === undefined) address = await this.contract.signer.getAddress()
+        const { availableDeposits } = await this.balances(address)
+        return availableDeposits.gte(amount) ? BigNumber.from(0) : BigNumber.from(amount).sub(availableDeposits)
+    }
+
+    async _signIntent(intent, { relayerFee, deadline, nonce }) {
+        const { signer, provider } = this.contract
+        const owner = await signer.getAddress()
+        if (nonce === undefined) nonce = await this.nonce(owner)
+        if (deadline === undefined) deadline = (await provider.getBlockNumber()) + DEFAULT_INTENT_BLOCKS
+        intent = { ...intent, owner, relayerFee: BigNumber.from(relayerFee).toString(), nonce, deadline }
+        return { ...intent, signature: await signIntent(signer, await this.intentDomain(), intent) }
+    }
+
+    // The contract's HelpingAction tuple for each of batch()'s actions, and the ETH they need.
+    async _encodeActions(actions) {
+        let needed = BigNumber.from(0)
+        const encoded = []
+        for (const { action, combo, type, premium = 0, amount = 0, helpingId = 0, ...options } of actions) {
+            const { usingCredits = false, creatorOnly = false, maxQueueWait = 0 } = options
+            if (!(action in actionTypeIndex)) throw new Error(`unknown action "${action}"`)
+            const adding = action === ActionType.AddHelping
+            if (adding && type !== HelpingType.DoubleHelping && type !== HelpingType.TimedHelping) {
+                throw new Error(`unknown helping type "${type}"`)
+            }
+            // The contract ignores the combo of an action with a helpingId.
+            const resolved = adding || !helpingId ? await this.toCombo(combo) : undefined
+            if (adding) {
+                needed = needed.add(premium)
+                if (!usingCredits) needed = needed.add(await this.price(resolved))
+            } else if (action === ActionType.IncreasePremium) {
+                needed = needed.add(amount)
+            }
+            const [amountDigit1, amountDigit2, amountZeros, blocksDigit1, blocksDigit2, blocksZeros] = resolved
+                ? resolved.toArgs()
+                : [0, 0, 0, 0, 0, 0]
+            encoded.push({
+                actionType: actionTypeIndex[action],
+                amountDigit1,
+                amountDigit2,
+                amountZeros,
+                blocksDigit1,
+                blocksDigit2,
+                blocksZeros,
+                doubleHelping: type === HelpingType.DoubleHelping,
+                usingCredits,
+                creatorOnly,
+                amount: BigNumber.from(adding ? premium : amount).toString(),
+                helpingId: adding ? 0 : BigNumber.from(helpingId).toNumber(),
+                maxQueueWait: adding ? BigNumber.from(encodeMaxQueueWait(maxQueueWait)).toString() : '0',
+            })
+        }
+        return { encoded, needed }
+    }
+
+    async _invoke(method, args) {
+        try {
+            return await this.contract[method](...args)
+        } catch (e) {
+            throw wrapError(e)
+        }
+    }
+}
@@ -0,0 +1,175 @@
+import { BigNumber, utils } from 'ethers'
+import { ValueOutOfRangeError } from './errors.js'
+
+// Same limits as the comboValuesInRange modifier in SpicyCombos.sol.
+const ranges = {
+    amountDigit1: [1, 9],
+    amountDigit2: [0, 9],
+    amountZeros: [0, 9],
+    blocksDigit1: [1, 9],
+    blocksDigit2: [0, 9],
+    blocksZeros: [0, 6],
+}
+
+/** Throw a ValueOutOfRangeError if any of the six combo digits is out of range. */
+export function validateComboValues(digits) {
+    for (const [parameter, [allowedMinimum, allowedMaximum]] of Object.entries(ranges)) {
+        const value = digits[parameter]
+        if (!Number.isInteger(value) || value < allowedMinimum || value > allowedMaximum) {
+            throw new ValueOutOfRangeError(parameter, allowedMinimum, allowedMaximum)
+        }
+    }
+}
+
+/** Off-chain mirror of SpicyCombos.computeComboId(). */
+export function computeComboId(amountDigit1, amountDigit2, amountZeros, blocksDigit1, blocksDigit2, blocksZeros) {
+    return (
+        blocksZeros +
+        blocksDigit2 * 10 +
+        blocksDigit1 * 100 +
+        amountZeros * 1000 +
+        amountDigit2 * 10000 +
+        amountDigit1 * 100000
+    )
+}
+
+/** Off-chain mirror of SpicyCombos.computeValue(). */
+export function computeValue(digit1, digit2, zeros) {
+    const significand = digit2 === 0 ? digit1 : digit1 * 10 + digit2
+    return BigNumber.from(10).pow(zeros).mul(significand)
+}
+
+/** Off-chain mirror of SpicyCombos.computePrice(). */
+export function computePrice(digit1, digit2, zeros, minValue) {
+    return computeValue(digit1, digit2, zeros).mul(minValue)
+}
+
+/**
+ * Split a value into the (digit1, digit2, zeros) triple that computeValue() turns back into it.
+ * @return undefined if the value has more than two significant digits.
+ */
+export function valueToDigits(value) {
+    let significand = BigNumber.from(value)
+    let zeros = 0
+    if (significand.lte(0)) return undefined
+    while (significand.mod(10).isZero()) {
+        significand = significand.div(10)
+        ++zeros
+    }
+    if (significand.gte(100)) return undefined
+    const n = significand.toNumber()
+    return n < 10 ? [n, 0, zeros] : [Math.floor(n / 10), n % 10, zeros]
+}
+
+/**
+ * What a deployment measures time limits and queue waits in: block numbers, or seconds of block.timestamp for
+ * SpicyCombosTimestamp. The same digits give the same comboId either way.
+ */
+export const TimeUnit = Object.freeze({
+    Blocks: 'blocks',
+    Seconds: 'seconds',
+})
+
+const descriptorPattern = /^\s*([0-9]*\.?[0-9]+)\s*(eth|ether|gwei|wei)?\s*\/\s*([0-9]+)\s*(blocks?|seconds?)\s*$/i
+
+/** A combo, uniquely identified by its amount and block digits. */
+export class Combo {
+    constructor({ amountDigit1, amountDigit2, amountZeros, blocksDigit1, blocksDigit2, blocksZeros }) {
+        validateComboValues({ amountDigit1, amountDigit2, amountZeros, blocksDigit1, blocksDigit2, blocksZeros })
+        this.amountDigit1 = amountDigit1
+        this.amountDigit2 = amountDigit2
+        this.amountZeros = amountZeros
+        this.blocksDigit1 = blocksDigit1
+        this.blocksDigit2 = blocksDigit2
+        this.blocksZeros = blocksZeros
+        Object.freeze(this)
+    }
+
+    /**
+     * Build a combo from its amount in multiples of minValue and its time limit.
+     * @param amountValue the combo price divided by minValue.
+     * @param blocks how long a timed helping stays active, in the time unit of the deployment.
+     */
+    static fromValues(amountValue, blocks) {
+        const amount = valueToDigits(amountValue)
+        if (!amount) throw new Error(`amount ${amountValue} must have at most two significant digits`)
+        const time = valueToDigits(blocks)
+        if (!time) throw new Error(`blocks ${blocks} must have at most two significant digits`)
+        const [amountDigit1, amountDigit2, amountZeros] = amount
+        const [blocksDigit1, blocksDigit2, blocksZeros] = time
+        return new Combo({ amountDigit1, amountDigit2, amountZeros, blocksDigit1, blocksDigit2, blocksZeros })
+    }
+
+    /**
+     * Parse a descriptor such as "4.4 ETH / 25 blocks". The unit defaults to ETH.
+     * @param minValue the minValue of the deployed contract, which every combo price is a multiple of.
+     * @param timeUnit the deployment's TimeUnit, which the descriptor's time limit must be given in.
+     */
+    static parse(descriptor, minValue, timeUnit = TimeUnit.Blocks) {
+        const match = descriptorPattern.exec(descriptor)
+        if (!match) throw new Error(`invalid combo descriptor "${descriptor}"`)
+        const [, amount, unit = 'ether', blocks, time] = match
+        if ((/^b/i.test(time) ? TimeUnit.Blocks : TimeUnit.Seconds) !== timeUnit) {
+            throw new Error(`combo descriptor "${descriptor}" must give its time limit in ${timeUnit}`)
+        }
+        const price = utils.parseUnits(amount, unit.toLowerCase() === 'eth' ? 'ether' : unit.toLowerCase())
+        if (price.isZero() || !price.mod(minValue).isZero()) {
+            throw new Error(`amount ${amount} ${unit} is not a multiple of minValue ${utils.formatEther(minValue)} ETH`)
+        }
+        return Combo.fromValues(price.div(minValue), BigNumber.from(blocks))
+    }
+
+    /** Build a combo from a comboId as computed by computeComboId(). */
+    static fromComboId(comboId) {
+        const id = BigNumber.from(comboId).toNumber()
+        const digit = (place) => Math.floor(id / 10 ** place) % 10
+        return new Combo({
+            amountDigit1: Math.floor(id / 100000),
+            amountDigit2: digit(4),
+            amountZeros: digit(3),
+            blocksDigit1: digit(2),
+            blocksDigit2: digit(1),
+            blocksZeros: digit(0),
+        })
+    }
+
+    get comboId() {
+        return computeComboId(...this.toArgs())
+    }
+
+    /** The combo price divided by minValue. */
+    get amountValue() {
+        return computeValue(this.amountDigit1, this.amountDigit2, this.amountZeros)
+    }
+
+    /** How long a timed helping stays active, in blocks or, on SpicyCombosTimestamp, in seconds. */
+    get blocks() {
+        return computeValue(this.blocksDigit1, this.blocksDigit2, this.blocksZeros)
+    }
+
+    price(minValue) {
+        return computePrice(this.amountDigit1, this.amountDigit2, this.amountZeros, minValue)
+    }
+
+    /** The six digits in the order the contract functions take them. */
+    toArgs() {
+        return [
+            this.amountDigit1,
+            this.amountDigit2,
+            this.amountZeros,
+            this.blocksDigit1,
+            this.blocksDigit2,
+            this.blocksZeros,
+        ]
+    }
+
+    /** Format as a descriptor that parse() accepts, e.g. "4.4 ETH / 25 blocks" or "4.4 ETH / 25 seconds". */
+    format(minValue, timeUnit = TimeUnit.Blocks) {
+        const amount = utils.formatEther(this.price(minValue)).replace(/\.0$/, '')
+        return `${amount} ETH / ${this.blocks} ${timeUnit}`
+    }
+
+    equals(other) {
+        return other instanceof Combo && this.comboId === other.comboId
+    }
+}
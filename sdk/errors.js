@@ -0,0 +1,79 @@
+import { utils } from 'ethers'
+import { spicyCombosTokenAbi } from './abi.js'
+
+// The token deployment's ABI has the errors of both deployments.
+const iface = new utils.Interface(spicyCombosTokenAbi)
+
+/** Thrown when a combo parameter is outside the range allowed by the comboValuesInRange modifier. */
+export class ValueOutOfRangeError extends Error {
+    constructor(parameter, allowedMinimum, allowedMaximum) {
+        super(`${parameter} must be between ${allowedMinimum} and ${allowedMaximum}`)
+        this.name = 'ValueOutOfRangeError'
+        this.errorName = 'ValueOutOfRange'
+        this.errorArgs = [parameter, allowedMinimum, allowedMaximum]
+    }
+}
+
+/** A custom error reverted by the SpicyCombos contract, decoded into its name and arguments. */
+export class SpicyCombosError extends Error {
+    constructor(errorName, errorArgs, cause) {
+        super(`${errorName}(${errorArgs.map((arg) => arg.toString()).join(', ')})`)
+        this.name = 'SpicyCombosError'
+        this.errorName = errorName
+        this.errorArgs = errorArgs
+        this.cause = cause
+    }
+}
+
+// Providers nest the revert data differently, so search the error object for it.
+function findRevertData(error, depth = 0) {
+    if (error == null || depth > 5) return undefined
+    if (typeof error === 'string') return utils.isHexString(error) && error.length >= 10 ? error : undefined
+    if (typeof error !== 'object') return undefined
+    for (const key of ['data', 'error', 'originalError', 'cause']) {
+        const data = findRevertData(error[key], depth + 1)
+        if (data) return data
+    }
+    return undefined
+}
+
+/**
+ * Decode a SpicyCombos custom error from a thrown error or raw revert data.
+ * A BatchActionFailed error also has the actionIndex of the failing action and its decoded actionError.
+ * @return {{errorName, errorArgs}} or undefined if it isn't a SpicyCombos custom error.
+ */
+export function decodeError(error) {
+    const data = findRevertData(error)
+    if (!data) return undefined
+    try {
+        const fragment = iface.getError(data.slice(0, 10))
+        const errorArgs = iface.decodeErrorResult(fragment, data)
+        const decoded = { errorName: fragment.name, errorArgs: Array.from(errorArgs) }
+        if (fragment.name === 'BatchActionFailed') {
+            decoded.actionIndex = errorArgs.index.toNumber()
+            decoded.actionError = decodeError(errorArgs.reason)
+        }
+        return decoded
+    } catch (e) {
+        return undefined
+    }
+}
+
+/** Encode a SpicyCombos custom error into revert data, the inverse of decodeError(). */
+export function encodeError(errorName, errorArgs) {
+    return iface.encodeErrorResult(errorName, errorArgs)
+}
+
+/** Convert an error to a SpicyCombosError when it carries a SpicyCombos custom error. */
+export function wrapError(error) {
+    const decoded = decodeError(error)
+    if (!decoded) return error
+    const wrapped = new SpicyCombosError(decoded.errorName, decoded.errorArgs, error)
+    if (decoded.actionError) {
+        const { errorName, errorArgs } = decoded.actionError
+        wrapped.actionIndex = decoded.actionIndex
+        wrapped.actionError = new SpicyCombosError(errorName, errorArgs)
+        wrapped.message = `BatchActionFailed(${decoded.actionIndex}, ${wrapped.actionError.message})`
+    }
+    return wrapped
+}
@@ -0,0 +1,175 @@
+import { BigNumber } from 'ethers'
+import { HelpingType } from './client.js'
+import { TimeUnit } from './combo.js'
+
+const BASIS_POINTS = 10000
+// Fractions of an amount are applied in steps of a billionth, so that wei amounts stay exact BigNumbers.
+const PRECISION = 1e9
+
+const fraction = (amount, x) => amount.mul(Math.round(x * PRECISION)).div(PRECISION)
+
+/**
+ * The deposits that removing an active helping pays its owner, as removeActiveHelping() computes them: all of a double
+ * helping's deposits, and for a timed helping the first deposit in full and the others less the timed helping fee.
+ * A helping without deposits pays nothing; a double helping gets its price back as credits instead.
+ */
+export function activeHelpingPayout({ type, depositsReceived }, price, timedHelpingFeeBasisPoints) {
+    price = BigNumber.from(price)
+    if (depositsReceived === 0) return BigNumber.from(0)
+    const earned = price.mul(depositsReceived)
+    if (type === HelpingType.DoubleHelping) return earned
+    return price.add(earned.sub(price).mul(BASIS_POINTS - timedHelpingFeeBasisPoints).div(BASIS_POINTS))
+}
+
+/**
+ * The premium a new helping needs to be at position (1 for next in line) in the queue, which is ranked by premium and
+ * then by when helpings were queued, so it has to beat the premium of the helping there now by one wei.
+ * @param queue the queue entries in order, as from queueEntries(), or anything with a premium.
+ */
+export function premiumForPosition(queue, position) {
+    if (position < 1) throw new RangeError('position starts at 1')
+    if (queue.length < position) return BigNumber.from(0)
+    return BigNumber.from(queue[position - 1].premium).add(1)
+}
+
+/**
+ * Everything estimateHelping() needs to know about a combo: its price, fees, active helping and whole queue, and how
+ * many deposits it received over the last historyBlocks blocks. The depositRate is per unit of the deployment's
+ * timeUnit: per block, or per second on SpicyCombosTimestamp, where currentTime is the latest block's timestamp.
+ */
+export async function comboSnapshot(client, combo, { historyBlocks = 10000 } = {}) {
+    combo = await client.toCombo(combo)
+    const provider = client.contract.provider
+    const currentBlock = await provider.getBlockNumber()
+    const timeUnit = await client.timeUnit()
+    const info = await client.comboInfo(combo)
+    const queue = []
+    while (queue.length < info.queueLength) {
+        const { entries } = await client.queueEntries(combo, { offset: queue.length, limit: 100 })
+        queue.push(...entries)
+    }
+
+    // Every helping added without credits pays the combo price to the active helping.
+    const fromBlock = Math.max(0, currentBlock - historyBlocks + 1)
+    const filter = client.contract.filters.HelpingAdded(combo.comboId)
+    const added = await client.contract.queryFilter(filter, fromBlock, currentBlock)
+    const deposits = added.filter((event) => !event.args.usingCredits).length
+    let currentTime = currentBlock
+    let historyTime = currentBlock - fromBlock + 1
+    if (timeUnit === TimeUnit.Seconds) {
+        currentTime = (await provider.getBlock(currentBlock)).timestamp
+        historyTime = Math.max(1, currentTime - (await provider.getBlock(fromBlock)).timestamp)
+    }
+
+    return {
+        combo,
+        price: await client.price(combo),
+        timeLimit: combo.blocks.toNumber(),
+        fees: await client.fees(),
+        timeUnit,
+        currentBlock,
+        currentTime,
+        historyBlocks: currentBlock - fromBlock + 1,
+        deposits,
+        depositRate: deposits / historyTime,
+        active: info.activeHelpingExists
+            ? {
+                  type: info.activeHelpingType,
+                  depositsReceived: info.activeHelpingDeposits,
+                  expiration: info.activeHelpingExpiration,
+                  isExpired: info.activeHelpingIsExpired,
+              }
+            : null,
+        queue,
+    }
+}
+
+/**
+ * Estimate how a new helping would do in a combo, from a comboSnapshot().
+ *
+ * Deposits are taken to arrive at random at the snapshot's depositRate, so a helping receives a Poisson number of them
+ * while it is active. A timed helping is active for its time limit. A double helping is active until its second
+ * deposit, but it has no time limit, so its owner is taken to remove it after maxActiveBlocks without one: it is then
+ * paid the one deposit it has, or gets its price back as credits if it has none. The new helping's own deposit goes to
+ * whichever helping is active once an expired timed helping has been removed, as in the contract, and a helping that
+ * finds no active helping creates the combo and counts its own deposit as its first (the creator bonus).
+ *
+ * @param type HelpingType.DoubleHelping or HelpingType.TimedHelping.
+ * @param maxActiveBlocks how long a double helping is kept active waiting for its second deposit, in the snapshot's
+ *     timeUnit. Defaults to the combo's time limit.
+ * @return {position, createsCombo, waitBlocks, activeBlocks, expectedDeposits, expectedPayout, expectedCredits, cost,
+ *     expectedProfit}, where position is the rank in the queue it would be added at, or 0 if it would become the active
+ *     helping at once, and waitBlocks is Infinity if the combo gets no deposits. waitBlocks and activeBlocks are in the
+ *     snapshot's timeUnit, and activeBlocks is the expected time active. The cost is the price and premium, whether the
+ *     price is paid with deposits or credits, and expectedProfit counts credits at their face value.
+ */
+export function estimateHelping(snapshot, { type, premium = 0, usingCredits = false, maxActiveBlocks }) {
+    const { price, timeLimit, fees, currentBlock, currentTime = currentBlock, depositRate, active, queue } = snapshot
+    premium = BigNumber.from(premium)
+
+    // The helpings that will be active before this one, in order, starting with the active one. An expired timed
+    // helping is removed before the new one is added, making the first in the queue active whatever its premium.
+    const activeExpired = active && active.type === HelpingType.TimedHelping && active.isExpired
+    const before = []
+    let queued = queue
+    if (active && !activeExpired) {
+        before.push({ ...active })
+    } else if (active && queue.length !== 0) {
+        before.push({ type: queue[0].type, depositsReceived: 0 })
+        queued = queue.slice(1)
+    }
+    for (const entry of queued) {
+        if (BigNumber.from(entry.premium).gte(premium)) before.push({ type: entry.type, depositsReceived: 0 })
+    }
+    if (!usingCredits && before.length !== 0) ++before[0].depositsReceived
+
+    const untilSecondDeposit = (depositsReceived) => {
+        if (depositsReceived >= 2) return 0
+        return depositRate === 0 ? Infinity : (2 - depositsReceived) / depositRate
+    }
+    const tenure = (helping, i) => {
+        if (helping.type === HelpingType.DoubleHelping) return untilSecondDeposit(helping.depositsReceived)
+        return i === 0 && helping.expiration !== undefined ? Math.max(0, helping.expiration - currentTime) : timeLimit
+    }
+    const waitBlocks = before.reduce((total, helping, i) => total + tenure(helping, i), 0)
+
+    const createsCombo = !usingCredits && before.length === 0
+    const initialDeposits = createsCombo ? 1 : 0
+    let activeBlocks, expectedDeposits, expectedPayout
+    let expectedCredits = BigNumber.from(0)
+    if (type === HelpingType.DoubleHelping) {
+        if (maxActiveBlocks === undefined) maxActiveBlocks = timeLimit
+        const mean = depositRate * maxActiveBlocks
+        const noDeposit = Math.exp(-mean)
+        const oneDeposit = mean * noDeposit
+        // The chances that it ends with no deposits, one, or two. The creator's own deposit is its first.
+        const ends = createsCombo ? [0, noDeposit, 1 - noDeposit] : [noDeposit, oneDeposit, 1 - noDeposit - oneDeposit]
+        expectedDeposits = ends[1] + 2 * ends[2]
+        expectedPayout = fraction(price, expectedDeposits)
+        expectedCredits = fraction(price, ends[0])
+        // Until its second deposit or maxActiveBlocks, whichever comes first. For Poisson deposits, that expectation
+        // is the chance of each deposit it needs arriving within maxActiveBlocks, over the depositRate.
+        const arriving = createsCombo ? 1 - noDeposit : 2 - 2 * noDeposit - oneDeposit
+        activeBlocks = depositRate === 0 ? maxActiveBlocks : arriving / depositRate
+    } else {
+        activeBlocks = timeLimit
+        expectedDeposits = initialDeposits + depositRate * timeLimit
+        const atLeastOne = createsCombo ? 1 : 1 - Math.exp(-depositRate * timeLimit)
+        // The payout is price * (fee * [deposits > 0] + (1 - fee) * deposits), whose expectation needs only these two.
+        const fee = fees.timedHelpingFeeBasisPoints / BASIS_POINTS
+        expectedPayout = fraction(price, fee * atLeastOne + (1 - fee) * expectedDeposits)
+    }
+
+    const cost = price.add(premium)
+    return {
+        position: before.length,
+        createsCombo,
+        waitBlocks,
+        activeBlocks,
+        expectedDeposits,
+        expectedPayout,
+        expectedCredits,
+        cost,
+        expectedProfit: expectedPayout.add(expectedCredits).sub(cost),
+    }
+}
@@ -0,0 +1,30 @@
+export {
+    erc20Abi,
+    erc6372Abi,
+    helpingReceiptsAbi,
+    spicyCombosAbi,
+    spicyCombosEscrowAbi,
+    spicyCombosTimestampAbi,
+    spicyCombosTokenAbi,
+} from './abi.js'
+export {
+    Combo,
+    TimeUnit,
+    computeComboId,
+    computePrice,
+    computeValue,
+    validateComboValues,
+    valueToDigits,
+} from './combo.js'
+export { ActionType, HelpingType, SpicyCombosClient, creditOfferPrice } from './client.js'
+export { cliUsage, runCli } from './cli.js'
+export { SpicyCombosError, ValueOutOfRangeError, decodeError, encodeError, wrapError } from './errors.js'
+export { activeHelpingPayout, comboSnapshot, estimateHelping, premiumForPosition } from './estimator.js'
+export { Indexer, JsonStore, MemoryStore } from './indexer.js'
+export { IntentType, intentDomain, intentTypes, recoverIntentSigner, signIntent } from './intents.js'
+export { Keeper } from './keeper.js'
+export { applyEvent, compareQueueEntries, emptyState } from './indexerState.js'
+export { Relayer, submitIntent } from './relayer.js'
+export { SpicyCombosTokenClient } from './tokenClient.js'
+export { ConsoleNotifier, FileNotifier, NotificationType, WebhookNotifier, describeNotification } from './notifiers.js'
+export { Watcher } from './watcher.js'
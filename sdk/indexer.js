@@ -0,0 +1,287 @@
+import fs from 'fs'
+import { BigNumber, Contract } from 'ethers'
+import { spicyCombosAbi } from './abi.js'
+import { Combo, TimeUnit } from './combo.js'
+import { SpicyCombosClient } from './client.js'
+import { applyEvent, balanceOf, emptyState } from './indexerState.js'
+
+const indexedEvents = [
+    'HelpingAdded',
+    'HelpingRemoved',
+    'PremiumIncreased',
+    'NewActiveHelping',
+    'Settled',
+    'Deposited',
+    'Withdrawn',
+    'EmergencyExit',
+    'QueuedHelpingExpired',
+    'HelpingTransferred',
+    'CreditsTransferred',
+    'CreditOfferCreated',
+    'CreditOfferCancelled',
+    'CreditsBought',
+    'IntentExecuted',
+    'DevFundWithdrawn',
+    'PremiumEscrowed',
+    'PremiumCollected',
+    'PremiumRefunded',
+    'FeeChangeExecuted',
+]
+
+/** Keeps the indexer's data in memory only. */
+export class MemoryStore {
+    constructor() {
+        this.data = undefined
+    }
+
+    load() {
+        return this.data
+    }
+
+    save(data) {
+        this.data = JSON.parse(JSON.stringify(data))
+    }
+}
+
+/** Persists the indexer's data to a JSON file, replacing it atomically on every save. */
+export class JsonStore {
+    constructor(path) {
+        this.path = path
+    }
+
+    load() {
+        if (!fs.existsSync(this.path)) return undefined
+        return JSON.parse(fs.readFileSync(this.path, 'utf8'))
+    }
+
+    save(data) {
+        const tmpPath = `${this.path}.tmp`
+        fs.writeFileSync(tmpPath, JSON.stringify(data))
+        fs.renameSync(tmpPath, this.path)
+    }
+}
+
+// Event args as JSON-friendly values: comboIds, helpingIds and offerIds as numbers, amounts as decimal strings.
+export function serializeArgs(parsed) {
+    const args = {}
+    for (const input of parsed.eventFragment.inputs) {
+        const value = parsed.args[input.name]
+        if (BigNumber.isBigNumber(value)) {
+            const isId = input.name === 'comboId' || input.name === 'helpingId' || input.name === 'offerId'
+            args[input.name] = isId ? value.toNumber() : value.toString()
+        } else {
+            args[input.name] = value
+        }
+    }
+    return args
+}
+
+/**
+ * Replays SpicyCombos events into a store and answers queries about combos, queues, balances and the dev fund.
+ *
+ * The raw event log is what gets persisted; the state is rebuilt from it on load and after a reorg. Balances and the
+ * dev fund are only complete if indexing starts at the deployment block.
+ */
+export class Indexer {
+    /**
+     * @param address the address of the deployed SpicyCombos contract.
+     * @param provider an ethers Provider for the node to index.
+     * @param store a MemoryStore, JsonStore or anything with load() and save(data).
+     * @param startBlock the first block to index, normally the deployment block.
+     * @param reorgDepth how many recent block hashes to remember for detecting reorgs.
+     * @param maxSyncAttempts how many times sync() starts over when the chain reorgs while it reads logs.
+     */
+    constructor({
+        address,
+        provider,
+        store = new MemoryStore(),
+        startBlock = 0,
+        reorgDepth = 64,
+        maxSyncAttempts = 5,
+    }) {
+        this.contract = new Contract(address, spicyCombosAbi, provider)
+        this.client = new SpicyCombosClient(address, provider)
+        this.provider = provider
+        this.store = store
+        this.reorgDepth = reorgDepth
+        this.maxSyncAttempts = maxSyncAttempts
+        this.data = store.load() || {
+            address,
+            minValue: undefined, // read on the first sync
+            lastBlock: startBlock - 1,
+            blockHashes: {},
+            events: [],
+        }
+        this._rebuild()
+    }
+
+    /**
+     * Index every block up to toBlock (default: the latest block), unwinding any blocks that were reorged out.
+     * Throws if the chain keeps reorging while the logs are read, after maxSyncAttempts tries.
+     * @return the number of the last indexed block.
+     */
+    async sync(toBlock) {
+        if (toBlock === undefined) toBlock = await this.provider.getBlockNumber()
+        if (this.data.minValue === undefined) {
+            this.data.minValue = (await this.contract.minValue()).toString()
+            this._rebuild()
+        }
+
+        for (let attempt = 1; attempt <= this.maxSyncAttempts; ++attempt) {
+            if (await this._syncTo(toBlock)) {
+                this.store.save(this.data)
+                return this.data.lastBlock
+            }
+        }
+        throw new Error(`the chain reorged during each of ${this.maxSyncAttempts} attempts to index it`)
+    }
+
+    // Index the blocks up to toBlock. Returns false, having indexed nothing, if the chain reorged while the logs were
+    // read, since they may then be from either branch.
+    async _syncTo(toBlock) {
+        const forkBlock = await this._findForkBlock()
+        if (forkBlock !== undefined) this._unwind(forkBlock)
+
+        const fromBlock = this.data.lastBlock + 1
+        if (fromBlock > toBlock) return true
+
+        await this._rememberBlockHashes(fromBlock, toBlock)
+        const timeUnit = await this.client.timeUnit()
+        const logs = await this.contract.queryFilter('*', fromBlock, toBlock)
+        const events = []
+        for (const log of logs) {
+            const parsed = this.contract.interface.parseLog(log)
+            if (!indexedEvents.includes(parsed.name)) continue
+            const event = {
+                name: parsed.name,
+                args: serializeArgs(parsed),
+                blockNumber: log.blockNumber,
+                blockHash: log.blockHash,
+                logIndex: log.logIndex,
+                transactionHash: log.transactionHash,
+            }
+            if (timeUnit === TimeUnit.Seconds && parsed.name === 'NewActiveHelping') {
+                event.timestamp = (await this.provider.getBlock(log.blockHash)).timestamp
+            }
+            events.push(event)
+        }
+
+        const tip = await this.provider.getBlock(toBlock)
+        const reorged =
+            !tip ||
+            tip.hash !== this.data.blockHashes[toBlock] ||
+            events.some(({ blockNumber, blockHash }) => (this.data.blockHashes[blockNumber] || blockHash) !== blockHash)
+        if (reorged) {
+            for (const number of Object.keys(this.data.blockHashes)) {
+                if (Number(number) >= fromBlock) delete this.data.blockHashes[number]
+            }
+            return false
+        }
+        for (const event of events) {
+            this.data.events.push(event)
+            applyEvent(this.state, event)
+        }
+        this.data.lastBlock = toBlock
+        return true
+    }
+
+    get lastBlock() {
+        return this.data.lastBlock
+    }
+
+    /** Every combo with an active helping, with its decoded parameters. */
+    listCombos() {
+        return Object.values(this.state.combos).map((combo) => ({
+            comboId: combo.comboId,
+            combo: Combo.fromComboId(combo.comboId),
+            activeHelping: combo.active,
+            queueLength: combo.queue.length,
+            premium: combo.queue.length ? combo.queue[0].premium : '0',
+        }))
+    }
+
+    getCombo(comboId) {
+        return this.state.combos[comboId]
+    }
+
+    /** The queued helpings of a combo, first in line first. */
+    getQueue(comboId) {
+        const combo = this.state.combos[comboId]
+        return combo ? combo.queue.map((helping, index) => ({ ...helping, position: index + 1 })) : []
+    }
+
+    /** The live helpings owned by an address, whether active or queued. */
+    getHelpingsOf(address) {
+        const helpings = []
+        for (const combo of Object.values(this.state.combos)) {
+            if (combo.active && combo.active.owner === address) {
+                helpings.push({ ...combo.active, isActiveHelping: true })
+            }
+            combo.queue.forEach((helping, index) => {
+                if (helping.owner === address) {
+                    helpings.push({ ...helping, isActiveHelping: false, position: index + 1 })
+                }
+            })
+        }
+        return helpings
+    }
+
+    /** Helpings that have been removed, oldest first. */
+    getHistory(address) {
+        return address ? this.state.history.filter((helping) => helping.owner === address) : this.state.history
+    }
+
+    /** The credit offers with credits left, cheapest first, then oldest first. */
+    listCreditOffers() {
+        return Object.values(this.state.creditOffers).sort(
+            (a, b) => Number(a.priceBasisPoints) - Number(b.priceBasisPoints) || a.offerId - b.offerId
+        )
+    }
+
+    /** The balances of an address, as balances() returns them, but as decimal strings. */
+    getBalance(address) {
+        return balanceOf(this.state, address)
+    }
+
+    getDevFund() {
+        return this.state.devFund
+    }
+
+    _rebuild() {
+        this.state = emptyState(this.data.minValue)
+        for (const event of this.data.events) applyEvent(this.state, event)
+    }
+
+    // Walks back from the tip and returns the first block that was reorged out, if any.
+    async _findForkBlock() {
+        let forkBlock
+        const numbers = Object.keys(this.data.blockHashes)
+            .map(Number)
+            .sort((a, b) => b - a)
+        for (const number of numbers) {
+            const block = await this.provider.getBlock(number)
+            if (block && block.hash === this.data.blockHashes[number]) break
+            forkBlock = number
+        }
+        return forkBlock
+    }
+
+    _unwind(forkBlock) {
+        this.data.events = this.data.events.filter((event) => event.blockNumber < forkBlock)
+        for (const number of Object.keys(this.data.blockHashes)) {
+            if (Number(number) >= forkBlock) delete this.data.blockHashes[number]
+        }
+        this.data.lastBlock = forkBlock - 1
+        this._rebuild()
+    }
+
+    async _rememberBlockHashes(fromBlock, toBlock) {
+        const first = Math.max(fromBlock, toBlock - this.reorgDepth + 1)
+        for (let number = first; number <= toBlock; ++number) {
+            this.data.blockHashes[number] = (await this.provider.getBlock(number)).hash
+        }
+        for (const number of Object.keys(this.data.blockHashes)) {
+            if (Number(number) <= toBlock - this.reorgDepth) delete this.data.blockHashes[number]
+        }
+    }
+}
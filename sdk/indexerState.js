@@ -0,0 +1,364 @@
+import { BigNumber, constants } from 'ethers'
+import { Combo } from './combo.js'
+import { HelpingType } from './client.js'
+import { activeHelpingPayout } from './estimator.js'
+
+/**
+ * Rebuilds combo, queue, credit offer, balance and dev fund state from SpicyCombos events.
+ * Events must be applied in chain order (blockNumber, then logIndex), starting from the deployment block. On
+ * SpicyCombosTimestamp, NewActiveHelping events also need the timestamp of their block, since that is what the time
+ * limit counts from.
+ * Amounts are kept as decimal strings so the state can be stored as JSON.
+ */
+
+const BASIS_POINTS = 10000
+const balanceKeys = ['availableDeposits', 'depositsInUse', 'availableCredits', 'creditsInUse']
+
+/**
+ * @param minValue the minValue of the contract, which every combo price is a multiple of. Applying the events that move
+ *     a helping's price between balances needs it.
+ */
+export function emptyState(minValue) {
+    return {
+        combos: {},
+        history: [],
+        creditOffers: {},
+        seq: 0,
+        minValue: minValue === undefined ? undefined : minValue.toString(),
+        balances: {},
+        devFund: '0',
+        // The contract's default fees, until a FeeChangeExecuted event.
+        fees: {
+            timedHelpingFeeBasisPoints: 1000,
+            premiumDevFundBasisPoints: BASIS_POINTS,
+            redistributePremiumRemainder: false,
+        },
+        // Whether premiums are held in escrow, as on SpicyCombosEscrow, which has an event for every premium it takes.
+        escrowsPremiums: false,
+    }
+}
+
+function comboOf(state, comboId) {
+    if (!state.combos[comboId]) state.combos[comboId] = { comboId, active: null, queue: [] }
+    return state.combos[comboId]
+}
+
+function timeLimit(comboId) {
+    return Combo.fromComboId(comboId).blocks.toNumber()
+}
+
+function comboPrice(state, comboId) {
+    return Combo.fromComboId(comboId).price(state.minValue)
+}
+
+function retire(state, helping, event, payoutRule) {
+    const removedTx = event.transactionHash
+    state.history.push({ ...helping, removedBlock: event.blockNumber, removedTx, removedAs: payoutRule })
+}
+
+// The latest history entry for helpingId, such as an active helping that NewActiveHelping retired just before its
+// HelpingRemoved event.
+function lastRetired(state, helpingId) {
+    for (let i = state.history.length - 1; i >= 0; --i) {
+        if (state.history[i].helpingId === helpingId) return state.history[i]
+    }
+    return undefined
+}
+
+/** The balances of an address, as balances() returns them, with every amount zero if no event has changed them. */
+export function balanceOf(state, address) {
+    return state.balances[address] || Object.fromEntries(balanceKeys.map((key) => [key, '0']))
+}
+
+// Add amount, which is negative to take it away, to one of the balances of an address.
+function adjustBalance(state, address, key, amount) {
+    const balance = balanceOf(state, address)
+    balance[key] = BigNumber.from(balance[key]).add(amount).toString()
+    state.balances[address] = balance
+}
+
+function adjustDevFund(state, amount) {
+    state.devFund = BigNumber.from(state.devFund).add(amount).toString()
+}
+
+// Take a helping's price out of the credits or deposits its owner has in use. See releaseInUse().
+function releaseInUse(state, helping) {
+    const price = comboPrice(state, helping.comboId)
+    adjustBalance(state, helping.owner, helping.usingCredits ? 'creditsInUse' : 'depositsInUse', price.mul(-1))
+}
+
+// Split a premium between the dev fund and activeOwner, the owner of the active helping the payer was queued behind,
+// or undefined if there was none. See distributePremium().
+function distributePremium(state, premium, activeOwner) {
+    const { premiumDevFundBasisPoints, redistributePremiumRemainder } = state.fees
+    const devFundShare = BigNumber.from(premium).mul(premiumDevFundBasisPoints).div(BASIS_POINTS)
+    adjustDevFund(state, devFundShare)
+    if (redistributePremiumRemainder && activeOwner) {
+        adjustBalance(state, activeOwner, 'availableDeposits', BigNumber.from(premium).sub(devFundShare))
+    }
+}
+
+// Pay a premium, unless the deployment holds it in escrow, to the owner of the combo's active helping.
+function payPremium(state, combo, helpingId, premium) {
+    if (state.escrowsPremiums) return
+    const { active } = combo
+    distributePremium(state, premium, active && active.helpingId !== helpingId ? active.owner : undefined)
+}
+
+// Pay the owner of an active helping that was removed, as removeActiveHelping() does.
+function payActiveHelping(state, helping) {
+    const price = comboPrice(state, helping.comboId)
+    const { timedHelpingFeeBasisPoints } = state.fees
+    if (helping.depositsReceived === 0) {
+        if (helping.type === HelpingType.DoubleHelping) adjustBalance(state, helping.owner, 'availableCredits', price)
+    } else {
+        const earned = price.mul(helping.depositsReceived)
+        if (helping.type === HelpingType.TimedHelping) {
+            adjustDevFund(state, earned.sub(price).mul(timedHelpingFeeBasisPoints).div(BASIS_POINTS))
+        }
+        const payout = activeHelpingPayout(helping, price, timedHelpingFeeBasisPoints)
+        adjustBalance(state, helping.owner, 'availableDeposits', payout)
+    }
+    releaseInUse(state, helping)
+}
+
+// The contract's queue order: highest premium first, then first come first served.
+export function compareQueueEntries(a, b) {
+    const premiumA = BigNumber.from(a.premium)
+    const premiumB = BigNumber.from(b.premium)
+    if (!premiumA.eq(premiumB)) return premiumA.gt(premiumB) ? -1 : 1
+    return a.seq - b.seq
+}
+
+const handlers = {
+    NewActiveHelping(state, { comboId, helpingId, owner }, event) {
+        const combo = comboOf(state, comboId)
+        // The previous active helping is replaced here; its HelpingRemoved event follows in the same transaction.
+        if (combo.active) retire(state, combo.active, event, 'active')
+        const index = combo.queue.findIndex((helping) => helping.helpingId === helpingId)
+        const helping = index === -1 ? { helpingId, owner, comboId, pending: true } : combo.queue.splice(index, 1)[0]
+        helping.activeSince = event.blockNumber
+        helping.expiration = (event.timestamp === undefined ? event.blockNumber : event.timestamp) + timeLimit(comboId)
+        combo.active = helping
+    },
+
+    HelpingAdded(state, args, event) {
+        const { comboId, helpingId, owner, depositRecipient, usingCredits, doubleHelping, premium, createdCombo } = args
+        const combo = comboOf(state, comboId)
+        const price = comboPrice(state, comboId)
+
+        adjustBalance(state, owner, 'availableDeposits', BigNumber.from(premium).mul(-1))
+        adjustBalance(state, owner, usingCredits ? 'availableCredits' : 'availableDeposits', price.mul(-1))
+        adjustBalance(state, owner, usingCredits ? 'creditsInUse' : 'depositsInUse', price)
+        payPremium(state, combo, helpingId, premium)
+
+        const paysDeposit = depositRecipient !== constants.AddressZero
+        const recipient = paysDeposit ? creditDeposit(state, event, comboId, depositRecipient) : undefined
+
+        const details = {
+            helpingId,
+            owner,
+            comboId,
+            type: doubleHelping ? HelpingType.DoubleHelping : HelpingType.TimedHelping,
+            usingCredits,
+            premium,
+            depositsReceived: createdCombo ? 1 : 0,
+            depositRecipientHelpingId: recipient && recipient.helpingId,
+            addedBlock: event.blockNumber,
+            seq: state.seq++,
+        }
+
+        if (combo.active && combo.active.helpingId === helpingId && combo.active.pending) {
+            // NewActiveHelping was emitted just before this event for a helping that skipped the queue.
+            const { activeSince, expiration } = combo.active
+            combo.active = { ...details, activeSince, expiration }
+        } else {
+            combo.queue.push(details)
+            combo.queue.sort(compareQueueEntries)
+        }
+    },
+
+    PremiumIncreased(state, { comboId, helpingId, owner, newPremium }) {
+        const combo = comboOf(state, comboId)
+        const helping = combo.queue.find((entry) => entry.helpingId === helpingId)
+        if (!helping) return
+        const increase = BigNumber.from(newPremium).sub(helping.premium)
+        adjustBalance(state, owner, 'availableDeposits', increase.mul(-1))
+        payPremium(state, combo, helpingId, increase)
+        helping.premium = newPremium
+        combo.queue.sort(compareQueueEntries)
+    },
+
+    HelpingRemoved(state, { comboId, helpingId, removedCombo }, event) {
+        const combo = comboOf(state, comboId)
+        const index = combo.queue.findIndex((helping) => helping.helpingId === helpingId)
+        if (index !== -1) {
+            const helping = combo.queue.splice(index, 1)[0]
+            if (!helping.exited) {
+                // removeQueuedHelping(): the price comes back as credits.
+                adjustBalance(state, helping.owner, 'availableCredits', comboPrice(state, comboId))
+                releaseInUse(state, helping)
+            }
+            retire(state, helping, event, 'queue')
+        } else if (combo.active && combo.active.helpingId === helpingId) {
+            if (!combo.active.exited) payActiveHelping(state, combo.active)
+            retire(state, combo.active, event, 'active')
+            combo.active = null
+        } else {
+            // NewActiveHelping already retired it.
+            const helping = lastRetired(state, helpingId)
+            if (helping && helping.removedTx === event.transactionHash) payActiveHelping(state, helping)
+        }
+        if (removedCombo) combo.active = null
+        if (!combo.active && combo.queue.length === 0) delete state.combos[comboId]
+    },
+
+    // Follows the HelpingRemoved event that retired the helping from the queue.
+    QueuedHelpingExpired(state, { helpingId }) {
+        const helping = lastRetired(state, helpingId)
+        if (helping) helping.removedAs = 'expired'
+    },
+
+    HelpingTransferred(state, { comboId, helpingId, to }) {
+        const combo = state.combos[comboId]
+        if (!combo) return
+        const helping =
+            combo.active && combo.active.helpingId === helpingId
+                ? combo.active
+                : combo.queue.find((entry) => entry.helpingId === helpingId)
+        if (!helping) return
+        releaseInUse(state, helping)
+        helping.owner = to
+        const price = comboPrice(state, comboId)
+        adjustBalance(state, to, helping.usingCredits ? 'creditsInUse' : 'depositsInUse', price)
+    },
+
+    // Comes before the HelpingRemoved event of the helping, which pays nothing more.
+    EmergencyExit(state, { comboId, helpingId, owner, deposits, credits }) {
+        const combo = state.combos[comboId]
+        if (!combo) return
+        const isActive = combo.active && combo.active.helpingId === helpingId
+        const helping = isActive ? combo.active : combo.queue.find((entry) => entry.helpingId === helpingId)
+        if (!helping) return
+        helping.exited = true
+        releaseInUse(state, helping)
+        adjustBalance(state, owner, 'availableDeposits', deposits)
+        adjustBalance(state, owner, 'availableCredits', credits)
+        // The queued helping takes back the deposit the active helping received from it.
+        if (!isActive && deposits !== '0' && combo.active) --combo.active.depositsReceived
+    },
+
+    PremiumEscrowed(state) {
+        state.escrowsPremiums = true
+    },
+
+    // Either the premium of a helping that became the active helping at once, before its NewActiveHelping event, or
+    // that of a queued helping that replaced the active helping, after it.
+    PremiumCollected(state, { comboId, helpingId, amount }) {
+        state.escrowsPremiums = true
+        const combo = state.combos[comboId]
+        const replaced = combo && combo.active && combo.active.helpingId === helpingId
+        const previous = replaced ? state.history[state.history.length - 1] : undefined
+        distributePremium(state, amount, previous && previous.owner)
+    },
+
+    PremiumRefunded(state, { owner, amount }) {
+        state.escrowsPremiums = true
+        adjustBalance(state, owner, 'availableDeposits', amount)
+    },
+
+    Deposited(state, { account, amount }) {
+        adjustBalance(state, account, 'availableDeposits', amount)
+    },
+
+    Withdrawn(state, { account, amount }) {
+        adjustBalance(state, account, 'availableDeposits', BigNumber.from(amount).mul(-1))
+    },
+
+    Settled(state, { keeper, reward }) {
+        adjustDevFund(state, BigNumber.from(reward).mul(-1))
+        adjustBalance(state, keeper, 'availableDeposits', reward)
+    },
+
+    IntentExecuted(state, { owner, relayer, relayerFee }) {
+        adjustBalance(state, owner, 'availableDeposits', BigNumber.from(relayerFee).mul(-1))
+        adjustBalance(state, relayer, 'availableDeposits', relayerFee)
+    },
+
+    DevFundWithdrawn(state, { amount }) {
+        adjustDevFund(state, BigNumber.from(amount).mul(-1))
+    },
+
+    FeeChangeExecuted(state, { timedHelpingFeeBasisPoints, premiumDevFundBasisPoints, redistributePremiumRemainder }) {
+        state.fees = {
+            timedHelpingFeeBasisPoints: Number(timedHelpingFeeBasisPoints),
+            premiumDevFundBasisPoints: Number(premiumDevFundBasisPoints),
+            redistributePremiumRemainder,
+        }
+    },
+
+    CreditsTransferred(state, { from, to, amount }) {
+        adjustBalance(state, from, 'availableCredits', BigNumber.from(amount).mul(-1))
+        adjustBalance(state, to, 'availableCredits', amount)
+    },
+
+    CreditOfferCreated(state, { offerId, seller, credits, priceBasisPoints }, event) {
+        adjustBalance(state, seller, 'availableCredits', BigNumber.from(credits).mul(-1))
+        state.creditOffers[offerId] = { offerId, seller, credits, priceBasisPoints, createdBlock: event.blockNumber }
+    },
+
+    CreditsBought(state, { offerId, buyer, seller, credits, price }) {
+        adjustBalance(state, buyer, 'availableDeposits', BigNumber.from(price).mul(-1))
+        adjustBalance(state, buyer, 'availableCredits', credits)
+        adjustBalance(state, seller, 'availableDeposits', price)
+        const offer = state.creditOffers[offerId]
+        if (!offer) return
+        offer.credits = BigNumber.from(offer.credits).sub(credits).toString()
+        if (offer.credits === '0') delete state.creditOffers[offerId]
+    },
+
+    CreditOfferCancelled(state, { offerId, seller, credits }) {
+        adjustBalance(state, seller, 'availableCredits', credits)
+        delete state.creditOffers[offerId]
+    },
+}
+
+// Count a deposit to recipient's helping and return it. That is the active helping, unless the deposit expired it
+// earlier in the same transaction: a double helping with one deposit before this one, which was paid without it.
+function creditDeposit(state, event, comboId, recipient) {
+    const combo = state.combos[comboId]
+    let helping = combo && combo.active && combo.active.owner === recipient ? combo.active : undefined
+    for (let i = state.history.length - 1; i >= 0; --i) {
+        const retired = state.history[i]
+        if (retired.removedTx !== event.transactionHash) break
+        if (retired.comboId !== comboId || retired.removedAs !== 'active') continue
+        const { owner, type, depositsReceived } = retired
+        if (owner === recipient && type === HelpingType.DoubleHelping && depositsReceived === 1) {
+            helping = retired
+            adjustBalance(state, recipient, 'availableDeposits', comboPrice(state, comboId))
+        }
+        break
+    }
+    if (helping) ++helping.depositsReceived
+    return helping
+}
+
+/** The helping that received the deposit of helpingId, which was added with a HelpingAdded event already applied. */
+export function depositRecipientHelping(state, comboId, helpingId) {
+    const combo = state.combos[comboId]
+    if (!combo) return undefined
+    const added =
+        combo.active && combo.active.helpingId === helpingId
+            ? combo.active
+            : combo.queue.find((entry) => entry.helpingId === helpingId)
+    const recipientId = added && added.depositRecipientHelpingId
+    if (recipientId === undefined) return undefined
+    return combo.active && combo.active.helpingId === recipientId ? combo.active : lastRetired(state, recipientId)
+}
+
+/** Apply one decoded event ({name, args, blockNumber, logIndex}) to the state. */
+export function applyEvent(state, event) {
+    const handler = handlers[event.name]
+    if (handler) handler(state, event.args, event)
+    return state
+}
@@ -0,0 +1,71 @@
+import { utils } from 'ethers'
+
+export const IntentType = Object.freeze({
+    Batch: 'batch',
+    Withdrawal: 'withdrawal',
+})
+
+const helpingActionFields = [
+    { name: 'actionType', type: 'uint8' },
+    { name: 'amountDigit1', type: 'uint256' },
+    { name: 'amountDigit2', type: 'uint256' },
+    { name: 'amountZeros', type: 'uint256' },
+    { name: 'blocksDigit1', type: 'uint256' },
+    { name: 'blocksDigit2', type: 'uint256' },
+    { name: 'blocksZeros', type: 'uint256' },
+    { name: 'doubleHelping', type: 'bool' },
+    { name: 'usingCredits', type: 'bool' },
+    { name: 'creatorOnly', type: 'bool' },
+    { name: 'amount', type: 'uint256' },
+    { name: 'helpingId', type: 'uint256' },
+    { name: 'maxQueueWait', type: 'uint256' },
+]
+
+/** The EIP-712 types of each IntentType, as the contract's batchBySig() and withdrawBySig() hash them. */
+export const intentTypes = {
+    [IntentType.Batch]: {
+        Batch: [
+            { name: 'owner', type: 'address' },
+            { name: 'actions', type: 'HelpingAction[]' },
+            { name: 'relayerFee', type: 'uint256' },
+            { name: 'nonce', type: 'uint256' },
+            { name: 'deadline', type: 'uint256' },
+        ],
+        HelpingAction: helpingActionFields,
+    },
+    [IntentType.Withdrawal]: {
+        Withdrawal: [
+            { name: 'owner', type: 'address' },
+            { name: 'recipient', type: 'address' },
+            { name: 'amount', type: 'uint256' },
+            { name: 'relayerFee', type: 'uint256' },
+            { name: 'nonce', type: 'uint256' },
+            { name: 'deadline', type: 'uint256' },
+        ],
+    },
+}
+
+/** The EIP-712 domain of the SpicyCombos contract deployed at verifyingContract. */
+export function intentDomain(chainId, verifyingContract) {
+    return { name: 'SpicyCombos', version: '1', chainId, verifyingContract }
+}
+
+function checkIntentType(intent) {
+    if (!(intent.type in intentTypes)) throw new Error(`unknown intent type "${intent.type}"`)
+}
+
+/**
+ * Sign an intent with an ethers Signer, which must be the intent's owner.
+ * @param intent an unsigned intent, as from SpicyCombosClient.signBatch() or signWithdrawal().
+ * @return the signature.
+ */
+export async function signIntent(signer, domain, intent) {
+    checkIntentType(intent)
+    return signer._signTypedData(domain, intentTypes[intent.type], intent)
+}
+
+/** The address that signed an intent, which the contract only accepts if it is the intent's owner. */
+export function recoverIntentSigner(domain, intent) {
+    checkIntentType(intent)
+    return utils.verifyTypedData(domain, intentTypes[intent.type], intent, intent.signature)
+}
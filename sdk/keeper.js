@@ -0,0 +1,69 @@
+import { Combo } from './combo.js'
+import { HelpingType, SpicyCombosClient } from './client.js'
+
+// Events after which a combo's active helping may have changed.
+const watchedEvents = ['HelpingAdded', 'HelpingRemoved', 'NewActiveHelping', 'Settled']
+
+/**
+ * Watches a SpicyCombos contract for active timed helpings and settles them once they expire.
+ *
+ * Double helpings are settled by the deposit that expires them, so only timed helpings need a keeper.
+ * Every poll() reads the new events, looks up the expiration of each combo they touched, and sends one settleMany()
+ * for the combos whose active helping will have expired by the next block.
+ */
+export class Keeper {
+    /**
+     * @param address the address of the deployed SpicyCombos contract.
+     * @param signer the ethers Signer that sends the settleMany() transactions and earns the keeper reward.
+     * @param startBlock the first block to watch, normally the deployment block.
+     * @param batchSize the most combos to settle in one transaction.
+     */
+    constructor({ address, signer, startBlock = 0, batchSize = 20 }) {
+        this.client = new SpicyCombosClient(address, signer)
+        this.provider = signer.provider
+        this.batchSize = batchSize
+        this.lastBlock = startBlock - 1
+        this.expirations = new Map() // comboId => the clock() time when its active timed helping expires
+    }
+
+    /**
+     * Catch up with the chain and settle the combos that are due.
+     * @return the comboIds sent to settleMany(), if any.
+     */
+    async poll() {
+        const latest = await this.provider.getBlockNumber()
+        if (latest > this.lastBlock) {
+            const comboIds = new Set()
+            const logs = await this.client.contract.queryFilter('*', this.lastBlock + 1, latest)
+            for (const log of logs) {
+                const parsed = this.client.contract.interface.parseLog(log)
+                if (watchedEvents.includes(parsed.name)) comboIds.add(parsed.args.comboId.toNumber())
+            }
+            for (const comboId of comboIds) await this._track(comboId)
+            this.lastBlock = latest
+        }
+
+        // The settleMany() transaction will be mined in the next block at the earliest, which is at least a block
+        // number or a second later.
+        const now = await this.client.clock()
+        const due = []
+        for (const [comboId, expiration] of this.expirations) {
+            if (expiration <= now + 1 && due.length < this.batchSize) due.push(comboId)
+        }
+        if (due.length === 0) return []
+
+        await (await this.client.settleMany({ combos: due.map((comboId) => Combo.fromComboId(comboId)) })).wait()
+        // Settling emits events for these combos, so the next poll() picks up their new active helpings.
+        for (const comboId of due) this.expirations.delete(comboId)
+        return due
+    }
+
+    async _track(comboId) {
+        const info = await this.client.comboInfo(Combo.fromComboId(comboId))
+        if (info.activeHelpingExists && info.activeHelpingType === HelpingType.TimedHelping) {
+            this.expirations.set(comboId, info.activeHelpingExpiration)
+        } else {
+            this.expirations.delete(comboId)
+        }
+    }
+}
@@ -0,0 +1,92 @@
+import fs from 'fs'
+import http from 'http'
+import https from 'https'
+import { utils } from 'ethers'
+import { TimeUnit } from './combo.js'
+
+/** The kinds of notification a Watcher sends. */
+export const NotificationType = Object.freeze({
+    HelpingActive: 'helpingActive',
+    DepositReceived: 'depositReceived',
+    ExpiringSoon: 'expiringSoon',
+    HelpingRemoved: 'helpingRemoved',
+    Outbid: 'outbid',
+})
+
+const eth = (amount) => `${utils.formatEther(amount)} ETH`
+
+// An expiration is a block number, or a timestamp on deployments that measure time limits in seconds.
+const at = (expiration, timeUnit) => (timeUnit === TimeUnit.Seconds ? `timestamp ${expiration}` : `block ${expiration}`)
+
+const descriptions = {
+    [NotificationType.HelpingActive]: ({ expiration, timeUnit }) =>
+        expiration !== undefined ? `became active, expiring at ${at(expiration, timeUnit)}` : 'became active',
+    [NotificationType.DepositReceived]: ({ amount, from, depositsReceived }) =>
+        `received a deposit of ${eth(amount)} from ${from}, ${depositsReceived} so far`,
+    [NotificationType.ExpiringSoon]: ({ blocksLeft, expiration, timeUnit = TimeUnit.Blocks }) =>
+        blocksLeft > 0
+            ? `expires in ${blocksLeft} ${timeUnit}, at ${at(expiration, timeUnit)}`
+            : `expired at ${at(expiration, timeUnit)}`,
+    [NotificationType.HelpingRemoved]: ({ deposits, credits }) =>
+        `was removed, paying out ${eth(deposits)} in deposits and ${eth(credits)} in credits`,
+    [NotificationType.Outbid]: ({ by, position }) =>
+        `was outbid by helping #${by.helpingId} with a premium of ${eth(by.premium)}, now at position ${position}`,
+}
+
+/** One line of text for a Watcher notification. */
+export function describeNotification(notification) {
+    const { type, address, helpingId, combo } = notification
+    return `${address}: helping #${helpingId} in ${combo} ${descriptions[type](notification)}`
+}
+
+/** Prints each notification as a line of text. */
+export class ConsoleNotifier {
+    constructor({ print = console.log } = {}) {
+        this.print = print
+    }
+
+    async notify(notification) {
+        this.print(describeNotification(notification))
+    }
+}
+
+/** Appends each notification to a file as a line of JSON. */
+export class FileNotifier {
+    constructor(path) {
+        this.path = path
+    }
+
+    async notify(notification) {
+        fs.appendFileSync(this.path, JSON.stringify(notification) + '\n')
+    }
+}
+
+/** POSTs each notification as JSON to a URL, failing unless it answers with a 2xx status. */
+export class WebhookNotifier {
+    /**
+     * @param url the endpoint, such as http://127.0.0.1:9000/spicy.
+     * @param timeout how many milliseconds to wait for an answer.
+     */
+    constructor(url, { timeout = 10000 } = {}) {
+        this.url = new URL(url)
+        this.timeout = timeout
+    }
+
+    notify(notification) {
+        const body = JSON.stringify(notification)
+        const { request } = this.url.protocol === 'https:' ? https : http
+        const headers = { 'content-type': 'application/json', 'content-length': Buffer.byteLength(body) }
+        return new Promise((resolve, reject) => {
+            const req = request(this.url, { method: 'POST', headers, timeout: this.timeout }, (res) => {
+                res.resume()
+                res.on('end', () => {
+                    if (res.statusCode >= 200 && res.statusCode < 300) resolve()
+                    else reject(new Error(`webhook ${this.url} answered ${res.statusCode}`))
+                })
+            })
+            req.on('timeout', () => req.destroy(new Error(`webhook ${this.url} timed out`)))
+            req.on('error', reject)
+            req.end(body)
+        })
+    }
+}
@@ -0,0 +1,99 @@
+import http from 'http'
+import https from 'https'
+import { BigNumber, utils } from 'ethers'
+import { SpicyCombosClient } from './client.js'
+import { recoverIntentSigner } from './intents.js'
+
+/**
+ * Executes intents signed with SpicyCombosClient.signBatch() or signWithdrawal() from its own account, paying the gas
+ * and earning each intent's relayerFee as available deposits.
+ *
+ * Intents can be passed to relay(), or POSTed as JSON to the HTTP server from listen(), which answers with
+ * {transactionHash}, or with a 400 status and {error, errorName} when the intent is refused or would revert.
+ */
+export class Relayer {
+    /**
+     * @param address the address of the deployed SpicyCombos contract.
+     * @param signer the ethers Signer that sends the transactions.
+     * @param minRelayerFee the smallest relayerFee worth the gas, in wei.
+     */
+    constructor({ address, signer, minRelayerFee = 0 }) {
+        this.client = new SpicyCombosClient(address, signer)
+        this.minRelayerFee = BigNumber.from(minRelayerFee)
+    }
+
+    /**
+     * Check an intent and send it. Intents that the contract would reject revert in gas estimation, before anything
+     * is sent, with a SpicyCombosError.
+     * @return the ethers TransactionResponse.
+     */
+    async relay(intent) {
+        if (!this.domain) this.domain = await this.client.intentDomain()
+        let signer
+        try {
+            signer = recoverIntentSigner(this.domain, intent)
+        } catch (e) {
+            throw new Error(`malformed intent: ${e.message}`)
+        }
+        if (signer !== utils.getAddress(intent.owner)) throw new Error('the intent is not signed by its owner')
+        if (this.minRelayerFee.gt(intent.relayerFee)) {
+            throw new Error(`the relayerFee is less than ${utils.formatEther(this.minRelayerFee)} ETH`)
+        }
+        return this.client.relay(intent)
+    }
+
+    /**
+     * Serve relay() over HTTP.
+     * @return the listening http.Server. Close it to stop.
+     */
+    async listen(port = 0, host = '127.0.0.1') {
+        const server = http.createServer((req, res) => {
+            let body = ''
+            req.on('data', (chunk) => (body += chunk))
+            req.on('end', async () => {
+                let status = 200
+                let answer
+                try {
+                    if (req.method !== 'POST') throw new Error('POST a signed intent')
+                    const tx = await this.relay(JSON.parse(body))
+                    answer = { transactionHash: tx.hash }
+                } catch (e) {
+                    status = 400
+                    answer = { error: e.message, errorName: e.errorName }
+                }
+                res.writeHead(status, { 'content-type': 'application/json' })
+                res.end(JSON.stringify(answer))
+            })
+        })
+        await new Promise((resolve) => server.listen(port, host, resolve))
+        return server
+    }
+}
+
+/**
+ * POST a signed intent to a Relayer's HTTP server.
+ * @return the hash of the transaction that executes it.
+ */
+export function submitIntent(url, intent) {
+    url = new URL(url)
+    const body = JSON.stringify(intent)
+    const { request } = url.protocol === 'https:' ? https : http
+    const headers = { 'content-type': 'application/json', 'content-length': Buffer.byteLength(body) }
+    return new Promise((resolve, reject) => {
+        const req = request(url, { method: 'POST', headers }, (res) => {
+            let answer = ''
+            res.on('data', (chunk) => (answer += chunk))
+            res.on('end', () => {
+                try {
+                    const { transactionHash, error } = JSON.parse(answer)
+                    if (res.statusCode === 200) resolve(transactionHash)
+                    else reject(new Error(`relayer ${url} refused the intent: ${error}`))
+                } catch (e) {
+                    reject(new Error(`relayer ${url} answered ${res.statusCode}`))
+                }
+            })
+        })
+        req.on('error', reject)
+        req.end(body)
+    })
+}
@@ -0,0 +1,81 @@
+import { BigNumber, Contract, constants, utils } from 'ethers'
+import { erc20Abi, spicyCombosTokenAbi } from './abi.js'
+import { SpicyCombosClient } from './client.js'
+
+// How long a permit signed by depositWithPermit() is valid for by default.
+const PERMIT_SECONDS = 3600
+
+// The EIP-712 type of an EIP-2612 permit.
+const permitTypes = {
+    Permit: [
+        { name: 'owner', type: 'address' },
+        { name: 'spender', type: 'address' },
+        { name: 'value', type: 'uint256' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'deadline', type: 'uint256' },
+    ],
+}
+
+/**
+ * Wraps a deployed SpicyCombosToken contract, where everything is paid in an ERC-20 token instead of ETH.
+ *
+ * Every amount is in the token's smallest unit. Combo descriptors are parsed as 18-decimal amounts, so with a token of
+ * 18 decimals "4.4 ETH / 25 blocks" means 4.4 tokens; for other tokens use Combo.fromValues() or the six digits.
+ *
+ * The contract pulls whatever a transaction needs beyond availableDeposits with transferFrom, so approveToken() once,
+ * or depositWithPermit() ahead of time.
+ */
+export class SpicyCombosTokenClient extends SpicyCombosClient {
+    /**
+     * @param address the address of the deployed SpicyCombosToken contract.
+     * @param signerOrProvider an ethers Signer to send transactions, or a Provider for read-only use.
+     */
+    constructor(address, signerOrProvider) {
+        super(address, signerOrProvider)
+        this.contract = new Contract(address, spicyCombosTokenAbi, signerOrProvider)
+        this._paidInToken = true
+    }
+
+    /** The ERC-20 token contract, connected to the same signer or provider. */
+    async tokenContract() {
+        if (!this._token) this._token = new Contract(await this.contract.token(), erc20Abi, this.contract.signer)
+        return this._token
+    }
+
+    /** Pull amount of the token from the signer's wallet into its available deposits. */
+    async deposit(amount, overrides = {}) {
+        return this._invoke('depositTokens', [amount, overrides])
+    }
+
+    /**
+     * Sign an EIP-2612 permit for amount and deposit it in one transaction, without approving the contract first.
+     * @param deadline the timestamp after which the permit is invalid. Defaults to an hour after the latest block.
+     */
+    async depositWithPermit(amount, { deadline, overrides = {} } = {}) {
+        const { signer } = this.contract
+        const token = await this.tokenContract()
+        const owner = await signer.getAddress()
+        if (deadline === undefined) deadline = (await signer.provider.getBlock('latest')).timestamp + PERMIT_SECONDS
+        const domain = {
+            name: await token.name(),
+            version: '1',
+            chainId: await signer.getChainId(),
+            verifyingContract: token.address,
+        }
+        const permit = { owner, spender: this.address, value: amount, nonce: await token.nonces(owner), deadline }
+        const { v, r, s } = utils.splitSignature(await signer._signTypedData(domain, permitTypes, permit))
+        return this._invoke('depositTokensWithPermit', [amount, deadline, v, r, s, overrides])
+    }
+
+    /** Approve the contract to pull amount of the signer's tokens, by default without limit. */
+    async approveToken(amount = constants.MaxUint256, overrides = {}) {
+        const token = await this.tokenContract()
+        return token.approve(this.address, amount, overrides)
+    }
+
+    /** How many of owner's tokens the contract may still pull. */
+    async tokenAllowance(owner) {
+        const token = await this.tokenContract()
+        return token.allowance(owner, this.address)
+    }
+}
@@ -0,0 +1,225 @@
+import { BigNumber, utils } from 'ethers'
+import { Combo, TimeUnit } from './combo.js'
+import { HelpingType, SpicyCombosClient } from './client.js'
+import { activeHelpingPayout } from './estimator.js'
+import { serializeArgs } from './indexer.js'
+import { applyEvent, depositRecipientHelping, emptyState } from './indexerState.js'
+import { ConsoleNotifier, NotificationType } from './notifiers.js'
+
+const queueIds = (state, comboId) => (state.combos[comboId] ? state.combos[comboId].queue.map((h) => h.helpingId) : [])
+
+/**
+ * Follows SpicyCombos events for a set of addresses and tells pluggable notifiers what happened to their helpings.
+ *
+ * A notification is a plain object with a type from NotificationType, the watched address, the comboId, the combo as a
+ * descriptor, the helpingId, the blockNumber and, except for ExpiringSoon, the transactionHash. HelpingActive and
+ * ExpiringSoon also give the timeUnit that their expiration is in. Amounts are decimal strings of wei. Combo and queue
+ * state is rebuilt from events as the Indexer does, so startBlock should be the deployment block for queued helpings to
+ * be known.
+ *
+ * A notifier is anything with an async notify(notification). A notifier that throws doesn't stop the others; its error
+ * goes to onError.
+ */
+export class Watcher {
+    /**
+     * @param address the address of the deployed SpicyCombos contract.
+     * @param provider an ethers Provider for the node to watch.
+     * @param addresses the owners whose helpings to watch.
+     * @param notifiers where to send notifications, by default a ConsoleNotifier.
+     * @param startBlock the first block to watch, normally the deployment block.
+     * @param warnBlocks how many blocks, or seconds on SpicyCombosTimestamp, before its expiration to warn about an
+     *     active timed helping.
+     * @param onError called with (error, notification, notifier) when a notifier fails.
+     */
+    constructor({
+        address,
+        provider,
+        addresses,
+        notifiers = [new ConsoleNotifier()],
+        startBlock = 0,
+        warnBlocks = 10,
+        onError = (error) => console.error('notifier failed', error),
+    }) {
+        this.client = new SpicyCombosClient(address, provider)
+        this.provider = provider
+        this.addresses = new Set(addresses.map((owner) => utils.getAddress(owner)))
+        this.notifiers = notifiers
+        this.warnBlocks = warnBlocks
+        this.onError = onError
+        this.lastBlock = startBlock - 1
+        this.state = undefined // built on the first poll, once minValue is known
+        this.warned = new Set() // helpingIds already warned about
+    }
+
+    /**
+     * Catch up with the chain and send a notification for everything that happened to the watched helpings.
+     * @return the notifications sent, in chain order.
+     */
+    async poll() {
+        this.minValue = await this.client.minValue()
+        this.timeUnit = await this.client.timeUnit()
+        if (!this.state) this.state = emptyState(this.minValue)
+        const latest = await this.provider.getBlockNumber()
+        const notifications = []
+        if (latest > this.lastBlock) {
+            const logs = await this.client.contract.queryFilter('*', this.lastBlock + 1, latest)
+            let transaction = []
+            for (const log of logs) {
+                if (transaction.length && transaction[0].transactionHash !== log.transactionHash) {
+                    notifications.push(...(await this._applyTransaction(transaction)))
+                    transaction = []
+                }
+                const parsed = this.client.contract.interface.parseLog(log)
+                const { blockNumber, logIndex, transactionHash } = log
+                const args = serializeArgs(parsed)
+                const event = { name: parsed.name, args, blockNumber, logIndex, transactionHash }
+                if (this.timeUnit === TimeUnit.Seconds && parsed.name === 'NewActiveHelping') {
+                    event.timestamp = (await this.provider.getBlock(log.blockHash)).timestamp
+                }
+                transaction.push(event)
+            }
+            if (transaction.length) notifications.push(...(await this._applyTransaction(transaction)))
+            this.lastBlock = latest
+        }
+        notifications.push(...(await this._expiringSoon(latest, await this.client.clock())))
+
+        for (const notification of notifications) {
+            for (const notifier of this.notifiers) {
+                try {
+                    await notifier.notify(notification)
+                } catch (e) {
+                    this.onError(e, notification, notifier)
+                }
+            }
+        }
+        return notifications
+    }
+
+    // Apply the events of one transaction. Payouts and outbidding are judged once all of them are applied, since a
+    // deposit can expire the helping it pays before the HelpingAdded event that records it.
+    async _applyTransaction(events) {
+        const { state } = this
+        const notifications = []
+        const historyLength = state.history.length
+        const queuesBefore = new Map()
+        const exits = new Map()
+        const refunds = new Map() // helpingId => the premium SpicyCombosEscrow gave back
+
+        for (const event of events) {
+            const { args } = event
+            const notify = (type, address, details) =>
+                notifications.push(this._notification(type, address, args.comboId, event, details))
+            if (args.comboId !== undefined && !queuesBefore.has(args.comboId)) {
+                queuesBefore.set(args.comboId, queueIds(state, args.comboId))
+            }
+            const wasQueued = queueIds(state, args.comboId).includes(args.helpingId)
+            applyEvent(state, event)
+
+            if (event.name === 'NewActiveHelping' && wasQueued && this.addresses.has(args.owner)) {
+                const helping = state.combos[args.comboId].active
+                const expiration = helping.type === HelpingType.TimedHelping ? helping.expiration : undefined
+                const { timeUnit } = this
+                notify(NotificationType.HelpingActive, args.owner, { helpingId: args.helpingId, expiration, timeUnit })
+            } else if (event.name === 'HelpingAdded' && this.addresses.has(args.depositRecipient)) {
+                // Unknown if the helping was added before startBlock.
+                const recipient = depositRecipientHelping(state, args.comboId, args.helpingId)
+                if (recipient) {
+                    notify(NotificationType.DepositReceived, args.depositRecipient, {
+                        helpingId: recipient.helpingId,
+                        amount: args.depositAmount,
+                        from: args.owner,
+                        depositsReceived: recipient.depositsReceived,
+                    })
+                }
+            } else if (event.name === 'EmergencyExit') {
+                exits.set(args.helpingId, args)
+            } else if (event.name === 'PremiumRefunded') {
+                refunds.set(args.helpingId, args.amount)
+            }
+        }
+
+        for (const helping of state.history.slice(historyLength)) {
+            this.warned.delete(helping.helpingId)
+            if (!this.addresses.has(helping.owner)) continue
+            const payout = await this._payout(helping, exits.get(helping.helpingId), events[0].blockNumber)
+            const refund = refunds.get(helping.helpingId)
+            if (refund) payout.deposits = BigNumber.from(payout.deposits).add(refund).toString()
+            notifications.push(
+                this._notification(NotificationType.HelpingRemoved, helping.owner, helping.comboId, events[0], {
+                    helpingId: helping.helpingId,
+                    ...payout,
+                })
+            )
+        }
+
+        for (const event of events) {
+            if (event.name !== 'HelpingAdded' && event.name !== 'PremiumIncreased') continue
+            notifications.push(...this._outbid(event, queuesBefore.get(event.args.comboId)))
+        }
+        return notifications
+    }
+
+    // Watched helpings that the bidder's helping moved ahead of, having been behind them or not queued before.
+    _outbid(event, queueBefore) {
+        const { comboId, helpingId, owner } = event.args
+        const queue = this.state.combos[comboId] ? this.state.combos[comboId].queue : []
+        const bidderIndex = queue.findIndex((helping) => helping.helpingId === helpingId)
+        if (bidderIndex === -1) return []
+        const bidder = queue[bidderIndex]
+        const bidderIndexBefore = queueBefore.indexOf(helpingId)
+
+        const notifications = []
+        queue.slice(bidderIndex + 1).forEach((helping, i) => {
+            if (helping.owner === owner || !this.addresses.has(helping.owner)) return
+            const indexBefore = queueBefore.indexOf(helping.helpingId)
+            if (indexBefore === -1 || (bidderIndexBefore !== -1 && bidderIndexBefore < indexBefore)) return
+            notifications.push(
+                this._notification(NotificationType.Outbid, helping.owner, comboId, event, {
+                    helpingId: helping.helpingId,
+                    premium: helping.premium,
+                    position: bidderIndex + i + 2,
+                    by: { helpingId, owner, premium: bidder.premium },
+                })
+            )
+        })
+        return notifications
+    }
+
+    // The deposits and credits that removing a helping paid its owner, as the contract computes them.
+    async _payout(helping, exit, blockNumber) {
+        if (exit) return { deposits: exit.deposits, credits: exit.credits }
+
+        const price = Combo.fromComboId(helping.comboId).price(this.minValue)
+        if (helping.removedAs !== 'active') return { deposits: '0', credits: price.toString() }
+        if (helping.depositsReceived === 0) {
+            const credits = helping.type === HelpingType.DoubleHelping ? price : BigNumber.from(0)
+            return { deposits: '0', credits: credits.toString() }
+        }
+        const { timedHelpingFeeBasisPoints } = await this.client.contract.fees({ blockTag: blockNumber })
+        const deposits = activeHelpingPayout(helping, price, timedHelpingFeeBasisPoints.toNumber())
+        return { deposits: deposits.toString(), credits: '0' }
+    }
+
+    // now is the latest block's clock() time, which expirations are in.
+    async _expiringSoon(latest, now) {
+        const notifications = []
+        for (const combo of Object.values(this.state.combos)) {
+            const helping = combo.active
+            if (!helping || helping.type !== HelpingType.TimedHelping || !this.addresses.has(helping.owner)) continue
+            const blocksLeft = helping.expiration - now
+            if (blocksLeft > this.warnBlocks || this.warned.has(helping.helpingId)) continue
+            this.warned.add(helping.helpingId)
+            const { helpingId, expiration } = helping
+            const details = { helpingId, expiration, blocksLeft, timeUnit: this.timeUnit }
+            const { owner } = helping
+            const at = { blockNumber: latest }
+            notifications.push(this._notification(NotificationType.ExpiringSoon, owner, combo.comboId, at, details))
+        }
+        return notifications
+    }
+
+    _notification(type, address, comboId, { blockNumber, transactionHash }, details) {
+        const combo = Combo.fromComboId(comboId).format(this.minValue, this.timeUnit)
+        return { type, address, comboId, combo, ...details, blockNumber, transactionHash }
+    }
+}
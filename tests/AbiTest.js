@@ -0,0 +1,32 @@
+import { expect } from 'chai'
+import { artifacts, ethers } from 'hardhat'
+import {
+    helpingReceiptsAbi,
+    spicyCombosAbi,
+    spicyCombosEscrowAbi,
+    spicyCombosTimestampAbi,
+    spicyCombosTokenAbi,
+} from '../sdk/index.js'
+
+// The human-readable ABI that the SDK keeps for each contract.
+const sdkAbis = {
+    SpicyCombos: spicyCombosAbi,
+    SpicyCombosToken: spicyCombosTokenAbi,
+    SpicyCombosTimestamp: spicyCombosTimestampAbi,
+    SpicyCombosEscrow: spicyCombosEscrowAbi,
+    HelpingReceipts: helpingReceiptsAbi,
+}
+
+// Every fragment of abi, with its parameter names, in one format so that the two ABIs can be compared.
+const fragments = (abi) => new ethers.utils.Interface(abi).fragments.map((fragment) => fragment.format('full'))
+
+describe('sdk/abi.js', function () {
+    for (const [name, abi] of Object.entries(sdkAbis)) {
+        it(`should match the compiled ${name}`, async function () {
+            const sdk = fragments(abi)
+            const compiled = fragments((await artifacts.readArtifact(name)).abi)
+            expect(compiled.filter((fragment) => !sdk.includes(fragment))).to.deep.equal([], 'missing from sdk/abi.js')
+            expect(sdk.filter((fragment) => !compiled.includes(fragment))).to.deep.equal([], 'not in the contract')
+        })
+    }
+})
@@ -0,0 +1,169 @@
+import { expect } from 'chai'
+import { ethers } from 'hardhat'
+import { ActionType, Combo, HelpingType, SpicyCombosClient, decodeError } from '../sdk/index.js'
+import { deploySpicyCombos } from './helpers/deploy.js'
+
+const {
+    utils: { parseEther },
+} = ethers
+
+const AddHelping = 0
+const RemoveHelping = 1
+const IncreasePremium = 2
+
+describe('batch()', function () {
+    var sc, signers, tacos, wings, tacosPrice, wingsPrice
+    const minValue = parseEther('.000001')
+
+    // the HelpingAction tuple expected by batch()
+    function action(actionType, combo, { doubleHelping = false, creatorOnly = false, amount = 0, helpingId = 0 } = {}) {
+        return [actionType, ...combo.toArgs(), doubleHelping, false, creatorOnly, amount, helpingId, 0]
+    }
+
+    before(async function () {
+        signers = await ethers.getSigners()
+        sc = await deploySpicyCombos('SpicyCombos', minValue)
+        tacos = Combo.parse('0.25 ETH / 15 blocks', minValue)
+        wings = Combo.parse('0.1 ETH / 20 blocks', minValue)
+        tacosPrice = tacos.price(minValue)
+        wingsPrice = wings.price(minValue)
+    })
+
+    describe('adding helpings to two combos with a single msg.value', function () {
+        before(async function () {
+            const [account1] = signers
+            await sc
+                .connect(account1)
+                .batch(
+                    [
+                        action(AddHelping, tacos, { doubleHelping: true, creatorOnly: true }),
+                        action(AddHelping, wings, { creatorOnly: true, amount: parseEther('.01') }),
+                    ],
+                    { value: tacosPrice.add(wingsPrice).add(parseEther('.01')) }
+                )
+        })
+        it('should make account1 the active helping of both combos', async function () {
+            const [account1] = signers
+            for (const combo of [tacos, wings]) {
+                const { activeHelpingOwner } = await sc.comboInfo(...combo.toArgs())
+                expect(activeHelpingOwner).to.equal(account1.address)
+            }
+        })
+        it('should put both combo prices in use and the premium in the dev fund', async function () {
+            const [account1] = signers
+            const { availableDeposits, depositsInUse } = await sc.balances(account1.address)
+            expect(availableDeposits).to.equal(0)
+            expect(depositsInUse).to.equal(tacosPrice.add(wingsPrice))
+            expect(await sc.devFund()).to.equal(parseEther('.01'))
+        })
+    })
+
+    describe('a failing action', function () {
+        var balanceBefore
+
+        before(async function () {
+            const [, account2] = signers
+            balanceBefore = await sc.balances(account2.address)
+        })
+        it('should revert the whole batch with the index and the original custom error', async function () {
+            const [, account2] = signers
+            const batch = sc
+                .connect(account2)
+                .batch([action(AddHelping, wings, { doubleHelping: true }), action(AddHelping, tacos)], {
+                    value: wingsPrice.add(tacosPrice.div(2)),
+                })
+            const reason = sc.interface.encodeErrorResult('NotEnoughAvailableDeposits', [tacosPrice.div(2), tacosPrice])
+            await expect(batch).to.be.revertedWithCustomError(sc, 'BatchActionFailed').withArgs(1, reason)
+        })
+        it('should leave no trace of the earlier actions', async function () {
+            const [, account2] = signers
+            const balance = await sc.balances(account2.address)
+            expect(balance.map(String)).to.deep.equal(balanceBefore.map(String))
+            expect(await sc.myPosition(...wings.toArgs(), account2.address)).to.equal(0)
+            expect(await sc.comboCountOf(account2.address)).to.equal(0)
+        })
+        it('decodeError() should decode the nested error', async function () {
+            const [, account2] = signers
+            try {
+                await sc.connect(account2).batch([action(RemoveHelping, tacos)])
+                expect.fail('should have reverted')
+            } catch (e) {
+                const decoded = decodeError(e)
+                expect(decoded.errorName).to.equal('BatchActionFailed')
+                expect(decoded.actionIndex).to.equal(0)
+                expect(decoded.actionError.errorName).to.equal('HelpingNotFoundForCaller')
+            }
+        })
+    })
+
+    describe('queueing, increasing a premium and removing in one batch', function () {
+        before(async function () {
+            const [, account2] = signers
+            await sc
+                .connect(account2)
+                .batch(
+                    [
+                        action(AddHelping, tacos, { doubleHelping: true }),
+                        action(AddHelping, wings, { doubleHelping: true }),
+                        action(IncreasePremium, wings, { amount: parseEther('.02') }),
+                        action(RemoveHelping, tacos),
+                    ],
+                    { value: tacosPrice.add(wingsPrice).add(parseEther('.02')) }
+                )
+        })
+        it('should apply the actions in order', async function () {
+            const [, account2] = signers
+            const { exists: inTacos } = await sc.helpingInfo(...tacos.toArgs(), account2.address)
+            expect(inTacos).to.be.false
+            const { exists: inWings, premium } = await sc.helpingInfo(...wings.toArgs(), account2.address)
+            expect(inWings).to.be.true
+            expect(premium).to.equal(parseEther('.02'))
+        })
+        it('should turn the removed helping into credits', async function () {
+            const [, account2] = signers
+            const { availableCredits, depositsInUse } = await sc.balances(account2.address)
+            expect(availableCredits).to.equal(tacosPrice)
+            expect(depositsInUse).to.equal(wingsPrice)
+        })
+    })
+
+    it('performBatchAction() should only be callable by the contract itself', async function () {
+        const performBatchAction = sc.performBatchAction(signers[0].address, action(RemoveHelping, tacos))
+        await expect(performBatchAction).to.be.revertedWithCustomError(sc, 'OnlyCallableByThisContract')
+    })
+
+    describe('SpicyCombosClient.batch()', function () {
+        var client
+
+        before(async function () {
+            client = new SpicyCombosClient(sc.address, signers[3])
+        })
+        it('should send only the shortfall beyond availableDeposits', async function () {
+            const [, , , account4] = signers
+            await (await client.deposit(wingsPrice)).wait()
+            await (
+                await client.batch([
+                    { action: ActionType.AddHelping, combo: '0.1 ETH / 20 blocks', type: HelpingType.TimedHelping },
+                    { action: ActionType.AddHelping, combo: tacos, type: HelpingType.DoubleHelping, premium: 5 },
+                ])
+            ).wait()
+            const { availableDeposits, depositsInUse } = await client.balances(account4.address)
+            expect(availableDeposits).to.equal(0)
+            expect(depositsInUse).to.equal(tacosPrice.add(wingsPrice))
+        })
+        it('should throw a SpicyCombosError with the failing action', async function () {
+            try {
+                await client.batch([
+                    { action: ActionType.IncreasePremium, combo: wings, amount: 1 },
+                    { action: ActionType.RemoveHelping, helpingId: 1 },
+                ])
+                expect.fail('should have reverted')
+            } catch (e) {
+                expect(e.errorName).to.equal('BatchActionFailed')
+                expect(e.actionIndex).to.equal(1)
+                expect(e.actionError.errorName).to.equal('HelpingNotFoundForCaller')
+                expect(e.message).to.equal('BatchActionFailed(1, HelpingNotFoundForCaller())')
+            }
+        })
+    })
+})
@@ -0,0 +1,366 @@
+import { expect } from 'chai'
+import { ethers } from 'hardhat'
+import { Combo, runCli } from '../sdk/index.js'
+import { deploySpicyCombos } from './helpers/deploy.js'
+
+const {
+    BigNumber,
+    utils: { parseEther },
+} = ethers
+
+describe('spicy command line', function () {
+    var sc, signers, tacos, price
+    const minValue = parseEther('.000001')
+
+    // Run the command line as signer, collecting its output.
+    async function spicy(args, signer = signers[0], address = sc.address) {
+        const out = []
+        const err = []
+        const code = await runCli(['--address', address, ...args], {
+            signer,
+            env: {},
+            print: (line) => out.push(line),
+            printError: (line) => err.push(line),
+        })
+        return { code, out: out.join('\n'), err: err.join('\n') }
+    }
+
+    async function spicyJson(args, signer) {
+        const { code, out } = await spicy(['--json', ...args], signer)
+        return { code, json: JSON.parse(out) }
+    }
+
+    before(async function () {
+        signers = await ethers.getSigners()
+        sc = await deploySpicyCombos('SpicyCombos', minValue)
+        tacos = Combo.parse('0.25 ETH / 100 blocks', minValue)
+        price = tacos.price(minValue)
+    })
+
+    describe('usage', function () {
+        it('should print the usage for --help', async function () {
+            const { code, out } = await spicy(['--help'])
+            expect(code).to.equal(0)
+            expect(out).to.contain('usage: spicy')
+            expect(out).to.contain('bump-premium')
+        })
+        it('should exit with 2 for an unknown command', async function () {
+            const { code, err } = await spicy(['eat'])
+            expect(code).to.equal(2)
+            expect(err).to.contain('unknown command "eat"')
+        })
+        it('should exit with 2 for an unknown option', async function () {
+            const { code, err } = await spicy(['balance', '--verbose'])
+            expect(code).to.equal(2)
+            expect(err).to.contain("'--verbose'")
+        })
+        it('should not take a private key on the command line', async function () {
+            const { code, err } = await spicy(['balance', '--key', '0x01'])
+            expect(code).to.equal(2)
+            expect(err).to.contain("'--key'")
+        })
+        it('should need the contract address', async function () {
+            const out = []
+            const printError = (line) => out.push(line)
+            const code = await runCli(['dev-fund'], { signer: signers[0], env: {}, printError })
+            expect(code).to.equal(2)
+            expect(out.join('\n')).to.contain('SPICY_ADDRESS')
+        })
+        it('should take the contract address from SPICY_ADDRESS', async function () {
+            const out = []
+            const env = { SPICY_ADDRESS: sc.address }
+            const code = await runCli(['dev-fund'], { signer: signers[0], env, print: (line) => out.push(line) })
+            expect(code).to.equal(0)
+            expect(out).to.deep.equal(['dev fund: 0 ETH'])
+        })
+        it('should reject a combo the contract does not allow', async function () {
+            const { code, err } = await spicy(['combo', '1', '10000000'])
+            expect(code).to.equal(2)
+            expect(err).to.contain('blocksZeros must be between 0 and 6')
+        })
+        it('add should need exactly one of --double and --timed', async function () {
+            const { code, err } = await spicy(['add', '0.25', '100', '--double', '--timed'])
+            expect(code).to.equal(2)
+            expect(err).to.contain('--double or --timed')
+        })
+    })
+
+    describe('transactions', function () {
+        it('deposit should add to the available deposits', async function () {
+            const { code, out } = await spicy(['deposit', '1'])
+            expect(code).to.equal(0)
+            expect(out).to.match(/^transaction 0x[0-9a-f]{64} mined in block \d+$/)
+            expect((await sc.balances(signers[0].address)).availableDeposits).to.equal(parseEther('1'))
+        })
+        it('add should print the new helpingId and its events as JSON', async function () {
+            const { code, json } = await spicyJson(['add', '0.25', '100', '--timed'])
+            expect(code).to.equal(0)
+            expect(json.helpingIds).to.deep.equal([1])
+            const added = json.events.find((event) => event.event === 'HelpingAdded')
+            expect(added.args.comboId).to.equal(String(tacos.comboId))
+            expect(added.args.depositAmount).to.equal(price.toString())
+            expect(added.args.createdCombo).to.be.true
+        })
+        it('add should top up the deposits with ETH, including the premium', async function () {
+            const [, account1] = signers
+            const { code, out } = await spicy(['add', '0.25', '100', '--double', '--premium', '0.01'], account1)
+            expect(code).to.equal(0)
+            expect(out).to.contain('added helping #2')
+            expect((await sc.helpingInfoById(2)).premium).to.equal(parseEther('0.01'))
+        })
+        it('bump-premium should increase the premium of the only helping in a combo', async function () {
+            const [, account1] = signers
+            expect((await spicy(['bump-premium', '0.25', '100', '0.02'], account1)).code).to.equal(0)
+            expect((await sc.helpingInfoById(2)).premium).to.equal(parseEther('0.03'))
+        })
+        it('bump-premium should print a decoded custom error', async function () {
+            const { code, err } = await spicy(['bump-premium', '--id', '1', '0.01'])
+            expect(code).to.equal(1)
+            expect(err).to.equal('error: CannotIncreasePremiumOfActiveHelping()')
+        })
+        it('should print a custom error with its arguments as JSON', async function () {
+            const { availableDeposits } = await sc.balances(signers[0].address)
+            const { code, json } = await spicyJson(['withdraw', '100'])
+            expect(code).to.equal(1)
+            expect(json.error.name).to.equal('WithdrawAmountExceedsAvailableDeposits')
+            expect(json.error.args).to.deep.equal({ availableDeposits: availableDeposits.toString() })
+        })
+        it('remove --id should remove that helping', async function () {
+            const [, account1] = signers
+            expect((await spicy(['remove', '--id', '2'], account1)).code).to.equal(0)
+            expect((await sc.helpingInfoById(2)).exists).to.be.false
+        })
+        it('withdraw all --to should send the available deposits to another address', async function () {
+            const [, , account2] = signers
+            const before = await ethers.provider.getBalance(account2.address)
+            const { availableDeposits } = await sc.balances(signers[0].address)
+            expect((await spicy(['withdraw', 'all', '--to', account2.address])).code).to.equal(0)
+            expect(await ethers.provider.getBalance(account2.address)).to.equal(before.add(availableDeposits))
+            expect((await sc.balances(signers[0].address)).availableDeposits).to.equal(0)
+        })
+    })
+
+    describe('views', function () {
+        before(async function () {
+            const [, account1, account2] = signers
+            await spicy(['add', '0.25', '100', '--double', '--premium', '0.001'], account1)
+            await spicy(['add', '0.25', '100', '--double', '--premium', '0.002'], account2)
+            await spicy(['add', '0.25', '100', '--timed'], account2)
+        })
+        it('combo should show the active helping and the queue', async function () {
+            const { code, out } = await spicy(['combo', '0.25', '100'])
+            expect(code).to.equal(0)
+            const lines = out.split('\n')
+            expect(lines[0]).to.equal(`0.25 ETH / 100 blocks (comboId ${tacos.comboId}), price 0.25 ETH`)
+            expect(lines[1]).to.match(new RegExp(`^active helping #1: timed, owner ${signers[0].address}, 5 deposits`))
+            expect(lines[2]).to.equal('queue: 3 helpings')
+            expect(lines[3]).to.equal(`  1. #4 double, owner ${signers[2].address}, premium 0.002 ETH`)
+        })
+        it('combo --json should have the queue with amounts in wei', async function () {
+            const { json } = await spicyJson(['combo', '0.25', '100'])
+            expect(json.activeHelping.helpingId).to.equal(1)
+            expect(json.price).to.equal(price.toString())
+            expect(json.queue.map((entry) => entry.helpingId)).to.deep.equal([4, 3, 5])
+            expect(json.queue[0].premium).to.equal(parseEther('0.002').toString())
+        })
+        it('helping should list every helping of an address in the combo with its rank', async function () {
+            const [, , account2] = signers
+            const { json } = await spicyJson(['helping', '0.25', '100', account2.address])
+            expect(json.helpings.map(({ helpingId, rank }) => [helpingId, rank])).to.deep.equal([
+                [4, 1],
+                [5, 3],
+            ])
+            const { out } = await spicy(['helping', '0.25', '100', account2.address])
+            expect(out.split('\n')[0]).to.equal(`${account2.address} has 2 helpings in 0.25 ETH / 100 blocks`)
+        })
+        it("helping should default to the signer's own helpings", async function () {
+            const { json } = await spicyJson(['helping', '0.25', '100'])
+            expect(json.owner).to.equal(signers[0].address)
+            expect(json.helpings[0].isActiveHelping).to.be.true
+        })
+        it('balance should show deposits and credits', async function () {
+            const [, account1] = signers
+            const { json } = await spicyJson(['balance', account1.address])
+            expect(json.availableCredits).to.equal(price.toString())
+            expect(json.depositsInUse).to.equal(price.toString())
+            const { out } = await spicy(['balance', account1.address])
+            expect(out).to.contain('availableCredits: 0.25 ETH')
+        })
+        it('estimate should place a new helping by its premium and price a position in the queue', async function () {
+            const args = ['estimate', '0.25', '100', '--double', '--premium', '0.0015', '--position', '1']
+            const { code, json } = await spicyJson(args)
+            expect(code).to.equal(0)
+            expect(json.position).to.equal(2)
+            // A double helping that gets its second deposit within the 100 block time limit at the combo's rate.
+            const none = Math.exp(-json.depositRate * 100)
+            const one = json.depositRate * 100 * none
+            expect(json.expectedDeposits).to.be.closeTo(one + 2 * (1 - none - one), 1e-9)
+            const expectedReturn = BigNumber.from(json.expectedPayout).add(json.expectedCredits)
+            expect(json.expectedProfit).to.equal(expectedReturn.sub(json.cost).toString())
+            expect(json.premiumForPosition).to.equal(parseEther('0.002').add(1).toString())
+            const { out } = await spicy(args)
+            expect(out).to.contain('would be at position 2 in the queue')
+            expect(out).to.contain('premium for position 1: 0.002000000000000001 ETH')
+        })
+        it('estimate should need a position above 0', async function () {
+            const { code, err } = await spicy(['estimate', '0.25', '100', '--timed', '--position', '0'])
+            expect(code).to.equal(2)
+            expect(err).to.contain('--position must be a whole number above 0')
+        })
+        it('dev-fund should show the dev fund', async function () {
+            const { json } = await spicyJson(['dev-fund'])
+            expect(json.devFund).to.equal((await sc.devFund()).toString())
+        })
+    })
+
+    describe('credits', function () {
+        it('offer-credits should print the new offerId', async function () {
+            const [, account1] = signers
+            const { code, json } = await spicyJson(['offer-credits', '0.1', '0.95'], account1)
+            expect(code).to.equal(0)
+            expect(json.offerId).to.equal(1)
+            const { out } = await spicy(['offer-credits', '0.05', '0.9'], account1)
+            expect(out).to.contain('created credit offer #2')
+            expect((await sc.creditOffers(2)).priceBasisPoints).to.equal(9000)
+        })
+        it('offer-credits should need a price from 0.0001 to 1', async function () {
+            const [, account1] = signers
+            for (const price of ['0', '1.01', '0.00001', 'cheap']) {
+                const { code, err } = await spicy(['offer-credits', '0.01', price], account1)
+                expect(code).to.equal(2)
+                expect(err).to.contain(`from 0.0001 to 1, not "${price}"`)
+            }
+        })
+        it('offers should list the open offers cheapest first', async function () {
+            const [, account1] = signers
+            const { out } = await spicy(['offers'])
+            expect(out.split('\n')).to.deep.equal([
+                '2 credit offers',
+                `  #2: 0.05 ETH of credits at 0.9 ETH per credit, seller ${account1.address}`,
+                `  #1: 0.1 ETH of credits at 0.95 ETH per credit, seller ${account1.address}`,
+            ])
+        })
+        it('buy-credits should buy all the credits left by default', async function () {
+            const [, , , account3] = signers
+            expect((await spicy(['buy-credits', '2'], account3)).code).to.equal(0)
+            expect((await sc.balances(account3.address)).availableCredits).to.equal(parseEther('0.05'))
+            expect((await spicy(['buy-credits', '1', '0.04'], account3)).code).to.equal(0)
+            expect((await sc.creditOffers(1)).credits).to.equal(parseEther('0.06'))
+        })
+        it('cancel-offer should give back the credits left', async function () {
+            const [, account1] = signers
+            const { availableCredits } = await sc.balances(account1.address)
+            expect((await spicy(['cancel-offer', '1'], account1)).code).to.equal(0)
+            expect((await sc.balances(account1.address)).availableCredits).to.equal(
+                availableCredits.add(parseEther('0.06'))
+            )
+            const { json } = await spicyJson(['offers'])
+            expect(json.offers).to.deep.equal([])
+        })
+        it('send-credits should move available credits to another address', async function () {
+            const [, , account2, account3] = signers
+            expect((await spicy(['send-credits', account2.address, '0.01'], account3)).code).to.equal(0)
+            expect((await sc.balances(account3.address)).availableCredits).to.equal(parseEther('0.08'))
+        })
+    })
+
+    describe('errors of other deployments', function () {
+        var withToken
+
+        before(async function () {
+            const MockToken = await ethers.getContractFactory('MockToken')
+            const token = await MockToken.deploy()
+            await token.deployed()
+            withToken = await deploySpicyCombos('SpicyCombosToken', token.address, 1000)
+        })
+        it("should decode the token deployment's custom errors", async function () {
+            const { code, err } = await spicy(['deposit', '1'], signers[0], withToken.address)
+            expect(code).to.equal(1)
+            expect(err).to.equal('error: EtherNotAccepted()')
+        })
+    })
+
+    describe('helping receipts', function () {
+        var withReceipts, receipts
+
+        before(async function () {
+            const [, account1] = signers
+            withReceipts = await deploySpicyCombos('SpicyCombos', minValue)
+            const HelpingReceipts = await ethers.getContractFactory('HelpingReceipts')
+            receipts = await HelpingReceipts.deploy(withReceipts.address)
+            await receipts.deployed()
+            await (await withReceipts.setHelpingReceipts(receipts.address)).wait()
+            const args = [...tacos.toArgs(), false, false, false, 0, 0]
+            await (await withReceipts.connect(account1).addHelping(...args, { value: price })).wait()
+        })
+        it('transfer-helping should give the helping to another address', async function () {
+            const [, account1, account2] = signers
+            const args = ['transfer-helping', '1', account2.address]
+            expect((await spicy(args, account1, withReceipts.address)).code).to.equal(0)
+            expect(await receipts.ownerOf(1)).to.equal(account2.address)
+            expect((await withReceipts.helpingInfoById(1)).owner).to.equal(account2.address)
+        })
+        it('transfer-helping should fail on a deployment without receipts', async function () {
+            const [, account1, account2] = signers
+            const { code, err } = await spicy(['transfer-helping', '1', account2.address], account1)
+            expect(code).to.equal(1)
+            expect(err).to.equal('error: this deployment has no helping receipts')
+        })
+    })
+
+    describe('queue expiry', function () {
+        var withExpiry, deadline
+
+        before(async function () {
+            const [, account1, account2] = signers
+            withExpiry = await deploySpicyCombos('SpicyCombos', minValue)
+            const args = [...tacos.toArgs(), false, false, false, 0, 0]
+            await (await withExpiry.connect(account1).addHelping(...args, { value: price })).wait()
+            const add = ['add', '0.25', '100', '--double', '--max-wait', '3']
+            expect((await spicy(add, account2, withExpiry.address)).code).to.equal(0)
+            deadline = (await ethers.provider.getBlockNumber()) + 3
+        })
+        it('add --max-wait should need a number of blocks or "never"', async function () {
+            const add = ['add', '0.25', '100', '--double', '--max-wait', 'soon']
+            const { code, err } = await spicy(add, signers[2], withExpiry.address)
+            expect(code).to.equal(2)
+            expect(err).to.contain('--max-wait must be a whole number above 0, not "soon"')
+        })
+        it('combo should show when a queued helping can be expired', async function () {
+            const { out } = await spicy(['combo', '0.25', '100'], signers[0], withExpiry.address)
+            expect(out).to.contain(`premium 0 ETH, can be expired from block ${deadline}`)
+        })
+        it('expire should do nothing before the deadline', async function () {
+            const { code, out } = await spicy(['expire', '0.25', '100'], signers[0], withExpiry.address)
+            expect(code).to.equal(0)
+            expect(out).to.equal('no helpings queued in 0.25 ETH / 100 blocks are past their deadline')
+        })
+        it('expire should give the queued helping back as credits once it is past its deadline', async function () {
+            const [, , account2] = signers
+            await ethers.provider.send('hardhat_mine', ['0x3'])
+            const { code, out } = await spicy(['--json', 'expire', '0.25', '100'], signers[0], withExpiry.address)
+            expect(code).to.equal(0)
+            const events = JSON.parse(out).events.map((event) => event.event)
+            expect(events).to.deep.equal(['HelpingRemoved', 'QueuedHelpingExpired'])
+            expect((await withExpiry.balances(account2.address)).availableCredits).to.equal(price)
+        })
+    })
+
+    describe('time limits in seconds', function () {
+        var inSeconds, expiration
+
+        before(async function () {
+            const [, account1] = signers
+            inSeconds = await deploySpicyCombos('SpicyCombosTimestamp', minValue)
+            const args = [...tacos.toArgs(), false, false, true, 0, 0]
+            const receipt = await (await inSeconds.connect(account1).addHelping(...args, { value: price })).wait()
+            expiration = (await ethers.provider.getBlock(receipt.blockNumber)).timestamp + 100
+        })
+        it('combo should read the time limit as seconds and show the expiration as a timestamp', async function () {
+            const { code, out } = await spicy(['combo', '0.25', '100'], signers[0], inSeconds.address)
+            expect(code).to.equal(0)
+            expect(out).to.contain(`0.25 ETH / 100 seconds (comboId ${tacos.comboId})`)
+            expect(out).to.contain(`expires at timestamp ${expiration}`)
+        })
+    })
+})
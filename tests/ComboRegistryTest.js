@@ -0,0 +1,117 @@
+import { expect } from 'chai'
+import { ethers } from 'hardhat'
+import { deploySpicyCombos } from './helpers/deploy.js'
+
+const {
+    utils: { parseEther },
+} = ethers
+
+describe('deploy SpicyCombos contract', function () {
+    var sc, signers
+    const minValue = parseEther('.000001')
+
+    // .25 eth "Burning Chili Tacos" and .044 eth "Zesty Shrimp Stew"
+    const tacos = [2, 5, 4, 1, 5, 0]
+    const stew = [4, 4, 3, 2, 5, 0]
+
+    const comboIdsOf = ({ summaries }) => summaries.map((summary) => summary.comboId.toNumber()).sort((a, b) => a - b)
+
+    before(async function () {
+        signers = await ethers.getSigners()
+        sc = await deploySpicyCombos('SpicyCombos', minValue)
+    })
+    it('there should be no live combos before any helping is added', async function () {
+        expect(await sc.liveComboCount()).to.equal(0)
+        const { summaries, total } = await sc.liveCombos(0, 10)
+        expect(summaries.length).to.equal(0)
+        expect(total).to.equal(0)
+    })
+    it('decomposeComboId() should invert computeComboId()', async function () {
+        const comboId = await sc.computeComboId(...tacos)
+        const digits = await sc.decomposeComboId(comboId)
+        expect(digits.map((digit) => digit.toNumber())).to.deep.equal(tacos)
+    })
+    describe('addHelping() creating two combos', function () {
+        var tacosPrice, stewPrice, tacosId, stewId
+
+        before(async function () {
+            const [owner, account2, account3] = signers
+            tacosPrice = await sc.computePrice(tacos[0], tacos[1], tacos[2])
+            stewPrice = await sc.computePrice(stew[0], stew[1], stew[2])
+            tacosId = (await sc.computeComboId(...tacos)).toNumber()
+            stewId = (await sc.computeComboId(...stew)).toNumber()
+
+            await sc.connect(owner).addHelping(...tacos, false, false, true, 0, 0, { value: tacosPrice })
+            await sc.connect(account2).addHelping(...tacos, true, false, false, 0, 0, { value: tacosPrice })
+            await sc.connect(account2).addHelping(...stew, true, false, true, 0, 0, { value: stewPrice })
+            await sc.connect(account3).addHelping(...tacos, true, false, false, 0, 0, { value: tacosPrice })
+        })
+        it('liveCombos() should list both combos', async function () {
+            expect(await sc.liveComboCount()).to.equal(2)
+            const result = await sc.liveCombos(0, 10)
+            expect(result.total).to.equal(2)
+            expect(comboIdsOf(result)).to.deep.equal([tacosId, stewId].sort((a, b) => a - b))
+        })
+        it('liveCombos() should return decoded parameters and comboInfo() data', async function () {
+            const { summaries } = await sc.liveCombos(0, 10)
+            const summary = summaries.find((summary) => summary.comboId.eq(tacosId))
+            const info = await sc.comboInfo(...tacos)
+            expect(
+                [
+                    summary.amountDigit1,
+                    summary.amountDigit2,
+                    summary.amountZeros,
+                    summary.blocksDigit1,
+                    summary.blocksDigit2,
+                    summary.blocksZeros,
+                ].map((digit) => digit.toNumber())
+            ).to.deep.equal(tacos)
+            expect(summary.comboPrice).to.equal(tacosPrice)
+            expect(summary.queueLength).to.equal(info.queueLength)
+            expect(summary.activeHelpingOwner).to.equal(info.activeHelpingOwner)
+            expect(summary.activeHelpingDeposits).to.equal(info.activeHelpingDeposits)
+            expect(summary.activeHelpingExpiration).to.equal(info.activeHelpingExpiration)
+        })
+        it('liveCombos() should paginate', async function () {
+            const first = await sc.liveCombos(0, 1)
+            const second = await sc.liveCombos(1, 1)
+            const past = await sc.liveCombos(2, 1)
+            expect(first.summaries.length).to.equal(1)
+            expect(second.summaries.length).to.equal(1)
+            expect(past.summaries.length).to.equal(0)
+            expect(comboIdsOf(first).concat(comboIdsOf(second)).sort((a, b) => a - b)).to.deep.equal([tacosId, stewId].sort((a, b) => a - b))
+        })
+        it('combosOf() should list every combo where an address has a helping', async function () {
+            const [owner, account2, account3] = signers
+            expect(comboIdsOf(await sc.combosOf(account2.address, 0, 10))).to.deep.equal([tacosId, stewId].sort((a, b) => a - b))
+            expect(comboIdsOf(await sc.combosOf(account3.address, 0, 10))).to.deep.equal([tacosId])
+            expect(comboIdsOf(await sc.combosOf(owner.address, 0, 10))).to.deep.equal([tacosId])
+            expect(await sc.comboCountOf(account2.address)).to.equal(2)
+        })
+        describe('removeHelping() from the queue', function () {
+            before(async function () {
+                const [, , account3] = signers
+                await sc.connect(account3).removeHelping(...tacos)
+            })
+            it('should remove the combo from the owner\'s combos', async function () {
+                const [, , account3] = signers
+                expect(await sc.comboCountOf(account3.address)).to.equal(0)
+            })
+        })
+        describe('removeHelping() emptying a combo', function () {
+            before(async function () {
+                const [, account2] = signers
+                await sc.connect(account2).removeHelping(...stew)
+            })
+            it('should remove the combo from liveCombos()', async function () {
+                const result = await sc.liveCombos(0, 10)
+                expect(result.total).to.equal(1)
+                expect(comboIdsOf(result)).to.deep.equal([tacosId])
+            })
+            it('should remove the combo from the owner\'s combos', async function () {
+                const [, account2] = signers
+                expect(comboIdsOf(await sc.combosOf(account2.address, 0, 10))).to.deep.equal([tacosId])
+            })
+        })
+    })
+})
@@ -0,0 +1,26 @@
+import { expect } from 'chai'
+import { artifacts } from 'hardhat'
+
+// The most code a contract may deploy (EIP-170). SpicyCombos keeps the credit market, helping transfers, intents and
+// queue pages in libraries to stay under it.
+const maxCodeSize = 24576
+const deployments = [
+    'SpicyCombos',
+    'SpicyCombosToken',
+    'SpicyCombosTimestamp',
+    'SpicyCombosEscrow',
+    'HelpingReceipts',
+    'CreditMarket',
+    'HelpingTransfers',
+    'Intents',
+    'QueueInspection',
+]
+
+describe('contract size', function () {
+    for (const name of deployments) {
+        it(`${name} should fit in a single deployment`, async function () {
+            const { deployedBytecode } = await artifacts.readArtifact(name)
+            expect((deployedBytecode.length - 2) / 2).to.be.at.most(maxCodeSize)
+        })
+    }
+})
@@ -0,0 +1,231 @@
+import { expect } from 'chai'
+import { ethers } from 'hardhat'
+import { HelpingType, Indexer, SpicyCombosClient, creditOfferPrice } from '../sdk/index.js'
+import { deploySpicyCombos } from './helpers/deploy.js'
+
+const {
+    utils: { parseEther },
+} = ethers
+
+describe('credit exchange', function () {
+    var sc, signers, sellerClient, buyerClient, price, offerId
+    const minValue = parseEther('.000001')
+    const tacos = '0.25 ETH / 15 blocks'
+
+    const balances = (signer) => sc.balances(signer.address)
+
+    before(async function () {
+        signers = await ethers.getSigners()
+        sc = await deploySpicyCombos('SpicyCombos', minValue)
+        const [owner, seller, buyer] = signers
+        sellerClient = new SpicyCombosClient(sc.address, seller)
+        buyerClient = new SpicyCombosClient(sc.address, buyer)
+        price = await sellerClient.price(tacos)
+        // The seller's deposit pays out the owner's active helping, so removing the queued helping leaves credits.
+        const ownerClient = new SpicyCombosClient(sc.address, owner)
+        await (await ownerClient.addHelping({ combo: tacos, type: HelpingType.TimedHelping })).wait()
+        await (await sellerClient.addHelping({ combo: tacos, type: HelpingType.DoubleHelping })).wait()
+        await (await sellerClient.removeHelping({ combo: tacos })).wait()
+    })
+
+    it('should start the seller with credits from a removed helping', async function () {
+        const [, seller] = signers
+        const { availableCredits, availableDeposits } = await balances(seller)
+        expect(availableCredits).to.equal(price)
+        expect(availableDeposits).to.equal(0)
+    })
+
+    describe('transferCredits()', function () {
+        it("should move credits to the recipient's available credits", async function () {
+            const [, seller, , recipient] = signers
+            const amount = price.div(5)
+            await expect(sellerClient.transferCredits(recipient.address, amount))
+                .to.emit(sc, 'CreditsTransferred')
+                .withArgs(seller.address, recipient.address, amount)
+            expect((await balances(seller)).availableCredits).to.equal(price.sub(amount))
+            expect((await balances(recipient)).availableCredits).to.equal(amount)
+        })
+        it('should revert beyond the available credits', async function () {
+            const [, , , recipient] = signers
+            const amount = price.div(5)
+            await expect(sc.connect(recipient).transferCredits(signers[0].address, amount.add(1)))
+                .to.be.revertedWithCustomError(sc, 'CreditAmountExceedsAvailableCredits')
+                .withArgs(amount)
+        })
+    })
+
+    describe('offerCredits()', function () {
+        it('should hold the offered credits aside', async function () {
+            const [, seller] = signers
+            const credits = price.div(2)
+            const { availableCredits } = await balances(seller)
+            const tx = await sellerClient.offerCredits({ credits, priceBasisPoints: 9000 })
+            await expect(tx).to.emit(sc, 'CreditOfferCreated').withArgs(1, seller.address, credits, 9000)
+            offerId = sellerClient.addedCreditOfferId(await tx.wait())
+            expect(offerId).to.equal(1)
+            expect(await sellerClient.creditOffer(offerId)).to.deep.equal({
+                offerId,
+                seller: seller.address,
+                credits,
+                priceBasisPoints: 9000,
+            })
+            expect((await balances(seller)).availableCredits).to.equal(availableCredits.sub(credits))
+            expect(await sc.openCreditOfferCount()).to.equal(1)
+        })
+        it('should reject an offer of no credits', async function () {
+            const [, seller] = signers
+            const { availableCredits } = await balances(seller)
+            await expect(sc.connect(seller).offerCredits(0, 9000))
+                .to.be.revertedWithCustomError(sc, 'ValueOutOfRange')
+                .withArgs('credits', 1, availableCredits)
+        })
+        it('should reject a price outside 1 to 10000 basis points', async function () {
+            const [, seller] = signers
+            for (const priceBasisPoints of [0, 10001]) {
+                await expect(sc.connect(seller).offerCredits(1, priceBasisPoints))
+                    .to.be.revertedWithCustomError(sc, 'ValueOutOfRange')
+                    .withArgs('priceBasisPoints', 1, 10000)
+            }
+        })
+        it('should reject an offer beyond the available credits', async function () {
+            const [, seller] = signers
+            const { availableCredits } = await balances(seller)
+            await expect(sc.connect(seller).offerCredits(availableCredits.add(1), 9000))
+                .to.be.revertedWithCustomError(sc, 'CreditAmountExceedsAvailableCredits')
+                .withArgs(availableCredits)
+        })
+    })
+
+    describe('buyCredits()', function () {
+        it('should round the price up and pay it to the seller', async function () {
+            const [, seller, buyer] = signers
+            // 3 credits at 90% cost 2.7 wei.
+            await expect(sc.connect(buyer).buyCredits(offerId, 3, { value: 3 }))
+                .to.emit(sc, 'CreditsBought')
+                .withArgs(offerId, buyer.address, seller.address, 3, 3)
+            expect(creditOfferPrice(3, 9000)).to.equal(3)
+            expect((await balances(seller)).availableDeposits).to.equal(3)
+            const { availableCredits, availableDeposits } = await balances(buyer)
+            expect(availableCredits).to.equal(3)
+            expect(availableDeposits).to.equal(0)
+            expect((await sellerClient.creditOffer(offerId)).credits).to.equal(price.div(2).sub(3))
+        })
+        it('should reject buying no credits', async function () {
+            const [, , buyer] = signers
+            const { credits } = await sellerClient.creditOffer(offerId)
+            await expect(sc.connect(buyer).buyCredits(offerId, 0))
+                .to.be.revertedWithCustomError(sc, 'ValueOutOfRange')
+                .withArgs('credits', 1, credits)
+        })
+        it('should not sell more credits than are left', async function () {
+            const [, , buyer] = signers
+            const { credits } = await sellerClient.creditOffer(offerId)
+            await expect(sc.connect(buyer).buyCredits(offerId, credits.add(1), { value: price }))
+                .to.be.revertedWithCustomError(sc, 'CreditOfferAmountExceeded')
+                .withArgs(credits)
+        })
+        it('should revert when the available deposits and value do not cover the price', async function () {
+            const [, , buyer] = signers
+            const credits = parseEther('.01')
+            await expect(sc.connect(buyer).buyCredits(offerId, credits, { value: 1 }))
+                .to.be.revertedWithCustomError(sc, 'NotEnoughAvailableDepositsForCredits')
+                .withArgs(1, creditOfferPrice(credits, 9000))
+        })
+        it('should buy the rest with what the available deposits lack and close the offer', async function () {
+            const [, seller, buyer] = signers
+            const { credits } = await sellerClient.creditOffer(offerId)
+            const cost = creditOfferPrice(credits, 9000)
+            await (await buyerClient.deposit(parseEther('.01'))).wait()
+            await expect(buyerClient.buyCredits({ offerId })).to.changeEtherBalance(buyer, parseEther('.01').sub(cost))
+            expect((await balances(buyer)).availableCredits).to.equal(credits.add(3))
+            expect((await balances(seller)).availableDeposits).to.equal(cost.add(3))
+            expect(await sellerClient.creditOffer(offerId)).to.be.undefined
+            expect(await sc.openCreditOfferCount()).to.equal(0)
+        })
+        it('should revert for an offer that is filled', async function () {
+            const [, , buyer] = signers
+            await expect(sc.connect(buyer).buyCredits(offerId, 1, { value: 1 }))
+                .to.be.revertedWithCustomError(sc, 'CreditOfferNotFound')
+                .withArgs(offerId)
+            try {
+                await buyerClient.buyCredits({ offerId })
+                expect.fail('should have failed')
+            } catch (e) {
+                expect(e.message).to.equal(`credit offer #${offerId} has no credits left`)
+            }
+        })
+    })
+
+    describe('cancelCreditOffer()', function () {
+        before(async function () {
+            const receipt = await (await sellerClient.offerCredits({ credits: 1000, priceBasisPoints: 5000 })).wait()
+            offerId = sellerClient.addedCreditOfferId(receipt)
+        })
+        it("should only cancel the seller's own offer", async function () {
+            const [, , buyer] = signers
+            await expect(sc.connect(buyer).cancelCreditOffer(offerId))
+                .to.be.revertedWithCustomError(sc, 'CreditOfferNotFound')
+                .withArgs(offerId)
+        })
+        it('should give back the credits left', async function () {
+            const [, seller, buyer] = signers
+            await (await buyerClient.buyCredits({ offerId, credits: 400 })).wait()
+            const { availableCredits } = await balances(seller)
+            await expect(sellerClient.cancelCreditOffer(offerId))
+                .to.emit(sc, 'CreditOfferCancelled')
+                .withArgs(offerId, seller.address, 600)
+            expect((await balances(seller)).availableCredits).to.equal(availableCredits.add(600))
+            expect(await sellerClient.creditOffer(offerId)).to.be.undefined
+        })
+        it('should not cancel an offer twice', async function () {
+            try {
+                await sellerClient.cancelCreditOffer(offerId)
+                expect.fail('should have reverted')
+            } catch (e) {
+                expect(e.errorName).to.equal('CreditOfferNotFound')
+                expect(e.message).to.equal(`CreditOfferNotFound(${offerId})`)
+            }
+        })
+    })
+
+    describe('listing offers', function () {
+        var indexer
+
+        before(async function () {
+            const [, , , recipient] = signers
+            const recipientClient = new SpicyCombosClient(sc.address, recipient)
+            indexer = new Indexer({
+                address: sc.address,
+                provider: ethers.provider,
+                startBlock: sc.deployTransaction.blockNumber,
+            })
+            await (await sellerClient.offerCredits({ credits: 5000, priceBasisPoints: 9500 })).wait()
+            await (await recipientClient.offerCredits({ credits: 2000, priceBasisPoints: 8000 })).wait()
+            await (await sellerClient.offerCredits({ credits: 3000, priceBasisPoints: 9500 })).wait()
+        })
+        it('openCreditOffers() should page through the open offers', async function () {
+            const first = await buyerClient.openCreditOffers({ limit: 2 })
+            const rest = await buyerClient.openCreditOffers({ offset: 2 })
+            expect(first.total).to.equal(3)
+            expect(first.offers.length).to.equal(2)
+            expect(rest.offers.length).to.equal(1)
+            const offerIds = [...first.offers, ...rest.offers].map((offer) => offer.offerId)
+            expect(offerIds.sort()).to.deep.equal([3, 4, 5])
+            expect(await buyerClient.openCreditOffers({ offset: 3 })).to.deep.equal({ offers: [], total: 3 })
+        })
+        it('the indexer should list the open offers cheapest first, then oldest first', async function () {
+            await indexer.sync()
+            expect(indexer.listCreditOffers().map((offer) => offer.offerId)).to.deep.equal([4, 3, 5])
+            await (await buyerClient.buyCredits({ offerId: 4 })).wait()
+            await (await buyerClient.buyCredits({ offerId: 3, credits: 1000 })).wait()
+            await (await sellerClient.cancelCreditOffer(5)).wait()
+            await indexer.sync()
+            const offers = indexer.listCreditOffers()
+            expect(offers.map((offer) => [offer.offerId, offer.credits])).to.deep.equal([[3, '4000']])
+            const [, seller] = signers
+            expect(indexer.getBalance(seller.address).availableCredits).to.equal(
+                (await balances(seller)).availableCredits.toString()
+            )
+        })
+    })
+})
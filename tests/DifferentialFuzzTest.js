@@ -0,0 +1,584 @@
+import { expect } from 'chai'
+import { ethers, network } from 'hardhat'
+import {
+    Combo,
+    IntentType,
+    creditOfferPrice,
+    decodeError,
+    intentDomain,
+    intentTypes,
+    signIntent,
+} from '../sdk/index.js'
+import { deploySpicyCombos } from './helpers/deploy.js'
+import { SpicyCombosModel } from './helpers/model.js'
+
+const {
+    constants: { MaxUint256 },
+    utils: { parseEther },
+} = ethers
+
+const MAX_UINT64 = ethers.BigNumber.from(2).pow(64).sub(1)
+
+// Small deterministic PRNG so a failing run can be replayed with SPICY_FUZZ_SEED.
+function mulberry32(seed) {
+    return function () {
+        seed = (seed + 0x6d2b79f5) | 0
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed)
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+    }
+}
+
+const seed = Number(process.env.SPICY_FUZZ_SEED || 20221018)
+const steps = Number(process.env.SPICY_FUZZ_STEPS || 150)
+
+describe(`differential fuzzing against the reference model (seed ${seed})`, function () {
+    var sc, receipts, model, signers, random, domain
+    const minValue = parseEther('.000001')
+    // Short time limits so timed helpings expire during the run.
+    const combos = ['0.25 ETH / 3 blocks', '0.044 ETH / 5 blocks', '0.01 ETH / 1 block'].map((descriptor) =>
+        Combo.parse(descriptor, minValue)
+    )
+
+    const pick = (array) => array[Math.floor(random() * array.length)]
+    const chance = (p) => random() < p
+    const premiumAmount = () => pick([0, 0, 0, 1, 2, 5]) * 1e15
+    // The default wait, waits short enough that queued helpings expire during the run, or no limit.
+    const randomMaxQueueWait = () => pick([0, 0, 2, 6, MaxUint256])
+
+    // Send a transaction to the contract and apply the same call to the model, comparing the outcomes.
+    async function step(description, send, apply) {
+        const blockNumber = (await ethers.provider.getBlockNumber()) + 1
+        let chainError, modelError
+        try {
+            await (await send()).wait()
+        } catch (e) {
+            chainError = decodeError(e)
+            if (!chainError) throw e
+        }
+        try {
+            apply(blockNumber)
+        } catch (e) {
+            if (!e.errorName) throw e
+            modelError = e
+        }
+        const context = `${description} at block ${blockNumber}`
+        expect(modelError && modelError.errorName, context).to.equal(chainError && chainError.errorName)
+        if (chainError) {
+            expect(modelError.errorArgs.map(String), context).to.deep.equal(chainError.errorArgs.map(String))
+        }
+    }
+
+    // Usually one of the sender's own helpings, otherwise any helpingId, including ones that were never used.
+    function randomHelpingId(sender) {
+        const own = combos.flatMap((combo) => model.helpingIdsOf(combo.toArgs(), sender))
+        if (own.length !== 0 && chance(0.8)) return pick(own)
+        return Math.floor(random() * (model.helpingCount + 2))
+    }
+
+    // An action for batch(), shaped for the model, with the contract's tuple as args and the ETH it needs as cost.
+    function randomBatchAction(sender) {
+        const combo = pick(combos)
+        const digits = combo.toArgs()
+        const actionType = pick([0, 0, 1, 2])
+        const helpingId = actionType !== 0 && chance(0.4) ? randomHelpingId(sender) : 0
+        const doubleHelping = chance(0.5)
+        const usingCredits = actionType === 0 && chance(0.2)
+        const creatorOnly = !usingCredits && chance(0.1)
+        const amount = actionType === 2 ? premiumAmount() || 1e15 : premiumAmount()
+        const maxQueueWait = actionType === 0 ? randomMaxQueueWait() : 0
+        let cost = actionType === 1 ? 0 : amount
+        if (actionType === 0 && !usingCredits) cost = combo.price(minValue).add(amount)
+        return {
+            actionType,
+            digits,
+            doubleHelping,
+            usingCredits,
+            creatorOnly,
+            amount,
+            helpingId,
+            maxQueueWait,
+            cost,
+            args: [actionType, ...digits, doubleHelping, usingCredits, creatorOnly, amount, helpingId, maxQueueWait],
+            description: `${['add', 'remove', 'increasePremium'][actionType]} ${helpingId || combo.format(minValue)}`,
+        }
+    }
+
+    // An intent signed by its owner with the right nonce most of the time, sent by signer.
+    async function randomIntent(signer) {
+        const owner = pick(signers)
+        const intentSigner = chance(0.9) ? owner : pick(signers)
+        const latest = await ethers.provider.getBlockNumber()
+        const nonce = model.nonces(owner.address)
+        const intent = {
+            owner: owner.address,
+            signer: intentSigner.address,
+            relayerFee: pick([0, 0, 1e15, parseEther('1')]),
+            // A used nonce or one ahead.
+            nonce: chance(0.9) ? nonce : Math.abs(nonce + pick([-1, 1])),
+            // The intent is executed in block latest + 1.
+            deadline: latest + pick([0, 1, 10, 10]),
+        }
+        const context = `for ${owner.address} by ${intentSigner.address} nonce ${intent.nonce} from ${signer.address}`
+        if (chance(0.7)) {
+            const actions = Array.from({ length: pick([1, 2]) }, () => randomBatchAction(owner.address))
+            const fields = intentTypes[IntentType.Batch].HelpingAction.map(({ name }) => name)
+            const named = actions.map(({ args }) => Object.fromEntries(fields.map((field, i) => [field, args[i]])))
+            const batch = { ...intent, type: IntentType.Batch, actions: named }
+            const signature = await signIntent(intentSigner, domain, batch)
+            const { owner: address, relayerFee, deadline } = intent
+            const args = [address, actions.map((action) => action.args), relayerFee, deadline, signature]
+            await step(
+                `batchBySig of ${actions.map((action) => action.description).join(', ')} ${context}`,
+                () => sc.connect(signer).batchBySig(...args),
+                (blockNumber) => model.batchBySig(signer.address, blockNumber, { ...intent, actions })
+            )
+        } else {
+            const { availableDeposits } = model.balances(owner.address)
+            const recipient = pick(signers).address
+            const amount = chance(0.8) ? availableDeposits.div(pick([2, 3])) : availableDeposits.add(1)
+            const withdrawal = { ...intent, type: IntentType.Withdrawal, recipient, amount }
+            const signature = await signIntent(intentSigner, domain, withdrawal)
+            const args = [owner.address, recipient, amount, intent.relayerFee, intent.deadline, signature]
+            await step(
+                `withdrawBySig ${amount} to ${recipient} ${context}`,
+                () => sc.connect(signer).withdrawBySig(...args),
+                (blockNumber) => model.withdrawBySig(signer.address, blockNumber, withdrawal)
+            )
+        }
+    }
+
+    async function randomCreditTrade(signer) {
+        const sender = signer.address
+        const offerIds = model.openCreditOffers()
+        const { availableCredits } = model.balances(sender)
+        const roll = random()
+        if (roll < 0.25) {
+            const to = pick(signers).address
+            const amount = chance(0.8) ? availableCredits.div(pick([1, 2, 3])) : availableCredits.add(1)
+            await step(
+                `transferCredits ${to} ${amount} from ${sender}`,
+                () => sc.connect(signer).transferCredits(to, amount),
+                () => model.transferCredits(sender, to, amount)
+            )
+        } else if (roll < 0.55 || offerIds.length === 0) {
+            const credits = chance(0.9) ? availableCredits.div(pick([1, 2])) : availableCredits.add(1)
+            const priceBasisPoints = pick([1, 3333, 9500, 10000, 10001])
+            await step(
+                `offerCredits ${credits} at ${priceBasisPoints} from ${sender}`,
+                () => sc.connect(signer).offerCredits(credits, priceBasisPoints),
+                () => model.offerCredits(sender, credits, priceBasisPoints)
+            )
+        } else if (roll < 0.7) {
+            const offerId = chance(0.8) ? pick(offerIds) : model.creditOfferCount + 1
+            await step(
+                `cancelCreditOffer ${offerId} from ${sender}`,
+                () => sc.connect(signer).cancelCreditOffer(offerId),
+                () => model.cancelCreditOffer(sender, offerId)
+            )
+        } else {
+            // Buy all of the offer, part of it, or more than is left, paying with ETH or from deposits.
+            const offerId = pick(offerIds)
+            const offer = model.creditOffers(offerId)
+            const credits = pick([offer.credits, offer.credits.div(3), offer.credits.add(1)])
+            const price = creditOfferPrice(credits, offer.priceBasisPoints)
+            const value = chance(0.6) ? price : 0
+            await step(
+                `buyCredits ${offerId} ${credits} from ${sender}`,
+                () => sc.connect(signer).buyCredits(offerId, credits, { value }),
+                () => model.buyCredits(sender, value, offerId, credits)
+            )
+        }
+    }
+
+    // Only the sender's own helpings, since a receipt transfer that reverts has no custom error to compare.
+    async function randomHelpingTransfer(signer) {
+        const sender = signer.address
+        const own = combos.flatMap((combo) => model.helpingIdsOf(combo.toArgs(), sender))
+        if (own.length === 0) return
+        const helpingId = pick(own)
+        const to = pick(signers).address
+        await step(
+            `transfer helping ${helpingId} to ${to} from ${sender}`,
+            () => receipts.connect(signer).transferFrom(sender, to, helpingId),
+            () => model.transferHelping(receipts.address, sender, to, helpingId)
+        )
+    }
+
+    // A default queue wait short enough that queued helpings expire during the run. Only the owner can change it.
+    async function randomQueueExpiry(signer) {
+        const sender = signer.address
+        if (chance(0.1) && signer === signers[0]) {
+            const defaultMaxQueueWait = pick([0, 4, 12])
+            await step(
+                `setDefaultMaxQueueWait ${defaultMaxQueueWait}`,
+                () => sc.setDefaultMaxQueueWait(defaultMaxQueueWait),
+                () => model.setDefaultMaxQueueWait(defaultMaxQueueWait)
+            )
+        } else {
+            const helpingIds = Array.from({ length: pick([1, 2, 3]) }, () =>
+                Math.floor(random() * (model.helpingCount + 2))
+            )
+            await step(
+                `expireQueuedHelpings ${helpingIds} from ${sender}`,
+                () => sc.connect(signer).expireQueuedHelpings(helpingIds),
+                (blockNumber) => model.expireQueuedHelpings(sender, blockNumber, helpingIds)
+            )
+        }
+    }
+
+    async function randomAction() {
+        const signer = pick(signers)
+        const sender = signer.address
+        let combo = pick(combos)
+        let digits = combo.toArgs()
+        let price = combo.price(minValue)
+        const roll = random()
+
+        if (roll < 0.36) {
+            // Often stack another helping in a combo where the sender already has one.
+            const ownCombos = combos.filter(({ comboId }) => model.combosOf(sender).includes(comboId))
+            if (ownCombos.length !== 0 && chance(0.4)) {
+                combo = pick(ownCombos)
+                digits = combo.toArgs()
+                price = combo.price(minValue)
+            }
+            const doubleHelping = chance(0.5)
+            const usingCredits = chance(0.2)
+            const creatorOnly = !usingCredits && chance(0.15)
+            const premium = premiumAmount()
+            const maxQueueWait = randomMaxQueueWait()
+            const value = chance(0.85) ? (usingCredits ? premium : price.add(premium)) : price.div(2)
+            const options = [doubleHelping, usingCredits, creatorOnly, premium, maxQueueWait]
+            await step(
+                `addHelping ${combo.format(minValue)} from ${sender}`,
+                () => sc.connect(signer).addHelping(...digits, ...options, { value }),
+                (blockNumber) => model.addHelping(sender, value, blockNumber, digits, ...options)
+            )
+        } else if (roll < 0.54) {
+            if (chance(0.5)) {
+                const helpingId = randomHelpingId(sender)
+                await step(
+                    `removeHelpingById ${helpingId} from ${sender}`,
+                    () => sc.connect(signer).removeHelpingById(helpingId),
+                    (blockNumber) => model.removeHelpingById(sender, blockNumber, helpingId)
+                )
+            } else {
+                await step(
+                    `removeHelping ${combo.format(minValue)} from ${sender}`,
+                    () => sc.connect(signer).removeHelping(...digits),
+                    (blockNumber) => model.removeHelping(sender, blockNumber, digits)
+                )
+            }
+        } else if (roll < 0.64) {
+            const amount = premiumAmount() || 1e15
+            const value = chance(0.8) ? amount : 0
+            if (chance(0.5)) {
+                const helpingId = randomHelpingId(sender)
+                await step(
+                    `increasePremiumById ${helpingId} from ${sender}`,
+                    () => sc.connect(signer).increasePremiumById(helpingId, amount, { value }),
+                    (blockNumber) => model.increasePremiumById(sender, value, blockNumber, helpingId, amount)
+                )
+            } else {
+                await step(
+                    `increasePremium ${combo.format(minValue)} from ${sender}`,
+                    () => sc.connect(signer).increasePremium(...digits, amount, { value }),
+                    (blockNumber) => model.increasePremium(sender, value, blockNumber, digits, amount)
+                )
+            }
+        } else if (roll < 0.71) {
+            const value = price.mul(pick([1, 2, 3]))
+            await step(
+                `deposit from ${sender}`,
+                () => sc.connect(signer).deposit({ value }),
+                () => model.deposit(sender, value)
+            )
+        } else if (roll < 0.78) {
+            const { availableDeposits } = model.balances(sender)
+            const amount = chance(0.8) ? availableDeposits.div(pick([1, 2, 3])) : availableDeposits.add(1)
+            const recipient = pick(signers).address
+            if (chance(0.2)) {
+                await step(
+                    `withdrawAll from ${sender}`,
+                    () => sc.connect(signer).withdrawAll(),
+                    () => model.withdrawAll(sender)
+                )
+            } else if (chance(0.3)) {
+                await step(
+                    `withdrawTo ${recipient} ${amount} from ${sender}`,
+                    () => sc.connect(signer).withdrawTo(recipient, amount),
+                    () => model.withdrawTo(sender, recipient, amount)
+                )
+            } else {
+                await step(
+                    `withdraw ${amount} from ${sender}`,
+                    () => sc.connect(signer).withdraw(amount),
+                    () => model.withdraw(sender, amount)
+                )
+            }
+        } else if (roll < 0.8) {
+            await step(
+                `withdrawDevFund from ${sender}`,
+                () => sc.connect(signer).withdrawDevFund(),
+                () => model.withdrawDevFund()
+            )
+        } else if (roll < 0.86) {
+            await step(
+                `settle ${combo.format(minValue)} from ${sender}`,
+                () => sc.connect(signer).settle(...digits),
+                (blockNumber) => model.settle(sender, blockNumber, digits)
+            )
+        } else if (roll < 0.9) {
+            const comboIds = combos.filter(() => chance(0.7)).map(({ comboId }) => comboId)
+            await step(
+                `settleMany ${comboIds} from ${sender}`,
+                () => sc.connect(signer).settleMany(comboIds),
+                (blockNumber) => model.settleMany(sender, blockNumber, comboIds)
+            )
+        } else if (roll < 0.93) {
+            const actions = Array.from({ length: pick([1, 2, 3]) }, () => randomBatchAction(sender))
+            const value = actions.reduce((total, action) => total.add(action.cost), ethers.BigNumber.from(0))
+            await step(
+                `batch of ${actions.map((action) => action.description).join(', ')} from ${sender}`,
+                () => sc.connect(signer).batch(actions.map((action) => action.args), { value }),
+                (blockNumber) => model.batch(sender, value, blockNumber, actions)
+            )
+        } else if (roll < 0.95) {
+            const owner = pick(signers).address
+            if (chance(0.3)) {
+                // The sender approves someone to act for them, often with allowances that run out during the run.
+                const allowances = [0, 1, 2].map(() => pick([0, parseEther('.3'), parseEther('1'), MaxUint256]))
+                const latest = await ethers.provider.getBlockNumber()
+                const expiration = pick([0, latest + pick([1, 5, 20]), MAX_UINT64])
+                await step(
+                    `approveOperator ${owner} ${allowances} ${expiration} from ${sender}`,
+                    () => sc.connect(signer).approveOperator(owner, ...allowances, expiration),
+                    () => model.approveOperator(sender, owner, ...allowances, expiration)
+                )
+            } else {
+                // Funded from the owner's deposits half of the time.
+                const actions = Array.from({ length: pick([1, 2]) }, () => randomBatchAction(owner))
+                const cost = actions.reduce((total, action) => total.add(action.cost), ethers.BigNumber.from(0))
+                const value = chance(0.5) ? cost : 0
+                await step(
+                    `batchFor ${owner} of ${actions.map((action) => action.description).join(', ')} from ${sender}`,
+                    () => sc.connect(signer).batchFor(owner, actions.map((action) => action.args), { value }),
+                    (blockNumber) => model.batchFor(sender, value, blockNumber, owner, actions)
+                )
+            }
+        } else if (roll < 0.965) {
+            await randomIntent(signer)
+        } else if (roll < 0.975) {
+            await randomCreditTrade(signer)
+        } else if (roll < 0.982) {
+            await randomHelpingTransfer(signer)
+        } else if (roll < 0.992) {
+            await randomQueueExpiry(signer)
+        } else {
+            await network.provider.send('hardhat_mine', ['0x' + pick([1, 2, 4, 6]).toString(16)])
+        }
+    }
+
+    // Every wei the contract holds is owed to someone. Combo prices are multiples of minValue, so fees leave no dust.
+    async function expectBalancesMatchEth() {
+        let owed = model.devFund.add(model.burnedPremiums).add(model.heldDeposits())
+        for (const signer of signers) owed = owed.add(model.balances(signer.address).availableDeposits)
+        expect(await ethers.provider.getBalance(sc.address), 'contract ETH').to.equal(owed)
+    }
+
+    // Call a view on the contract and the model and compare the results, or the errors if both revert.
+    async function compareView(context, view, modelView, compare) {
+        let result, error, modelResult, modelError
+        try {
+            result = await view()
+        } catch (e) {
+            error = decodeError(e)
+            if (!error) throw e
+        }
+        try {
+            modelResult = modelView()
+        } catch (e) {
+            if (!e.errorName) throw e
+            modelError = e
+        }
+        expect(modelError && modelError.errorName, context).to.equal(error && error.errorName)
+        if (error) {
+            expect(modelError.errorArgs.map(String), context).to.deep.equal(error.errorArgs.map(String))
+        } else {
+            compare(result, modelResult)
+        }
+    }
+
+    const compareFields = (context) => (result, modelResult) => {
+        for (const key of Object.keys(modelResult)) expect(result[key], `${context}.${key}`).to.equal(modelResult[key])
+    }
+
+    async function expectModelMatchesChain() {
+        // Views run in the context of the latest block.
+        const blockNumber = await ethers.provider.getBlockNumber()
+        expect(await sc.devFund(), 'devFund').to.equal(model.devFund)
+        expect(await sc.burnedPremiums(), 'burnedPremiums').to.equal(model.burnedPremiums)
+        const comboIds = ({ summaries }) => summaries.map((summary) => summary.comboId.toNumber()).sort((a, b) => a - b)
+        expect(comboIds(await sc.liveCombos(0, combos.length)), 'liveCombos').to.deep.equal(model.liveCombos())
+        await expectBalancesMatchEth()
+        for (const signer of signers) {
+            const balance = await sc.balances(signer.address)
+            const modelBalance = model.balances(signer.address)
+            for (const key of Object.keys(modelBalance)) {
+                expect(balance[key], `balances(${signer.address}).${key}`).to.equal(modelBalance[key])
+            }
+            const ownerComboIds = comboIds(await sc.combosOf(signer.address, 0, combos.length))
+            expect(ownerComboIds, `combosOf(${signer.address})`).to.deep.equal(model.combosOf(signer.address))
+        }
+        for (const combo of combos) {
+            const digits = combo.toArgs()
+            const info = await sc.comboInfo(...digits)
+            const modelInfo = model.comboInfo(digits, blockNumber)
+            for (const key of Object.keys(modelInfo)) {
+                expect(info[key], `comboInfo(${combo.format(minValue)}).${key}`).to.equal(modelInfo[key])
+            }
+            const { helpings: entries, queueLength } = await sc.queueEntries(...digits, 0, signers.length)
+            const modelQueue = model.queueEntries(digits, 0, signers.length)
+            expect(queueLength, `queueEntries(${combo.format(minValue)}).queueLength`).to.equal(modelQueue.queueLength)
+            expect(
+                entries.map((entry) => [
+                    entry.helpingId.toNumber(),
+                    entry.owner,
+                    entry.premium.toString(),
+                    entry.rank.toNumber(),
+                    entry.queueDeadline.toNumber(),
+                ]),
+                `queueEntries(${combo.format(minValue)})`
+            ).to.deep.equal(
+                modelQueue.entries.map((entry) => [
+                    entry.helpingId,
+                    entry.owner,
+                    entry.premium.toString(),
+                    entry.rank,
+                    entry.queueDeadline,
+                ])
+            )
+            for (const signer of signers) {
+                const context = `(${combo.format(minValue)}, ${signer.address})`
+                await compareView(
+                    `myPosition${context}`,
+                    () => sc.myPosition(...digits, signer.address),
+                    () => model.myPosition(digits, signer.address),
+                    (position, modelPosition) => expect(position, `myPosition${context}`).to.equal(modelPosition)
+                )
+                await compareView(
+                    `helpingInfo${context}`,
+                    () => sc.helpingInfo(...digits, signer.address),
+                    () => model.helpingInfo(digits, signer.address),
+                    compareFields(`helpingInfo${context}`)
+                )
+                const helpingIds = await sc.helpingIdsOf(...digits, signer.address)
+                // The contract keeps them in a set, whose order changes as helpings leave.
+                expect(helpingIds.map(Number).sort((a, b) => a - b), `helpingIdsOf${context}`).to.deep.equal(
+                    model.helpingIdsOf(digits, signer.address)
+                )
+            }
+        }
+        for (const [owner, operator] of model.approvedOperators()) {
+            const context = `operatorApprovals(${owner}, ${operator})`
+            const approval = await sc.operatorApprovals(owner, operator)
+            compareFields(context)(approval, model.operatorApprovals(owner, operator))
+        }
+        for (const signer of signers) {
+            expect(await sc.nonces(signer.address), `nonces(${signer.address})`).to.equal(model.nonces(signer.address))
+        }
+        expect(await sc.defaultMaxQueueWait(), 'defaultMaxQueueWait').to.equal(model.defaultMaxQueueWait)
+        expect(await sc.creditOfferCount(), 'creditOfferCount').to.equal(model.creditOfferCount)
+        const { offerIds } = await sc.openCreditOffers(0, model.creditOfferCount)
+        expect(offerIds.map(Number).sort((a, b) => a - b), 'openCreditOffers').to.deep.equal(model.openCreditOffers())
+        for (let offerId = 1; offerId <= model.creditOfferCount; ++offerId) {
+            const offer = await sc.creditOffers(offerId)
+            compareFields(`creditOffers(${offerId})`)(offer, model.creditOffers(offerId))
+        }
+        expect(await sc.helpingCount(), 'helpingCount').to.equal(model.helpingCount)
+        for (let helpingId = 0; helpingId <= model.helpingCount; ++helpingId) {
+            const info = await sc.helpingInfoById(helpingId)
+            const modelInfo = model.helpingInfoById(helpingId)
+            compareFields(`helpingInfoById(${helpingId})`)(info, modelInfo)
+            if (modelInfo.exists) {
+                expect(await receipts.ownerOf(helpingId), `ownerOf(${helpingId})`).to.equal(modelInfo.owner)
+            }
+        }
+    }
+
+    before(async function () {
+        random = mulberry32(seed)
+        signers = (await ethers.getSigners()).slice(0, 6)
+        sc = await deploySpicyCombos('SpicyCombos', minValue)
+        const HelpingReceipts = await ethers.getContractFactory('HelpingReceipts')
+        receipts = await HelpingReceipts.deploy(sc.address)
+        await receipts.deployed()
+        model = new SpicyCombosModel(minValue)
+        await (await sc.setHelpingReceipts(receipts.address)).wait()
+        model.setHelpingReceipts(receipts.address)
+        domain = intentDomain((await ethers.provider.getNetwork()).chainId, sc.address)
+        // Larger than most dev fund cuts, so settling sometimes empties the dev fund.
+        const keeperReward = parseEther('.0005')
+        await (await sc.setKeeperReward(keeperReward)).wait()
+        model.setKeeperReward(keeperReward)
+        await (await sc.setDefaultMaxQueueWait(8)).wait()
+        model.setDefaultMaxQueueWait(8)
+        // Non-default fees, so that premiums are split three ways: dev fund, active helping owner and burned.
+        const fees = {
+            timedHelpingFeeBasisPoints: 1500,
+            premiumDevFundBasisPoints: 6000,
+            redistributePremiumRemainder: true,
+        }
+        await (await sc.queueFeeChange(fees)).wait()
+        await network.provider.send('evm_increaseTime', [(await sc.FEE_CHANGE_DELAY()).toNumber()])
+        await (await sc.executeFeeChange()).wait()
+        model.queueFeeChange(0, fees)
+        model.executeFeeChange(model.pendingFeesEta)
+    })
+    it(`contract and model should agree after each of ${steps} random actions`, async function () {
+        for (let i = 0; i < steps; ++i) {
+            await randomAction()
+            await expectModelMatchesChain()
+        }
+    })
+    it('every owner should be able to take back their helpings with emergencyExit()', async function () {
+        await (await sc.pause()).wait()
+        model.pause()
+        await (await sc.enableEmergencyExit()).wait()
+        model.enableEmergencyExit()
+        for (const signer of signers) {
+            for (const comboId of model.combosOf(signer.address)) {
+                const digits = Combo.fromComboId(comboId).toArgs()
+                const helpingIds = model.helpingIdsOf(digits, signer.address)
+                if (helpingIds.length === 1) {
+                    await step(
+                        `emergencyExit ${comboId} from ${signer.address}`,
+                        () => sc.connect(signer).emergencyExit(...digits),
+                        () => model.emergencyExit(signer.address, digits)
+                    )
+                } else {
+                    for (const helpingId of helpingIds) {
+                        await step(
+                            `emergencyExitById ${helpingId} from ${signer.address}`,
+                            () => sc.connect(signer).emergencyExitById(helpingId),
+                            () => model.emergencyExitById(signer.address, helpingId)
+                        )
+                    }
+                }
+                await expectModelMatchesChain()
+            }
+            const { depositsInUse, creditsInUse } = model.balances(signer.address)
+            expect(depositsInUse.add(creditsInUse), `in use by ${signer.address}`).to.equal(0)
+        }
+        expect(model.heldDeposits()).to.equal(0)
+        for (const signer of signers) {
+            await step(
+                `withdrawAll from ${signer.address}`,
+                () => sc.connect(signer).withdrawAll(),
+                () => model.withdrawAll(signer.address)
+            )
+        }
+        await expectBalancesMatchEth()
+    })
+})
@@ -0,0 +1,206 @@
+import { expect } from 'chai'
+import { ethers } from 'hardhat'
+import { Combo } from '../sdk/index.js'
+import { deploySpicyCombos } from './helpers/deploy.js'
+
+const {
+    utils: { parseEther },
+} = ethers
+
+describe('pause and emergency exit', function () {
+    var sc, signers, tacos, wings, price
+    const minValue = parseEther('.000001')
+
+    // Everything the contract owes: available deposits, the dev fund and the burned premiums.
+    async function expectBalancesMatchEth(heldDeposits = 0) {
+        let owed = (await sc.devFund()).add(await sc.burnedPremiums()).add(heldDeposits)
+        for (const signer of signers) owed = owed.add((await sc.balances(signer.address)).availableDeposits)
+        expect(await ethers.provider.getBalance(sc.address)).to.equal(owed)
+    }
+
+    const helpingIdOf = async (combo, signer) => (await sc.helpingInfo(...combo.toArgs(), signer.address)).helpingId
+
+    before(async function () {
+        signers = await ethers.getSigners()
+        sc = await deploySpicyCombos('SpicyCombos', minValue)
+        tacos = Combo.parse('0.1 ETH / 100 blocks', minValue)
+        wings = Combo.parse('0.1 ETH / 10 blocks', minValue)
+        price = tacos.price(minValue)
+    })
+
+    describe('pause()', function () {
+        it('should only be callable by the owner', async function () {
+            const [, account1] = signers
+            await expect(sc.connect(account1).pause()).to.be.revertedWith('Ownable: caller is not the owner')
+        })
+        it('should block adding helpings and raising premiums', async function () {
+            const [, account1, account2] = signers
+            await sc.connect(account1).addHelping(...tacos.toArgs(), false, false, false, 0, 0, { value: price })
+            await sc.connect(account2).addHelping(...tacos.toArgs(), true, false, false, 0, 0, { value: price })
+            await expect(sc.pause()).to.emit(sc, 'Paused')
+            expect(await sc.paused()).to.be.true
+
+            const [, , , account3] = signers
+            await expect(
+                sc.connect(account3).addHelping(...tacos.toArgs(), true, false, false, 0, 0, { value: price })
+            ).to.be.revertedWith('Pausable: paused')
+            await expect(sc.connect(account2).increasePremium(...tacos.toArgs(), 1, { value: 1 })).to.be.revertedWith(
+                'Pausable: paused'
+            )
+            const action = [0, ...tacos.toArgs(), true, false, false, 0, 0, 0]
+            await expect(sc.connect(account3).batch([action], { value: price })).to.be.revertedWithCustomError(
+                sc,
+                'BatchActionFailed'
+            )
+        })
+        it('should still allow removing helpings, depositing and withdrawing', async function () {
+            const [, , account2] = signers
+            await sc.connect(account2).removeHelping(...tacos.toArgs())
+            expect((await sc.balances(account2.address)).availableCredits).to.equal(price)
+            await sc.connect(account2).deposit({ value: price })
+            await expect(sc.connect(account2).withdrawAll()).to.changeEtherBalance(account2, price)
+        })
+        it('unpause() should allow adding helpings again', async function () {
+            await expect(sc.unpause()).to.emit(sc, 'Unpaused')
+            const [, , account2] = signers
+            await sc.connect(account2).addHelping(...tacos.toArgs(), true, true, false, 0, 0)
+            await sc.connect(account2).removeHelping(...tacos.toArgs())
+        })
+    })
+
+    describe('emergency exit', function () {
+        before(async function () {
+            const [, account1, account2, account3, account4] = signers
+            // account1's timed tacos helping holds four deposits: its own, the one account2 gave up by leaving the
+            // queue, account2's queued helping's, and the one account4 gave up before queueing again with its credits.
+            await sc.connect(account2).addHelping(...tacos.toArgs(), true, false, false, 0, 0, { value: price })
+            await sc.connect(account4).addHelping(...tacos.toArgs(), true, false, false, 0, 0, { value: price })
+            await sc.connect(account4).removeHelping(...tacos.toArgs())
+            await sc.connect(account4).addHelping(...tacos.toArgs(), true, true, false, 0, 0)
+            // account3's deposit expires account1's double wings helping, so it has already been paid out.
+            await sc.connect(account1).addHelping(...wings.toArgs(), true, false, false, 0, 0, { value: price })
+            await sc.connect(account3).addHelping(...wings.toArgs(), true, false, false, 0, 0, { value: price })
+            expect((await sc.comboInfo(...wings.toArgs())).activeHelpingOwner).to.equal(account3.address)
+            await expectBalancesMatchEth(price.mul(4))
+        })
+
+        it('emergencyExit() should revert until emergency exit is enabled', async function () {
+            const [, account1] = signers
+            await expect(sc.connect(account1).emergencyExit(...tacos.toArgs())).to.be.revertedWithCustomError(
+                sc,
+                'EmergencyExitNotEnabled'
+            )
+        })
+        it('enableEmergencyExit() should require the owner and a paused contract', async function () {
+            const [, account1] = signers
+            await expect(sc.enableEmergencyExit()).to.be.revertedWith('Pausable: not paused')
+            await sc.pause()
+            await expect(sc.connect(account1).enableEmergencyExit()).to.be.revertedWith(
+                'Ownable: caller is not the owner'
+            )
+            await expect(sc.enableEmergencyExit()).to.emit(sc, 'EmergencyExitEnabled')
+            expect(await sc.emergencyExitEnabled()).to.be.true
+        })
+        it('should never allow unpausing again', async function () {
+            await expect(sc.unpause()).to.be.revertedWithCustomError(sc, 'EmergencyExitAlreadyEnabled')
+            await expect(sc.enableEmergencyExit()).to.be.revertedWithCustomError(sc, 'EmergencyExitAlreadyEnabled')
+        })
+        it('should revert for callers without a helping', async function () {
+            const [, , , , , account5] = signers
+            await expect(sc.connect(account5).emergencyExit(...tacos.toArgs())).to.be.revertedWithCustomError(
+                sc,
+                'HelpingNotFoundForCaller'
+            )
+            const helpingId = await helpingIdOf(tacos, signers[1])
+            await expect(sc.connect(account5).emergencyExitById(helpingId)).to.be.revertedWithCustomError(
+                sc,
+                'HelpingNotFoundForCaller'
+            )
+        })
+        it('should give back the deposit of a queued helping held by the active helping', async function () {
+            const [, , account2] = signers
+            const helpingId = await helpingIdOf(tacos, account2)
+            await expect(sc.connect(account2).emergencyExit(...tacos.toArgs()))
+                .to.emit(sc, 'EmergencyExit')
+                .withArgs(tacos.comboId, helpingId, account2.address, price, 0)
+            expect((await sc.balances(account2.address)).depositsInUse).to.equal(0)
+            expect((await sc.comboInfo(...tacos.toArgs())).activeHelpingDeposits).to.equal(3)
+            await expectBalancesMatchEth(price.mul(3))
+        })
+        it('should give the active helping the deposits it received, without fees', async function () {
+            const [, account1] = signers
+            const { availableDeposits: before } = await sc.balances(account1.address)
+            const helpingId = await helpingIdOf(tacos, account1)
+            await expect(sc.connect(account1).emergencyExitById(helpingId))
+                .to.emit(sc, 'EmergencyExit')
+                .withArgs(tacos.comboId, helpingId, account1.address, price.mul(3), 0)
+            const { availableDeposits, depositsInUse } = await sc.balances(account1.address)
+            expect(availableDeposits.sub(before)).to.equal(price.mul(3))
+            expect(depositsInUse).to.equal(0)
+            // account4 is still queued, but no helping becomes active while the contract is paused.
+            const info = await sc.comboInfo(...tacos.toArgs())
+            expect(info.activeHelpingExists).to.be.false
+            expect(info.queueLength).to.equal(1)
+            expect(await sc.liveComboCount()).to.equal(1)
+            await expectBalancesMatchEth()
+        })
+        it('should give back the credits of a helping that used credits', async function () {
+            const [, , , , account4] = signers
+            const helpingId = await helpingIdOf(tacos, account4)
+            await expect(sc.connect(account4).emergencyExit(...tacos.toArgs()))
+                .to.emit(sc, 'EmergencyExit')
+                .withArgs(tacos.comboId, helpingId, account4.address, 0, price)
+                .and.to.emit(sc, 'HelpingRemoved')
+                .withArgs(tacos.comboId, helpingId, account4.address, true)
+            expect((await sc.balances(account4.address)).creditsInUse).to.equal(0)
+            expect(await sc.comboCountOf(account4.address)).to.equal(0)
+        })
+        it('should give credits for a deposit that was paid to an earlier active helping', async function () {
+            const [, , , account3] = signers
+            const helpingId = await helpingIdOf(wings, account3)
+            await expect(sc.connect(account3).emergencyExit(...wings.toArgs()))
+                .to.emit(sc, 'EmergencyExit')
+                .withArgs(wings.comboId, helpingId, account3.address, 0, price)
+            const { availableCredits, depositsInUse } = await sc.balances(account3.address)
+            expect(availableCredits).to.equal(price)
+            expect(depositsInUse).to.equal(0)
+            expect(await sc.liveComboCount()).to.equal(0)
+        })
+        it('should leave every wei of the contract withdrawable', async function () {
+            await expectBalancesMatchEth()
+            for (const signer of signers) await sc.connect(signer).withdrawAll()
+            await sc.withdrawDevFund()
+            expect(await ethers.provider.getBalance(sc.address)).to.equal(await sc.burnedPremiums())
+        })
+    })
+
+    describe('removing a helping after emergency exit', function () {
+        before(async function () {
+            sc = await deploySpicyCombos('SpicyCombos', minValue)
+            const [, account1, account2] = signers
+            await sc.connect(account1).addHelping(...tacos.toArgs(), false, false, false, 0, 0, { value: price })
+            await sc.connect(account2).addHelping(...tacos.toArgs(), true, false, false, 0, 0, { value: price })
+            await sc.pause()
+            await sc.enableEmergencyExit()
+            // The active helping leaves first, so the deposit of account2's queued helping is still held for it.
+            await sc.connect(account1).emergencyExit(...tacos.toArgs())
+            await expectBalancesMatchEth(price)
+        })
+        it('should revert, leaving the held deposit to emergencyExit()', async function () {
+            const [, , account2] = signers
+            const helpingId = await helpingIdOf(tacos, account2)
+            await expect(sc.connect(account2).removeHelping(...tacos.toArgs())).to.be.revertedWithCustomError(
+                sc,
+                'EmergencyExitAlreadyEnabled'
+            )
+            await expect(sc.connect(account2).removeHelpingById(helpingId)).to.be.revertedWithCustomError(
+                sc,
+                'EmergencyExitAlreadyEnabled'
+            )
+            await expect(sc.connect(account2).emergencyExit(...tacos.toArgs()))
+                .to.emit(sc, 'EmergencyExit')
+                .withArgs(tacos.comboId, helpingId, account2.address, price, 0)
+            await expectBalancesMatchEth()
+        })
+    })
+})
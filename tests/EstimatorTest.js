@@ -0,0 +1,181 @@
+import { expect } from 'chai'
+import { ethers } from 'hardhat'
+import {
+    HelpingType,
+    SpicyCombosClient,
+    activeHelpingPayout,
+    comboSnapshot,
+    estimateHelping,
+    premiumForPosition,
+} from '../sdk/index.js'
+import { deploySpicyCombos } from './helpers/deploy.js'
+
+const {
+    utils: { parseEther },
+} = ethers
+
+const { DoubleHelping, TimedHelping } = HelpingType
+
+describe('payout estimator', function () {
+    const price = parseEther('1')
+
+    describe('activeHelpingPayout()', function () {
+        it('should pay a double helping all of its deposits', function () {
+            const payout = activeHelpingPayout({ type: DoubleHelping, depositsReceived: 2 }, price, 1000)
+            expect(payout).to.equal(price.mul(2))
+        })
+        it('should pay a timed helping its first deposit in full and the others less the fee', function () {
+            expect(activeHelpingPayout({ type: TimedHelping, depositsReceived: 0 }, price, 1000)).to.equal(0)
+            expect(activeHelpingPayout({ type: TimedHelping, depositsReceived: 1 }, price, 1000)).to.equal(price)
+            expect(activeHelpingPayout({ type: TimedHelping, depositsReceived: 3 }, price, 1000)).to.equal(
+                parseEther('2.8')
+            )
+        })
+    })
+
+    describe('premiumForPosition()', function () {
+        const queue = [{ premium: 5 }, { premium: 3 }]
+        it('should beat the premium of the helping at that position by one wei', function () {
+            expect(premiumForPosition(queue, 1)).to.equal(6)
+            expect(premiumForPosition(queue, 2)).to.equal(4)
+        })
+        it('should need no premium to be behind the whole queue', function () {
+            expect(premiumForPosition(queue, 3)).to.equal(0)
+        })
+        it('should count positions from 1', function () {
+            expect(() => premiumForPosition(queue, 0)).to.throw(RangeError)
+        })
+    })
+
+    describe('estimateHelping()', function () {
+        const snapshot = (changes) => ({
+            price,
+            timeLimit: 100,
+            fees: { timedHelpingFeeBasisPoints: 1000 },
+            currentBlock: 1000,
+            depositRate: 0.01,
+            active: null,
+            queue: [],
+            ...changes,
+        })
+        const activeTimed = { type: TimedHelping, depositsReceived: 1, expiration: 1050, isExpired: false }
+
+        it('should count the creator bonus for a helping that creates the combo', function () {
+            const estimate = estimateHelping(snapshot(), { type: TimedHelping })
+            expect(estimate).to.include({ position: 0, createsCombo: true, waitBlocks: 0, activeBlocks: 100 })
+            expect(estimate.expectedDeposits).to.equal(2)
+            // A 10% fee on the expected deposit after the creator's own.
+            expect(estimate.expectedPayout).to.equal(parseEther('1.9'))
+            expect(estimate.expectedProfit).to.equal(parseEther('0.9'))
+        })
+        it('should not count the creator bonus for a helping paid for with credits', function () {
+            const estimate = estimateHelping(snapshot(), { type: TimedHelping, usingCredits: true })
+            expect(estimate).to.include({ position: 0, createsCombo: false, expectedDeposits: 1 })
+            const expected = 0.1 * (1 - Math.exp(-1)) + 0.9
+            expect(Number(ethers.utils.formatEther(estimate.expectedPayout))).to.be.closeTo(expected, 1e-9)
+        })
+        it('should wait for the active helping and every queued helping with at least the same premium', function () {
+            const queue = [
+                { type: DoubleHelping, premium: 5 },
+                { type: TimedHelping, premium: 1 },
+                { type: TimedHelping, premium: 0 },
+            ]
+            const options = { type: DoubleHelping, premium: 1 }
+            const estimate = estimateHelping(snapshot({ active: activeTimed, queue }), options)
+            // 50 blocks left, two deposits for the double helping and the time limit of the timed one.
+            expect(estimate).to.include({ position: 3, waitBlocks: 50 + 200 + 100 })
+            expect(estimate.cost).to.equal(price.add(1))
+        })
+        it("should count the helping's own deposit towards an active double helping", function () {
+            const active = { type: DoubleHelping, depositsReceived: 1, expiration: 900, isExpired: false }
+            const queue = [{ type: DoubleHelping, premium: 0 }]
+            const withDeposits = estimateHelping(snapshot({ active, queue }), { type: TimedHelping })
+            expect(withDeposits).to.include({ position: 2, waitBlocks: 200 })
+            const withCredits = estimateHelping(snapshot({ active, queue }), { type: TimedHelping, usingCredits: true })
+            expect(withCredits).to.include({ position: 2, waitBlocks: 300 })
+        })
+        it('should make the first queued helping active when the active timed helping has expired', function () {
+            const active = { ...activeTimed, expiration: 990, isExpired: true }
+            const queue = [{ type: DoubleHelping, premium: 0 }]
+            const estimate = estimateHelping(snapshot({ active, queue }), { type: TimedHelping, premium: 5 })
+            expect(estimate).to.include({ position: 1, createsCombo: false, waitBlocks: 100 })
+        })
+        it('should wait forever behind a double helping in a combo without deposits', function () {
+            const queue = [{ type: DoubleHelping, premium: 0 }]
+            const estimate = estimateHelping(snapshot({ active: activeTimed, queue, depositRate: 0 }), {
+                type: TimedHelping,
+            })
+            expect(estimate).to.include({ position: 2, waitBlocks: Infinity, expectedDeposits: 0 })
+            expect(estimate.expectedPayout).to.equal(0)
+        })
+        it('should pay a double helping by the chance of its second deposit within maxActiveBlocks', function () {
+            const estimate = estimateHelping(snapshot({ active: activeTimed }), { type: DoubleHelping })
+            // One deposit expected over the default of the 100 block time limit.
+            const [none, one] = [Math.exp(-1), Math.exp(-1)]
+            expect(estimate.expectedDeposits).to.be.closeTo(one + 2 * (1 - none - one), 1e-9)
+            expect(estimate.activeBlocks).to.be.closeTo((2 - 2 * none - one) / 0.01, 1e-6)
+            expect(Number(ethers.utils.formatEther(estimate.expectedPayout))).to.be.closeTo(2 - 3 * none, 1e-9)
+            expect(Number(ethers.utils.formatEther(estimate.expectedCredits))).to.be.closeTo(none, 1e-9)
+            const longer = estimateHelping(snapshot({ active: activeTimed }), {
+                type: DoubleHelping,
+                maxActiveBlocks: 1000,
+            })
+            expect(longer.expectedPayout).to.be.gt(estimate.expectedPayout)
+        })
+        it('should count the creator bonus for a double helping', function () {
+            const estimate = estimateHelping(snapshot(), { type: DoubleHelping })
+            expect(estimate).to.include({ createsCombo: true })
+            expect(estimate.expectedDeposits).to.be.closeTo(2 - Math.exp(-1), 1e-9)
+            expect(estimate.expectedCredits).to.equal(0)
+        })
+        it('should give a double helping in a combo without deposits its price back as credits', function () {
+            const estimate = estimateHelping(snapshot({ active: activeTimed, depositRate: 0 }), {
+                type: DoubleHelping,
+                premium: 5,
+            })
+            expect(estimate).to.include({ waitBlocks: 50, activeBlocks: 100, expectedDeposits: 0 })
+            expect(estimate.expectedPayout).to.equal(0)
+            expect(estimate.expectedCredits).to.equal(price)
+            expect(estimate.expectedProfit).to.equal(-5)
+        })
+    })
+
+    describe('comboSnapshot()', function () {
+        var client, signers
+        const minValue = parseEther('.000001')
+        const tacos = '0.25 ETH / 20 blocks'
+
+        before(async function () {
+            signers = await ethers.getSigners()
+            const sc = await deploySpicyCombos('SpicyCombos', minValue)
+            client = new SpicyCombosClient(sc.address, signers[0])
+            const premiums = [0, 3, 1, 2]
+            for (let i = 0; i < premiums.length; ++i) {
+                const type = i === 0 ? TimedHelping : DoubleHelping
+                await (await client.connect(signers[i]).addHelping({ combo: tacos, type, premium: premiums[i] })).wait()
+            }
+            // A helping paid for with credits brings the active helping no deposit.
+            await (await client.connect(signers[4]).deposit(parseEther('0.25'))).wait()
+            await (await client.connect(signers[4]).addHelping({ combo: tacos, type: DoubleHelping })).wait()
+            await (await client.connect(signers[4]).removeHelping({ combo: tacos })).wait()
+            const withCredits = { combo: tacos, type: DoubleHelping, usingCredits: true }
+            await (await client.connect(signers[4]).addHelping(withCredits)).wait()
+        })
+        it('should read the active helping and the whole queue in order', async function () {
+            const snapshot = await comboSnapshot(client, tacos)
+            expect(snapshot.price).to.equal(parseEther('0.25'))
+            expect(snapshot.timeLimit).to.equal(20)
+            expect(snapshot.fees.timedHelpingFeeBasisPoints).to.equal(1000)
+            expect(snapshot.active).to.include({ type: TimedHelping, depositsReceived: 5, isExpired: false })
+            expect(snapshot.queue.map((entry) => entry.premium.toNumber())).to.deep.equal([3, 2, 1, 0])
+        })
+        it('should count the deposits of the helpings added in the last historyBlocks blocks', async function () {
+            const latest = await ethers.provider.getBlockNumber()
+            // The last six blocks have three helpings added with deposits, then the deposit, the removal and the
+            // helping added with credits.
+            const snapshot = await comboSnapshot(client, tacos, { historyBlocks: 6 })
+            expect(snapshot).to.include({ currentBlock: latest, historyBlocks: 6, deposits: 3, depositRate: 3 / 6 })
+            expect((await comboSnapshot(client, tacos)).deposits).to.equal(5)
+        })
+    })
+})
@@ -0,0 +1,133 @@
+import { expect } from 'chai'
+import { ethers, network } from 'hardhat'
+import { Combo, SpicyCombosClient } from '../sdk/index.js'
+import { deploySpicyCombos } from './helpers/deploy.js'
+
+const {
+    utils: { parseEther },
+} = ethers
+
+describe('fee schedule', function () {
+    var sc, signers, client, delay
+    const minValue = parseEther('.000001')
+
+    const latestTimestamp = async () => (await ethers.provider.getBlock('latest')).timestamp
+    const increaseTime = async (seconds) => {
+        await network.provider.send('evm_increaseTime', [seconds])
+        await network.provider.send('evm_mine')
+    }
+    async function changeFees(fees) {
+        await sc.queueFeeChange(fees)
+        await increaseTime(delay)
+        await sc.executeFeeChange()
+    }
+
+    before(async function () {
+        signers = await ethers.getSigners()
+        sc = await deploySpicyCombos('SpicyCombos', minValue)
+        client = new SpicyCombosClient(sc.address, signers[0])
+        delay = (await sc.FEE_CHANGE_DELAY()).toNumber()
+    })
+
+    it('should default to a 10% timed helping cut and all premiums to the dev fund', async function () {
+        expect(await client.fees()).to.deep.equal({
+            timedHelpingFeeBasisPoints: 1000,
+            premiumDevFundBasisPoints: 10000,
+            redistributePremiumRemainder: false,
+        })
+        expect(await client.pendingFeeChange()).to.be.undefined
+    })
+
+    describe('queueFeeChange()', function () {
+        const fees = {
+            timedHelpingFeeBasisPoints: 500,
+            premiumDevFundBasisPoints: 5000,
+            redistributePremiumRemainder: true,
+        }
+
+        it('should only be callable by the owner', async function () {
+            const [, account1] = signers
+            await expect(sc.connect(account1).queueFeeChange(fees)).to.be.revertedWith(
+                'Ownable: caller is not the owner'
+            )
+        })
+        it('should enforce the upper bounds', async function () {
+            await expect(sc.queueFeeChange({ ...fees, timedHelpingFeeBasisPoints: 2001 }))
+                .to.be.revertedWithCustomError(sc, 'ValueOutOfRange')
+                .withArgs('timedHelpingFeeBasisPoints', 0, 2000)
+            await expect(sc.queueFeeChange({ ...fees, premiumDevFundBasisPoints: 10001 }))
+                .to.be.revertedWithCustomError(sc, 'ValueOutOfRange')
+                .withArgs('premiumDevFundBasisPoints', 0, 10000)
+        })
+        it('should publish the pending change without applying it', async function () {
+            await expect(sc.queueFeeChange(fees)).to.emit(sc, 'FeeChangeQueued')
+            const eta = (await latestTimestamp()) + delay
+            expect(await client.pendingFeeChange()).to.deep.equal({ fees, eta })
+            expect((await client.fees()).timedHelpingFeeBasisPoints).to.equal(1000)
+        })
+        it('executeFeeChange() should revert before the timelock has passed', async function () {
+            const { eta } = await client.pendingFeeChange()
+            await expect(sc.executeFeeChange()).to.be.revertedWithCustomError(sc, 'FeeChangeNotReady').withArgs(eta)
+        })
+        it('cancelFeeChange() should drop the pending change', async function () {
+            await expect(sc.cancelFeeChange()).to.emit(sc, 'FeeChangeCancelled')
+            expect(await client.pendingFeeChange()).to.be.undefined
+            await increaseTime(delay)
+            await expect(sc.executeFeeChange()).to.be.revertedWithCustomError(sc, 'NoFeeChangeQueued')
+        })
+        it('executeFeeChange() should apply the change once the timelock has passed, for anyone', async function () {
+            const [, account1] = signers
+            await sc.queueFeeChange(fees)
+            await increaseTime(delay)
+            await expect(sc.connect(account1).executeFeeChange())
+                .to.emit(sc, 'FeeChangeExecuted')
+                .withArgs(fees.timedHelpingFeeBasisPoints, fees.premiumDevFundBasisPoints, true)
+            expect(await client.fees()).to.deep.equal(fees)
+            expect(await client.pendingFeeChange()).to.be.undefined
+        })
+    })
+
+    describe('fees in effect', function () {
+        const premium = parseEther('.01')
+        var combo, price
+
+        before(async function () {
+            combo = Combo.parse('0.1 ETH / 50 blocks', minValue)
+            price = combo.price(minValue)
+            await changeFees({
+                timedHelpingFeeBasisPoints: 2000,
+                premiumDevFundBasisPoints: 6000,
+                redistributePremiumRemainder: true,
+            })
+        })
+        it('should burn the rest of a premium paid by a helping that becomes active', async function () {
+            const [, account1] = signers
+            await sc.connect(account1).addHelping(...combo.toArgs(), false, false, true, premium, 0, {
+                value: price.add(premium),
+            })
+            expect(await sc.devFund()).to.equal(premium.mul(6).div(10))
+            expect(await sc.burnedPremiums()).to.equal(premium.mul(4).div(10))
+        })
+        it('should give the rest of a queued premium to the owner of the active helping', async function () {
+            const [, account1, account2, account3] = signers
+            for (const account of [account2, account3]) {
+                await sc.connect(account).addHelping(...combo.toArgs(), true, false, false, premium, 0, {
+                    value: price.add(premium),
+                })
+            }
+            const { availableDeposits } = await sc.balances(account1.address)
+            expect(availableDeposits).to.equal(premium.mul(4).div(10).mul(2))
+        })
+        it('should take the configured cut of timed helping deposits after the first', async function () {
+            const [, account1] = signers
+            const devFundBefore = await sc.devFund()
+            const { availableDeposits: before } = await sc.balances(account1.address)
+            await network.provider.send('hardhat_mine', ['0x40'])
+            await sc.settle(...combo.toArgs())
+            const { availableDeposits: after } = await sc.balances(account1.address)
+            // the creator bonus plus two deposits, 20% of the two going to the dev fund
+            expect(after.sub(before)).to.equal(price.add(price.mul(2).mul(8).div(10)))
+            expect((await sc.devFund()).sub(devFundBefore)).to.equal(price.mul(2).mul(2).div(10))
+        })
+    })
+})
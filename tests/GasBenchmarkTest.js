@@ -0,0 +1,80 @@
+import { expect } from 'chai'
+import { ethers } from 'hardhat'
+import { Combo } from '../sdk/index.js'
+import { deploySpicyCombos } from './helpers/deploy.js'
+
+const {
+    utils: { parseEther },
+} = ethers
+
+// Gas used by each transaction with this many helpings already queued, as printed with SPICY_GAS_REPORT=1 under the
+// optimizer settings of compiler_config.json. Update it when a change makes things cheaper, and when one can't help
+// making them dearer.
+const baseline = {
+    addHelping: { 1: 375044, 10: 360803, 100: 371843, 1000: 349856 },
+    increasePremium: { 1: 69475, 10: 91467, 100: 113700, 1000: 169282 },
+    removeHelping: { 1: 113420, 10: 124404, 100: 158048, 1000: 192120 },
+}
+// How much more gas than the baseline a transaction may use before the benchmark fails.
+const threshold = Number(process.env.SPICY_GAS_THRESHOLD || 0.02)
+const queueSizes = Object.keys(baseline.addHelping).map(Number)
+
+describe('gas benchmark', function () {
+    var sc, signers, combo, price
+    const minValue = parseEther('.000001')
+    const batchSize = 50
+    const measured = { addHelping: {}, increasePremium: {}, removeHelping: {} }
+    let queueLength = 0
+
+    const gasUsed = async (tx) => (await (await tx).wait()).gasUsed.toNumber()
+
+    // Queue helpings with a spread of premiums from several owners until the queue has the given length.
+    async function fillQueue(length) {
+        while (queueLength < length) {
+            const count = Math.min(batchSize, length - queueLength)
+            const premiums = Array.from({ length: count }, (_, i) => (queueLength + i) % 7)
+            const actions = premiums.map((premium) => [0, ...combo.toArgs(), true, false, false, premium, 0, 0])
+            const value = price.mul(count).add(premiums.reduce((total, premium) => total + premium, 0))
+            await (await sc.connect(signers[1 + (queueLength % 4)]).batch(actions, { value })).wait()
+            queueLength += count
+        }
+    }
+
+    before(async function () {
+        signers = await ethers.getSigners()
+        sc = await deploySpicyCombos('SpicyCombos', minValue)
+        combo = Combo.parse('0.001 ETH / 1000000 blocks', minValue)
+        price = combo.price(minValue)
+        // An active timed helping that lasts for the whole benchmark, so every other helping is queued.
+        await sc.addHelping(...combo.toArgs(), false, false, true, 0, 0, { value: price })
+
+        const [, , , , , account5] = signers
+        for (const size of queueSizes) {
+            await fillQueue(size)
+            // A helping that lands in the middle of the queue, then moves to the front, then leaves.
+            measured.addHelping[size] = await gasUsed(
+                sc.connect(account5).addHelping(...combo.toArgs(), true, false, false, 3, 0, { value: price.add(3) })
+            )
+            measured.increasePremium[size] = await gasUsed(
+                sc.connect(account5).increasePremium(...combo.toArgs(), 10, { value: 10 })
+            )
+            measured.removeHelping[size] = await gasUsed(sc.connect(account5).removeHelping(...combo.toArgs()))
+        }
+        if (process.env.SPICY_GAS_REPORT) console.log(JSON.stringify(measured, null, 4))
+    })
+
+    for (const name of Object.keys(baseline)) {
+        it(`${name}() should not use more gas than the baseline`, function () {
+            const rows = queueSizes.map((size) => ({
+                queueLength: size,
+                gas: measured[name][size],
+                baseline: baseline[name][size],
+            }))
+            console.table(rows)
+            for (const size of queueSizes) {
+                const limit = Math.floor(baseline[name][size] * (1 + threshold))
+                expect(measured[name][size], `${name}() with ${size} queued`).to.be.at.most(limit)
+            }
+        })
+    }
+})
@@ -0,0 +1,208 @@
+import { expect } from 'chai'
+import { ethers, network } from 'hardhat'
+import { HelpingType, Indexer, SpicyCombosClient } from '../sdk/index.js'
+import { deploySpicyCombos } from './helpers/deploy.js'
+
+const {
+    utils: { parseEther },
+} = ethers
+
+describe('helping receipts', function () {
+    var sc, receipts, signers, price, comboId
+    const minValue = parseEther('.000001')
+    const tacos = '0.25 ETH / 1000 blocks'
+    const client = (signer) => new SpicyCombosClient(sc.address, signer)
+
+    async function deploy() {
+        const spicyCombos = await deploySpicyCombos('SpicyCombos', minValue)
+        const HelpingReceipts = await ethers.getContractFactory('HelpingReceipts')
+        const helpingReceipts = await HelpingReceipts.deploy(spicyCombos.address)
+        await helpingReceipts.deployed()
+        return { spicyCombos, helpingReceipts }
+    }
+
+    before(async function () {
+        signers = await ethers.getSigners()
+        ;({ spicyCombos: sc, helpingReceipts: receipts } = await deploy())
+        const [, account1, account2, account3] = signers
+        price = await client(account1).price(tacos)
+        await expect(sc.setHelpingReceipts(receipts.address))
+            .to.emit(sc, 'HelpingReceiptsSet')
+            .withArgs(receipts.address)
+        // #1 is active, then #3 is queued ahead of #2 by its premium.
+        await (await client(account1).addHelping({ combo: tacos, type: HelpingType.TimedHelping })).wait()
+        await (await client(account2).addHelping({ combo: tacos, type: HelpingType.DoubleHelping })).wait()
+        const premium = parseEther('.01')
+        await (await client(account3).addHelping({ combo: tacos, type: HelpingType.DoubleHelping, premium })).wait()
+        ;({ comboId } = await client(account1).comboInfo(tacos))
+    })
+
+    describe('setHelpingReceipts()', function () {
+        it('should not set the receipts twice', async function () {
+            await expect(sc.setHelpingReceipts(receipts.address)).to.be.revertedWithCustomError(
+                sc,
+                'HelpingReceiptsCannotBeSet'
+            )
+        })
+        it('should not set the receipts once a helping was added', async function () {
+            const [, account1] = signers
+            const { spicyCombos, helpingReceipts } = await deploy()
+            await expect(spicyCombos.connect(account1).setHelpingReceipts(helpingReceipts.address)).to.be.revertedWith(
+                'Ownable: caller is not the owner'
+            )
+            const plain = new SpicyCombosClient(spicyCombos.address, account1)
+            await (await plain.addHelping({ combo: tacos, type: HelpingType.TimedHelping })).wait()
+            await expect(spicyCombos.setHelpingReceipts(helpingReceipts.address)).to.be.revertedWithCustomError(
+                spicyCombos,
+                'HelpingReceiptsCannotBeSet'
+            )
+        })
+    })
+
+    describe('minting', function () {
+        it('should mint a receipt to the owner of each new helping', async function () {
+            const [, account1, account2, account3] = signers
+            expect(await receipts.ownerOf(1)).to.equal(account1.address)
+            expect(await receipts.ownerOf(2)).to.equal(account2.address)
+            expect(await receipts.ownerOf(3)).to.equal(account3.address)
+            expect(await receipts.balanceOf(account2.address)).to.equal(1)
+        })
+        it('should only let SpicyCombos mint and burn', async function () {
+            const [, account1] = signers
+            await expect(receipts.connect(account1).mint(account1.address, 9)).to.be.revertedWithCustomError(
+                receipts,
+                'OnlyCallableBySpicyCombos'
+            )
+            await expect(receipts.connect(account1).burn(1)).to.be.revertedWithCustomError(
+                receipts,
+                'OnlyCallableBySpicyCombos'
+            )
+        })
+    })
+
+    describe('tokenURI()', function () {
+        it('should describe a queued helping with its position in the queue', async function () {
+            const { name, description, attributes } = await client(signers[0]).helpingReceipt(2)
+            expect(name).to.equal('Spicy Combos helping #2')
+            expect(description).to.equal(
+                `A double helping in the combo of ${price} for 1000 blocks. ` +
+                    'Whoever holds this receipt owns the helping.'
+            )
+            expect(attributes).to.deep.equal([
+                { trait_type: 'comboId', value: comboId },
+                { trait_type: 'combo price', value: price.toString() },
+                { trait_type: 'time limit', value: 1000 },
+                { trait_type: 'helping type', value: 'double' },
+                { trait_type: 'premium', value: '0' },
+                { trait_type: 'queue position', value: 2 },
+            ])
+        })
+        it('should give the active helping position 0', async function () {
+            const [, account1] = signers
+            const receipt = await client(signers[0]).helpingReceipt(1)
+            expect(receipt).to.include({ helpingType: HelpingType.TimedHelping, queuePosition: 0 })
+            expect(receipt.owner).to.equal(account1.address)
+            const queued = await client(signers[0]).helpingReceipt(3)
+            expect(queued.premium).to.equal(parseEther('.01'))
+            expect(queued.queuePosition).to.equal(1)
+        })
+        it('should revert for a helping without a receipt', async function () {
+            await expect(receipts.tokenURI(99)).to.be.revertedWith('ERC721: invalid token ID')
+        })
+    })
+
+    describe('transfers', function () {
+        it('should move a queued helping, its place in the queue and its deposit in use', async function () {
+            const [, , account2, , account4] = signers
+            await expect(receipts.connect(account2).transferFrom(account2.address, account4.address, 2))
+                .to.emit(sc, 'HelpingTransferred')
+                .withArgs(comboId, 2, account2.address, account4.address)
+            const info = await sc.helpingInfoById(2)
+            expect(info.owner).to.equal(account4.address)
+            expect((await sc.balances(account2.address)).depositsInUse).to.equal(0)
+            expect((await sc.balances(account4.address)).depositsInUse).to.equal(price)
+            const { entries } = await client(account4).queueEntries(tacos)
+            expect(entries.map((entry) => [entry.helpingId, entry.owner])).to.deep.equal([
+                [3, signers[3].address],
+                [2, account4.address],
+            ])
+            expect(await client(account4).helpingIdsOf(tacos, account4.address)).to.deep.equal([2])
+            expect((await sc.combosOf(account2.address, 0, 10)).total).to.equal(0)
+        })
+        it('should leave the previous owner unable to act on the helping', async function () {
+            const [, , account2] = signers
+            await expect(sc.connect(account2).removeHelpingById(2)).to.be.revertedWithCustomError(
+                sc,
+                'HelpingNotFoundForCaller'
+            )
+        })
+        it('should pay the active helping out to whoever holds its receipt', async function () {
+            const [, account1, , account3, account4] = signers
+            await (await client(account1).transferHelping({ helpingId: 1, to: account4.address })).wait()
+            const before = (await sc.balances(account4.address)).availableDeposits
+            await network.provider.send('hardhat_mine', ['0x3e8'])
+            await (await client(signers[0]).settle({ combo: tacos })).wait()
+            // Its own deposit and two more, less the dev fund's cut of those two.
+            const payout = price.add(price.mul(2).mul(9).div(10))
+            expect((await sc.balances(account4.address)).availableDeposits).to.equal(before.add(payout))
+            expect((await sc.balances(account1.address)).availableDeposits).to.equal(0)
+            expect((await sc.helpingInfoById(3)).owner).to.equal(account3.address)
+        })
+        it('should burn the receipt of a helping paid out as the active helping', async function () {
+            await expect(receipts.ownerOf(1)).to.be.revertedWith('ERC721: invalid token ID')
+            expect(await client(signers[0]).helpingReceipt(1)).to.be.undefined
+        })
+        it('should burn the receipt of a removed helping and give its credits to the holder', async function () {
+            const [, , , , account4] = signers
+            await expect(sc.connect(account4).removeHelpingById(2))
+                .to.emit(receipts, 'Transfer')
+                .withArgs(account4.address, ethers.constants.AddressZero, 2)
+            expect((await sc.balances(account4.address)).availableCredits).to.equal(price)
+            expect(await receipts.balanceOf(account4.address)).to.equal(0)
+        })
+        it('should move the credits in use of a helping paid with credits', async function () {
+            const [, , account2, , account4] = signers
+            const type = HelpingType.DoubleHelping
+            const receipt = await (await client(account4).addHelping({ combo: tacos, type, usingCredits: true })).wait()
+            const [helpingId] = client(account4).addedHelpingIds(receipt)
+            await (await client(account4).transferHelping({ helpingId, to: account2.address })).wait()
+            expect((await sc.balances(account4.address)).creditsInUse).to.equal(0)
+            expect((await sc.balances(account2.address)).creditsInUse).to.equal(price)
+        })
+        it('should only let the receipts contract call transferHelping()', async function () {
+            const [, , account2, account3] = signers
+            await expect(
+                sc.connect(account2).transferHelping(account3.address, account2.address, 3)
+            ).to.be.revertedWithCustomError(sc, 'OnlyCallableByHelpingReceipts')
+        })
+    })
+
+    describe('clients and the indexer', function () {
+        it('should follow transfers in the indexer', async function () {
+            const [, , account2, account3, account4] = signers
+            const indexer = new Indexer({
+                address: sc.address,
+                provider: ethers.provider,
+                startBlock: sc.deployTransaction.blockNumber,
+            })
+            await (await client(account3).transferHelping({ helpingId: 3, to: account4.address })).wait()
+            await indexer.sync()
+            const combo = indexer.getCombo(comboId)
+            expect(combo.active.owner).to.equal(account4.address)
+            expect(combo.queue.map((helping) => helping.owner)).to.deep.equal([account2.address])
+            expect(indexer.getBalance(account4.address).depositsInUse).to.equal(price.toString())
+        })
+        it('should report a deployment without receipts', async function () {
+            const [, account1] = signers
+            const { spicyCombos } = await deploy()
+            const plain = new SpicyCombosClient(spicyCombos.address, account1)
+            expect(await plain.helpingReceipts()).to.be.undefined
+            try {
+                await plain.transferHelping({ helpingId: 1, to: account1.address })
+                expect.fail('should have failed')
+            } catch (e) {
+                expect(e.message).to.equal('this deployment has no helping receipts')
+            }
+        })
+    })
+})
@@ -0,0 +1,246 @@
+import { expect } from 'chai'
+import { ethers, network } from 'hardhat'
+import { Combo, HelpingType, Indexer, SpicyCombosClient } from '../sdk/index.js'
+import { deploySpicyCombos } from './helpers/deploy.js'
+
+const { utils } = ethers
+const { parseEther } = utils
+
+describe('Indexer', function () {
+    var sc, client, signers, indexer, startBlock
+    const minValue = parseEther('.000001')
+    const tacos = '0.25 ETH / 15 blocks'
+    const stew = '0.044 ETH / 25 blocks'
+    const premium = (x) => parseEther(0.01 * x + '')
+
+    const add = (signer, combo, type, premium_ = 0, options = {}) =>
+        client
+            .connect(signer)
+            .addHelping({ combo, type, premium: premium_, ...options })
+            .then((tx) => tx.wait())
+
+    // Compare the indexer's view of a combo to what the contract reports.
+    async function expectComboMatchesChain(descriptor) {
+        const info = await client.comboInfo(descriptor)
+        const combo = indexer.getCombo(info.comboId)
+        if (!info.activeHelpingExists) {
+            expect(combo).to.be.undefined
+            return
+        }
+        expect(combo.active.owner).to.equal(info.activeHelpingOwner)
+        expect(combo.active.depositsReceived).to.equal(info.activeHelpingDeposits)
+        expect(combo.active.expiration).to.equal(info.activeHelpingExpiration)
+        expect(combo.active.type).to.equal(info.activeHelpingType)
+        expect(combo.queue.length).to.equal(info.queueLength)
+        if (info.queueLength) expect(combo.queue[0].premium).to.equal(info.premium.toString())
+        for (const helping of combo.queue) {
+            const helpingInfo = await client.helpingInfo(descriptor, helping.owner)
+            expect(helpingInfo.exists).to.be.true
+            expect(helpingInfo.isActiveHelping).to.be.false
+            expect(helping.premium).to.equal(helpingInfo.premium.toString())
+            expect(helping.usingCredits).to.equal(helpingInfo.usingCredits)
+        }
+    }
+
+    // Compare the indexer's balances and dev fund to what the contract reports.
+    async function expectBalancesMatchChain(indexer_, client_) {
+        for (const signer of signers.slice(0, 10)) {
+            const balance = await client_.balances(signer.address)
+            const indexed = indexer_.getBalance(signer.address)
+            for (const key of ['availableDeposits', 'depositsInUse', 'availableCredits', 'creditsInUse']) {
+                expect(indexed[key], `${key} of ${signer.address}`).to.equal(balance[key].toString())
+            }
+        }
+        expect(indexer_.getDevFund(), 'devFund').to.equal((await client_.devFund()).toString())
+    }
+
+    before(async function () {
+        signers = await ethers.getSigners()
+        sc = await deploySpicyCombos('SpicyCombos', minValue)
+        startBlock = sc.deployTransaction.blockNumber
+        client = new SpicyCombosClient(sc.address, signers[0])
+        indexer = new Indexer({ address: sc.address, provider: ethers.provider, startBlock })
+
+        const [owner, account2, account3, account4, account5, account6] = signers
+        await add(owner, tacos, HelpingType.DoubleHelping, premium(1), { creatorOnly: true })
+        await add(account2, tacos, HelpingType.TimedHelping, premium(2))
+        await add(account3, tacos, HelpingType.DoubleHelping, premium(0))
+        await add(account4, tacos, HelpingType.DoubleHelping, premium(3))
+        await add(account5, tacos, HelpingType.DoubleHelping, premium(0))
+        await client
+            .connect(account3)
+            .increasePremium({ combo: tacos, amount: premium(4) })
+            .then((tx) => tx.wait())
+        await client
+            .connect(account5)
+            .removeHelping({ combo: tacos })
+            .then((tx) => tx.wait())
+        await add(account5, tacos, HelpingType.TimedHelping, 0, { usingCredits: true })
+
+        await add(account6, stew, HelpingType.TimedHelping, 0, { creatorOnly: true })
+        await add(account2, stew, HelpingType.DoubleHelping)
+
+        await indexer.sync()
+    })
+    it('should list both live combos with their decoded parameters', function () {
+        const combos = indexer.listCombos()
+        expect(combos.map(({ combo }) => combo.format(minValue)).sort()).to.deep.equal([stew, tacos].sort())
+    })
+    it('should match comboInfo() and helpingInfo() for every combo', async function () {
+        await expectComboMatchesChain(tacos)
+        await expectComboMatchesChain(stew)
+    })
+    it('getQueue() should order by premium, then by arrival', function () {
+        const comboId = Combo.parse(tacos, minValue).comboId
+        const queue = indexer.getQueue(comboId)
+        const [, , account3, account4, account5] = signers
+        expect(queue.map((helping) => helping.owner)).to.deep.equal([account3.address, account4.address, account5.address])
+        expect(queue.map((helping) => helping.position)).to.deep.equal([1, 2, 3])
+    })
+    it('getHelpingsOf() should find an address in several combos', function () {
+        const helpings = indexer.getHelpingsOf(signers[1].address)
+        expect(helpings).to.have.length(2)
+        expect(helpings.filter((helping) => helping.isActiveHelping)).to.have.length(1)
+    })
+    it('should record the removed helpings with the deposits they received', function () {
+        const [removed] = indexer.getHistory(signers[0].address)
+        expect(removed.depositsReceived).to.equal(2)
+        expect(removed.removedAs).to.equal('active')
+    })
+    it('should match balances() and devFund()', async function () {
+        await expectBalancesMatchChain(indexer, client)
+    })
+    it('should index the balance of a relayer paid for a signed intent', async function () {
+        const relayer = signers[9]
+        const relayerFee = parseEther('.001')
+        const intent = await client.signBatch([], { relayerFee })
+        await (await client.connect(relayer).relay(intent)).wait()
+        await indexer.sync()
+        expect(indexer.getBalance(relayer.address).availableDeposits).to.equal(relayerFee.toString())
+    })
+    describe('persisting and reloading', function () {
+        it('should rebuild the same state from the stored events', function () {
+            const reloaded = new Indexer({ address: sc.address, provider: ethers.provider, store: indexer.store })
+            expect(reloaded.state).to.deep.equal(indexer.state)
+            expect(reloaded.lastBlock).to.equal(indexer.lastBlock)
+        })
+    })
+    describe('chain reorg', function () {
+        var snapshot
+
+        before(async function () {
+            const account7 = signers[6]
+            snapshot = await network.provider.send('evm_snapshot')
+            await add(account7, tacos, HelpingType.DoubleHelping, premium(9))
+            await indexer.sync()
+        })
+        it('should see the helping before the reorg', function () {
+            expect(indexer.getHelpingsOf(signers[6].address)).to.have.length(1)
+        })
+        it('should drop the reorged helping and index the new branch', async function () {
+            const [, , , , , , account7, account8] = signers
+            await network.provider.send('evm_revert', [snapshot])
+            await network.provider.send('evm_mine')
+            await add(account8, stew, HelpingType.TimedHelping)
+            await indexer.sync()
+            expect(indexer.getHelpingsOf(account7.address)).to.have.length(0)
+            expect(indexer.getHelpingsOf(account8.address)).to.have.length(1)
+            await expectComboMatchesChain(tacos)
+            await expectComboMatchesChain(stew)
+            await expectBalancesMatchChain(indexer, client)
+        })
+        it('should give up after maxSyncAttempts if the chain reorgs every time it reads the logs', async function () {
+            // Every block looks like a new one, as if the chain reorged between any two reads.
+            let reads = 0
+            const provider = new Proxy(ethers.provider, {
+                get(target, name) {
+                    if (name === 'getBlock') {
+                        return async (tag) => ({ ...(await target.getBlock(tag)), hash: utils.hexZeroPad(++reads, 32) })
+                    }
+                    const value = target[name]
+                    return typeof value === 'function' ? value.bind(target) : value
+                },
+            })
+            const reorging = new Indexer({ address: sc.address, provider, startBlock, maxSyncAttempts: 3 })
+            try {
+                await reorging.sync()
+                expect.fail('should have failed')
+            } catch (e) {
+                expect(e.message).to.equal('the chain reorged during each of 3 attempts to index it')
+            }
+            expect(reorging.lastBlock).to.equal(startBlock - 1)
+        })
+    })
+
+    for (const name of ['SpicyCombos', 'SpicyCombosEscrow']) {
+        describe(`balances and dev fund on ${name}`, function () {
+            var sc_, client_, indexer_
+            const chili = '0.25 ETH / 10 blocks'
+            const as = (signer) => client_.connect(signer)
+            const send = (tx) => tx.then((response) => response.wait())
+            const addChili = (signer, type, options = {}) =>
+                send(as(signer).addHelping({ combo: chili, type, ...options }))
+            const sync = async () => {
+                await indexer_.sync()
+                await expectBalancesMatchChain(indexer_, client_)
+            }
+
+            before(async function () {
+                sc_ = await deploySpicyCombos(name, minValue)
+                client_ = new SpicyCombosClient(sc_.address, signers[0])
+                const blockNumber = sc_.deployTransaction.blockNumber
+                indexer_ = new Indexer({ address: sc_.address, provider: ethers.provider, startBlock: blockNumber })
+                await send(client_.setKeeperReward(parseEther('.001')))
+                // Premiums split between the dev fund and the owner of the active helping.
+                const fees = {
+                    timedHelpingFeeBasisPoints: 1500,
+                    premiumDevFundBasisPoints: 6000,
+                    redistributePremiumRemainder: true,
+                }
+                await send(client_.queueFeeChange(fees))
+                await network.provider.send('evm_increaseTime', [(await sc_.FEE_CHANGE_DELAY()).toNumber()])
+                await send(client_.executeFeeChange())
+            })
+            it('should follow helpings paid with deposits, credits and premiums, and their payouts', async function () {
+                const [, account2, account3, account4, account5] = signers
+                await addChili(account2, HelpingType.TimedHelping)
+                await addChili(account3, HelpingType.DoubleHelping, { premium: premium(1) })
+                await addChili(account4, HelpingType.DoubleHelping, { premium: premium(2) })
+                await send(as(account3).increasePremium({ combo: chili, amount: premium(2) }))
+                await send(as(account4).removeHelping({ combo: chili }))
+                await addChili(account4, HelpingType.TimedHelping, { usingCredits: true })
+                await addChili(account5, HelpingType.DoubleHelping)
+                await sync()
+
+                await network.provider.send('hardhat_mine', ['0xa'])
+                await send(as(account5).settle({ combo: chili }))
+                await sync()
+            })
+            it('should follow credit trades and withdrawals', async function () {
+                const [owner, account2, , account4, , account6, account7] = signers
+                await send(as(account4).removeHelping({ combo: chili }))
+                const credits = parseEther('.1')
+                const receipt = await send(as(account4).offerCredits({ credits, priceBasisPoints: 9000 }))
+                const offerId = client_.addedCreditOfferId(receipt)
+                await send(as(account6).buyCredits({ offerId, credits: parseEther('.05') }))
+                await send(as(account4).cancelCreditOffer(offerId))
+                await send(as(account4).transferCredits(account7.address, credits))
+                await send(as(account2).withdrawAll())
+                await send(as(owner).withdrawDevFund())
+                await sync()
+            })
+            it('should follow emergency exits', async function () {
+                const [owner, , account3, , account5, , , account8] = signers
+                // The active double helping gets a deposit that the queue holds.
+                await addChili(account8, HelpingType.DoubleHelping)
+                await send(client_.pause())
+                await send(client_.enableEmergencyExit())
+                await send(as(account8).emergencyExit({ combo: chili }))
+                await send(as(account3).emergencyExit({ combo: chili }))
+                await send(as(account5).emergencyExit({ combo: chili }))
+                await send(as(owner).withdrawDevFund())
+                await sync()
+            })
+        })
+    }
+})
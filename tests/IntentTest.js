@@ -0,0 +1,164 @@
+import { expect } from 'chai'
+import { ethers, network } from 'hardhat'
+import {
+    ActionType,
+    HelpingType,
+    IntentType,
+    Relayer,
+    SpicyCombosClient,
+    recoverIntentSigner,
+    submitIntent,
+} from '../sdk/index.js'
+import { deploySpicyCombos } from './helpers/deploy.js'
+
+const {
+    utils: { parseEther },
+} = ethers
+
+describe('signed intents', function () {
+    var sc, signers, ownerClient, relayerClient, price
+    const minValue = parseEther('.000001')
+    const tacos = '0.25 ETH / 15 blocks'
+    const relayerFee = parseEther('.001')
+    const addTacos = { action: ActionType.AddHelping, combo: tacos, type: HelpingType.DoubleHelping }
+
+    const availableDeposits = async (signer) => (await sc.balances(signer.address)).availableDeposits
+
+    async function expectFailure(promise, message) {
+        try {
+            await promise
+        } catch (e) {
+            expect(e.message).to.contain(message)
+            return
+        }
+        expect.fail(`should have failed with ${message}`)
+    }
+
+    before(async function () {
+        signers = await ethers.getSigners()
+        sc = await deploySpicyCombos('SpicyCombos', minValue)
+        const [, owner, relayer] = signers
+        ownerClient = new SpicyCombosClient(sc.address, owner)
+        relayerClient = new SpicyCombosClient(sc.address, relayer)
+        price = await ownerClient.price(tacos)
+        await (await ownerClient.deposit(parseEther('1'))).wait()
+    })
+
+    describe('batchBySig()', function () {
+        var intent
+
+        before(async function () {
+            intent = await ownerClient.signBatch([addTacos], { relayerFee })
+        })
+        it('should sign an intent that survives JSON and recovers to its owner', async function () {
+            const [, owner] = signers
+            expect(intent).to.include({ type: IntentType.Batch, owner: owner.address, nonce: 0 })
+            expect(JSON.parse(JSON.stringify(intent))).to.deep.equal(intent)
+            expect(recoverIntentSigner(await ownerClient.intentDomain(), intent)).to.equal(owner.address)
+        })
+        it("should perform the actions as the owner's and pay the relayer from owner's deposits", async function () {
+            const [, owner, relayer] = signers
+            const ownerBefore = await availableDeposits(owner)
+            await expect(relayerClient.relay(intent))
+                .to.emit(sc, 'IntentExecuted')
+                .withArgs(owner.address, 0, relayer.address, relayerFee)
+            const { activeHelpingOwner } = await ownerClient.comboInfo(tacos)
+            expect(activeHelpingOwner).to.equal(owner.address)
+            expect(await availableDeposits(owner)).to.equal(ownerBefore.sub(price).sub(relayerFee))
+            expect(await availableDeposits(relayer)).to.equal(relayerFee)
+            expect(await ownerClient.nonce(owner.address)).to.equal(1)
+        })
+        it('should not execute an intent twice', async function () {
+            await expectFailure(relayerClient.relay(intent), 'InvalidSignature()')
+        })
+        it('should reject an intent that was changed after signing', async function () {
+            const signed = await ownerClient.signBatch([addTacos], { relayerFee })
+            const changed = { ...signed, relayerFee: relayerFee.mul(2).toString() }
+            await expectFailure(relayerClient.relay(changed), 'InvalidSignature()')
+        })
+        it('should reject an intent signed by someone other than its owner', async function () {
+            const [, owner] = signers
+            const signed = await relayerClient.signBatch([addTacos])
+            await expectFailure(relayerClient.relay({ ...signed, owner: owner.address }), 'InvalidSignature()')
+        })
+        it('should reject an intent after its deadline', async function () {
+            const deadline = (await ethers.provider.getBlockNumber()) + 2
+            const signed = await ownerClient.signBatch([addTacos], { deadline })
+            await network.provider.send('hardhat_mine', ['0x2'])
+            await expectFailure(relayerClient.relay(signed), `IntentExpired(${deadline})`)
+        })
+        it('should leave the nonce unused when an action fails', async function () {
+            const [, owner] = signers
+            const remove = { action: ActionType.RemoveHelping, helpingId: 99 }
+            const signed = await ownerClient.signBatch([remove])
+            try {
+                await relayerClient.relay(signed)
+                expect.fail('should have reverted')
+            } catch (e) {
+                expect(e.errorName).to.equal('BatchActionFailed')
+                expect(e.actionError.errorName).to.equal('HelpingNotFoundForCaller')
+            }
+            expect(await ownerClient.nonce(owner.address)).to.equal(signed.nonce)
+        })
+        it('should reject a relayer fee beyond the available deposits', async function () {
+            const [, owner] = signers
+            const available = await availableDeposits(owner)
+            const signed = await ownerClient.signBatch([], { relayerFee: available.add(1) })
+            await expectFailure(relayerClient.relay(signed), `NotEnoughAvailableDepositsForRelayerFee(${available})`)
+        })
+    })
+
+    describe('withdrawBySig()', function () {
+        it("should send the owner's deposits to the recipient and pay the relayer", async function () {
+            const [, owner, relayer, recipient] = signers
+            const ownerBefore = await availableDeposits(owner)
+            const relayerBefore = await availableDeposits(relayer)
+            const amount = parseEther('.1')
+            const signed = await ownerClient.signWithdrawal({ recipient: recipient.address, amount, relayerFee })
+            await expect(relayerClient.relay(signed)).to.changeEtherBalance(recipient, amount)
+            expect(await availableDeposits(owner)).to.equal(ownerBefore.sub(amount).sub(relayerFee))
+            expect(await availableDeposits(relayer)).to.equal(relayerBefore.add(relayerFee))
+        })
+    })
+
+    describe('Relayer', function () {
+        var server, url
+
+        before(async function () {
+            const [, , relayer] = signers
+            const relayerService = new Relayer({ address: sc.address, signer: relayer, minRelayerFee: relayerFee })
+            server = await relayerService.listen()
+            url = `http://127.0.0.1:${server.address().port}/`
+        })
+        after(function () {
+            server.close()
+        })
+        it('should execute a signed intent POSTed to it', async function () {
+            const [, owner] = signers
+            const nonce = await ownerClient.nonce(owner.address)
+            const signed = await ownerClient.signWithdrawal({ amount: 1, relayerFee })
+            const transactionHash = await submitIntent(url, signed)
+            const receipt = await ethers.provider.waitForTransaction(transactionHash)
+            expect(receipt.status).to.equal(1)
+            expect(await ownerClient.nonce(owner.address)).to.equal(nonce + 1)
+        })
+        it('should refuse an intent with too small a relayer fee', async function () {
+            const signed = await ownerClient.signWithdrawal({ amount: 1, relayerFee: relayerFee.sub(1) })
+            await expectFailure(submitIntent(url, signed), 'the relayerFee is less than 0.001 ETH')
+        })
+        it('should refuse an intent not signed by its owner', async function () {
+            const [, owner] = signers
+            const signed = await relayerClient.signWithdrawal({ amount: 1, relayerFee })
+            const forged = { ...signed, owner: owner.address }
+            await expectFailure(submitIntent(url, forged), 'the intent is not signed by its owner')
+        })
+        it('should refuse an intent that would revert, without sending it', async function () {
+            const [, owner] = signers
+            const available = await availableDeposits(owner)
+            const signed = await ownerClient.signWithdrawal({ amount: available, relayerFee })
+            const blockNumber = await ethers.provider.getBlockNumber()
+            await expectFailure(submitIntent(url, signed), 'WithdrawAmountExceedsAvailableDeposits')
+            expect(await ethers.provider.getBlockNumber()).to.equal(blockNumber)
+        })
+    })
+})
@@ -0,0 +1,191 @@
+import { expect } from 'chai'
+import { ethers } from 'hardhat'
+import { Combo } from '../sdk/index.js'
+import { deploySpicyCombos } from './helpers/deploy.js'
+
+const {
+    utils: { parseEther },
+} = ethers
+
+describe('several helpings per address in a combo', function () {
+    var sc, signers, tacos, price
+    const minValue = parseEther('.000001')
+    // helpingIds of account1's three tacos helpings, in the order they were added
+    const helpingIds = []
+
+    async function addedHelpingId(tx) {
+        const receipt = await tx.wait()
+        const [event] = receipt.events.filter((event) => event.event === 'HelpingAdded')
+        return event.args.helpingId.toNumber()
+    }
+
+    before(async function () {
+        signers = await ethers.getSigners()
+        sc = await deploySpicyCombos('SpicyCombos', minValue)
+        tacos = Combo.parse('0.25 ETH / 100 blocks', minValue)
+        price = tacos.price(minValue)
+    })
+
+    describe('addHelping()', function () {
+        before(async function () {
+            const [, account1] = signers
+            // An active timed helping and two double helpings queued behind it, all account1's.
+            for (const [doubleHelping, premium] of [
+                [false, 0],
+                [true, 1],
+                [true, 2],
+            ]) {
+                const tx = await sc
+                    .connect(account1)
+                    .addHelping(...tacos.toArgs(), doubleHelping, false, false, premium, 0, {
+                        value: price.add(premium),
+                    })
+                helpingIds.push(await addedHelpingId(tx))
+            }
+        })
+        it('should give each helping a new helpingId', async function () {
+            expect(helpingIds).to.deep.equal([1, 2, 3])
+            expect(await sc.helpingCount()).to.equal(3)
+        })
+        it('should pay the deposits of the queued helpings to the active one of the same owner', async function () {
+            const info = await sc.comboInfo(...tacos.toArgs())
+            expect(info.activeHelpingId).to.equal(helpingIds[0])
+            expect(info.activeHelpingDeposits).to.equal(3)
+            expect(info.queueLength).to.equal(2)
+        })
+        it('helpingIdsOf() should list every helping of the owner in the combo', async function () {
+            const [, account1] = signers
+            const ids = await sc.helpingIdsOf(...tacos.toArgs(), account1.address)
+            expect(ids.map(Number).sort()).to.deep.equal(helpingIds)
+            expect(await sc.comboCountOf(account1.address)).to.equal(1)
+        })
+        it('queueEntries() should have the helpingId of each entry', async function () {
+            const { helpings } = await sc.queueEntries(...tacos.toArgs(), 0, 10)
+            expect(helpings.map((entry) => entry.helpingId.toNumber())).to.deep.equal([helpingIds[2], helpingIds[1]])
+        })
+        it('should emit the helpingId', async function () {
+            const [, , account2] = signers
+            await expect(sc.connect(account2).addHelping(...tacos.toArgs(), true, false, false, 0, 0, { value: price }))
+                .to.emit(sc, 'HelpingAdded')
+                .withArgs(tacos.comboId, 4, account2.address, signers[1].address, price, false, true, 0, false)
+            await sc.connect(account2).removeHelpingById(4)
+        })
+    })
+
+    describe('looking up a helping by combo and owner', function () {
+        it('should revert with MoreThanOneHelping and the number of helpings', async function () {
+            const [, account1] = signers
+            await expect(sc.helpingInfo(...tacos.toArgs(), account1.address))
+                .to.be.revertedWithCustomError(sc, 'MoreThanOneHelping')
+                .withArgs(3)
+            await expect(sc.myPosition(...tacos.toArgs(), account1.address)).to.be.revertedWithCustomError(
+                sc,
+                'MoreThanOneHelping'
+            )
+            await expect(sc.connect(account1).removeHelping(...tacos.toArgs()))
+                .to.be.revertedWithCustomError(sc, 'MoreThanOneHelping')
+                .withArgs(3)
+            await expect(
+                sc.connect(account1).increasePremium(...tacos.toArgs(), 1, { value: 1 })
+            ).to.be.revertedWithCustomError(sc, 'MoreThanOneHelping')
+        })
+        it('should return a zero helpingId for an owner without a helping', async function () {
+            const [, , account2] = signers
+            const info = await sc.helpingInfo(...tacos.toArgs(), account2.address)
+            expect(info.exists).to.be.false
+            expect(info.helpingId).to.equal(0)
+        })
+    })
+
+    describe('helpingInfoById()', function () {
+        it('should describe an active helping', async function () {
+            const [, account1] = signers
+            const info = await sc.helpingInfoById(helpingIds[0])
+            expect(info.exists).to.be.true
+            expect(info.owner).to.equal(account1.address)
+            expect(info.comboId).to.equal(tacos.comboId)
+            expect(info.isDoubleHelping).to.be.false
+            expect(info.isActiveHelping).to.be.true
+        })
+        it('should describe a queued helping with its premium', async function () {
+            const info = await sc.helpingInfoById(helpingIds[2])
+            expect(info.isDoubleHelping).to.be.true
+            expect(info.isActiveHelping).to.be.false
+            expect(info.premium).to.equal(2)
+        })
+        it('should not find a helpingId that was never used', async function () {
+            const info = await sc.helpingInfoById(100)
+            expect(info.exists).to.be.false
+            expect(info.comboId).to.equal(0)
+        })
+    })
+
+    describe('increasePremiumById()', function () {
+        it('should move the helping ahead in the queue', async function () {
+            const [, account1] = signers
+            await expect(sc.connect(account1).increasePremiumById(helpingIds[1], 2, { value: 2 }))
+                .to.emit(sc, 'PremiumIncreased')
+                .withArgs(tacos.comboId, helpingIds[1], account1.address, 3)
+            const { helpings } = await sc.queueEntries(...tacos.toArgs(), 0, 10)
+            expect(helpings.map((entry) => entry.helpingId.toNumber())).to.deep.equal([helpingIds[1], helpingIds[2]])
+        })
+        it('should revert for the active helping', async function () {
+            const [, account1] = signers
+            await expect(
+                sc.connect(account1).increasePremiumById(helpingIds[0], 1, { value: 1 })
+            ).to.be.revertedWithCustomError(sc, 'CannotIncreasePremiumOfActiveHelping')
+        })
+        it("should revert for someone else's helping", async function () {
+            const [, , account2] = signers
+            await expect(
+                sc.connect(account2).increasePremiumById(helpingIds[1], 1, { value: 1 })
+            ).to.be.revertedWithCustomError(sc, 'HelpingNotFoundForCaller')
+        })
+    })
+
+    describe('removeHelpingById()', function () {
+        it("should revert for someone else's helping", async function () {
+            const [, , account2] = signers
+            await expect(sc.connect(account2).removeHelpingById(helpingIds[2])).to.be.revertedWithCustomError(
+                sc,
+                'HelpingNotFoundForCaller'
+            )
+        })
+        it('should remove only that helping', async function () {
+            const [, account1] = signers
+            await expect(sc.connect(account1).removeHelpingById(helpingIds[2]))
+                .to.emit(sc, 'HelpingRemoved')
+                .withArgs(tacos.comboId, helpingIds[2], account1.address, false)
+            const ids = await sc.helpingIdsOf(...tacos.toArgs(), account1.address)
+            expect(ids.map(Number).sort()).to.deep.equal([helpingIds[0], helpingIds[1]])
+            expect((await sc.balances(account1.address)).availableCredits).to.equal(price)
+        })
+        it('should revert for a helping that was already removed', async function () {
+            const [, account1] = signers
+            await expect(sc.connect(account1).removeHelpingById(helpingIds[2])).to.be.revertedWithCustomError(
+                sc,
+                'HelpingNotFoundForCaller'
+            )
+        })
+    })
+
+    describe('a batch by helpingId', function () {
+        it('should act on the given helping and ignore the combo digits', async function () {
+            const [, account1] = signers
+            const increase = [2, 0, 0, 0, 0, 0, 0, false, false, false, 5, helpingIds[1], 0]
+            await sc.connect(account1).batch([increase], { value: 5 })
+            expect((await sc.helpingInfoById(helpingIds[1])).premium).to.equal(8)
+        })
+    })
+
+    describe('removing all but one helping', function () {
+        it('should make the combo lookups work again', async function () {
+            const [, account1] = signers
+            await sc.connect(account1).removeHelpingById(helpingIds[1])
+            expect(await sc.comboCountOf(account1.address)).to.equal(1)
+            const info = await sc.helpingInfo(...tacos.toArgs(), account1.address)
+            expect(info.helpingId).to.equal(helpingIds[0])
+            expect(info.isActiveHelping).to.be.true
+        })
+    })
+})
@@ -0,0 +1,203 @@
+import { expect } from 'chai'
+import { ethers } from 'hardhat'
+import { ActionType, Combo, HelpingType, SpicyCombosClient } from '../sdk/index.js'
+import { deploySpicyCombos } from './helpers/deploy.js'
+
+const {
+    constants: { MaxUint256 },
+    utils: { parseEther },
+} = ethers
+
+const AddHelping = 0
+const RemoveHelping = 1
+const IncreasePremium = 2
+const MAX_UINT64 = ethers.BigNumber.from(2).pow(64).sub(1)
+
+describe('operators', function () {
+    var sc, signers, tacos, tacosPrice
+    const minValue = parseEther('.000001')
+
+    // the HelpingAction tuple expected by batchFor()
+    function action(actionType, combo, { doubleHelping = true, usingCredits = false, amount = 0, helpingId = 0 } = {}) {
+        return [actionType, ...combo.toArgs(), doubleHelping, usingCredits, false, amount, helpingId, 0]
+    }
+
+    before(async function () {
+        signers = await ethers.getSigners()
+        sc = await deploySpicyCombos('SpicyCombos', minValue)
+        tacos = Combo.parse('0.25 ETH / 15 blocks', minValue)
+        tacosPrice = tacos.price(minValue)
+    })
+
+    describe('approveOperator()', function () {
+        it('should store the approval and emit OperatorApproved', async function () {
+            const [, owner, operator] = signers
+            await expect(sc.connect(owner).approveOperator(operator.address, 1, 2, 3, 100))
+                .to.emit(sc, 'OperatorApproved')
+                .withArgs(owner.address, operator.address, 1, 2, 3, 100)
+            const approval = await sc.operatorApprovals(owner.address, operator.address)
+            expect(approval.map(String)).to.deep.equal(['1', '2', '3', '100'])
+        })
+        it('should replace an earlier approval', async function () {
+            const [, owner, operator] = signers
+            await (await sc.connect(owner).approveOperator(operator.address, 4, 5, 6, MAX_UINT64)).wait()
+            const approval = await sc.operatorApprovals(owner.address, operator.address)
+            expect(approval.map(String)).to.deep.equal(['4', '5', '6', MAX_UINT64.toString()])
+        })
+    })
+
+    describe('batchFor()', function () {
+        before(async function () {
+            const [account0, owner, operator] = signers
+            // An active timed helping, so that the owner's helpings are queued.
+            const timed = action(AddHelping, tacos, { doubleHelping: false })
+            await (await sc.connect(account0).batch([timed], { value: tacosPrice })).wait()
+            await (await sc.connect(owner).deposit({ value: tacosPrice.mul(2) })).wait()
+            const approve = sc.connect(owner).approveOperator(operator.address, tacosPrice, 0, MaxUint256, MAX_UINT64)
+            await (await approve).wait()
+        })
+        it("should add a helping that is the owner's, paid for from the owner's deposits", async function () {
+            const [account0, owner, operator] = signers
+            await expect(sc.connect(operator).batchFor(owner.address, [action(AddHelping, tacos)]))
+                .to.emit(sc, 'HelpingAdded')
+                .withArgs(tacos.comboId, 2, owner.address, account0.address, tacosPrice, false, true, 0, false)
+            expect(await sc.myPosition(...tacos.toArgs(), owner.address)).to.equal(1)
+            const { availableDeposits, depositsInUse } = await sc.balances(owner.address)
+            expect(availableDeposits).to.equal(tacosPrice)
+            expect(depositsInUse).to.equal(tacosPrice)
+            expect(await sc.comboCountOf(operator.address)).to.equal(0)
+        })
+        it('should spend the allowances, except unlimited ones', async function () {
+            const [, owner, operator] = signers
+            const approval = await sc.operatorApprovals(owner.address, operator.address)
+            expect(approval.depositsAllowance).to.equal(0)
+            expect(approval.premiumsAllowance).to.equal(MaxUint256)
+        })
+        it('should add msg.value to the owner and let unlimited allowances pay premiums', async function () {
+            const [, owner, operator] = signers
+            const amount = parseEther('.01')
+            const before = await sc.balances(owner.address)
+            const increase = action(IncreasePremium, tacos, { amount })
+            await (await sc.connect(operator).batchFor(owner.address, [increase], { value: amount })).wait()
+            const after = await sc.balances(owner.address)
+            expect(after.availableDeposits).to.equal(before.availableDeposits)
+            const { premium } = await sc.helpingInfo(...tacos.toArgs(), owner.address)
+            expect(premium).to.equal(amount)
+        })
+        it('should revert with OperatorAllowanceExceeded when an allowance runs out', async function () {
+            const [, owner, operator] = signers
+            await expect(sc.connect(operator).batchFor(owner.address, [action(AddHelping, tacos)]))
+                .to.be.revertedWithCustomError(sc, 'OperatorAllowanceExceeded')
+                .withArgs('depositsAllowance', 0)
+            const withCredits = action(AddHelping, tacos, { usingCredits: true })
+            await expect(sc.connect(operator).batchFor(owner.address, [withCredits]))
+                .to.be.revertedWithCustomError(sc, 'OperatorAllowanceExceeded')
+                .withArgs('creditsAllowance', 0)
+        })
+        it('should let the operator remove helpings without any allowance, crediting the owner', async function () {
+            const [, owner, operator] = signers
+            await (await sc.connect(owner).approveOperator(operator.address, 0, 0, 0, MAX_UINT64)).wait()
+            await (await sc.connect(operator).batchFor(owner.address, [action(RemoveHelping, tacos)])).wait()
+            const { depositsInUse, availableCredits } = await sc.balances(owner.address)
+            expect(depositsInUse).to.equal(0)
+            expect(availableCredits).to.equal(tacosPrice)
+            expect((await sc.balances(operator.address)).availableCredits).to.equal(0)
+        })
+        it('should report a failing action like batch()', async function () {
+            const [, owner, operator] = signers
+            const reason = sc.interface.encodeErrorResult('HelpingNotFoundForCaller', [])
+            await expect(sc.connect(operator).batchFor(owner.address, [action(RemoveHelping, tacos)]))
+                .to.be.revertedWithCustomError(sc, 'BatchActionFailed')
+                .withArgs(0, reason)
+        })
+        it('should revert with ValueOutOfRange before pricing combo values out of range', async function () {
+            const [, owner, operator] = signers
+            const outOfRange = action(AddHelping, tacos)
+            outOfRange[3] = MaxUint256 // amountZeros, which would overflow the combo price
+            await expect(sc.connect(operator).batchFor(owner.address, [outOfRange]))
+                .to.be.revertedWithCustomError(sc, 'ValueOutOfRange')
+                .withArgs('amountZeros', 0, 9)
+        })
+        it('should revert with OperatorNotApproved without an approval', async function () {
+            const [, owner, , stranger] = signers
+            await expect(sc.connect(stranger).batchFor(owner.address, []))
+                .to.be.revertedWithCustomError(sc, 'OperatorNotApproved')
+                .withArgs(owner.address, stranger.address)
+        })
+        it('should revert with OperatorNotApproved once the approval has expired', async function () {
+            const [, owner, , , operator] = signers
+            const expiration = (await ethers.provider.getBlockNumber()) + 3
+            await (await sc.connect(owner).approveOperator(operator.address, 0, 0, 0, expiration)).wait()
+            await (await sc.connect(operator).batchFor(owner.address, [])).wait()
+            // Sent in the expiration block.
+            await expect(sc.connect(operator).batchFor(owner.address, []))
+                .to.be.revertedWithCustomError(sc, 'OperatorNotApproved')
+                .withArgs(owner.address, operator.address)
+        })
+        it('should revert with OperatorNotApproved once the approval is revoked', async function () {
+            const [, owner, operator] = signers
+            await (await sc.connect(owner).approveOperator(operator.address, 0, 0, 0, 0)).wait()
+            await expect(sc.connect(operator).batchFor(owner.address, [])).to.be.revertedWithCustomError(
+                sc,
+                'OperatorNotApproved'
+            )
+        })
+        it("should give the operator no way to withdraw the owner's funds", async function () {
+            const [, owner, operator] = signers
+            // Unlimited allowances that never expire.
+            await (await new SpicyCombosClient(sc.address, owner).approveOperator(operator.address)).wait()
+            // Only withdrawBySig() withdraws for someone else, and it needs their own signature.
+            const operatorClient = new SpicyCombosClient(sc.address, operator)
+            const signed = await operatorClient.signWithdrawal({ amount: 1 })
+            try {
+                await operatorClient.relay({ ...signed, owner: owner.address })
+                expect.fail('should have reverted')
+            } catch (e) {
+                expect(e.errorName).to.equal('InvalidSignature')
+            }
+        })
+    })
+
+    describe('SpicyCombosClient', function () {
+        var ownerClient, operatorClient
+
+        before(async function () {
+            const [, , , , , owner, operator] = signers
+            ownerClient = new SpicyCombosClient(sc.address, owner)
+            operatorClient = new SpicyCombosClient(sc.address, operator)
+        })
+        it('approveOperator() should default to unlimited allowances that never expire', async function () {
+            const [, , , , , owner, operator] = signers
+            await (await ownerClient.approveOperator(operator.address, { premiums: 7 })).wait()
+            expect(await ownerClient.operatorApproval(owner.address, operator.address)).to.deep.equal({
+                deposits: MaxUint256,
+                credits: MaxUint256,
+                premiums: ethers.BigNumber.from(7),
+                expiration: Infinity,
+            })
+        })
+        it("batch({owner}) should send only the shortfall beyond the owner's availableDeposits", async function () {
+            const [, , , , , owner, operator] = signers
+            await (await ownerClient.deposit(tacosPrice.div(2))).wait()
+            const add = { action: ActionType.AddHelping, combo: tacos, type: HelpingType.TimedHelping, premium: 7 }
+            const tx = await operatorClient.batch([add], { owner: owner.address })
+            expect(tx.value).to.equal(tacosPrice.div(2).add(7))
+            await tx.wait()
+            expect(await ownerClient.helpingIdsOf(tacos, owner.address)).to.have.lengthOf(1)
+            const { premiums } = await ownerClient.operatorApproval(owner.address, operator.address)
+            expect(premiums).to.equal(0)
+        })
+        it('revokeOperator() should leave no approval', async function () {
+            const [, , , , , owner, operator] = signers
+            await (await ownerClient.revokeOperator(operator.address)).wait()
+            const { expiration } = await ownerClient.operatorApproval(owner.address, operator.address)
+            expect(expiration).to.equal(0)
+            try {
+                await operatorClient.batch([], { owner: owner.address })
+                expect.fail('should have reverted')
+            } catch (e) {
+                expect(e.errorName).to.equal('OperatorNotApproved')
+            }
+        })
+    })
+})
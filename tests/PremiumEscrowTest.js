@@ -0,0 +1,183 @@
+import { expect } from 'chai'
+import { ethers, network } from 'hardhat'
+import { HelpingType, NotificationType, Watcher } from '../sdk/index.js'
+import { deployWithActiveHelping, mine } from './helpers/fixtures.js'
+
+const {
+    utils: { parseEther },
+} = ethers
+
+describe('premium escrow', function () {
+    var sc, client, signers, price, comboId
+    const minValue = parseEther('.000001')
+    const tacos = '0.25 ETH / 100 blocks'
+    const premium = parseEther('.01')
+    const balances = (signer) => sc.balances(signer.address)
+
+    // Add a double helping with the premium and return its helpingId.
+    async function addQueuedHelping(signer, options = {}) {
+        const type = HelpingType.DoubleHelping
+        const receipt = await (await client(signer).addHelping({ combo: tacos, type, premium, ...options })).wait()
+        return client(signer).addedHelpingIds(receipt)[0]
+    }
+
+    // Make the queued helping the active one by settling the expired timed helping ahead of it.
+    async function settle() {
+        await mine(100)
+        return client(signers[0]).settle({ combo: tacos })
+    }
+
+    beforeEach(async function () {
+        signers = await ethers.getSigners()
+        ;({ sc, client } = await deployWithActiveHelping('SpicyCombosEscrow', minValue, tacos, signers[1]))
+        price = await client(signers[0]).price(tacos)
+        ;({ comboId } = await client(signers[0]).comboInfo(tacos))
+    })
+
+    describe('paying a premium', function () {
+        it('should hold the premium of a queued helping instead of paying the dev fund', async function () {
+            const [, , account2] = signers
+            const type = HelpingType.DoubleHelping
+            await expect(client(account2).addHelping({ combo: tacos, type, premium }))
+                .to.emit(sc, 'PremiumEscrowed')
+                .withArgs(comboId, 2, account2.address, premium)
+            expect(await sc.escrowedPremiums()).to.equal(premium)
+            expect(await sc.devFund()).to.equal(0)
+            expect((await balances(account2)).availableDeposits).to.equal(0)
+        })
+        it('should hold premium increases too', async function () {
+            const [, , account2] = signers
+            const helpingId = await addQueuedHelping(account2)
+            const amount = parseEther('.005')
+            await expect(client(account2).increasePremium({ helpingId, amount }))
+                .to.emit(sc, 'PremiumEscrowed')
+                .withArgs(comboId, helpingId, account2.address, amount)
+            expect(await sc.escrowedPremiums()).to.equal(premium.add(amount))
+            expect(await sc.devFund()).to.equal(0)
+        })
+        it('should collect the premium at once from a helping that becomes the active helping', async function () {
+            const [, , account2] = signers
+            const other = '0.5 ETH / 100 blocks'
+            const type = HelpingType.DoubleHelping
+            const tx = await client(account2).addHelping({ combo: other, type, premium })
+            const { comboId: otherComboId } = await client(account2).comboInfo(other)
+            await expect(tx).to.emit(sc, 'PremiumCollected').withArgs(otherComboId, 2, account2.address, premium)
+            await expect(tx).not.to.emit(sc, 'PremiumEscrowed')
+            expect(await sc.escrowedPremiums()).to.equal(0)
+            expect(await sc.devFund()).to.equal(premium)
+        })
+    })
+
+    describe('a helping that becomes the active helping', function () {
+        it('should pay its premium to the dev fund', async function () {
+            const [, , account2] = signers
+            const helpingId = await addQueuedHelping(account2)
+            const tx = await settle()
+            await expect(tx).to.emit(sc, 'NewActiveHelping').withArgs(comboId, helpingId, account2.address)
+            await expect(tx).to.emit(sc, 'PremiumCollected').withArgs(comboId, helpingId, account2.address, premium)
+            expect(await sc.escrowedPremiums()).to.equal(0)
+            // The timed helping fee of the deposit that the queued helping paid, and the premium.
+            expect(await sc.devFund()).to.equal(price.div(10).add(premium))
+        })
+        it('should give the remainder of its premium to the owner of the helping it replaced', async function () {
+            const [owner, account1, account2] = signers
+            const fees = {
+                timedHelpingFeeBasisPoints: 0,
+                premiumDevFundBasisPoints: 6000,
+                redistributePremiumRemainder: true,
+            }
+            await (await sc.connect(owner).queueFeeChange(fees)).wait()
+            await network.provider.send('evm_increaseTime', [(await sc.FEE_CHANGE_DELAY()).toNumber()])
+            await (await sc.connect(owner).executeFeeChange()).wait()
+            await addQueuedHelping(account2)
+            await (await settle()).wait()
+            expect(await sc.devFund()).to.equal(premium.mul(6).div(10))
+            // Its own deposit, the deposit of the queued helping and the rest of that helping's premium.
+            const { availableDeposits } = await balances(account1)
+            expect(availableDeposits).to.equal(price.mul(2).add(premium.mul(4).div(10)))
+        })
+        it('should not collect anything for a helping queued without a premium', async function () {
+            const [, , account2] = signers
+            await addQueuedHelping(account2, { premium: 0 })
+            await expect(await settle()).not.to.emit(sc, 'PremiumCollected')
+        })
+    })
+
+    describe('a helping that leaves the queue', function () {
+        var helpingId
+
+        beforeEach(async function () {
+            const [, , account2] = signers
+            helpingId = await addQueuedHelping(account2)
+        })
+        it('should get its premium back as available deposits when removed', async function () {
+            const [, , account2] = signers
+            await expect(client(account2).removeHelping({ helpingId }))
+                .to.emit(sc, 'PremiumRefunded')
+                .withArgs(comboId, helpingId, account2.address, premium)
+            const balance = await balances(account2)
+            expect(balance.availableDeposits).to.equal(premium)
+            expect(balance.availableCredits).to.equal(price)
+            expect(await sc.escrowedPremiums()).to.equal(0)
+            expect(await sc.devFund()).to.equal(0)
+        })
+        it('should have the refund in the payout a watcher reports', async function () {
+            const [, , account2] = signers
+            const watcher = new Watcher({
+                address: sc.address,
+                provider: ethers.provider,
+                addresses: [account2.address],
+                notifiers: [],
+                startBlock: sc.deployTransaction.blockNumber,
+            })
+            await watcher.poll()
+            await (await client(account2).removeHelping({ helpingId })).wait()
+            const [notification] = await watcher.poll()
+            expect(notification).to.include({
+                type: NotificationType.HelpingRemoved,
+                helpingId,
+                deposits: premium.toString(),
+                credits: price.toString(),
+            })
+        })
+        it('should get its premium back when expired', async function () {
+            const [, , account2, account3] = signers
+            await (await sc.setDefaultMaxQueueWait(5)).wait()
+            const expiring = await addQueuedHelping(account3)
+            await mine(5)
+            await expect(client(account2).expireQueuedHelpings({ helpingIds: [helpingId, expiring] }))
+                .to.emit(sc, 'PremiumRefunded')
+                .withArgs(comboId, expiring, account3.address, premium)
+            expect((await balances(account3)).availableDeposits).to.equal(premium)
+            expect(await sc.escrowedPremiums()).to.equal(premium)
+        })
+        it('should get its premium back on emergency exit', async function () {
+            const [, , account2] = signers
+            await (await sc.pause()).wait()
+            await (await sc.enableEmergencyExit()).wait()
+            await expect(client(account2).emergencyExit({ helpingId }))
+                .to.emit(sc, 'PremiumRefunded')
+                .withArgs(comboId, helpingId, account2.address, premium)
+            // The deposit it paid to the active helping comes back too.
+            expect((await balances(account2)).availableDeposits).to.equal(price.add(premium))
+            expect(await sc.escrowedPremiums()).to.equal(0)
+        })
+    })
+
+    it('should hold exactly what it owes, the escrowed premiums included', async function () {
+        const [, account1, account2, account3, account4] = signers
+        await addQueuedHelping(account2)
+        const removed = await addQueuedHelping(account3)
+        await addQueuedHelping(account4, { premium: premium.mul(2) })
+        await (await client(account3).removeHelping({ helpingId: removed })).wait()
+        await (await settle()).wait()
+        expect(await sc.escrowedPremiums()).to.equal(premium)
+        // Deposits held for the active helping, and everything that isn't.
+        let owed = price.mul((await client(account1).comboInfo(tacos)).activeHelpingDeposits)
+        owed = owed.add(await sc.devFund()).add(await sc.burnedPremiums()).add(await sc.escrowedPremiums())
+        for (const account of [account1, account2, account3, account4]) {
+            owed = owed.add((await balances(account)).availableDeposits)
+        }
+        expect(await ethers.provider.getBalance(sc.address)).to.equal(owed)
+    })
+})
@@ -0,0 +1,242 @@
+import { expect } from 'chai'
+import { ethers } from 'hardhat'
+import { ActionType, HelpingType, Indexer } from '../sdk/index.js'
+import { deployWithActiveHelping, mine } from './helpers/fixtures.js'
+
+const {
+    constants: { MaxUint256 },
+    utils: { parseEther },
+} = ethers
+
+describe('queue expiry', function () {
+    var sc, client, signers, price
+    const minValue = parseEther('.000001')
+    const tacos = '0.25 ETH / 1000 blocks'
+
+    // Add a helping, double unless the options say otherwise, and return its helpingId and the block it was added in.
+    async function addHelping(signer, options = {}) {
+        const type = HelpingType.DoubleHelping
+        const receipt = await (await client(signer).addHelping({ combo: tacos, type, ...options })).wait()
+        const [helpingId] = client(signer).addedHelpingIds(receipt)
+        return { helpingId, blockNumber: receipt.blockNumber }
+    }
+
+    async function queueDeadline(helpingId) {
+        const { entries } = await client(signers[0]).queueEntries(tacos)
+        return entries.find((entry) => entry.helpingId === helpingId).queueDeadline
+    }
+
+    beforeEach(async function () {
+        signers = await ethers.getSigners()
+        ;({ sc, client } = await deployWithActiveHelping('SpicyCombos', minValue, tacos, signers[1]))
+        price = await client(signers[0]).price(tacos)
+    })
+
+    describe('setting the maximum wait', function () {
+        it('should start without a limit', async function () {
+            const [, , account2] = signers
+            expect(await sc.defaultMaxQueueWait()).to.equal(0)
+            expect(await client(account2).defaultMaxQueueWait()).to.equal(Infinity)
+            const { helpingId } = await addHelping(account2)
+            expect(await queueDeadline(helpingId)).to.equal(Infinity)
+        })
+        it('should let only the owner set the default', async function () {
+            const [, account1] = signers
+            await expect(sc.connect(account1).setDefaultMaxQueueWait(10)).to.be.revertedWith(
+                'Ownable: caller is not the owner'
+            )
+            await expect(sc.setDefaultMaxQueueWait(10)).to.emit(sc, 'DefaultMaxQueueWaitChanged').withArgs(10)
+            expect(await client(account1).defaultMaxQueueWait()).to.equal(10)
+        })
+        it('should give new helpings a deadline from the default', async function () {
+            const [, , account2] = signers
+            await (await sc.setDefaultMaxQueueWait(10)).wait()
+            const { helpingId, blockNumber } = await addHelping(account2)
+            expect(await queueDeadline(helpingId)).to.equal(blockNumber + 10)
+        })
+        it("should prefer the helping's own maximum wait, and fall back to the default for zero", async function () {
+            const [, , account2] = signers
+            await (await sc.setDefaultMaxQueueWait(10)).wait()
+            const first = await addHelping(account2, { maxQueueWait: 25 })
+            expect(await queueDeadline(first.helpingId)).to.equal(first.blockNumber + 25)
+            const second = await addHelping(account2, { maxQueueWait: 0 })
+            expect(await queueDeadline(second.helpingId)).to.equal(second.blockNumber + 10)
+        })
+        it('should let a helping opt out of the default', async function () {
+            const [, , account2] = signers
+            await (await sc.setDefaultMaxQueueWait(10)).wait()
+            const { helpingId } = await addHelping(account2, { maxQueueWait: Infinity })
+            expect(await queueDeadline(helpingId)).to.equal(Infinity)
+            const args = [...(await client(account2).toCombo(tacos)).toArgs(), true, false, false, 0, MaxUint256]
+            const receipt = await (await sc.connect(account2).addHelping(...args, { value: price })).wait()
+            const [withoutLimit] = client(account2).addedHelpingIds(receipt)
+            expect(await queueDeadline(withoutLimit)).to.equal(Infinity)
+        })
+        it('should not carry a maximum wait over to the next helping', async function () {
+            const [, , account2] = signers
+            await addHelping(account2, { maxQueueWait: 5 })
+            const { helpingId } = await addHelping(account2)
+            expect(await queueDeadline(helpingId)).to.equal(Infinity)
+        })
+        it('should take the maximum wait of each helping added in a batch or by an operator', async function () {
+            const [, owner, operator] = signers
+            await (await client(owner).approveOperator(operator.address)).wait()
+            const type = HelpingType.DoubleHelping
+            const add = (maxQueueWait) => ({ action: ActionType.AddHelping, combo: tacos, type, maxQueueWait })
+            const receipt = await (await client(operator).batch([add(5), add(0)], { owner: owner.address })).wait()
+            const [first, second] = client(owner).addedHelpingIds(receipt)
+            expect(await queueDeadline(first)).to.equal(receipt.blockNumber + 5)
+            expect(await queueDeadline(second)).to.equal(Infinity)
+        })
+        it('should keep the deadline of helpings already added', async function () {
+            const [, , account2] = signers
+            const { helpingId, blockNumber } = await addHelping(account2, { maxQueueWait: 5 })
+            await (await sc.setDefaultMaxQueueWait(1)).wait()
+            expect(await queueDeadline(helpingId)).to.equal(blockNumber + 5)
+        })
+    })
+
+    describe('expireQueuedHelpings()', function () {
+        var helpingId, deadline
+
+        beforeEach(async function () {
+            const [, , account2] = signers
+            await (await sc.setDefaultMaxQueueWait(20)).wait()
+            ;({ helpingId } = await addHelping(account2))
+            deadline = await queueDeadline(helpingId)
+        })
+        it('should skip a helping before its deadline', async function () {
+            await mine(deadline - (await ethers.provider.getBlockNumber()) - 2)
+            expect(await client(signers[0]).expiredQueueEntries(tacos)).to.deep.equal([])
+            // Mined in the block before the deadline.
+            await expect(sc.expireQueuedHelpings([helpingId])).not.to.emit(sc, 'QueuedHelpingExpired')
+            expect((await sc.helpingInfoById(helpingId)).exists).to.be.true
+        })
+        it('should list the helpings that waited past their deadline', async function () {
+            const [, , account2] = signers
+            await mine(20)
+            const expired = await client(signers[0]).expiredQueueEntries(tacos)
+            expect(expired.map((entry) => entry.helpingId)).to.deep.equal([helpingId])
+            expect(expired[0].owner).to.equal(account2.address)
+        })
+        it('should list them on chain by page, without the helping that settling would make active', async function () {
+            const [, , , account3] = signers
+            const { helpingId: behind } = await addHelping(account3)
+            await mine(20)
+            const combo = (await client(account3).toCombo(tacos)).toArgs()
+            const page = async (offset, limit) => {
+                const { helpings, queueLength } = await sc.expiredQueueEntries(...combo, offset, limit)
+                expect(queueLength).to.equal(2)
+                return helpings.map((entry) => [entry.helpingId.toNumber(), entry.rank.toNumber()])
+            }
+            expect(await page(0, 2)).to.deep.equal([
+                [helpingId, 1],
+                [behind, 2],
+            ])
+            expect(await page(1, 1)).to.deep.equal([[behind, 2]])
+            expect(await page(2, 1)).to.deep.equal([])
+            // Once the active helping has expired, the first helping is next in line rather than expired.
+            await mine(1000)
+            expect(await page(0, 2)).to.deep.equal([[behind, 2]])
+            const expired = await client(account3).expiredQueueEntries(tacos)
+            expect(expired.map((entry) => entry.helpingId)).to.deep.equal([behind])
+        })
+        it("should give the helping's comboPrice back to its owner as available credits", async function () {
+            const [, account1, account2, keeper] = signers
+            await mine(20)
+            const tx = await client(keeper).expireQueuedHelpings({ helpingIds: [helpingId] })
+            await expect(tx).to.emit(sc, 'HelpingRemoved').withArgs(await comboId(), helpingId, account2.address, false)
+            await expect(tx)
+                .to.emit(sc, 'QueuedHelpingExpired')
+                .withArgs(await comboId(), helpingId, account2.address)
+            const balance = await sc.balances(account2.address)
+            expect(balance.availableCredits).to.equal(price)
+            expect(balance.depositsInUse).to.equal(0)
+            expect((await sc.helpingInfoById(helpingId)).exists).to.be.false
+            // The active helping keeps the deposit it received.
+            expect((await client(account1).comboInfo(tacos)).activeHelpingDeposits).to.equal(2)
+            expect(await client(keeper).expiredQueueEntries(tacos)).to.deep.equal([])
+        })
+        it('should release the credits in use of a helping paid with credits', async function () {
+            const [, , account2, account3] = signers
+            await (await sc.setDefaultMaxQueueWait(0)).wait()
+            await mine(20)
+            await (await client(account3).expireQueuedHelpings({ helpingIds: [helpingId] })).wait()
+            const { helpingId: paidWithCredits } = await addHelping(account2, { usingCredits: true, maxQueueWait: 3 })
+            await mine(3)
+            await (await client(account3).expireQueuedHelpings({ helpingIds: [paidWithCredits] })).wait()
+            const balance = await sc.balances(account2.address)
+            expect(balance.availableCredits).to.equal(price)
+            expect(balance.creditsInUse).to.equal(0)
+        })
+        it('should skip the helpings it cannot expire', async function () {
+            const [, , , account3] = signers
+            // Its deadline is a block after the first helping's.
+            const { helpingId: later } = await addHelping(account3)
+            await mine(18)
+            const receipt = await (await sc.expireQueuedHelpings([helpingId, later, helpingId, 0, 99])).wait()
+            const expired = receipt.events.filter((event) => event.event === 'QueuedHelpingExpired')
+            expect(expired.map((event) => event.args.helpingId.toNumber())).to.deep.equal([helpingId])
+            const { entries } = await client(account3).queueEntries(tacos)
+            expect(entries.map((entry) => entry.helpingId)).to.deep.equal([later])
+        })
+        it('should not expire a helping that became the active helping', async function () {
+            const [, , account2] = signers
+            await mine(1000)
+            await (await client(account2).settle({ combo: tacos })).wait()
+            expect((await client(account2).comboInfo(tacos)).activeHelpingId).to.equal(helpingId)
+            await mine(20)
+            await expect(sc.expireQueuedHelpings([helpingId])).not.to.emit(sc, 'QueuedHelpingExpired')
+            expect((await sc.helpingInfoById(helpingId)).isActiveHelping).to.be.true
+        })
+        it('should settle the combo first, promoting the next helping instead of expiring it', async function () {
+            const [, account1, account2, account3, keeper] = signers
+            const { helpingId: behind } = await addHelping(account3)
+            // Both helpings are past their deadline once the active helping has expired.
+            await mine(1000)
+            const tx = await sc.connect(keeper).expireQueuedHelpings([helpingId, behind])
+            await expect(tx).to.emit(sc, 'Settled').withArgs(await comboId(), keeper.address, 0)
+            await expect(tx).to.emit(sc, 'NewActiveHelping').withArgs(await comboId(), helpingId, account2.address)
+            await expect(tx)
+                .to.emit(sc, 'QueuedHelpingExpired')
+                .withArgs(await comboId(), behind, account3.address)
+            expect((await sc.helpingInfoById(helpingId)).isActiveHelping).to.be.true
+            expect((await sc.balances(account2.address)).availableCredits).to.equal(0)
+            // The settled active helping was paid for the deposits it received, the expired one got its credits.
+            expect((await sc.balances(account1.address)).availableDeposits).to.be.above(0)
+            expect((await sc.balances(account3.address)).availableCredits).to.equal(price)
+        })
+        it('should leave the helpings to emergencyExit() once emergency exit is enabled', async function () {
+            const [, , account2] = signers
+            await mine(20)
+            await (await sc.pause()).wait()
+            await (await sc.enableEmergencyExit()).wait()
+            await expect(sc.expireQueuedHelpings([helpingId])).to.be.revertedWithCustomError(
+                sc,
+                'EmergencyExitAlreadyEnabled'
+            )
+            await (await client(account2).emergencyExit({ helpingId })).wait()
+            // The deposit it paid to the active helping comes back as available deposits, not credits.
+            const balance = await sc.balances(account2.address)
+            expect(balance.availableDeposits).to.equal(price)
+            expect(balance.availableCredits).to.equal(0)
+        })
+        it('should mark expired helpings in the indexer', async function () {
+            await mine(20)
+            await (await sc.expireQueuedHelpings([helpingId])).wait()
+            const indexer = new Indexer({
+                address: sc.address,
+                provider: ethers.provider,
+                startBlock: sc.deployTransaction.blockNumber,
+            })
+            await indexer.sync()
+            expect(indexer.getQueue(await comboId())).to.deep.equal([])
+            const [removed] = indexer.getHistory(signers[2].address)
+            expect(removed).to.include({ helpingId, removedAs: 'expired' })
+        })
+    })
+
+    async function comboId() {
+        return (await client(signers[0]).comboInfo(tacos)).comboId
+    }
+})
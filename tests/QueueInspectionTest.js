@@ -0,0 +1,120 @@
+import { expect } from 'chai'
+import { ethers } from 'hardhat'
+import { deploySpicyCombos } from './helpers/deploy.js'
+
+const {
+    utils: { parseEther },
+} = ethers
+
+describe('deploy SpicyCombos contract', function () {
+    var sc, signers
+    const minValue = parseEther('.000001')
+
+    before(async function () {
+        signers = await ethers.getSigners()
+        sc = await deploySpicyCombos('SpicyCombos', minValue)
+    })
+
+    describe('queueEntries() and myPosition() for "Burning Chili Tacos"', function () {
+        // .25 eth  "Burning Chili Tacos"
+        const amountDigit1 = 2
+        const amountDigit2 = 5
+        const amountZeros = 4
+
+        const blocksDigit1 = 1
+        const blocksDigit2 = 5
+        const blocksZeros = 0
+
+        const combo = [amountDigit1, amountDigit2, amountZeros, blocksDigit1, blocksDigit2, blocksZeros]
+
+        var comboPrice
+
+        const premium = (x) => parseEther(0.01 * x + '')
+        // premiums of the queued helpings, in the order they are added
+        const queuedPremiums = [0, 3, 1, 3, 0, 5]
+
+        before(async function () {
+            const [owner] = signers
+            comboPrice = await sc.computePrice(amountDigit1, amountDigit2, amountZeros)
+
+            // An active timed helping that lasts long enough for everyone else to queue up.
+            await sc.connect(owner).addHelping(...combo, false, false, true, 0, 0, { value: comboPrice })
+            for (let i = 0; i < queuedPremiums.length; ++i) {
+                const doubleHelping = i % 2 === 0
+                await sc
+                    .connect(signers[i + 1])
+                    .addHelping(...combo, doubleHelping, false, false, premium(queuedPremiums[i]), 0, {
+                        value: comboPrice.add(premium(queuedPremiums[i])),
+                    })
+            }
+        })
+        it('should return every queue entry ranked by premium', async function () {
+            const { helpings, queueLength } = await sc.queueEntries(...combo, 0, 100)
+            expect(queueLength).to.equal(queuedPremiums.length)
+            expect(helpings.length).to.equal(queuedPremiums.length)
+            expect(helpings.map((entry) => entry.rank.toNumber())).to.deep.equal([1, 2, 3, 4, 5, 6])
+            const premiums = helpings.map((entry) => entry.premium)
+            const descending = [...queuedPremiums].sort((a, b) => b - a).map(premium)
+            expect(premiums).to.deep.equal(descending)
+        })
+        it('the first entry should be the highest premium with its helping type', async function () {
+            const {
+                helpings: [first],
+            } = await sc.queueEntries(...combo, 0, 1)
+            expect(first.owner).to.equal(signers[6].address)
+            expect(first.isDoubleHelping).to.be.false
+            expect(first.usingCredits).to.be.false
+        })
+        it('should paginate with offset and limit', async function () {
+            const { helpings: all } = await sc.queueEntries(...combo, 0, 100)
+            const { helpings: page, queueLength } = await sc.queueEntries(...combo, 2, 3)
+            expect(queueLength).to.equal(queuedPremiums.length)
+            expect(page.map((entry) => entry.owner)).to.deep.equal(all.slice(2, 5).map((entry) => entry.owner))
+            expect(page.map((entry) => entry.rank.toNumber())).to.deep.equal([3, 4, 5])
+        })
+        it('should return no entries past the end of the queue', async function () {
+            const { helpings } = await sc.queueEntries(...combo, queuedPremiums.length, 10)
+            expect(helpings.length).to.equal(0)
+        })
+        it('should not overflow with the largest limit', async function () {
+            const { helpings } = await sc.queueEntries(...combo, 1, ethers.constants.MaxUint256)
+            expect(helpings.length).to.equal(queuedPremiums.length - 1)
+        })
+        it('myPosition() should agree with the rank from queueEntries()', async function () {
+            const { helpings } = await sc.queueEntries(...combo, 0, 100)
+            for (const helping of helpings) {
+                expect(await sc.myPosition(...combo, helping.owner)).to.equal(helping.rank)
+            }
+        })
+        it('myPosition() should be 0 for the active helping and for addresses without a helping', async function () {
+            const [owner] = signers
+            expect(await sc.myPosition(...combo, owner.address)).to.equal(0)
+            expect(await sc.myPosition(...combo, signers[9].address)).to.equal(0)
+        })
+        describe('increasePremium() moving a helping to the front', function () {
+            before(async function () {
+                const account2 = signers[1]
+                await sc.connect(account2).increasePremium(...combo, premium(9), { value: premium(9) })
+            })
+            it('should make its owner first in line', async function () {
+                const account2 = signers[1]
+                expect(await sc.myPosition(...combo, account2.address)).to.equal(1)
+            })
+        })
+        describe('removing each active helping in turn', function () {
+            it('should activate the queued helpings in the order reported by queueEntries()', async function () {
+                const { helpings } = await sc.queueEntries(...combo, 0, 100)
+                const activeOwners = []
+                for (let i = 0; i <= helpings.length; ++i) {
+                    const { 3: activeHelpingOwner, 4: activeHelpingIsDoubleHelping } = await sc.comboInfo(...combo)
+                    if (i > 0) activeOwners.push(activeHelpingOwner)
+                    // Timed helpings can't be removed while active, so let them expire first.
+                    if (!activeHelpingIsDoubleHelping) await ethers.provider.send('hardhat_mine', ['0x10'])
+                    const activeSigner = signers.find((signer) => signer.address === activeHelpingOwner)
+                    await sc.connect(activeSigner).removeHelping(...combo)
+                }
+                expect(activeOwners).to.deep.equal(helpings.map((entry) => entry.owner))
+            })
+        })
+    })
+})
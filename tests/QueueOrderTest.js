@@ -0,0 +1,108 @@
+import { expect } from 'chai'
+import { ethers, network } from 'hardhat'
+import { Combo } from '../sdk/index.js'
+import { deploySpicyCombos } from './helpers/deploy.js'
+
+const {
+    utils: { parseEther },
+} = ethers
+
+// Small deterministic PRNG, as in the differential fuzz test.
+function mulberry32(seed) {
+    return function () {
+        seed = (seed + 0x6d2b79f5) | 0
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed)
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+    }
+}
+
+describe('queue order among equal premiums', function () {
+    var sc, signers, combo, price, random
+    const minValue = parseEther('.000001')
+    const queueSize = 300
+    const batchSize = 30
+    // The queued helpings as {helpingId, owner, premium, seq}, where seq is the order they were queued in.
+    const queued = []
+
+    const pick = (array) => array[Math.floor(random() * array.length)]
+    // Mostly zero, so that most helpings tie with many others.
+    const randomPremium = () => pick([0, 0, 0, 0, 1, 1, 2, 5])
+
+    // Highest premium first, then first come, first served.
+    function expectedOrder() {
+        const sorted = [...queued].sort((a, b) => b.premium - a.premium || a.seq - b.seq)
+        return sorted.map((helping) => helping.helpingId)
+    }
+
+    async function queueOrder() {
+        const { helpings } = await sc.queueEntries(...combo.toArgs(), 0, queueSize)
+        return helpings.map((entry) => entry.helpingId.toNumber())
+    }
+
+    // Remove a random queued helping from our records and return it.
+    function takeRandom() {
+        return queued.splice(Math.floor(random() * queued.length), 1)[0]
+    }
+
+    before(async function () {
+        random = mulberry32(20221018)
+        signers = (await ethers.getSigners()).slice(0, 5)
+        sc = await deploySpicyCombos('SpicyCombos', minValue)
+        combo = Combo.parse('0.001 ETH / 5000 blocks', minValue)
+        price = combo.price(minValue)
+
+        // An active timed helping that outlasts the whole queue-building phase.
+        await sc.addHelping(...combo.toArgs(), false, false, true, 0, 0, { value: price })
+
+        for (let seq = 0; seq < queueSize; seq += batchSize) {
+            const signer = pick(signers)
+            const premiums = Array.from({ length: batchSize }, randomPremium)
+            const actions = premiums.map((premium) => [0, ...combo.toArgs(), true, false, false, premium, 0, 0])
+            const value = premiums.reduce((total, premium) => total.add(price).add(premium), ethers.BigNumber.from(0))
+            const receipt = await (await sc.connect(signer).batch(actions, { value })).wait()
+            const added = receipt.events.filter((event) => event.event === 'HelpingAdded')
+            added.forEach((event, i) => {
+                const helpingId = event.args.helpingId.toNumber()
+                queued.push({ helpingId, owner: signer, premium: premiums[i], seq: seq + i })
+            })
+        }
+    })
+
+    it(`should rank ${queueSize} helpings by premium, then by when they were queued`, async function () {
+        expect(await queueOrder()).to.deep.equal(expectedOrder())
+    })
+    it('should keep that order after removing helpings from the middle of the queue', async function () {
+        for (let i = 0; i < 50; ++i) {
+            const { helpingId, owner } = takeRandom()
+            await sc.connect(owner).removeHelpingById(helpingId)
+        }
+        expect(await queueOrder()).to.deep.equal(expectedOrder())
+    })
+    it('should keep a helping behind earlier ones with the premium it increased to', async function () {
+        for (let i = 0; i < 50; ++i) {
+            const helping = pick(queued)
+            const amount = pick([1, 1, 2, 4])
+            await sc.connect(helping.owner).increasePremiumById(helping.helpingId, amount, { value: amount })
+            helping.premium += amount
+        }
+        expect(await queueOrder()).to.deep.equal(expectedOrder())
+    })
+    it('should make queued helpings active in that order', async function () {
+        const { activeHelpingExpiration } = await sc.comboInfo(...combo.toArgs())
+        const blocksLeft = activeHelpingExpiration.toNumber() - (await ethers.provider.getBlockNumber())
+        await network.provider.send('hardhat_mine', ['0x' + blocksLeft.toString(16)])
+        await sc.settle(...combo.toArgs())
+        for (let i = 0; i < 20; ++i) {
+            const next = expectedOrder()[0]
+            const { activeHelpingId } = await sc.comboInfo(...combo.toArgs())
+            expect(activeHelpingId).to.equal(next)
+            const index = queued.findIndex((helping) => helping.helpingId === next)
+            const [active] = queued.splice(index, 1)
+            // Removing the active double helping promotes the next one in the queue.
+            await sc.connect(active.owner).removeHelpingById(active.helpingId)
+        }
+        // The last removal made the first of the remaining helpings active.
+        expect(await queueOrder()).to.deep.equal(expectedOrder().slice(1))
+    })
+})
@@ -1,5 +1,6 @@
 import { expect } from 'chai'
 import { ethers } from 'hardhat'
+import { deploySpicyCombos } from './helpers/deploy.js'
 
 const {
     utils: { parseEther },
@@ -11,9 +12,7 @@ describe('deploy SpicyCombos contract', function () {
 
     before(async function () {
         signers = await ethers.getSigners()
-        const SpicyCombos = await ethers.getContractFactory('SpicyCombos')
-        sc = await SpicyCombos.deploy(minValue)
-        await sc.deployed()
+        sc = await deploySpicyCombos('SpicyCombos', minValue)
     })
 
     describe('addHelping(), creating "Zesty Shrimp Stew"', function () {
@@ -52,6 +51,7 @@ describe('deploy SpicyCombos contract', function () {
                     usingCredits,
                     creatorOnly,
                     premium(0),
+                    0,
                     { value: comboPrice.add(premium(0)) }
                 )
         })
@@ -90,6 +90,7 @@ describe('deploy SpicyCombos contract', function () {
                         usingCredits,
                         creatorOnlyOne,
                         premium(0),
+                        0,
                         { value: comboPrice.add(premium(0)) }
                     )
 
@@ -106,6 +107,7 @@ describe('deploy SpicyCombos contract', function () {
                         usingCredits,
                         creatorOnlyTwo,
                         premium(0),
+                        0,
                         { value: comboPrice.add(premium(0)) }
                     )
             })
@@ -144,6 +146,7 @@ describe('deploy SpicyCombos contract', function () {
                             usingCredits,
                             creatorOnly,
                             premium(0),
+                            0,
                             { value: comboPrice.add(premium(0)) }
                         )
                     // deposit a bunch of times to make more blocks pass
@@ -194,6 +197,7 @@ describe('deploy SpicyCombos contract', function () {
                                 usingCredits,
                                 creatorOnly,
                                 premium(0),
+                                0,
                                 { value: comboPrice.add(premium(0)) }
                             )
                     }
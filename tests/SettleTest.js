@@ -0,0 +1,138 @@
+import { expect } from 'chai'
+import { ethers } from 'hardhat'
+import { Combo, Keeper } from '../sdk/index.js'
+import { deploySpicyCombos } from './helpers/deploy.js'
+import { mine } from './helpers/fixtures.js'
+
+const {
+    utils: { parseEther },
+} = ethers
+
+describe('settle() and settleMany()', function () {
+    var sc, signers, tacos, wings, price, keeperReward
+    const minValue = parseEther('.000001')
+
+    before(async function () {
+        signers = await ethers.getSigners()
+        sc = await deploySpicyCombos('SpicyCombos', minValue)
+        tacos = Combo.parse('0.01 ETH / 10 blocks', minValue)
+        wings = Combo.parse('0.01 ETH / 4 blocks', minValue)
+        price = tacos.price(minValue)
+        keeperReward = price.div(100)
+        await sc.setKeeperReward(keeperReward)
+
+        // account1's timed helping gets a creator bonus and two more deposits from the helpings queued behind it.
+        const [, account1, account2, account3] = signers
+        await sc.connect(account1).addHelping(...tacos.toArgs(), false, false, true, 0, 0, { value: price })
+        await sc.connect(account2).addHelping(...tacos.toArgs(), false, false, false, 0, 0, { value: price })
+        await sc.connect(account3).addHelping(...tacos.toArgs(), true, false, false, 0, 0, { value: price })
+    })
+
+    it('setKeeperReward() should only be callable by the owner', async function () {
+        const [, account1] = signers
+        await expect(sc.connect(account1).setKeeperReward(1)).to.be.revertedWith('Ownable: caller is not the owner')
+        expect(await sc.keeperReward()).to.equal(keeperReward)
+    })
+    it('should do nothing before the active helping expires', async function () {
+        const [, , , , keeper] = signers
+        expect(await sc.connect(keeper).callStatic.settle(...tacos.toArgs())).to.be.false
+    })
+    it('should revert for out of range combo values', async function () {
+        await expect(sc.settle(0, 0, 0, 1, 0, 0)).to.be.revertedWithCustomError(sc, 'ValueOutOfRange')
+    })
+
+    describe('settling an expired timed helping', function () {
+        var settleBlock
+
+        before(async function () {
+            const [, , , , keeper] = signers
+            await mine(10)
+            const receipt = await (await sc.connect(keeper).settle(...tacos.toArgs())).wait()
+            settleBlock = receipt.blockNumber
+        })
+        it('should pay the owner of the expired helping', async function () {
+            const [, account1] = signers
+            const { availableDeposits, depositsInUse } = await sc.balances(account1.address)
+            // 100% of the first deposit and 90% of the other two
+            expect(availableDeposits).to.equal(price.add(price.mul(2).mul(9).div(10)))
+            expect(depositsInUse).to.equal(0)
+        })
+        it('should start the timer of the next helping in the queue', async function () {
+            const [, , account2] = signers
+            const { activeHelpingOwner, activeHelpingExpiration } = await sc.comboInfo(...tacos.toArgs())
+            expect(activeHelpingOwner).to.equal(account2.address)
+            expect(activeHelpingExpiration).to.equal(settleBlock + 10)
+        })
+        it('should pay the keeper reward out of the dev fund', async function () {
+            const [, , , , keeper] = signers
+            expect((await sc.balances(keeper.address)).availableDeposits).to.equal(keeperReward)
+            expect(await sc.devFund()).to.equal(price.mul(2).div(10).sub(keeperReward))
+        })
+        it('should emit Settled', async function () {
+            const [, , , , keeper] = signers
+            const [event] = await sc.queryFilter(sc.filters.Settled(), settleBlock, settleBlock)
+            expect(event.args.comboId).to.equal(tacos.comboId)
+            expect(event.args.keeper).to.equal(keeper.address)
+            expect(event.args.reward).to.equal(keeperReward)
+        })
+    })
+
+    describe('settleMany()', function () {
+        before(async function () {
+            await sc.setKeeperReward(price)
+            await mine(10)
+        })
+        it('should skip combos without an expired active helping, including unknown comboIds', async function () {
+            const [, , , , , keeper] = signers
+            const comboIds = [wings.comboId, tacos.comboId, 0, 999999]
+            expect(await sc.connect(keeper).callStatic.settleMany(comboIds)).to.equal(1)
+            await sc.connect(keeper).settleMany(comboIds)
+            const [, , , account3] = signers
+            expect((await sc.comboInfo(...tacos.toArgs())).activeHelpingOwner).to.equal(account3.address)
+        })
+        it('should pay no more than the dev fund holds', async function () {
+            const [, , , , keeper, keeper2] = signers
+            const rewards = (await sc.balances(keeper2.address)).availableDeposits
+            // account2's timed helping got no deposits, so the dev fund only had what was left after the first reward.
+            expect(rewards).to.equal(price.mul(2).div(10).sub(keeperReward))
+            expect(await sc.devFund()).to.equal(0)
+            expect((await sc.balances(keeper.address)).availableDeposits).to.equal(keeperReward)
+        })
+    })
+})
+
+describe('Keeper', function () {
+    var sc, signers, keeper, combo, price
+    const minValue = parseEther('.000001')
+
+    before(async function () {
+        signers = await ethers.getSigners()
+        sc = await deploySpicyCombos('SpicyCombos', minValue)
+        combo = Combo.parse('0.02 ETH / 5 blocks', minValue)
+        price = combo.price(minValue)
+        keeper = new Keeper({ address: sc.address, signer: signers[9], startBlock: sc.deployTransaction.blockNumber })
+
+        const [, account1, account2] = signers
+        await sc.connect(account1).addHelping(...combo.toArgs(), false, false, true, 0, 0, { value: price })
+        await sc.connect(account2).addHelping(...combo.toArgs(), false, false, false, 0, 0, { value: price })
+    })
+    it('should track the expiration of the active timed helping without settling it early', async function () {
+        const { activeHelpingExpiration } = await sc.comboInfo(...combo.toArgs())
+        expect(await keeper.poll()).to.deep.equal([])
+        expect(keeper.expirations.get(combo.comboId)).to.equal(activeHelpingExpiration.toNumber())
+    })
+    it('should settle the combo once its active helping has expired', async function () {
+        await mine(5)
+        expect(await keeper.poll()).to.deep.equal([combo.comboId])
+        const [, , account2] = signers
+        expect((await sc.comboInfo(...combo.toArgs())).activeHelpingOwner).to.equal(account2.address)
+    })
+    it('should pick up the expiration of the new active helping from the settlement events', async function () {
+        expect(await keeper.poll()).to.deep.equal([])
+        const { activeHelpingExpiration } = await sc.comboInfo(...combo.toArgs())
+        expect(keeper.expirations.get(combo.comboId)).to.equal(activeHelpingExpiration.toNumber())
+        await mine(5)
+        expect(await keeper.poll()).to.deep.equal([combo.comboId])
+        expect((await sc.comboInfo(...combo.toArgs())).activeHelpingExists).to.be.false
+    })
+})
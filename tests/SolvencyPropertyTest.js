@@ -0,0 +1,391 @@
+import { expect } from 'chai'
+import { ethers, network } from 'hardhat'
+import { Combo, decodeError } from '../sdk/index.js'
+import { deploySpicyCombos } from './helpers/deploy.js'
+
+const {
+    BigNumber,
+    utils: { parseEther },
+} = ethers
+
+// Small deterministic PRNG, as in the differential fuzz test. Replay a failing run with SPICY_PROPERTY_SEED.
+function mulberry32(seed) {
+    return function () {
+        seed = (seed + 0x6d2b79f5) | 0
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed)
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+    }
+}
+
+const seed = Number(process.env.SPICY_PROPERTY_SEED || 20221018)
+const runs = Number(process.env.SPICY_PROPERTY_RUNS || 3)
+const steps = Number(process.env.SPICY_PROPERTY_STEPS || 40)
+
+const sum = (values) => values.reduce((total, value) => total.add(value), BigNumber.from(0))
+
+class InvariantViolation extends Error {
+    constructor(invariant, message) {
+        super(message)
+        this.invariant = invariant
+    }
+}
+
+function check(invariant, holds, message) {
+    if (!holds) throw new InvariantViolation(invariant, message)
+}
+
+describe(`solvency properties of random action sequences (seed ${seed})`, function () {
+    var sc, signers, snapshotId
+    const minValue = parseEther('.000001')
+    const signerCount = 5
+    // Short time limits so timed helpings expire during a sequence.
+    const combos = ['0.25 ETH / 3 blocks', '0.044 ETH / 5 blocks', '0.01 ETH / 1 block'].map((descriptor) =>
+        Combo.parse(descriptor, minValue)
+    )
+    const premiumUnit = parseEther('.001')
+
+    // Actions are plain data, so that a failing sequence can be shrunk and printed as a reproduction.
+    function randomAction(random) {
+        const pick = (array) => array[Math.floor(random() * array.length)]
+        const chance = (p) => random() < p
+        const signer = Math.floor(random() * signerCount)
+        const combo = Math.floor(random() * combos.length)
+        const roll = random()
+        if (roll < 0.4) {
+            const usingCredits = chance(0.2)
+            return {
+                kind: 'addHelping',
+                signer,
+                combo,
+                doubleHelping: chance(0.5),
+                usingCredits,
+                creatorOnly: !usingCredits && chance(0.15),
+                premium: pick([0, 0, 0, 1, 2, 5]),
+            }
+        }
+        // helping picks one of the signer's live helpings: a fraction of the way through their sorted helpingIds.
+        if (roll < 0.55) return { kind: 'removeHelping', signer, helping: random() }
+        if (roll < 0.67) return { kind: 'increasePremium', signer, helping: random(), amount: pick([1, 2, 5]) }
+        if (roll < 0.74) return { kind: 'deposit', signer, combo, prices: pick([1, 2, 3]) }
+        if (roll < 0.8) return { kind: 'withdraw', signer, divisor: pick([1, 2, 3]) }
+        if (roll < 0.83) return { kind: 'withdrawDevFund', signer }
+        if (roll < 0.91) return { kind: 'settle', signer, combo }
+        return { kind: 'mine', blocks: pick([1, 2, 4, 6]) }
+    }
+
+    async function liveHelpingIdsOf(address) {
+        const helpingIds = []
+        for (const combo of combos) {
+            helpingIds.push(...(await sc.helpingIdsOf(...combo.toArgs(), address)).map(Number))
+        }
+        return helpingIds.sort((a, b) => a - b)
+    }
+
+    async function pickHelpingId(address, fraction) {
+        const helpingIds = await liveHelpingIdsOf(address)
+        return helpingIds.length === 0 ? undefined : helpingIds[Math.floor(fraction * helpingIds.length)]
+    }
+
+    // Send the action's transaction, if it has one. Returns the ETH it sent in and its events, which are empty if it
+    // reverted.
+    async function perform(action) {
+        const signer = signers[action.signer]
+        const combo = combos[action.combo]
+        const price = combo && combo.price(minValue)
+        let value = BigNumber.from(0)
+        let send
+        switch (action.kind) {
+            case 'addHelping': {
+                const { doubleHelping, usingCredits, creatorOnly } = action
+                const premium = premiumUnit.mul(action.premium)
+                value = usingCredits ? premium : price.add(premium)
+                send = () =>
+                    sc
+                        .connect(signer)
+                        .addHelping(...combo.toArgs(), doubleHelping, usingCredits, creatorOnly, premium, 0, { value })
+                break
+            }
+            case 'removeHelping': {
+                const helpingId = await pickHelpingId(signer.address, action.helping)
+                if (helpingId !== undefined) send = () => sc.connect(signer).removeHelpingById(helpingId)
+                break
+            }
+            case 'increasePremium': {
+                const helpingId = await pickHelpingId(signer.address, action.helping)
+                value = premiumUnit.mul(action.amount)
+                if (helpingId !== undefined) {
+                    send = () => sc.connect(signer).increasePremiumById(helpingId, value, { value })
+                }
+                break
+            }
+            case 'deposit':
+                value = price.mul(action.prices)
+                send = () => sc.connect(signer).deposit({ value })
+                break
+            case 'withdraw': {
+                const { availableDeposits } = await sc.balances(signer.address)
+                send = () => sc.connect(signer).withdraw(availableDeposits.div(action.divisor))
+                break
+            }
+            case 'withdrawDevFund':
+                send = () => sc.connect(signer).withdrawDevFund()
+                break
+            case 'settle':
+                send = () => sc.connect(signer).settle(...combo.toArgs())
+                break
+            case 'mine':
+                await network.provider.send('hardhat_mine', ['0x' + action.blocks.toString(16)])
+                break
+        }
+        if (!send) return { value: BigNumber.from(0), events: [] }
+        try {
+            const receipt = await (await send()).wait()
+            return { value, events: receipt.events.filter((event) => event.event) }
+        } catch (e) {
+            if (!decodeError(e)) throw e
+            return { value: BigNumber.from(0), events: [] }
+        }
+    }
+
+    // Everything the invariants look at, read from the contract's views.
+    async function readState() {
+        const state = {
+            eth: await ethers.provider.getBalance(sc.address),
+            devFund: await sc.devFund(),
+            burnedPremiums: await sc.burnedPremiums(),
+            balances: [],
+            combos: [],
+            liveHelpings: [],
+        }
+        for (const signer of signers) state.balances.push(await sc.balances(signer.address))
+        for (const combo of combos) {
+            const info = await sc.comboInfo(...combo.toArgs())
+            state.combos.push({
+                comboId: combo.comboId,
+                price: combo.price(minValue),
+                activeHelpingId: info.activeHelpingExists ? info.activeHelpingId.toNumber() : 0,
+                activeHelpingDeposits: info.activeHelpingDeposits.toNumber(),
+                queueLength: info.queueLength.toNumber(),
+            })
+        }
+        const helpingCount = (await sc.helpingCount()).toNumber()
+        for (let helpingId = 1; helpingId <= helpingCount; ++helpingId) {
+            const info = await sc.helpingInfoById(helpingId)
+            if (info.exists) {
+                state.liveHelpings.push({
+                    helpingId,
+                    owner: info.owner,
+                    comboId: info.comboId.toNumber(),
+                    usingCredits: info.usingCredits,
+                })
+            }
+        }
+        return state
+    }
+
+    // ETH that has been deposited to active helpings and not yet paid out.
+    const heldDeposits = (state) => sum(state.combos.map((combo) => combo.price.mul(combo.activeHelpingDeposits)))
+    // Everything the contract owes that isn't held for active helpings.
+    const claims = (state) =>
+        sum(state.balances.map((balance) => balance.availableDeposits))
+            .add(state.devFund)
+            .add(state.burnedPremiums)
+
+    function checkSolvency(before, after, { value, events }) {
+        // Every wei in the contract is withdrawable by someone, held for an active helping or burned.
+        check(
+            'conservation',
+            after.eth.eq(claims(after).add(heldDeposits(after))),
+            `contract holds ${after.eth} but owes ${claims(after)} plus ${heldDeposits(after)} in held deposits`
+        )
+
+        // depositsInUse and creditsInUse are the combo prices of the owner's live helpings paid for each way.
+        signers.forEach((signer, i) => {
+            const owned = after.liveHelpings.filter((helping) => helping.owner === signer.address)
+            const priceOf = (helping) => after.combos.find((combo) => combo.comboId === helping.comboId).price
+            const inUse = (usingCredits) =>
+                sum(owned.filter((helping) => helping.usingCredits === usingCredits).map(priceOf))
+            const { depositsInUse, creditsInUse } = after.balances[i]
+            check('inUse', depositsInUse.eq(inUse(false)), `depositsInUse of signer ${i} is ${depositsInUse}`)
+            check('inUse', creditsInUse.eq(inUse(true)), `creditsInUse of signer ${i} is ${creditsInUse}`)
+        })
+
+        // Every live helping is either a combo's active helping or in its queue.
+        for (const combo of after.combos) {
+            const live = after.liveHelpings.filter((helping) => helping.comboId === combo.comboId).length
+            const tracked = (combo.activeHelpingId ? 1 : 0) + combo.queueLength
+            check('activeOrQueued', live === tracked, `combo ${combo.comboId} has ${live} helpings, ${tracked} tracked`)
+        }
+
+        // Removing active helpings pays out at most the deposits they received: the ones they had before this step,
+        // plus any made to the combo during it.
+        const ethOut = sum(
+            events
+                .filter((event) => event.event === 'Withdrawn' || event.event === 'DevFundWithdrawn')
+                .map((event) => event.args.amount)
+        )
+        const added = events.filter((event) => event.event === 'HelpingAdded')
+        const newDeposits = sum(added.map((event) => event.args.depositAmount))
+        const paidOut = claims(after).sub(claims(before)).sub(value).add(ethOut).add(newDeposits)
+        let allowed = BigNumber.from(0)
+        before.combos.forEach((combo) => {
+            const inCombo = (event) => event.args.comboId.eq(combo.comboId)
+            const everActive = [combo.activeHelpingId].concat(
+                events
+                    .filter((event) => event.event === 'NewActiveHelping' && inCombo(event))
+                    .map((event) => event.args.helpingId.toNumber())
+            )
+            const removedActive = events.some(
+                (event) =>
+                    event.event === 'HelpingRemoved' &&
+                    inCombo(event) &&
+                    everActive.includes(event.args.helpingId.toNumber())
+            )
+            if (removedActive) {
+                const depositsMade = added.filter((event) => inCombo(event) && event.args.depositAmount.gt(0)).length
+                allowed = allowed.add(combo.price.mul(combo.activeHelpingDeposits + depositsMade))
+            }
+        })
+        check('payout', paidOut.lte(allowed), `paid out ${paidOut} from helpings that only received ${allowed}`)
+    }
+
+    const solvency = { read: readState, check: checkSolvency }
+
+    // Run the actions from the freshly deployed contract, checking the property after each one. A property reads
+    // the state it needs with read() and throws an InvariantViolation from check(before, after, outcome).
+    // Returns the first violation with the index of the action it followed, or undefined if there was none.
+    async function runSequence(actions, property = solvency) {
+        await network.provider.send('evm_revert', [snapshotId])
+        snapshotId = await network.provider.send('evm_snapshot')
+        let before = await property.read()
+        for (let i = 0; i < actions.length; ++i) {
+            const outcome = await perform(actions[i])
+            const after = await property.read()
+            try {
+                property.check(before, after, outcome)
+            } catch (e) {
+                if (!(e instanceof InvariantViolation)) throw e
+                return { step: i, invariant: e.invariant, message: e.message }
+            }
+            before = after
+        }
+    }
+
+    // Smaller versions of an action: no premium, no flags, the first signer and combo, the smallest amounts.
+    function simplifications(action) {
+        const simpler = []
+        const defaults = { signer: 0, combo: 0, premium: 0, amount: 1, prices: 1, divisor: 1, blocks: 1, helping: 0 }
+        for (const [key, value] of Object.entries(defaults)) {
+            if (key in action && action[key] !== value) simpler.push({ ...action, [key]: value })
+        }
+        for (const flag of ['doubleHelping', 'usingCredits', 'creatorOnly']) {
+            if (action[flag]) simpler.push({ ...action, [flag]: false })
+        }
+        return simpler
+    }
+
+    // Shrink a sequence that ends in a violation to one where removing any single action or simplifying any action
+    // no longer breaks the same invariant.
+    async function shrink(actions, failure, property) {
+        const stillFails = async (candidate) => {
+            const result = await runSequence(candidate, property)
+            return result && result.invariant === failure.invariant ? result : undefined
+        }
+        actions = actions.slice(0, failure.step + 1)
+        for (let changed = true; changed; ) {
+            changed = false
+            // Remove chunks of actions, halving the chunk size whenever none of them can be removed.
+            for (let size = Math.ceil(actions.length / 2); size >= 1; ) {
+                let removed = false
+                for (let start = 0; start < actions.length; ) {
+                    const candidate = actions.slice(0, start).concat(actions.slice(start + size))
+                    const result = candidate.length !== 0 && (await stillFails(candidate))
+                    if (result) {
+                        actions = candidate.slice(0, result.step + 1)
+                        failure = result
+                        removed = changed = true
+                    } else {
+                        start += size
+                    }
+                }
+                if (!removed) size = Math.floor(size / 2)
+            }
+            // Simplify one thing at a time, going around again after any change.
+            for (let i = 0; i < actions.length; ++i) {
+                for (const simpler of simplifications(actions[i])) {
+                    const candidate = [...actions.slice(0, i), simpler, ...actions.slice(i + 1)]
+                    const result = await stillFails(candidate)
+                    if (result) {
+                        actions = candidate.slice(0, result.step + 1)
+                        failure = result
+                        changed = true
+                        break
+                    }
+                }
+            }
+        }
+        return { actions, failure }
+    }
+
+    const report = ({ actions, failure }) =>
+        `${failure.invariant} broke after action ${failure.step + 1}: ${failure.message}\n` +
+        `minimal sequence of ${actions.length} actions (seed ${seed}):\n` +
+        actions.map((action) => JSON.stringify(action)).join('\n')
+
+    before(async function () {
+        signers = (await ethers.getSigners()).slice(0, signerCount)
+        sc = await deploySpicyCombos('SpicyCombos', minValue)
+        // Larger than most dev fund cuts, so settling sometimes empties the dev fund.
+        await (await sc.setKeeperReward(parseEther('.0005'))).wait()
+        // Non-default fees, so that timed helpings pay a cut and premiums are split three ways.
+        await (
+            await sc.queueFeeChange({
+                timedHelpingFeeBasisPoints: 1500,
+                premiumDevFundBasisPoints: 6000,
+                redistributePremiumRemainder: true,
+            })
+        ).wait()
+        await network.provider.send('evm_increaseTime', [(await sc.FEE_CHANGE_DELAY()).toNumber()])
+        await (await sc.executeFeeChange()).wait()
+        snapshotId = await network.provider.send('evm_snapshot')
+    })
+
+    it(`should stay solvent after every action of ${runs} random sequences of ${steps}`, async function () {
+        const random = mulberry32(seed)
+        for (let run = 0; run < runs; ++run) {
+            const actions = Array.from({ length: steps }, () => randomAction(random))
+            const failure = await runSequence(actions)
+            if (failure) expect.fail(report(await shrink(actions, failure)))
+        }
+    })
+    it('should shrink a failing sequence to a minimal reproduction', async function () {
+        // A property that random sequences break easily: no helping ever waits in a queue.
+        const emptyQueues = {
+            read: () => Promise.all(combos.map(async (combo) => (await sc.comboInfo(...combo.toArgs())).queueLength)),
+            check: (before, queueLengths) => {
+                queueLengths.forEach((queueLength, i) => {
+                    check('emptyQueues', queueLength.isZero(), `combo ${i} has ${queueLength} queued helpings`)
+                })
+            },
+        }
+        const random = mulberry32(seed)
+        const actions = Array.from({ length: steps }, () => randomAction(random))
+        const failure = await runSequence(actions, emptyQueues)
+        expect(failure, 'a sequence that queues a helping').to.exist
+
+        // A plain helping, and then another one queued behind it in the same combo.
+        const shrunk = await shrink(actions, failure, emptyQueues)
+        const plainHelping = {
+            kind: 'addHelping',
+            signer: 0,
+            combo: shrunk.actions[0].combo,
+            doubleHelping: false,
+            usingCredits: false,
+            creatorOnly: false,
+            premium: 0,
+        }
+        expect(shrunk.actions).to.deep.equal([plainHelping, plainHelping])
+        expect(shrunk.failure.step).to.equal(1)
+    })
+})
@@ -0,0 +1,229 @@
+import { expect } from 'chai'
+import { ethers } from 'hardhat'
+import { ActionType, Combo, HelpingType, SpicyCombosClient, computeComboId, valueToDigits } from '../sdk/index.js'
+import { deploySpicyCombos } from './helpers/deploy.js'
+
+const {
+    utils: { parseEther },
+} = ethers
+
+describe('Combo descriptor', function () {
+    const minValue = parseEther('.00000001')
+
+    it('should parse "4.4 ETH / 25 blocks" into digits', function () {
+        const combo = Combo.parse('4.4 ETH / 25 blocks', minValue)
+        expect(combo.toArgs()).to.deep.equal([4, 4, 7, 2, 5, 0])
+    })
+    it('should format back into the same descriptor', function () {
+        const combo = Combo.parse('4.4 ETH / 25 blocks', minValue)
+        expect(combo.format(minValue)).to.equal('4.4 ETH / 25 blocks')
+    })
+    it('should parse gwei amounts and a single block', function () {
+        const combo = Combo.parse('500 gwei / 1 block', minValue)
+        expect(combo.toArgs()).to.deep.equal([5, 0, 1, 1, 0, 0])
+    })
+    it('should reject amounts that are not a multiple of minValue', function () {
+        expect(() => Combo.parse('0.000000015 ETH / 25 blocks', minValue)).to.throw('not a multiple of minValue')
+    })
+    it('should reject amounts with more than two significant digits', function () {
+        expect(() => Combo.parse('1.23 ETH / 25 blocks', minValue)).to.throw('at most two significant digits')
+    })
+    it('should reject out of range values with the same error name as the contract', function () {
+        try {
+            Combo.parse('1 ETH / 10000000 blocks', minValue)
+            expect.fail('should have thrown')
+        } catch (e) {
+            expect(e.errorName).to.equal('ValueOutOfRange')
+            expect(e.errorArgs).to.deep.equal(['blocksZeros', 0, 6])
+        }
+    })
+    it('should round trip through the comboId', function () {
+        const combo = Combo.parse('4.4 ETH / 25 blocks', minValue)
+        expect(Combo.fromComboId(combo.comboId).equals(combo)).to.be.true
+    })
+    it('valueToDigits() should use a zero second digit for one significant digit', function () {
+        expect(valueToDigits(40)).to.deep.equal([4, 0, 1])
+        expect(valueToDigits(45)).to.deep.equal([4, 5, 0])
+        expect(valueToDigits(456)).to.be.undefined
+    })
+})
+
+describe('SpicyCombosClient', function () {
+    var sc, client, signers, combo, comboPrice
+    const minValue = parseEther('.000001')
+    const descriptor = '0.25 ETH / 15 blocks'
+
+    before(async function () {
+        signers = await ethers.getSigners()
+        sc = await deploySpicyCombos('SpicyCombos', minValue)
+        client = new SpicyCombosClient(sc.address, signers[0])
+        combo = Combo.parse(descriptor, minValue)
+        comboPrice = await sc.computePrice(combo.amountDigit1, combo.amountDigit2, combo.amountZeros)
+    })
+    it('should compute the same comboId and price as the contract', async function () {
+        expect(await sc.computeComboId(...combo.toArgs())).to.equal(combo.comboId)
+        expect(combo.price(minValue)).to.equal(comboPrice)
+        expect(computeComboId(...combo.toArgs())).to.equal(combo.comboId)
+    })
+    describe('addHelping() with a descriptor', function () {
+        before(async function () {
+            const tx = await client.addHelping({
+                combo: descriptor,
+                type: HelpingType.DoubleHelping,
+                creatorOnly: true,
+                premium: parseEther('.01'),
+            })
+            await tx.wait()
+        })
+        it('comboInfo() should return named fields', async function () {
+            const info = await client.comboInfo(descriptor)
+            expect(info.activeHelpingExists).to.be.true
+            expect(info.activeHelpingOwner).to.equal(signers[0].address)
+            expect(info.activeHelpingType).to.equal(HelpingType.DoubleHelping)
+            expect(info.activeHelpingDeposits).to.equal(1)
+            expect(info.queueLength).to.equal(0)
+        })
+        it('helpingInfo() should return named fields', async function () {
+            const info = await client.helpingInfo(combo, signers[0].address)
+            expect(info.exists).to.be.true
+            expect(info.isActiveHelping).to.be.true
+            expect(info.usingCredits).to.be.false
+        })
+        it('devFund() should include the premium', async function () {
+            expect(await client.devFund()).to.equal(parseEther('.01'))
+        })
+    })
+    describe('custom errors', function () {
+        it('should decode NotEnoughAvailableDeposits', async function () {
+            const [, account2] = signers
+            try {
+                await client.connect(account2).addHelping({
+                    combo: descriptor,
+                    type: HelpingType.TimedHelping,
+                    value: comboPrice.div(2),
+                })
+                expect.fail('should have reverted')
+            } catch (e) {
+                expect(e.errorName).to.equal('NotEnoughAvailableDeposits')
+                expect(e.errorArgs[0]).to.equal(comboPrice.div(2))
+                expect(e.errorArgs[1]).to.equal(comboPrice)
+            }
+        })
+        it('should decode HelpingNotFoundForCaller', async function () {
+            const [, account2] = signers
+            try {
+                await client.connect(account2).removeHelping({ combo: descriptor })
+                expect.fail('should have reverted')
+            } catch (e) {
+                expect(e.errorName).to.equal('HelpingNotFoundForCaller')
+            }
+        })
+    })
+    describe('queueEntries() and myPosition()', function () {
+        const queued = '0.5 ETH / 15 blocks'
+        var queuedHelpingId
+
+        before(async function () {
+            const [, , account3, account4] = signers
+            await (
+                await client.connect(account3).addHelping({ combo: queued, type: HelpingType.TimedHelping })
+            ).wait()
+            const receipt = await (
+                await client
+                    .connect(account4)
+                    .addHelping({ combo: queued, type: HelpingType.DoubleHelping, premium: parseEther('.02') })
+            ).wait()
+            queuedHelpingId = client.addedHelpingIds(receipt)[0]
+        })
+        it('should return named queue entries', async function () {
+            const [, , , account4] = signers
+            const { entries, queueLength } = await client.queueEntries(queued)
+            expect(queueLength).to.equal(1)
+            expect(entries).to.deep.equal([
+                {
+                    helpingId: queuedHelpingId,
+                    owner: account4.address,
+                    premium: parseEther('.02'),
+                    rank: 1,
+                    type: HelpingType.DoubleHelping,
+                    usingCredits: false,
+                    queueDeadline: Infinity,
+                },
+            ])
+        })
+        it('should return the rank of a queued helping', async function () {
+            const [, , account3, account4] = signers
+            expect(await client.myPosition(queued, account4.address)).to.equal(1)
+            expect(await client.myPosition(queued, account3.address)).to.equal(0)
+        })
+        it('liveCombos() and combosOf() should return Combo descriptors', async function () {
+            const [, , , account4] = signers
+            const { combos, total } = await client.liveCombos()
+            expect(total).to.equal(2)
+            expect(combos.map(({ combo }) => combo.format(minValue)).sort()).to.deep.equal([descriptor, queued].sort())
+            const mine = await client.combosOf(account4.address)
+            expect(mine.combos.map(({ combo }) => combo.format(minValue))).to.deep.equal([queued])
+            expect(mine.combos[0].queueLength).to.equal(1)
+        })
+    })
+    describe('removeHelping() and withdraw()', function () {
+        before(async function () {
+            await (await client.removeHelping({ combo: descriptor })).wait()
+        })
+        it('should return the deposit to availableDeposits', async function () {
+            const { availableDeposits, depositsInUse } = await client.balances(signers[0].address)
+            expect(availableDeposits).to.equal(comboPrice)
+            expect(depositsInUse).to.equal(0)
+        })
+        it('withdraw() should empty availableDeposits', async function () {
+            await (await client.withdraw(comboPrice)).wait()
+            const { availableDeposits } = await client.balances(signers[0].address)
+            expect(availableDeposits).to.equal(0)
+        })
+    })
+    describe('several helpings in a combo', function () {
+        const stacked = '0.1 ETH / 15 blocks'
+        var helpingIds
+
+        before(async function () {
+            const [, account1] = signers
+            const receipt = await (
+                await client.connect(account1).batch([
+                    { action: ActionType.AddHelping, combo: stacked, type: HelpingType.TimedHelping },
+                    { action: ActionType.AddHelping, combo: stacked, type: HelpingType.DoubleHelping },
+                ])
+            ).wait()
+            helpingIds = client.addedHelpingIds(receipt)
+        })
+        it('addedHelpingIds() should return the new helpingIds in order', async function () {
+            const [, account1] = signers
+            expect(helpingIds).to.have.length(2)
+            expect((await client.helpingIdsOf(stacked, account1.address)).sort()).to.deep.equal([...helpingIds].sort())
+            expect((await client.comboInfo(stacked)).activeHelpingId).to.equal(helpingIds[0])
+        })
+        it('should throw MoreThanOneHelping when the helping is looked up by combo', async function () {
+            const [, account1] = signers
+            try {
+                await client.helpingInfo(stacked, account1.address)
+                expect.fail('should have reverted')
+            } catch (e) {
+                expect(e.errorName).to.equal('MoreThanOneHelping')
+                expect(e.errorArgs[0]).to.equal(2)
+            }
+        })
+        it('helpingInfoById() should describe each helping', async function () {
+            const [, account1] = signers
+            const info = await client.helpingInfoById(helpingIds[1])
+            expect(info.owner).to.equal(account1.address)
+            expect(info.combo.format(minValue)).to.equal(stacked)
+            expect(info.type).to.equal(HelpingType.DoubleHelping)
+            expect(info.isActiveHelping).to.be.false
+        })
+        it('removeHelping() should take a helpingId', async function () {
+            const [, account1] = signers
+            await (await client.connect(account1).removeHelping({ helpingId: helpingIds[1] })).wait()
+            expect(await client.helpingIdsOf(stacked, account1.address)).to.deep.equal([helpingIds[0]])
+            expect((await client.helpingInfo(stacked, account1.address)).helpingId).to.equal(helpingIds[0])
+        })
+    })
+})
@@ -1,5 +1,6 @@
 import { expect } from 'chai'
 import { ethers } from 'hardhat'
+import { deploySpicyCombos } from './helpers/deploy.js'
 
 const {
     utils: { parseEther },
@@ -11,9 +12,7 @@ describe('deploy SpicyCombos contract', function () {
 
     before(async function () {
         signers = await ethers.getSigners()
-        const SpicyCombos = await ethers.getContractFactory('SpicyCombos')
-        sc = await SpicyCombos.deploy(minValue)
-        await sc.deployed()
+        sc = await deploySpicyCombos('SpicyCombos', minValue)
     })
     it('minValue from getter should equal minValue supplied to constructor', async function () {
         const minValueFromContract = await sc.minValue()
@@ -114,6 +113,7 @@ describe('deploy SpicyCombos contract', function () {
                     usingCredits,
                     creatorOnly,
                     premium(1),
+                    0,
                     { value: comboPrice.add(premium(1)) }
                 )
         })
@@ -159,6 +159,7 @@ describe('deploy SpicyCombos contract', function () {
                     usingCredits,
                     creatorOnly,
                     premium(0),
+                    0,
                     { value: comboPrice.div(2) }
                 )
                 .catch((e) => {
@@ -186,6 +187,7 @@ describe('deploy SpicyCombos contract', function () {
                     usingCredits,
                     creatorOnly,
                     premium(0),
+                    0,
                     { value: comboPrice }
                 )
                 .catch((e) => {
@@ -227,6 +229,7 @@ describe('deploy SpicyCombos contract', function () {
                         usingCredits,
                         creatorOnly,
                         premium(0),
+                        0,
                         { value: comboPrice }
                     )
             })
@@ -321,6 +324,7 @@ describe('deploy SpicyCombos contract', function () {
                         usingCredits,
                         creatorOnly,
                         premium(3),
+                        0,
                         { value: comboPrice.add(premium(3)) }
                     )
             })
@@ -402,6 +406,7 @@ describe('deploy SpicyCombos contract', function () {
                         usingCredits,
                         creatorOnly,
                         premium(4),
+                        0,
                         { value: comboPrice.add(premium(4)) }
                     )
                 const block = await ethers.provider.getBlockNumber()
@@ -454,6 +459,7 @@ describe('deploy SpicyCombos contract', function () {
                         usingCredits,
                         creatorOnly,
                         premium(5),
+                        0,
                         { value: comboPrice.add(premium(5)) }
                     )
             })
@@ -552,6 +558,7 @@ describe('deploy SpicyCombos contract', function () {
                         usingCredits,
                         creatorOnly,
                         premium(7),
+                        0,
                         { value: premium(7) }
                     )
                     ; ({ 5: newActiveHelpingDeposits } = await sc.comboInfo(
@@ -610,6 +617,7 @@ describe('deploy SpicyCombos contract', function () {
                         usingCredits,
                         creatorOnly,
                         premium(0),
+                        0,
                         { value: comboPrice }
                     )
             })
@@ -645,6 +653,7 @@ describe('deploy SpicyCombos contract', function () {
                         usingCredits,
                         creatorOnly,
                         premium(0),
+                        0,
                         { value: comboPrice }
                     )
             })
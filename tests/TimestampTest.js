@@ -0,0 +1,173 @@
+import { expect } from 'chai'
+import { ethers, network } from 'hardhat'
+import { Combo, HelpingType, Indexer, Keeper, SpicyCombosClient, TimeUnit } from '../sdk/index.js'
+import { deploySpicyCombos } from './helpers/deploy.js'
+
+const {
+    utils: { parseEther },
+} = ethers
+
+describe('SpicyCombosTimestamp', function () {
+    var sc, signers, price
+    const minValue = parseEther('.000001')
+    const tacos = '0.25 ETH / 100 seconds'
+    const client = (signer) => new SpicyCombosClient(sc.address, signer)
+
+    const latestTimestamp = async () => (await ethers.provider.getBlock('latest')).timestamp
+    // Mine the next transaction, or a block if there is none, at the given timestamp.
+    const setNextTimestamp = (timestamp) => network.provider.send('evm_setNextBlockTimestamp', [timestamp])
+    const mineAt = async (timestamp) => {
+        await setNextTimestamp(timestamp)
+        await network.provider.send('evm_mine')
+    }
+
+    // Add a helping at the given timestamp and return its helpingId.
+    async function addHelpingAt(timestamp, signer, type) {
+        await setNextTimestamp(timestamp)
+        const receipt = await (await client(signer).addHelping({ combo: tacos, type })).wait()
+        return client(signer).addedHelpingIds(receipt)[0]
+    }
+
+    beforeEach(async function () {
+        signers = await ethers.getSigners()
+        sc = await deploySpicyCombos('SpicyCombosTimestamp', minValue)
+        price = await client(signers[0]).price(tacos)
+    })
+
+    describe('clock', function () {
+        it('should tell clients that it measures time in seconds', async function () {
+            expect(await sc.CLOCK_MODE()).to.equal('mode=timestamp')
+            expect(await sc.clock()).to.equal(await latestTimestamp())
+            expect(await client(signers[0]).timeUnit()).to.equal(TimeUnit.Seconds)
+            expect(await client(signers[0]).clock()).to.equal(await latestTimestamp())
+        })
+        it('should leave other deployments measuring time in blocks', async function () {
+            const plain = new SpicyCombosClient((await deploySpicyCombos('SpicyCombos', minValue)).address, signers[0])
+            expect(await plain.timeUnit()).to.equal(TimeUnit.Blocks)
+            expect(await plain.clock()).to.equal(await ethers.provider.getBlockNumber())
+        })
+    })
+
+    describe('combo descriptors', function () {
+        it('should give seconds the same comboId as blocks', async function () {
+            const combo = await client(signers[0]).toCombo(tacos)
+            expect(combo.comboId).to.equal(Combo.parse('0.25 ETH / 100 blocks', minValue).comboId)
+            expect(combo.blocks).to.equal(100)
+            expect(await client(signers[0]).formatCombo(combo)).to.equal(tacos)
+            expect(combo.format(minValue)).to.equal('0.25 ETH / 100 blocks')
+        })
+        it('should reject a descriptor in the wrong unit', async function () {
+            try {
+                await client(signers[0]).toCombo('0.25 ETH / 100 blocks')
+                expect.fail('should have failed')
+            } catch (e) {
+                expect(e.message).to.equal(
+                    'combo descriptor "0.25 ETH / 100 blocks" must give its time limit in seconds'
+                )
+            }
+            expect(() => Combo.parse('0.25 ETH / 1 second', minValue)).to.throw('must give its time limit in blocks')
+        })
+    })
+
+    describe('timed helpings', function () {
+        var helpingId, addedAt
+
+        beforeEach(async function () {
+            addedAt = (await latestTimestamp()) + 10
+            helpingId = await addHelpingAt(addedAt, signers[1], HelpingType.TimedHelping)
+        })
+        it("should expire at the timestamp it became active plus the combo's time limit", async function () {
+            const info = await client(signers[0]).comboInfo(tacos)
+            expect(info).to.include({ activeHelpingId: helpingId, activeHelpingExpiration: addedAt + 100 })
+            expect(info.activeHelpingIsExpired).to.be.false
+            await mineAt(addedAt + 100)
+            expect((await client(signers[0]).comboInfo(tacos)).activeHelpingIsExpired).to.be.true
+        })
+        it('should not expire however many blocks are mined before its time limit', async function () {
+            await network.provider.send('hardhat_mine', ['0x3e8', '0x0'])
+            await setNextTimestamp(addedAt + 99)
+            await expect(client(signers[2]).settle({ combo: tacos })).not.to.emit(sc, 'Settled')
+            expect((await client(signers[0]).comboInfo(tacos)).activeHelpingId).to.equal(helpingId)
+        })
+        it('should be settled once its time limit has passed', async function () {
+            const [, account1, account2] = signers
+            const queued = await addHelpingAt(addedAt + 50, account2, HelpingType.DoubleHelping)
+            await setNextTimestamp(addedAt + 100)
+            await expect(client(signers[3]).settle({ combo: tacos })).to.emit(sc, 'Settled')
+            const info = await client(account1).comboInfo(tacos)
+            expect(info).to.include({ activeHelpingId: queued, activeHelpingType: HelpingType.DoubleHelping })
+            // Its own deposit and the one from the queued helping, less the timed helping fee of the second.
+            const payout = price.add(price.mul(9).div(10))
+            expect((await sc.balances(account1.address)).availableDeposits).to.equal(payout)
+        })
+        it('should be settled by a keeper going by the clock', async function () {
+            const keeper = new Keeper({
+                address: sc.address,
+                signer: signers[9],
+                startBlock: sc.deployTransaction.blockNumber,
+            })
+            expect(await keeper.poll()).to.deep.equal([])
+            expect(keeper.expirations.get(await comboId())).to.equal(addedAt + 100)
+            await mineAt(addedAt + 99)
+            expect(await keeper.poll()).to.deep.equal([await comboId()])
+            expect((await client(signers[0]).comboInfo(tacos)).activeHelpingExists).to.be.false
+        })
+        it('should have its expiration in seconds in the indexer', async function () {
+            const indexer = new Indexer({
+                address: sc.address,
+                provider: ethers.provider,
+                startBlock: sc.deployTransaction.blockNumber,
+            })
+            await indexer.sync()
+            expect(indexer.getCombo(await comboId()).active).to.include({ helpingId, expiration: addedAt + 100 })
+        })
+    })
+
+    describe('queue deadlines', function () {
+        var helpingId, addedAt
+
+        beforeEach(async function () {
+            await (await sc.setDefaultMaxQueueWait(60)).wait()
+            addedAt = (await latestTimestamp()) + 10
+            await addHelpingAt(addedAt, signers[1], HelpingType.TimedHelping)
+            helpingId = await addHelpingAt(addedAt + 1, signers[2], HelpingType.DoubleHelping)
+        })
+        it('should be the timestamp the helping was queued at plus the maximum wait', async function () {
+            const { entries } = await client(signers[0]).queueEntries(tacos)
+            expect(entries[0]).to.include({ helpingId, queueDeadline: addedAt + 61 })
+            expect(await client(signers[0]).expiredQueueEntries(tacos)).to.deep.equal([])
+        })
+        it('should let anyone expire the helping from its deadline on', async function () {
+            const [, , account2, keeper] = signers
+            await setNextTimestamp(addedAt + 60)
+            await expect(sc.connect(keeper).expireQueuedHelpings([helpingId])).not.to.emit(sc, 'QueuedHelpingExpired')
+            await mineAt(addedAt + 61)
+            const expired = await client(keeper).expiredQueueEntries(tacos)
+            expect(expired.map((entry) => entry.helpingId)).to.deep.equal([helpingId])
+            await expect(client(keeper).expireQueuedHelpings({ helpingIds: [helpingId] }))
+                .to.emit(sc, 'QueuedHelpingExpired')
+                .withArgs(await comboId(), helpingId, account2.address)
+            expect((await sc.balances(account2.address)).availableCredits).to.equal(price)
+        })
+    })
+
+    describe('helping receipts', function () {
+        it('should describe the time limit in seconds', async function () {
+            const HelpingReceipts = await ethers.getContractFactory('HelpingReceipts')
+            const receipts = await HelpingReceipts.deploy(sc.address)
+            await receipts.deployed()
+            await (await sc.setHelpingReceipts(receipts.address)).wait()
+            const [, account1] = signers
+            await (await client(account1).addHelping({ combo: tacos, type: HelpingType.TimedHelping })).wait()
+            const { description, timeLimit } = await client(account1).helpingReceipt(1)
+            expect(description).to.equal(
+                `A timed helping in the combo of ${price} for 100 seconds. Whoever holds this receipt owns the helping.`
+            )
+            expect(timeLimit).to.equal(100)
+        })
+    })
+
+    async function comboId() {
+        return (await client(signers[0]).toCombo(tacos)).comboId
+    }
+})
@@ -0,0 +1,266 @@
+import { expect } from 'chai'
+import { ethers } from 'hardhat'
+import { ActionType, Combo, HelpingType, SpicyCombosClient, SpicyCombosTokenClient } from '../sdk/index.js'
+import { deploySpicyCombos } from './helpers/deploy.js'
+
+const MAX_UINT64 = ethers.BigNumber.from(2).pow(64).sub(1)
+
+describe('SpicyCombosToken', function () {
+    var signers
+    // 0.001 of a 6-decimal token.
+    const minValue = 1000
+    const tacos = Combo.fromValues(25, 15)
+    const price = tacos.price(minValue)
+    const minted = 1000000000
+
+    async function deploy(tokenName) {
+        const Token = await ethers.getContractFactory(tokenName)
+        const token = await Token.deploy()
+        await token.deployed()
+        const sc = await deploySpicyCombos('SpicyCombosToken', token.address, minValue)
+        for (const signer of signers) await (await token.mint(signer.address, minted)).wait()
+        return { token, sc }
+    }
+
+    const availableDeposits = async (sc, signer) => (await sc.balances(signer.address)).availableDeposits
+
+    before(async function () {
+        signers = await ethers.getSigners()
+    })
+
+    describe('with a standard token', function () {
+        var token, sc
+
+        before(async function () {
+            ;({ token, sc } = await deploy('MockToken'))
+        })
+
+        it('should pull deposited tokens with transferFrom', async function () {
+            const [, account1] = signers
+            await (await token.connect(account1).approve(sc.address, ethers.constants.MaxUint256)).wait()
+            await expect(sc.connect(account1).depositTokens(50000))
+                .to.emit(sc, 'Deposited')
+                .withArgs(account1.address, 50000)
+            expect(await token.balanceOf(sc.address)).to.equal(50000)
+            expect(await availableDeposits(sc, account1)).to.equal(50000)
+        })
+        it('should transfer tokens back on withdraw', async function () {
+            const [, account1] = signers
+            await expect(sc.connect(account1).withdraw(20000))
+                .to.emit(sc, 'Withdrawn')
+                .withArgs(account1.address, account1.address, 20000)
+            expect(await token.balanceOf(account1.address)).to.equal(minted - 30000)
+            expect(await availableDeposits(sc, account1)).to.equal(30000)
+        })
+        it('should reject ETH', async function () {
+            const [, account1] = signers
+            await expect(sc.connect(account1).deposit({ value: 1 })).to.be.revertedWithCustomError(
+                sc,
+                'EtherNotAccepted'
+            )
+            await expect(
+                sc.connect(account1).addHelping(...tacos.toArgs(), true, false, false, 0, 0, { value: price })
+            ).to.be.revertedWithCustomError(sc, 'EtherNotAccepted')
+        })
+        it('should pull only what addHelping() needs beyond the available deposits', async function () {
+            const [, account1] = signers
+            const premium = 10000
+            const before = await token.balanceOf(account1.address)
+            await expect(sc.connect(account1).addHelping(...tacos.toArgs(), true, false, false, premium, 0))
+                .to.emit(sc, 'Deposited')
+                .withArgs(account1.address, price.add(premium).sub(30000))
+            expect(await token.balanceOf(account1.address)).to.equal(before.sub(price.add(premium).sub(30000)))
+            expect(await availableDeposits(sc, account1)).to.equal(0)
+            expect(await sc.devFund()).to.equal(premium)
+        })
+        it('should not pull anything when the available deposits suffice', async function () {
+            const [, , account2] = signers
+            await (await token.connect(account2).approve(sc.address, price)).wait()
+            await (await sc.connect(account2).depositTokens(price)).wait()
+            await expect(sc.connect(account2).addHelping(...tacos.toArgs(), true, false, false, 0, 0)).not.to.emit(
+                sc,
+                'Deposited'
+            )
+        })
+        it('should revert without an allowance for the shortfall', async function () {
+            const [, , , account3] = signers
+            await expect(
+                sc.connect(account3).addHelping(...tacos.toArgs(), true, false, false, 0, 0)
+            ).to.be.revertedWith('ERC20: insufficient allowance')
+        })
+        it('should pay the active helping and the dev fund in tokens', async function () {
+            const [owner, account1, account2] = signers
+            // account2's helping paid account1's double helping out.
+            expect(await availableDeposits(sc, account1)).to.equal(price.mul(2))
+            await expect(sc.connect(account1).withdrawAll()).to.changeTokenBalance(token, account1, price.mul(2))
+            await expect(sc.withdrawDevFund()).to.changeTokenBalance(token, owner, 10000)
+            expect((await sc.comboInfo(...tacos.toArgs())).activeHelpingOwner).to.equal(account2.address)
+        })
+        it('should accept a permit instead of an approval', async function () {
+            const [, , , , account4] = signers
+            const client = new SpicyCombosTokenClient(sc.address, account4)
+            await expect(client.depositWithPermit(40000)).to.changeTokenBalance(token, account4, -40000)
+            expect(await availableDeposits(sc, account4)).to.equal(40000)
+            expect(await token.allowance(account4.address, sc.address)).to.equal(0)
+        })
+        it('should still deposit when the permit was already used', async function () {
+            const [, , , , account4] = signers
+            const deadline = ethers.constants.MaxUint256
+            const { v, r, s } = ethers.utils.splitSignature(
+                await account4._signTypedData(
+                    { name: 'Mock Dollar', version: '1', chainId: 31337, verifyingContract: token.address },
+                    {
+                        Permit: [
+                            { name: 'owner', type: 'address' },
+                            { name: 'spender', type: 'address' },
+                            { name: 'value', type: 'uint256' },
+                            { name: 'nonce', type: 'uint256' },
+                            { name: 'deadline', type: 'uint256' },
+                        ],
+                    },
+                    {
+                        owner: account4.address,
+                        spender: sc.address,
+                        value: 5000,
+                        nonce: await token.nonces(account4.address),
+                        deadline,
+                    }
+                )
+            )
+            await (await token.permit(account4.address, sc.address, 5000, deadline, v, r, s)).wait()
+            await expect(sc.connect(account4).depositTokensWithPermit(5000, deadline, v, r, s))
+                .to.emit(sc, 'Deposited')
+                .withArgs(account4.address, 5000)
+        })
+        it('should reject premiums too large for the queue instead of truncating them', async function () {
+            const [, , , , , account5] = signers
+            const premium = ethers.BigNumber.from(2).pow(128)
+            await (await token.mint(account5.address, premium.mul(2))).wait()
+            await (await token.connect(account5).approve(sc.address, ethers.constants.MaxUint256)).wait()
+            await expect(
+                sc.connect(account5).addHelping(...tacos.toArgs(), true, false, false, premium, 0)
+            ).to.be.revertedWith("SafeCast: value doesn't fit in 128 bits")
+            await (await sc.connect(account5).addHelping(...tacos.toArgs(), true, false, false, 1, 0)).wait()
+            await expect(sc.connect(account5).increasePremium(...tacos.toArgs(), premium.sub(1))).to.be.revertedWith(
+                "SafeCast: value doesn't fit in 128 bits"
+            )
+        })
+        it("should pull no more for an operator's batchFor() than its allowances", async function () {
+            const [, , , , , , account6, operator] = signers
+            const premium = 5000
+            // the HelpingAction tuple expected by batchFor()
+            const addTacos = amount => [0, ...tacos.toArgs(), true, false, false, amount, 0, 0]
+            const before = await token.balanceOf(account6.address)
+            await (await token.connect(account6).approve(sc.address, ethers.constants.MaxUint256)).wait()
+            await (await sc.connect(account6).approveOperator(operator.address, price, 0, premium, MAX_UINT64)).wait()
+            await expect(sc.connect(operator).batchFor(account6.address, [addTacos(premium + 1)]))
+                .to.be.revertedWithCustomError(sc, 'OperatorAllowanceExceeded')
+                .withArgs('premiumsAllowance', premium)
+            await expect(
+                sc.connect(operator).batchFor(account6.address, [addTacos(premium)])
+            ).to.changeTokenBalance(token, account6, -price.add(premium))
+            await expect(sc.connect(operator).batchFor(account6.address, [addTacos(0)]))
+                .to.be.revertedWithCustomError(sc, 'OperatorAllowanceExceeded')
+                .withArgs('depositsAllowance', 0)
+            expect(await token.balanceOf(account6.address)).to.equal(before.sub(price.add(premium)))
+        })
+    })
+
+    describe('SpicyCombosTokenClient', function () {
+        var token, sc, client
+
+        before(async function () {
+            ;({ token, sc } = await deploy('MockToken'))
+            const [, account1] = signers
+            client = new SpicyCombosTokenClient(sc.address, account1)
+        })
+
+        it('should approve the contract to pull tokens', async function () {
+            const [, account1] = signers
+            await (await client.approveToken()).wait()
+            expect(await client.tokenAllowance(account1.address)).to.equal(ethers.constants.MaxUint256)
+        })
+        it('should add helpings and increase premiums without sending ETH', async function () {
+            const [, account1] = signers
+            const premium = 3000
+            await expect(
+                client.addHelping({ combo: tacos, type: HelpingType.TimedHelping, premium })
+            ).to.changeTokenBalance(token, account1, -price.add(premium))
+            const receipt = await (await client.addHelping({ combo: tacos, type: HelpingType.TimedHelping })).wait()
+            const [helpingId] = client.addedHelpingIds(receipt)
+            await expect(client.increasePremium({ helpingId, amount: 2000 })).to.changeTokenBalance(
+                token,
+                account1,
+                -2000
+            )
+        })
+        it('should pull the shortfall of a batch', async function () {
+            const [, account1] = signers
+            const addTacos = { action: ActionType.AddHelping, combo: tacos, type: HelpingType.DoubleHelping }
+            await (await client.deposit(price.div(5))).wait()
+            await expect(client.batch([addTacos, addTacos])).to.changeTokenBalance(
+                token,
+                account1,
+                -price.mul(2).sub(price.div(5))
+            )
+        })
+        it('should not send ETH from a SpicyCombosClient either', async function () {
+            const [, account1] = signers
+            const plainClient = new SpicyCombosClient(sc.address, account1)
+            expect(await plainClient.paidInToken()).to.be.true
+            await expect(
+                plainClient.addHelping({ combo: tacos, type: HelpingType.DoubleHelping })
+            ).to.changeTokenBalance(token, account1, -price)
+        })
+        it('should decode the custom errors of the token deployment', async function () {
+            try {
+                await client.addHelping({ combo: tacos, type: HelpingType.DoubleHelping, value: 1 })
+                expect.fail('should have reverted')
+            } catch (e) {
+                expect(e.errorName).to.equal('EtherNotAccepted')
+            }
+        })
+    })
+
+    describe('with a token that charges a fee on transfer', function () {
+        var token, sc
+
+        before(async function () {
+            ;({ token, sc } = await deploy('FeeOnTransferToken'))
+            const [, account1] = signers
+            await (await token.connect(account1).approve(sc.address, ethers.constants.MaxUint256)).wait()
+        })
+
+        it('should reject deposits', async function () {
+            const [, account1] = signers
+            await expect(sc.connect(account1).depositTokens(50000))
+                .to.be.revertedWithCustomError(sc, 'TokenTransferAmountMismatch')
+                .withArgs(50000, 49500)
+        })
+        it('should reject helpings that pull tokens', async function () {
+            const [, account1] = signers
+            await expect(sc.connect(account1).addHelping(...tacos.toArgs(), true, false, false, 0, 0))
+                .to.be.revertedWithCustomError(sc, 'TokenTransferAmountMismatch')
+                .withArgs(price, price.mul(99).div(100))
+        })
+    })
+
+    describe('with a token that returns nothing from transfers', function () {
+        var token, sc
+
+        before(async function () {
+            ;({ token, sc } = await deploy('NoReturnToken'))
+            const [, account1] = signers
+            await (await token.connect(account1).approve(sc.address, ethers.constants.MaxUint256)).wait()
+        })
+
+        it('should deposit, add a helping and withdraw', async function () {
+            const [, account1] = signers
+            await (await sc.connect(account1).depositTokens(price.add(7000))).wait()
+            await (await sc.connect(account1).addHelping(...tacos.toArgs(), true, false, false, 0, 0)).wait()
+            await (await sc.connect(account1).withdraw(7000)).wait()
+            expect(await token.balanceOf(account1.address)).to.equal(price.mul(-1).add(minted))
+            expect(await token.balanceOf(sc.address)).to.equal(price)
+        })
+    })
+})
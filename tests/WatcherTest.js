@@ -0,0 +1,200 @@
+import fs from 'fs'
+import http from 'http'
+import os from 'os'
+import path from 'path'
+import { expect } from 'chai'
+import { ethers, network } from 'hardhat'
+import {
+    ConsoleNotifier,
+    FileNotifier,
+    HelpingType,
+    NotificationType,
+    SpicyCombosClient,
+    Watcher,
+    WebhookNotifier,
+} from '../sdk/index.js'
+import { deploySpicyCombos } from './helpers/deploy.js'
+
+const {
+    utils: { parseEther },
+} = ethers
+
+describe('Watcher', function () {
+    var client, signers, watcher, server, webhookBodies, filePath, lines, price
+    const minValue = parseEther('.000001')
+    const tacos = '0.25 ETH / 20 blocks'
+    const warnBlocks = 5
+
+    const add = (signer, type, premium = 0) =>
+        client
+            .connect(signer)
+            .addHelping({ combo: tacos, type, premium })
+            .then((tx) => tx.wait())
+    const availableDeposits = async (signer) => (await client.balances(signer.address)).availableDeposits
+    const mineTo = async (blockNumber) => {
+        const blocks = blockNumber - (await ethers.provider.getBlockNumber())
+        if (blocks > 0) await network.provider.send('hardhat_mine', ['0x' + blocks.toString(16)])
+    }
+    const summarize = (notifications) => notifications.map(({ type, address }) => [type, address])
+
+    before(async function () {
+        signers = await ethers.getSigners()
+        const sc = await deploySpicyCombos('SpicyCombos', minValue)
+        client = new SpicyCombosClient(sc.address, signers[0])
+        price = await client.price(tacos)
+
+        webhookBodies = []
+        server = http.createServer((req, res) => {
+            let body = ''
+            req.on('data', (chunk) => (body += chunk))
+            req.on('end', () => {
+                webhookBodies.push(JSON.parse(body))
+                res.end()
+            })
+        })
+        await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+        filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'spicy-watcher-')), 'notifications.jsonl')
+
+        lines = []
+        const [, account1, account2] = signers
+        watcher = new Watcher({
+            address: sc.address,
+            provider: ethers.provider,
+            addresses: [account1.address, account2.address.toLowerCase()],
+            notifiers: [
+                new ConsoleNotifier({ print: (line) => lines.push(line) }),
+                new WebhookNotifier(`http://127.0.0.1:${server.address().port}/spicy`),
+                new FileNotifier(filePath),
+            ],
+            startBlock: sc.deployTransaction.blockNumber,
+            warnBlocks,
+        })
+    })
+
+    after(function () {
+        server.close()
+        fs.rmSync(path.dirname(filePath), { recursive: true, force: true })
+    })
+
+    it('should notify of deposits received and of being outbid, but not about unwatched addresses', async function () {
+        const [account0, account1, account2, account3] = signers
+        await add(account2, HelpingType.TimedHelping)
+        await add(account0, HelpingType.DoubleHelping, 1)
+        await add(account1, HelpingType.DoubleHelping, 0)
+        await add(account3, HelpingType.DoubleHelping, 2)
+
+        const notifications = await watcher.poll()
+        expect(summarize(notifications)).to.deep.equal([
+            [NotificationType.DepositReceived, account2.address],
+            [NotificationType.DepositReceived, account2.address],
+            [NotificationType.DepositReceived, account2.address],
+            [NotificationType.Outbid, account1.address],
+        ])
+        expect(notifications[1]).to.include({
+            helpingId: 1,
+            amount: price.toString(),
+            from: account1.address,
+            depositsReceived: 3,
+            combo: tacos,
+        })
+        expect(notifications[3]).to.deep.include({
+            helpingId: 3,
+            premium: '0',
+            position: 3,
+            by: { helpingId: 4, owner: account3.address, premium: '2' },
+        })
+    })
+    it('should send every notification to every notifier', async function () {
+        expect(webhookBodies).to.have.lengthOf(4)
+        expect(webhookBodies[3].type).to.equal(NotificationType.Outbid)
+        const written = fs.readFileSync(filePath, 'utf8').trim().split('\n').map(JSON.parse)
+        expect(written).to.deep.equal(webhookBodies)
+        expect(lines[3]).to.equal(
+            `${signers[1].address}: helping #3 in ${tacos} was outbid by helping #4 ` +
+                'with a premium of 0.000000000000000002 ETH, now at position 3'
+        )
+    })
+    it('should not notify a helping that moves ahead of the ones it was already ahead of', async function () {
+        const [, account1] = signers
+        await client.connect(account1).increasePremium({ combo: tacos, amount: 3 })
+        expect(await watcher.poll()).to.deep.equal([])
+    })
+    it('should warn once that an active timed helping is about to expire', async function () {
+        const [, , account2] = signers
+        const { activeHelpingExpiration } = await client.comboInfo(tacos)
+        await mineTo(activeHelpingExpiration - warnBlocks - 1)
+        expect(await watcher.poll()).to.deep.equal([])
+        await mineTo(activeHelpingExpiration - warnBlocks)
+        const notifications = await watcher.poll()
+        expect(summarize(notifications)).to.deep.equal([[NotificationType.ExpiringSoon, account2.address]])
+        expect(notifications[0]).to.include({ helpingId: 1, blocksLeft: warnBlocks })
+        expect(notifications[0].expiration).to.equal(activeHelpingExpiration)
+        expect(lines[lines.length - 1]).to.contain(`expires in ${warnBlocks} blocks`)
+        expect(await watcher.poll()).to.deep.equal([])
+    })
+    it('should notify of a queued helping becoming active and of the payout of the one it replaced', async function () {
+        const [account0, account1, account2] = signers
+        const { activeHelpingExpiration } = await client.comboInfo(tacos)
+        await mineTo(activeHelpingExpiration)
+        const before = await availableDeposits(account2)
+        await (await client.connect(account0).settle({ combo: tacos })).wait()
+
+        const notifications = await watcher.poll()
+        expect(summarize(notifications)).to.deep.equal([
+            [NotificationType.HelpingActive, account1.address],
+            [NotificationType.HelpingRemoved, account2.address],
+        ])
+        expect(notifications[0]).to.include({ helpingId: 3, expiration: undefined })
+        // The first deposit in full and the other three less the 10% fee.
+        const deposits = price.add(price.mul(3).mul(9).div(10))
+        expect(notifications[1]).to.include({ helpingId: 1, deposits: deposits.toString(), credits: '0' })
+        expect((await availableDeposits(account2)).sub(before)).to.equal(deposits)
+    })
+    it('should pay a double helping for the deposit that expired it', async function () {
+        const [, account1, , , account4, account5] = signers
+        await add(account4, HelpingType.DoubleHelping)
+        const before = await availableDeposits(account1)
+        await add(account5, HelpingType.DoubleHelping)
+
+        const notifications = await watcher.poll()
+        expect(summarize(notifications)).to.deep.equal([
+            [NotificationType.DepositReceived, account1.address],
+            [NotificationType.DepositReceived, account1.address],
+            [NotificationType.HelpingRemoved, account1.address],
+        ])
+        expect(notifications[1].depositsReceived).to.equal(2)
+        expect(notifications[1].transactionHash).to.equal(notifications[2].transactionHash)
+        expect(notifications[2]).to.include({ helpingId: 3, deposits: price.mul(2).toString(), credits: '0' })
+        expect((await availableDeposits(account1)).sub(before)).to.equal(price.mul(2))
+    })
+    it('should give credits for a helping removed from the queue', async function () {
+        const [, , account2] = signers
+        const receipt = await add(account2, HelpingType.DoubleHelping)
+        const [helpingId] = client.addedHelpingIds(receipt)
+        await (await client.connect(account2).removeHelping({ combo: tacos, helpingId })).wait()
+
+        const notifications = await watcher.poll()
+        expect(summarize(notifications)).to.deep.equal([[NotificationType.HelpingRemoved, account2.address]])
+        expect(notifications[0]).to.include({ helpingId, deposits: '0', credits: price.toString() })
+    })
+    it('should keep notifying when a notifier fails', async function () {
+        const [, , account2] = signers
+        const errors = []
+        const failing = {
+            notify: async () => {
+                throw new Error('unreachable')
+            },
+        }
+        const notified = []
+        watcher.notifiers = [failing, { notify: async (notification) => notified.push(notification) }]
+        watcher.onError = (error, notification, notifier) => errors.push([error.message, notification, notifier])
+
+        await add(signers[6], HelpingType.DoubleHelping, 0)
+        await add(account2, HelpingType.DoubleHelping, 0)
+        await add(signers[7], HelpingType.DoubleHelping, 1)
+        const notifications = await watcher.poll()
+        expect(summarize(notifications)).to.deep.equal([[NotificationType.Outbid, account2.address]])
+        expect(notified).to.deep.equal(notifications)
+        expect(errors).to.deep.equal([['unreachable', notifications[0], failing]])
+    })
+})
@@ -0,0 +1,141 @@
+import { expect } from 'chai'
+import { ethers } from 'hardhat'
+import { Combo } from '../sdk/index.js'
+import { deploySpicyCombos, spicyCombosFactory } from './helpers/deploy.js'
+
+const {
+    utils: { parseEther },
+} = ethers
+
+// Init code for a contract whose runtime code is PUSH1 0 PUSH1 0 REVERT, so it rejects every ETH transfer.
+const rejectingInitCode = '0x6460006000fd6000526005601bf3'
+
+async function deployRejectingContract(signer) {
+    const receipt = await (await signer.sendTransaction({ data: rejectingInitCode })).wait()
+    return receipt.contractAddress
+}
+
+describe('withdrawals', function () {
+    var sc, signers, rejecting
+    const minValue = parseEther('.000001')
+    const depositAmount = parseEther('1')
+
+    before(async function () {
+        signers = await ethers.getSigners()
+        sc = await deploySpicyCombos('SpicyCombos', minValue)
+        rejecting = await deployRejectingContract(signers[0])
+    })
+
+    describe('deposit()', function () {
+        it('should emit Deposited', async function () {
+            const [, account1] = signers
+            await expect(sc.connect(account1).deposit({ value: depositAmount }))
+                .to.emit(sc, 'Deposited')
+                .withArgs(account1.address, depositAmount)
+        })
+        it('should emit Deposited for plain transfers to the contract', async function () {
+            const [, , account2] = signers
+            await expect(account2.sendTransaction({ to: sc.address, value: depositAmount }))
+                .to.emit(sc, 'Deposited')
+                .withArgs(account2.address, depositAmount)
+        })
+        it('should emit Deposited for ETH sent along with addHelping()', async function () {
+            const account7 = signers[7]
+            const combo = Combo.parse('0.1 ETH / 20 blocks', minValue)
+            const value = combo.price(minValue)
+            await expect(sc.connect(account7).addHelping(...combo.toArgs(), true, false, false, 0, 0, { value }))
+                .to.emit(sc, 'Deposited')
+                .withArgs(account7.address, value)
+        })
+    })
+
+    describe('withdraw()', function () {
+        it('should send the amount and emit Withdrawn', async function () {
+            const [, account1] = signers
+            const amount = depositAmount.div(4)
+            await expect(sc.connect(account1).withdraw(amount))
+                .to.emit(sc, 'Withdrawn')
+                .withArgs(account1.address, account1.address, amount)
+                .and.to.changeEtherBalance(account1, amount)
+            expect((await sc.balances(account1.address)).availableDeposits).to.equal(depositAmount.sub(amount))
+        })
+        it('should not allow withdrawing more than the available deposits', async function () {
+            const [, account1] = signers
+            await expect(sc.connect(account1).withdraw(depositAmount))
+                .to.be.revertedWithCustomError(sc, 'WithdrawAmountExceedsAvailableDeposits')
+                .withArgs(depositAmount.sub(depositAmount.div(4)))
+        })
+    })
+
+    describe('withdrawTo()', function () {
+        it('should send the amount to the recipient', async function () {
+            const [, account1, , account3] = signers
+            const amount = depositAmount.div(4)
+            await expect(sc.connect(account1).withdrawTo(account3.address, amount))
+                .to.emit(sc, 'Withdrawn')
+                .withArgs(account1.address, account3.address, amount)
+                .and.to.changeEtherBalances([account3, sc], [amount, amount.mul(-1)])
+        })
+        it('should revert and keep the available deposits when the recipient rejects the ETH', async function () {
+            const [, account1] = signers
+            const { availableDeposits } = await sc.balances(account1.address)
+            await expect(sc.connect(account1).withdrawTo(rejecting, availableDeposits))
+                .to.be.revertedWithCustomError(sc, 'TransferFailed')
+                .withArgs(rejecting, availableDeposits)
+            expect((await sc.balances(account1.address)).availableDeposits).to.equal(availableDeposits)
+        })
+    })
+
+    describe('withdrawAll()', function () {
+        it('should return and send all available deposits', async function () {
+            const [, , account2] = signers
+            expect(await sc.connect(account2).callStatic.withdrawAll()).to.equal(depositAmount)
+            await expect(sc.connect(account2).withdrawAll()).to.changeEtherBalance(account2, depositAmount)
+            expect((await sc.balances(account2.address)).availableDeposits).to.equal(0)
+        })
+        it('should leave deposits in use alone', async function () {
+            const [, , account2] = signers
+            const combo = Combo.parse('0.1 ETH / 10 blocks', minValue)
+            const price = combo.price(minValue)
+            await sc.connect(account2).addHelping(...combo.toArgs(), true, false, false, 0, 0, { value: price.mul(2) })
+            await expect(sc.connect(account2).withdrawAll()).to.changeEtherBalance(account2, price)
+            expect((await sc.balances(account2.address)).depositsInUse).to.equal(price)
+        })
+    })
+
+    describe('withdrawDevFund()', function () {
+        const premium = parseEther('.01')
+
+        before(async function () {
+            const [, , , account3] = signers
+            const combo = Combo.parse('0.2 ETH / 10 blocks', minValue)
+            const price = combo.price(minValue)
+            await sc.connect(account3).addHelping(...combo.toArgs(), true, false, false, premium, 0, {
+                value: price.add(premium),
+            })
+        })
+        it('should revert and keep the dev fund when the owner rejects the ETH', async function () {
+            const [owner] = signers
+            await sc.connect(owner).transferOwnership(rejecting)
+            await expect(sc.withdrawDevFund())
+                .to.be.revertedWithCustomError(sc, 'TransferFailed')
+                .withArgs(rejecting, premium)
+            expect(await sc.devFund()).to.equal(premium)
+        })
+        it('should send the dev fund to the owner and emit DevFundWithdrawn', async function () {
+            const [, , , , newOwner] = signers
+            // The rejecting contract can't call transferOwnership(), so deploy a fresh contract for the happy path.
+            const SpicyCombos = await spicyCombosFactory('SpicyCombos', newOwner)
+            const fresh = await SpicyCombos.deploy(minValue)
+            await fresh.deployed()
+            const combo = Combo.parse('0.2 ETH / 10 blocks', minValue)
+            const price = combo.price(minValue)
+            await fresh.addHelping(...combo.toArgs(), true, false, false, premium, 0, { value: price.add(premium) })
+            await expect(fresh.withdrawDevFund())
+                .to.emit(fresh, 'DevFundWithdrawn')
+                .withArgs(newOwner.address, premium)
+                .and.to.changeEtherBalance(fresh, premium.mul(-1))
+            expect(await fresh.devFund()).to.equal(0)
+        })
+    })
+})
@@ -0,0 +1,32 @@
+import { ethers } from 'hardhat'
+
+// The addresses of the libraries that SpicyCombos calls, by name. Each is deployed once, and again if a snapshot
+// revert removed it.
+const libraries = {}
+
+async function deployLibrary(name) {
+    if (libraries[name] && (await ethers.provider.getCode(libraries[name])) !== '0x') return libraries[name]
+    const library = await (await ethers.getContractFactory(name)).deploy()
+    await library.deployed()
+    return (libraries[name] = library.address)
+}
+
+// The factory of SpicyCombos or one of its deployments, such as SpicyCombosToken, linked to the libraries it calls.
+export async function spicyCombosFactory(name, signer) {
+    return ethers.getContractFactory(name, {
+        signer,
+        libraries: {
+            CreditMarket: await deployLibrary('CreditMarket'),
+            HelpingTransfers: await deployLibrary('HelpingTransfers'),
+            Intents: await deployLibrary('Intents'),
+            QueueInspection: await deployLibrary('QueueInspection'),
+        },
+    })
+}
+
+// Deploy SpicyCombos or one of its deployments with spicyCombosFactory(), and wait until it is mined.
+export async function deploySpicyCombos(name, ...args) {
+    const contract = await (await spicyCombosFactory(name)).deploy(...args)
+    await contract.deployed()
+    return contract
+}
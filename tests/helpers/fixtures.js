@@ -0,0 +1,16 @@
+import { network } from 'hardhat'
+import { HelpingType, SpicyCombosClient } from '../../sdk/index.js'
+import { deploySpicyCombos } from './deploy.js'
+
+// Mine that many empty blocks.
+export const mine = (blocks) => network.provider.send('hardhat_mine', ['0x' + blocks.toString(16)])
+
+// Deploy SpicyCombos or one of its deployments, and give combo an active timed helping from signer, so that every
+// helping added to combo after it is queued until that helping expires. Returns the contract and a function that
+// makes a SpicyCombosClient of it for a signer.
+export async function deployWithActiveHelping(name, minValue, combo, signer) {
+    const sc = await deploySpicyCombos(name, minValue)
+    const client = (signer) => new SpicyCombosClient(sc.address, signer)
+    await (await client(signer).addHelping({ combo, type: HelpingType.TimedHelping })).wait()
+    return { sc, client }
+}
@@ -0,0 +1,923 @@
+import { BigNumber, constants } from 'ethers'
+import { SpicyCombosError, ValueOutOfRangeError, encodeError } from '../../sdk/index.js'
+
+// A reference model of SpicyCombos for tests/DifferentialFuzzTest.js, written from the rules of the game rather than
+// from the contract's code: each queue is an array kept in order, and balances move by the rules below.
+//
+// Each transaction takes msg.sender, msg.value and block.number where the contract uses them. Owner-only calls take
+// no sender, as the test only sends them from the owner. A call that the contract would revert throws an error with
+// the contract's errorName and errorArgs, and leaves the model as it was.
+//
+// The rules for the money:
+// - Every helping keeps its comboPrice in use until it leaves its combo. The comboPrice comes from its owner's
+//   available deposits, or from their available credits for a helping using credits.
+// - A helping paid with deposits gives its deposit to the combo's active helping. If the combo has no active helping,
+//   the new helping becomes the active one and counts its own deposit as the first it received: the creator bonus.
+// - A double helping is done once it has received two deposits. A timed helping is done once its time limit has
+//   passed since it became active. Either can be settled then, and the first queued helping becomes active.
+// - An active helping that leaves is paid the deposits it received. For a timed helping, the dev fund takes the timed
+//   helping fee from every deposit after the first. A double helping that received none gets its comboPrice back as
+//   credits, and a timed helping that received none gets nothing.
+// - A queued helping that leaves gets its comboPrice back as credits: its deposit stays with the helping it went to.
+// - A premium is paid from available deposits when it is bid. The dev fund takes premiumDevFundBasisPoints of it.
+//   The rest goes to the owner of the combo's active helping if the fees redistribute it, and is burned otherwise.
+// - Once emergency exit is enabled, a queued helping whose deposit went to the active helping takes that deposit back.
+//   The active helping takes the rest of the deposits it received. Every other helping gets its comboPrice back as
+//   credits.
+
+const BASIS_POINTS = 10000
+const MAX_TIMED_HELPING_FEE_BASIS_POINTS = 2000
+const FEE_CHANGE_DELAY = 2 * 24 * 60 * 60
+const MAX_UINT64 = BigNumber.from(2).pow(64).sub(1)
+const Zero = BigNumber.from(0)
+
+const ActionType = { AddHelping: 0, RemoveHelping: 1, IncreasePremium: 2 }
+
+// The parameter name and range of each of a combo's six digits, in the order the contract takes them.
+const digitRanges = [
+    ['amountDigit1', 1, 9],
+    ['amountDigit2', 0, 9],
+    ['amountZeros', 0, 9],
+    ['blocksDigit1', 1, 9],
+    ['blocksDigit2', 0, 9],
+    ['blocksZeros', 0, 6],
+]
+
+function revert(errorName, ...errorArgs) {
+    throw new SpicyCombosError(errorName, errorArgs)
+}
+
+// The comboId of a combo: its six digits, read as one decimal number.
+function comboIdOf(digits) {
+    digits.forEach((digit, i) => {
+        const [parameter, min, max] = digitRanges[i]
+        if (digit < min || digit > max) throw new ValueOutOfRangeError(parameter, min, max)
+    })
+    return digits.reduce((comboId, digit) => comboId * 10 + Number(digit), 0)
+}
+
+// The number that two digits and a count of zeros stand for: 2, 5, 3 is 25000, and 2, 0, 3 is 2000.
+function digitsValue(digit1, digit2, zeros) {
+    return (digit2 === 0 ? digit1 : digit1 * 10 + digit2) * 10 ** zeros
+}
+
+// Queued helpings are served highest premium first, and in the order they were added among equal premiums.
+function queueOrder(a, b) {
+    if (!a.premium.eq(b.premium)) return a.premium.gt(b.premium) ? -1 : 1
+    return a.helpingId - b.helpingId
+}
+
+// Like the contract's spendAllowance(): an allowance of MaxUint256 is never used up.
+function spendAllowance(allowance, amount, name) {
+    if (allowance.eq(constants.MaxUint256)) return allowance
+    if (allowance.lt(amount)) revert('OperatorAllowanceExceeded', name, allowance)
+    return allowance.sub(amount)
+}
+
+// A deep copy of the model's state. BigNumbers are immutable, so the copy shares them.
+function copy(value) {
+    if (value instanceof Map) return new Map([...value].map(([key, item]) => [key, copy(item)]))
+    if (Array.isArray(value)) return value.map(copy)
+    if (value === null || typeof value !== 'object' || BigNumber.isBigNumber(value)) return value
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, copy(item)]))
+}
+
+const emptyBalance = () => ({
+    availableDeposits: Zero,
+    depositsInUse: Zero,
+    availableCredits: Zero,
+    creditsInUse: Zero,
+})
+const emptyApproval = () => ({
+    depositsAllowance: Zero,
+    creditsAllowance: Zero,
+    premiumsAllowance: Zero,
+    expiration: Zero,
+})
+const emptyCreditOffer = () => ({ seller: constants.AddressZero, credits: Zero, priceBasisPoints: Zero })
+const emptyCombo = () => ({ activeHelpingId: 0, queue: [] })
+
+export class SpicyCombosModel {
+    // minValue: the minValue the contract was deployed with.
+    constructor(minValue) {
+        this.minValue = BigNumber.from(minValue)
+        this.fees = {
+            timedHelpingFeeBasisPoints: 1000,
+            premiumDevFundBasisPoints: BASIS_POINTS,
+            redistributePremiumRemainder: false,
+        }
+        this.pendingFees = undefined
+        this.pendingFeesEta = 0
+        this.keeperReward = Zero
+        this.defaultMaxQueueWait = Zero
+        this.helpingReceipts = constants.AddressZero
+        this.paused = false
+        this.emergencyExitEnabled = false
+        this.devFund = Zero
+        this.burnedPremiums = Zero
+        this.balanceMap = new Map() // address => balances
+        // helpingId => { helpingId, comboId, owner, isDoubleHelping, usingCredits, premium, queueDeadline, deposits,
+        // expiration, depositHolder }, for helpings still in a combo. deposits counts the deposits an active helping
+        // has received, and depositHolder is the helpingId of the active helping that holds this helping's deposit
+        // until it is paid out.
+        this.helpings = new Map()
+        this.helpingComboIds = new Map() // helpingId => comboId, for every helping ever added
+        this.combos = new Map() // comboId => { activeHelpingId, queue: queued helpingIds in queueOrder }
+        this.creditOfferMap = new Map() // offerId => open offer
+        this.creditOfferCount = 0
+        this.approvals = new Map() // `${owner} ${operator}` => operator approval
+        this.nonceMap = new Map()
+    }
+
+    get helpingCount() {
+        return this.helpingComboIds.size
+    }
+
+    // Views
+
+    balances(address) {
+        return { ...(this.balanceMap.get(address) || emptyBalance()) }
+    }
+
+    operatorApprovals(owner, operator) {
+        return { ...(this.approvals.get(`${owner} ${operator}`) || emptyApproval()) }
+    }
+
+    // Every [owner, operator] pair that was ever approved.
+    approvedOperators() {
+        return [...this.approvals.keys()].map((key) => key.split(' '))
+    }
+
+    nonces(owner) {
+        return this.nonceMap.get(owner) || 0
+    }
+
+    creditOffers(offerId) {
+        return this.creditOfferMap.get(offerId) || emptyCreditOffer()
+    }
+
+    // The offerIds of offers with credits left, in ascending order.
+    openCreditOffers() {
+        return [...this.creditOfferMap.keys()].sort((a, b) => a - b)
+    }
+
+    // blockNumber: the block.number the contract would see when executing the view.
+    comboInfo(digits, blockNumber) {
+        const comboId = comboIdOf(digits)
+        const { queue } = this.combos.get(comboId) || emptyCombo()
+        const active = this._activeHelping(comboId)
+        return {
+            queueLength: queue.length,
+            premium: queue.length ? this.helpings.get(queue[0]).premium : Zero,
+            activeHelpingExists: !!active,
+            activeHelpingOwner: active ? active.owner : constants.AddressZero,
+            // Without an active helping, the contract reads an empty helping, whose type is DoubleHelping.
+            activeHelpingIsDoubleHelping: active ? active.isDoubleHelping : true,
+            activeHelpingDeposits: active ? active.deposits : 0,
+            activeHelpingExpiration: active ? active.expiration : 0,
+            activeHelpingIsExpired: this._isDone(active, blockNumber),
+            activeHelpingId: active ? active.helpingId : 0,
+        }
+    }
+
+    helpingInfo(digits, owner) {
+        const helpingId = this._onlyHelpingId(comboIdOf(digits), owner)
+        return { ...this._helpingDetails(helpingId), helpingId }
+    }
+
+    helpingInfoById(helpingId) {
+        const helping = this.helpings.get(helpingId)
+        const { exists, isDoubleHelping, usingCredits, isActiveHelping, premium } = this._helpingDetails(helpingId)
+        return {
+            exists,
+            owner: helping ? helping.owner : constants.AddressZero,
+            comboId: this.helpingComboIds.get(helpingId) || 0,
+            isDoubleHelping,
+            usingCredits,
+            isActiveHelping,
+            premium,
+        }
+    }
+
+    // In ascending order.
+    helpingIdsOf(digits, owner) {
+        return this._helpingIdsOf(comboIdOf(digits), owner)
+    }
+
+    queueEntries(digits, offset, limit) {
+        const { queue } = this.combos.get(comboIdOf(digits)) || emptyCombo()
+        const entries = queue.slice(offset, offset + limit).map((helpingId, i) => {
+            const { owner, premium, isDoubleHelping, usingCredits, queueDeadline } = this.helpings.get(helpingId)
+            return { helpingId, owner, premium, rank: offset + i + 1, isDoubleHelping, usingCredits, queueDeadline }
+        })
+        return { entries, queueLength: queue.length }
+    }
+
+    // 0 unless owner's helping is queued.
+    myPosition(digits, owner) {
+        const comboId = comboIdOf(digits)
+        const { queue } = this.combos.get(comboId) || emptyCombo()
+        return queue.indexOf(this._onlyHelpingId(comboId, owner)) + 1
+    }
+
+    // The comboIds of combos with an active helping, in ascending order.
+    liveCombos() {
+        return [...this.combos.keys()].filter((comboId) => this._activeHelping(comboId)).sort((a, b) => a - b)
+    }
+
+    // The comboIds of combos where owner has a helping, in ascending order.
+    combosOf(owner) {
+        const comboIds = [...this.helpings.values()].filter((h) => h.owner === owner).map((h) => h.comboId)
+        return [...new Set(comboIds)].sort((a, b) => a - b)
+    }
+
+    // The deposits that the contract holds for helpings: those each active helping has received, and those of
+    // queued helpings whose active helping left with emergencyExit().
+    heldDeposits() {
+        let held = Zero
+        for (const helping of this.helpings.values()) {
+            const { comboPrice } = this._terms(helping.comboId)
+            if (this._isActive(helping)) {
+                held = held.add(comboPrice.mul(helping.deposits))
+            } else if (helping.depositHolder && !this.helpings.has(helping.depositHolder)) {
+                held = held.add(comboPrice)
+            }
+        }
+        return held
+    }
+
+    // Deposits and withdrawals
+
+    deposit(sender, value) {
+        return this._transaction(() => this._receive(sender, value))
+    }
+
+    withdraw(sender, amount) {
+        return this._transaction(() => this._withdraw(sender, BigNumber.from(amount)))
+    }
+
+    withdrawTo(sender, recipient, amount) {
+        return this._transaction(() => this._withdraw(sender, BigNumber.from(amount)))
+    }
+
+    withdrawAll(sender) {
+        return this._transaction(() => {
+            const { availableDeposits } = this.balances(sender)
+            this._withdraw(sender, availableDeposits)
+            return availableDeposits
+        })
+    }
+
+    // Credits
+
+    transferCredits(sender, to, amount) {
+        return this._transaction(() => {
+            amount = BigNumber.from(amount)
+            this._takeCredits(sender, amount)
+            this._add(to, 'availableCredits', amount)
+        })
+    }
+
+    offerCredits(sender, credits, priceBasisPoints) {
+        return this._transaction(() => {
+            credits = BigNumber.from(credits)
+            priceBasisPoints = BigNumber.from(priceBasisPoints)
+            const { availableCredits } = this.balances(sender)
+            if (credits.isZero()) revert('ValueOutOfRange', 'credits', 1, availableCredits)
+            if (priceBasisPoints.isZero() || priceBasisPoints.gt(BASIS_POINTS)) {
+                revert('ValueOutOfRange', 'priceBasisPoints', 1, BASIS_POINTS)
+            }
+            this._takeCredits(sender, credits)
+            const offerId = ++this.creditOfferCount
+            this.creditOfferMap.set(offerId, { seller: sender, credits, priceBasisPoints })
+            return offerId
+        })
+    }
+
+    cancelCreditOffer(sender, offerId) {
+        return this._transaction(() => {
+            const offer = this.creditOffers(offerId)
+            if (offer.seller !== sender) revert('CreditOfferNotFound', offerId)
+            this.creditOfferMap.delete(offerId)
+            this._add(sender, 'availableCredits', offer.credits)
+        })
+    }
+
+    // Credits cost priceBasisPoints of their amount in deposits, rounded up.
+    buyCredits(sender, value, offerId, credits) {
+        return this._transaction(() => {
+            credits = BigNumber.from(credits)
+            const offer = this.creditOffers(offerId)
+            if (offer.seller === constants.AddressZero) revert('CreditOfferNotFound', offerId)
+            if (credits.isZero()) revert('ValueOutOfRange', 'credits', 1, offer.credits)
+            if (credits.gt(offer.credits)) revert('CreditOfferAmountExceeded', offer.credits)
+            const price = credits
+                .mul(offer.priceBasisPoints)
+                .add(BASIS_POINTS - 1)
+                .div(BASIS_POINTS)
+            this._receive(sender, value)
+            const { availableDeposits } = this.balances(sender)
+            if (availableDeposits.lt(price)) revert('NotEnoughAvailableDepositsForCredits', availableDeposits, price)
+            this._add(sender, 'availableDeposits', price.mul(-1))
+            this._add(offer.seller, 'availableDeposits', price)
+            this._add(sender, 'availableCredits', credits)
+            const left = offer.credits.sub(credits)
+            if (left.isZero()) this.creditOfferMap.delete(offerId)
+            else this.creditOfferMap.set(offerId, { ...offer, credits: left })
+            return price
+        })
+    }
+
+    // Owner
+
+    withdrawDevFund() {
+        return this._transaction(() => {
+            const amount = this.devFund
+            this.devFund = Zero
+            return amount
+        })
+    }
+
+    // Fee changes take block.timestamp where the contract uses it.
+
+    queueFeeChange(timestamp, newFees) {
+        return this._transaction(() => {
+            if (newFees.timedHelpingFeeBasisPoints > MAX_TIMED_HELPING_FEE_BASIS_POINTS) {
+                revert('ValueOutOfRange', 'timedHelpingFeeBasisPoints', 0, MAX_TIMED_HELPING_FEE_BASIS_POINTS)
+            }
+            if (newFees.premiumDevFundBasisPoints > BASIS_POINTS) {
+                revert('ValueOutOfRange', 'premiumDevFundBasisPoints', 0, BASIS_POINTS)
+            }
+            this.pendingFees = { ...newFees }
+            this.pendingFeesEta = timestamp + FEE_CHANGE_DELAY
+        })
+    }
+
+    executeFeeChange(timestamp) {
+        return this._transaction(() => {
+            if (this.pendingFeesEta === 0) revert('NoFeeChangeQueued')
+            if (timestamp < this.pendingFeesEta) revert('FeeChangeNotReady', this.pendingFeesEta)
+            this.fees = this.pendingFees
+            this.pendingFees = undefined
+            this.pendingFeesEta = 0
+        })
+    }
+
+    cancelFeeChange() {
+        return this._transaction(() => {
+            if (this.pendingFeesEta === 0) revert('NoFeeChangeQueued')
+            this.pendingFees = undefined
+            this.pendingFeesEta = 0
+        })
+    }
+
+    setKeeperReward(keeperReward) {
+        return this._transaction(() => {
+            this.keeperReward = BigNumber.from(keeperReward)
+        })
+    }
+
+    setDefaultMaxQueueWait(defaultMaxQueueWait) {
+        return this._transaction(() => {
+            this.defaultMaxQueueWait = BigNumber.from(defaultMaxQueueWait)
+        })
+    }
+
+    // The receipts contract can only be set once, and before the first helping.
+    setHelpingReceipts(helpingReceipts) {
+        return this._transaction(() => {
+            if (this.helpingReceipts !== constants.AddressZero || this.helpingCount !== 0) {
+                revert('HelpingReceiptsCannotBeSet')
+            }
+            this.helpingReceipts = helpingReceipts
+        })
+    }
+
+    // Pausable reverts with a reason string rather than a custom error.
+
+    pause() {
+        return this._transaction(() => {
+            if (this.paused) throw new Error('Pausable: paused')
+            this.paused = true
+        })
+    }
+
+    unpause() {
+        return this._transaction(() => {
+            if (this.emergencyExitEnabled) revert('EmergencyExitAlreadyEnabled')
+            if (!this.paused) throw new Error('Pausable: not paused')
+            this.paused = false
+        })
+    }
+
+    enableEmergencyExit() {
+        return this._transaction(() => {
+            if (!this.paused) throw new Error('Pausable: not paused')
+            if (this.emergencyExitEnabled) revert('EmergencyExitAlreadyEnabled')
+            this.emergencyExitEnabled = true
+        })
+    }
+
+    // Helpings
+
+    // sender is the address calling the contract, which must be the receipts contract.
+    transferHelping(sender, from, to, helpingId) {
+        return this._transaction(() => {
+            if (sender !== this.helpingReceipts) revert('OnlyCallableByHelpingReceipts')
+            const comboId = this.helpingComboIds.get(helpingId) || 0
+            const helping = this._ownHelping(from, comboId, helpingId)
+            const inUse = helping.usingCredits ? 'creditsInUse' : 'depositsInUse'
+            const { comboPrice } = this._terms(comboId)
+            this._add(from, inUse, comboPrice.mul(-1))
+            this._add(to, inUse, comboPrice)
+            helping.owner = to
+            return { comboId }
+        })
+    }
+
+    emergencyExit(sender, digits) {
+        return this._transaction(() => {
+            const comboId = comboIdOf(digits)
+            return this._emergencyExit(sender, comboId, this._onlyHelpingId(comboId, sender))
+        })
+    }
+
+    emergencyExitById(sender, helpingId) {
+        return this._transaction(() => this._emergencyExit(sender, this.helpingComboIds.get(helpingId) || 0, helpingId))
+    }
+
+    addHelping(
+        sender,
+        value,
+        blockNumber,
+        digits,
+        doubleHelping,
+        usingCredits,
+        creatorOnly,
+        premium,
+        maxQueueWait = 0
+    ) {
+        return this._transaction(() => {
+            this._receive(sender, value)
+            return this._addHelping(sender, blockNumber, digits, {
+                doubleHelping,
+                usingCredits,
+                creatorOnly,
+                premium,
+                maxQueueWait,
+            })
+        })
+    }
+
+    increasePremium(sender, value, blockNumber, digits, amount) {
+        return this._transaction(() => {
+            this._receive(sender, value)
+            const comboId = comboIdOf(digits)
+            return this._increasePremium(sender, blockNumber, comboId, this._onlyHelpingId(comboId, sender), amount)
+        })
+    }
+
+    increasePremiumById(sender, value, blockNumber, helpingId, amount) {
+        return this._transaction(() => {
+            this._receive(sender, value)
+            const comboId = this.helpingComboIds.get(helpingId) || 0
+            return this._increasePremium(sender, blockNumber, comboId, helpingId, amount)
+        })
+    }
+
+    removeHelping(sender, blockNumber, digits) {
+        return this._transaction(() => {
+            const comboId = comboIdOf(digits)
+            this._removeHelping(sender, blockNumber, comboId, this._onlyHelpingId(comboId, sender))
+        })
+    }
+
+    removeHelpingById(sender, blockNumber, helpingId) {
+        return this._transaction(() => {
+            this._removeHelping(sender, blockNumber, this.helpingComboIds.get(helpingId) || 0, helpingId)
+        })
+    }
+
+    // Batches: actions are { actionType, digits, doubleHelping, usingCredits, creatorOnly, amount, helpingId,
+    // maxQueueWait }, like the contract's Action.
+
+    batch(sender, value, blockNumber, actions) {
+        return this._transaction(() => {
+            this._receive(sender, value)
+            this._performBatch(sender, blockNumber, actions)
+        })
+    }
+
+    approveOperator(sender, operator, depositsAllowance, creditsAllowance, premiumsAllowance, expiration) {
+        return this._transaction(() => {
+            this.approvals.set(`${sender} ${operator}`, {
+                depositsAllowance: BigNumber.from(depositsAllowance),
+                creditsAllowance: BigNumber.from(creditsAllowance),
+                premiumsAllowance: BigNumber.from(premiumsAllowance),
+                expiration: BigNumber.from(expiration),
+            })
+        })
+    }
+
+    // An operator spends its allowances on the comboPrices and premiums of the actions before any is performed.
+    batchFor(sender, value, blockNumber, owner, actions) {
+        return this._transaction(() => {
+            const approval = this.operatorApprovals(owner, sender)
+            if (approval.expiration.lte(blockNumber)) revert('OperatorNotApproved', owner, sender)
+            for (const { actionType, digits, usingCredits, amount } of actions) {
+                if (actionType === ActionType.RemoveHelping) continue
+                if (actionType === ActionType.AddHelping) {
+                    const { comboPrice } = this._terms(comboIdOf(digits))
+                    const allowance = usingCredits ? 'creditsAllowance' : 'depositsAllowance'
+                    approval[allowance] = spendAllowance(approval[allowance], comboPrice, allowance)
+                }
+                approval.premiumsAllowance = spendAllowance(approval.premiumsAllowance, amount, 'premiumsAllowance')
+            }
+            this.approvals.set(`${owner} ${sender}`, approval)
+            this._receive(owner, value)
+            this._performBatch(owner, blockNumber, actions)
+        })
+    }
+
+    // intent: { owner, signer, actions, relayerFee, nonce, deadline }, where signer is the address the signature
+    // recovers to and nonce is the nonce it signed.
+    batchBySig(sender, blockNumber, intent) {
+        return this._transaction(() => {
+            this._payRelayer(sender, blockNumber, intent)
+            this._performBatch(intent.owner, blockNumber, intent.actions)
+        })
+    }
+
+    // intent: { owner, signer, recipient, amount, relayerFee, nonce, deadline }, as for batchBySig().
+    withdrawBySig(sender, blockNumber, intent) {
+        return this._transaction(() => {
+            this._payRelayer(sender, blockNumber, intent)
+            this._withdraw(intent.owner, BigNumber.from(intent.amount))
+        })
+    }
+
+    // Settling
+
+    settle(sender, blockNumber, digits) {
+        return this._transaction(() => this._settle(sender, blockNumber, comboIdOf(digits)))
+    }
+
+    settleMany(sender, blockNumber, comboIds) {
+        return this._transaction(() => comboIds.filter((comboId) => this._settle(sender, blockNumber, comboId)).length)
+    }
+
+    // Settles the combo of each helping first, and returns the helpingIds of the queued helpings it removed.
+    expireQueuedHelpings(sender, blockNumber, helpingIds) {
+        return this._transaction(() => {
+            if (this.emergencyExitEnabled) revert('EmergencyExitAlreadyEnabled')
+            return helpingIds.filter((helpingId) => {
+                this._settle(sender, blockNumber, this.helpingComboIds.get(helpingId) || 0)
+                const helping = this.helpings.get(helpingId)
+                if (!helping || this._isActive(helping) || helping.queueDeadline === 0) return false
+                if (blockNumber < helping.queueDeadline) return false
+                this._dropQueuedHelping(helping)
+                return true
+            })
+        })
+    }
+
+    // The rules
+
+    _addHelping(owner, blockNumber, digits, { doubleHelping, usingCredits, creatorOnly, premium, maxQueueWait }) {
+        this._requireNotPaused()
+        const comboId = comboIdOf(digits)
+        const { comboPrice, timeLimit } = this._terms(comboId)
+        premium = BigNumber.from(premium)
+        this._payFromDeposits(owner, premium, 'NotEnoughAvailableDepositsForPremium')
+        const { availableDeposits, availableCredits } = this.balances(owner)
+        if (usingCredits) {
+            if (creatorOnly) revert('CreatorOnlyIncompatibleWithUseCredits')
+            if (availableCredits.lt(comboPrice)) revert('NotEnoughAvailableCredits', availableCredits, comboPrice)
+            this._add(owner, 'availableCredits', comboPrice.mul(-1))
+            this._add(owner, 'creditsInUse', comboPrice)
+        } else {
+            if (availableDeposits.lt(comboPrice)) revert('NotEnoughAvailableDeposits', availableDeposits, comboPrice)
+            this._add(owner, 'availableDeposits', comboPrice.mul(-1))
+            this._add(owner, 'depositsInUse', comboPrice)
+        }
+        this._settleIfDone(comboId, blockNumber)
+
+        const helping = {
+            helpingId: this.helpingCount + 1,
+            comboId,
+            owner,
+            isDoubleHelping: doubleHelping,
+            usingCredits,
+            premium,
+            queueDeadline: this._queueDeadline(maxQueueWait, blockNumber),
+            deposits: 0,
+            expiration: 0,
+            depositHolder: 0,
+        }
+        let depositRecipient = constants.AddressZero
+        const active = this._activeHelping(comboId)
+        if (!usingCredits && active) {
+            if (creatorOnly) revert('CreatorOnlyUnsuccessful')
+            active.deposits += 1
+            depositRecipient = active.owner
+            // A double helping is paid out at its second deposit, which then is no longer held for this helping.
+            if (!this._settleIfDone(comboId, blockNumber)) helping.depositHolder = active.helpingId
+        } else if (!usingCredits) {
+            helping.deposits = 1
+            helping.depositHolder = helping.helpingId
+        }
+        this.helpings.set(helping.helpingId, helping)
+        this.helpingComboIds.set(helping.helpingId, comboId)
+        this._payPremium(comboId, premium)
+
+        const combo = this._combo(comboId)
+        if (combo.activeHelpingId) {
+            combo.queue.push(helping.helpingId)
+            this._sortQueue(combo)
+        } else {
+            combo.activeHelpingId = helping.helpingId
+            helping.expiration = blockNumber + timeLimit
+        }
+        return { comboId, helpingId: helping.helpingId, depositRecipient }
+    }
+
+    _increasePremium(owner, blockNumber, comboId, helpingId, amount) {
+        this._requireNotPaused()
+        amount = BigNumber.from(amount)
+        this._payFromDeposits(owner, amount, 'NotEnoughAvailableDepositsForPremium')
+        const helping = this._ownHelping(owner, comboId, helpingId)
+        if (this._isActive(helping)) revert('CannotIncreasePremiumOfActiveHelping')
+        this._settleIfDone(comboId, blockNumber)
+        if (this._isActive(helping)) revert('CannotIncreasePremiumOfActiveHelping')
+        helping.premium = helping.premium.add(amount)
+        this._sortQueue(this._combo(comboId))
+        this._payPremium(comboId, amount)
+        return { comboId, helpingId, newPremium: helping.premium }
+    }
+
+    // Only a double helping can leave while active.
+    _removeHelping(owner, blockNumber, comboId, helpingId) {
+        if (this.emergencyExitEnabled) revert('EmergencyExitAlreadyEnabled')
+        const helping = this._ownHelping(owner, comboId, helpingId)
+        this._settleIfDone(comboId, blockNumber)
+        // Settling may have paid out this very helping.
+        if (!this.helpings.has(helpingId)) return
+        if (!this._isActive(helping)) {
+            this._dropQueuedHelping(helping)
+        } else if (helping.isDoubleHelping) {
+            this._payOutActiveHelping(comboId, blockNumber)
+        } else {
+            revert('RemovingActiveTimedHelpingNotAllowed')
+        }
+    }
+
+    _emergencyExit(owner, comboId, helpingId) {
+        if (!this.emergencyExitEnabled) revert('EmergencyExitNotEnabled')
+        const helping = this._ownHelping(owner, comboId, helpingId)
+        const { comboPrice } = this._terms(comboId)
+        const combo = this._combo(comboId)
+        let deposits = Zero
+        let credits = Zero
+        if (this._isActive(helping)) {
+            const owed = combo.queue.filter((id) => this.helpings.get(id).depositHolder === helpingId).length
+            deposits = comboPrice.mul(helping.deposits - owed)
+            // Its own comboPrice is among the deposits it received only if it created the combo.
+            if (helping.depositHolder !== helpingId) credits = comboPrice
+            // The queue stays, with no active helping to serve it.
+            combo.activeHelpingId = 0
+        } else {
+            combo.queue = combo.queue.filter((id) => id !== helpingId)
+            const holder = this.helpings.get(helping.depositHolder)
+            if (holder) holder.deposits -= 1
+            if (helping.depositHolder) deposits = comboPrice
+            else credits = comboPrice
+        }
+        this._release(helping)
+        this._add(owner, 'availableDeposits', deposits)
+        this._add(owner, 'availableCredits', credits)
+        return { comboId, helpingId, deposits, credits }
+    }
+
+    // The active helping leaves with what it has earned, and the first queued helping takes its place.
+    _payOutActiveHelping(comboId, blockNumber) {
+        const combo = this._combo(comboId)
+        const helping = this.helpings.get(combo.activeHelpingId)
+        const { comboPrice, timeLimit } = this._terms(comboId)
+        if (helping.deposits === 0) {
+            if (helping.isDoubleHelping) this._add(helping.owner, 'availableCredits', comboPrice)
+        } else if (helping.isDoubleHelping) {
+            this._add(helping.owner, 'availableDeposits', comboPrice.mul(helping.deposits))
+        } else {
+            const afterFirst = comboPrice.mul(helping.deposits - 1)
+            const feeBasisPoints = this.fees.timedHelpingFeeBasisPoints
+            this.devFund = this.devFund.add(afterFirst.mul(feeBasisPoints).div(BASIS_POINTS))
+            const earned = comboPrice.add(afterFirst.mul(BASIS_POINTS - feeBasisPoints).div(BASIS_POINTS))
+            this._add(helping.owner, 'availableDeposits', earned)
+        }
+        // The deposits it held for queued helpings were part of that payout.
+        for (const helpingId of combo.queue) {
+            const queued = this.helpings.get(helpingId)
+            if (queued.depositHolder === helping.helpingId) queued.depositHolder = 0
+        }
+        this._release(helping)
+        combo.activeHelpingId = combo.queue.shift() || 0
+        if (combo.activeHelpingId) this.helpings.get(combo.activeHelpingId).expiration = blockNumber + timeLimit
+    }
+
+    _dropQueuedHelping(helping) {
+        const combo = this._combo(helping.comboId)
+        combo.queue = combo.queue.filter((helpingId) => helpingId !== helping.helpingId)
+        this._add(helping.owner, 'availableCredits', this._terms(helping.comboId).comboPrice)
+        this._release(helping)
+    }
+
+    // The helping leaves its combo, and its comboPrice is no longer in use.
+    _release(helping) {
+        const inUse = helping.usingCredits ? 'creditsInUse' : 'depositsInUse'
+        this._add(helping.owner, inUse, this._terms(helping.comboId).comboPrice.mul(-1))
+        this.helpings.delete(helping.helpingId)
+    }
+
+    _settleIfDone(comboId, blockNumber) {
+        if (!this._isDone(this._activeHelping(comboId), blockNumber)) return false
+        this._payOutActiveHelping(comboId, blockNumber)
+        return true
+    }
+
+    // Settling pays the sender the keeper reward, as far as the dev fund covers it.
+    _settle(sender, blockNumber, comboId) {
+        if (!this._settleIfDone(comboId, blockNumber)) return false
+        const reward = this.keeperReward.lt(this.devFund) ? this.keeperReward : this.devFund
+        this.devFund = this.devFund.sub(reward)
+        this._add(sender, 'availableDeposits', reward)
+        return true
+    }
+
+    _payPremium(comboId, premium) {
+        const devFundShare = premium.mul(this.fees.premiumDevFundBasisPoints).div(BASIS_POINTS)
+        const remainder = premium.sub(devFundShare)
+        const active = this._activeHelping(comboId)
+        this.devFund = this.devFund.add(devFundShare)
+        if (this.fees.redistributePremiumRemainder && active) {
+            this._add(active.owner, 'availableDeposits', remainder)
+        } else {
+            this.burnedPremiums = this.burnedPremiums.add(remainder)
+        }
+    }
+
+    // A wait of zero means the default wait. No wait, or one that would end past the largest uint64 block number,
+    // means no deadline, which is 0.
+    _queueDeadline(maxQueueWait, blockNumber) {
+        let wait = BigNumber.from(maxQueueWait)
+        if (wait.isZero()) wait = this.defaultMaxQueueWait
+        if (wait.isZero() || wait.gte(MAX_UINT64.sub(blockNumber))) return 0
+        return wait.add(blockNumber).toNumber()
+    }
+
+    _performBatch(owner, blockNumber, actions) {
+        actions.forEach((action, i) => {
+            try {
+                this._performBatchAction(owner, blockNumber, action)
+            } catch (e) {
+                if (!e.errorName) throw e
+                revert('BatchActionFailed', i, encodeError(e.errorName, e.errorArgs))
+            }
+        })
+    }
+
+    // Actions other than AddHelping find their helping by helpingId, or by digits if helpingId is 0.
+    _performBatchAction(owner, blockNumber, action) {
+        const { actionType, digits, amount } = action
+        if (actionType === ActionType.AddHelping) {
+            return this._addHelping(owner, blockNumber, digits, { ...action, premium: amount })
+        }
+        let comboId = this.helpingComboIds.get(action.helpingId) || 0
+        let helpingId = action.helpingId
+        if (!helpingId) {
+            comboId = comboIdOf(digits)
+            helpingId = this._onlyHelpingId(comboId, owner)
+        }
+        if (actionType === ActionType.RemoveHelping) return this._removeHelping(owner, blockNumber, comboId, helpingId)
+        return this._increasePremium(owner, blockNumber, comboId, helpingId, amount)
+    }
+
+    _payRelayer(sender, blockNumber, { owner, signer, relayerFee, nonce, deadline }) {
+        if (blockNumber > deadline) revert('IntentExpired', deadline)
+        if (signer !== owner || nonce !== this.nonces(owner)) revert('InvalidSignature')
+        this.nonceMap.set(owner, nonce + 1)
+        relayerFee = BigNumber.from(relayerFee)
+        this._payFromDeposits(owner, relayerFee, 'NotEnoughAvailableDepositsForRelayerFee')
+        this._add(sender, 'availableDeposits', relayerFee)
+    }
+
+    // Accounts
+
+    _receive(address, value) {
+        this._add(address, 'availableDeposits', BigNumber.from(value))
+    }
+
+    _withdraw(address, amount) {
+        this._payFromDeposits(address, amount, 'WithdrawAmountExceedsAvailableDeposits')
+    }
+
+    // Take amount from the address's available deposits, or revert with errorName and the available deposits.
+    _payFromDeposits(address, amount, errorName) {
+        const { availableDeposits } = this.balances(address)
+        if (availableDeposits.lt(amount)) revert(errorName, availableDeposits)
+        this._add(address, 'availableDeposits', amount.mul(-1))
+    }
+
+    _takeCredits(address, amount) {
+        const { availableCredits } = this.balances(address)
+        if (availableCredits.lt(amount)) revert('CreditAmountExceedsAvailableCredits', availableCredits)
+        this._add(address, 'availableCredits', amount.mul(-1))
+    }
+
+    _add(address, balance, amount) {
+        const balances = this.balances(address)
+        balances[balance] = balances[balance].add(amount)
+        this.balanceMap.set(address, balances)
+    }
+
+    // Combos and helpings
+
+    // The comboPrice and time limit in blocks of the combo with comboId.
+    _terms(comboId) {
+        const digit = (place) => Math.floor(comboId / 10 ** place) % 10
+        return {
+            comboPrice: this.minValue.mul(digitsValue(Math.floor(comboId / 100000), digit(4), digit(3))),
+            timeLimit: digitsValue(digit(2), digit(1), digit(0)),
+        }
+    }
+
+    _combo(comboId) {
+        if (!this.combos.has(comboId)) this.combos.set(comboId, emptyCombo())
+        return this.combos.get(comboId)
+    }
+
+    _activeHelping(comboId) {
+        return this.helpings.get((this.combos.get(comboId) || emptyCombo()).activeHelpingId)
+    }
+
+    _isActive(helping) {
+        return this._combo(helping.comboId).activeHelpingId === helping.helpingId
+    }
+
+    _isDone(active, blockNumber) {
+        if (!active) return false
+        return active.isDoubleHelping ? active.deposits >= 2 : blockNumber >= active.expiration
+    }
+
+    _sortQueue(combo) {
+        combo.queue.sort((a, b) => queueOrder(this.helpings.get(a), this.helpings.get(b)))
+    }
+
+    _helpingIdsOf(comboId, owner) {
+        return [...this.helpings.values()]
+            .filter((helping) => helping.comboId === comboId && helping.owner === owner)
+            .map((helping) => helping.helpingId)
+    }
+
+    // The helpingId of owner's helping in the combo, or 0 if they have none.
+    _onlyHelpingId(comboId, owner) {
+        const helpingIds = this._helpingIdsOf(comboId, owner)
+        if (helpingIds.length > 1) revert('MoreThanOneHelping', helpingIds.length)
+        return helpingIds[0] || 0
+    }
+
+    _ownHelping(owner, comboId, helpingId) {
+        const helping = this.helpings.get(helpingId)
+        if (!helping || helping.comboId !== comboId || helping.owner !== owner) revert('HelpingNotFoundForCaller')
+        return helping
+    }
+
+    _helpingDetails(helpingId) {
+        const helping = this.helpings.get(helpingId)
+        if (!helping) {
+            return { exists: false, isDoubleHelping: false, usingCredits: false, isActiveHelping: false, premium: Zero }
+        }
+        const isActiveHelping = this._isActive(helping)
+        return {
+            exists: true,
+            isDoubleHelping: helping.isDoubleHelping,
+            usingCredits: helping.usingCredits,
+            isActiveHelping,
+            premium: isActiveHelping ? Zero : helping.premium,
+        }
+    }
+
+    _requireNotPaused() {
+        if (this.paused) throw new Error('Pausable: paused')
+    }
+
+    // Run fn like a transaction: if it throws, the model is left as it was.
+    _transaction(fn) {
+        const state = copy({ ...this })
+        try {
+            return fn()
+        } catch (e) {
+            Object.assign(this, state)
+            throw e
+        }
+    }
+}